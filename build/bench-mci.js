@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/*
+ * Benchmarks decoding of IS_MCI and IS_NLP packets.
+ *
+ * Compares the original jspack based decoding, the generic schema codec and
+ * the fast decoders, with and without reusing sub-packets.
+ *
+ * Usage: node ./build/bench-mci.js [iterations]
+ */
+
+var jspack = require('jspack').jspack,
+	insim = require('../lib/insim');
+
+var iterations = parseInt(process.argv[2], 10) || 100000;
+
+/**
+ * Builds a full (8 car) IS_MCI and a full (32 player) IS_NLP
+ */
+var mci = new insim.IS_MCI;
+for (var i = 0; i < 8; i++)
+{
+	var c = new insim.IS_COMPCAR;
+	c.node = 100 + i;
+	c.lap = 3;
+	c.plid = i + 1;
+	c.position = i + 1;
+	c.x = -1234567 * (i + 1);
+	c.y = 7654321 - i;
+	c.z = 65536;
+	c.speed = 10000;
+	c.direction = 32768;
+	c.heading = 16384;
+	c.angvel = -200;
+	mci.compcar.push(c);
+}
+
+var nlp = new insim.IS_NLP;
+for (var i = 0; i < 32; i++)
+{
+	var n = new insim.IS_NODELAP;
+	n.node = 200 + i;
+	n.lap = 5;
+	n.plid = i + 1;
+	n.position = i + 1;
+	nlp.info.push(n);
+}
+
+var mciBuf = new Buffer(mci.pack());
+var nlpBuf = new Buffer(nlp.pack());
+
+/**
+ * Decoders to compare
+ */
+var decoders = {
+	'jspack (original)': {
+		'IS_MCI': function(buf)
+		{
+			var p = new insim.IS_MCI;
+			var data = jspack.Unpack('<BBBB', buf, 0);
+			p.numc = data[3];
+
+			for (var i = 0; i < p.numc; i++)
+			{
+				var start = 4 + (i * 28);
+				var d = jspack.Unpack('<HHBBBBlllHHHh', buf.slice(start, start + 28), 0);
+				var c = new insim.IS_COMPCAR;
+				var props = c.getProperties();
+				for (var j = 0; j < props.length; j++)
+					c[props[j]] = d[j];
+				p.compcar.push(c);
+			}
+
+			return p;
+		},
+		'IS_NLP': function(buf)
+		{
+			var p = new insim.IS_NLP;
+			var data = jspack.Unpack('<BBBB', buf, 0);
+			p.nump = data[3];
+
+			for (var i = 0; i < p.nump; i++)
+			{
+				var start = 4 + (i * 6);
+				var d = jspack.Unpack('<HHBB', buf.slice(start, start + 6), 0);
+				var n = new insim.IS_NODELAP;
+				var props = n.getProperties();
+				for (var j = 0; j < props.length; j++)
+					n[props[j]] = d[j];
+				p.info.push(n);
+			}
+
+			return p;
+		}
+	},
+	'schema codec': {
+		'IS_MCI': function(buf)
+		{
+			return insim.IS_MCI.prototype._SCHEMA.unpack(buf, new insim.IS_MCI);
+		},
+		'IS_NLP': function(buf)
+		{
+			return insim.IS_NLP.prototype._SCHEMA.unpack(buf, new insim.IS_NLP);
+		}
+	},
+	'fast': {
+		'IS_MCI': function(buf)
+		{
+			return (new insim.IS_MCI).unpack(buf);
+		},
+		'IS_NLP': function(buf)
+		{
+			return (new insim.IS_NLP).unpack(buf);
+		}
+	},
+	'fast, reusing sub-packets': {
+		'IS_MCI': (function()
+		{
+			var pool = [];
+			return function(buf)
+			{
+				return (new insim.IS_MCI).unpack(buf, pool);
+			};
+		})(),
+		'IS_NLP': (function()
+		{
+			var pool = [];
+			return function(buf)
+			{
+				return (new insim.IS_NLP).unpack(buf, pool);
+			};
+		})()
+	}
+};
+
+var bench = function(name, buf, fn)
+{
+	// sanity check, and warm up
+	for (var i = 0; i < 1000; i++)
+		fn(buf);
+
+	var start = process.hrtime();
+
+	for (var i = 0; i < iterations; i++)
+		fn(buf);
+
+	var elapsed = process.hrtime(start);
+	var ms = (elapsed[0] * 1e3) + (elapsed[1] / 1e6);
+
+	console.log('    %s: %d ms, %d packets/sec', name, ms.toFixed(1), Math.round(iterations / (ms / 1000)));
+}
+
+console.log('Decoding %d packets of each type', iterations);
+
+var types = { 'IS_MCI': mciBuf, 'IS_NLP': nlpBuf };
+
+for (var t in types)
+{
+	console.log();
+	console.log('%s (%d bytes)', t, types[t].length);
+
+	for (var d in decoders)
+		bench(d, types[t], decoders[d][t]);
+}
@@ -0,0 +1,360 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util'),
+	events = require('events'),
+	fs = require('fs');
+
+/**
+ * Capture files start with this, followed by the format version
+ *
+ * @api public
+ */
+exports.MAGIC = 'XI4NCP';
+exports.VERSION = 1;
+
+/**
+ * File header and record header sizes, in bytes
+ *
+ * @api private
+ */
+exports.HEADER_SIZE = 16;
+exports.RECORD_SIZE = 12;
+
+/**
+ * Protocol of the client a record belongs to
+ *
+ * @api public
+ */
+exports.PROTO_INSIM = 0;
+exports.PROTO_OUTSIM = 1;
+exports.PROTO_OUTGAUGE = 2;
+exports.PROTO_RELAY = 3;
+
+exports.PROTO_XLATED = [ 'insim', 'outsim', 'outgauge', 'relay' ];
+
+/**
+ * Record flags
+ *
+ * @api public
+ */
+exports.REC_SENT = 1; // sent by us, otherwise received
+exports.REC_UDP = 2; // datagram, otherwise tcp
+
+/**
+ * Records the raw data sent and received by any number of clients into a
+ * single capture file. See docs/capture.md for the file format.
+ *
+ * Writes are synchronous, so that nothing is lost if the process exits.
+ *
+ * @api public
+ * @param {String} file Path of the capture file, overwritten if it exists
+ */
+var Recorder = function(file)
+{
+	var self = this;
+
+	self.file = file;
+	self.start = Date.now();
+	self.protocols = {};
+
+	self.fd = fs.openSync(file, 'w');
+
+	var header = new Buffer(exports.HEADER_SIZE);
+	header.fill(0);
+	header.write(exports.MAGIC, 0, 6, 'binary');
+	header.writeUInt16LE(exports.VERSION, 6);
+	header.writeDoubleLE(self.start, 8);
+
+	fs.writeSync(self.fd, header, 0, header.length, null);
+}
+
+/**
+ * Starts recording a client.
+ *
+ * @api public
+ * @param {Object} client
+ * @param {String} protocol insim, outsim, outgauge or relay
+ */
+Recorder.prototype.attach = function(client, protocol)
+{
+	var p = exports.PROTO_XLATED.indexOf(protocol);
+
+	this.protocols[client.id] = (p < 0) ? exports.PROTO_INSIM : p;
+	client.recorder = this;
+}
+
+/**
+ * Stops recording a client.
+ *
+ * @api public
+ * @param {Object} client
+ */
+Recorder.prototype.detach = function(client)
+{
+	if (client.recorder === this)
+		client.recorder = null;
+}
+
+/**
+ * Appends a record.
+ *
+ * @api public
+ * @param {Object} client Client the data belongs to
+ * @param {Buffer} data Raw data, as it was sent or received
+ * @param {Boolean} sent True if we sent the data
+ * @param {Object} [rinfo] Remote address of a datagram
+ */
+Recorder.prototype.write = function(client, data, sent, rinfo)
+{
+	var self = this;
+
+	if (self.fd == null)
+		return;
+
+	var id = new Buffer(String(client.id), 'utf8');
+	var addr = new Buffer(rinfo ? (rinfo.address + ':' + rinfo.port) : '', 'binary');
+
+	var flags = 0;
+	if (sent)
+		flags |= exports.REC_SENT;
+	if (rinfo)
+		flags |= exports.REC_UDP;
+
+	var header = new Buffer(exports.RECORD_SIZE);
+	header.writeUInt32LE(Math.max(0, Date.now() - self.start), 0);
+	header.writeUInt8(self.protocols[client.id] || 0, 4);
+	header.writeUInt8(flags, 5);
+	header.writeUInt8(Math.min(id.length, 255), 6);
+	header.writeUInt8(Math.min(addr.length, 255), 7);
+	header.writeUInt32LE(data.length, 8);
+
+	var rec = Buffer.concat([ header, id.slice(0, 255), addr.slice(0, 255), data ]);
+	fs.writeSync(self.fd, rec, 0, rec.length, null);
+}
+
+/**
+ * Closes the capture file.
+ *
+ * @api public
+ */
+Recorder.prototype.close = function()
+{
+	if (this.fd == null)
+		return;
+
+	fs.closeSync(this.fd);
+	this.fd = null;
+}
+
+/**
+ * Exports the Recorder object
+ *
+ * @api public
+ */
+exports.Recorder = Recorder;
+
+/**
+ * Reads a capture file, returning its start time and records.
+ *
+ * Each record has -
+ *  - time: ms since the capture started
+ *  - protocol: insim, outsim, outgauge or relay
+ *  - sent: true if the data was sent by us
+ *  - udp: true if the data was a datagram
+ *  - id: client id
+ *  - rinfo: remote address of a datagram, as given to dgram message listeners
+ *  - data: raw data
+ *
+ * @api public
+ * @param {String} file
+ * @return {Object} { start, records }
+ */
+exports.read = function(file)
+{
+	var buf = fs.readFileSync(file);
+
+	if ((buf.length < exports.HEADER_SIZE) || (buf.toString('binary', 0, 6) != exports.MAGIC))
+		throw new Error('Not a capture file - ' + file);
+
+	var version = buf.readUInt16LE(6);
+	if (version != exports.VERSION)
+		throw new Error('Unsupported capture format version ' + version + ' - ' + file);
+
+	var capture = {
+		'start': buf.readDoubleLE(8),
+		'records': []
+	};
+
+	var offset = exports.HEADER_SIZE;
+	while (offset + exports.RECORD_SIZE <= buf.length)
+	{
+		var flags = buf.readUInt8(offset + 5);
+		var idLen = buf.readUInt8(offset + 6);
+		var addrLen = buf.readUInt8(offset + 7);
+		var dataLen = buf.readUInt32LE(offset + 8);
+
+		var end = offset + exports.RECORD_SIZE + idLen + addrLen + dataLen;
+
+		// the process died mid-write, everything before this is fine
+		if (end > buf.length)
+			break;
+
+		var o = offset + exports.RECORD_SIZE;
+
+		var rec = {
+			'time': buf.readUInt32LE(offset),
+			'protocol': exports.PROTO_XLATED[buf.readUInt8(offset + 4)] || 'insim',
+			'sent': ((flags & exports.REC_SENT) != 0),
+			'udp': ((flags & exports.REC_UDP) != 0),
+			'id': buf.toString('utf8', o, o + idLen),
+			'rinfo': null,
+			'data': buf.slice(o + idLen + addrLen, end)
+		};
+
+		if (addrLen > 0)
+		{
+			var addr = buf.toString('binary', o + idLen, o + idLen + addrLen);
+			var idx = addr.lastIndexOf(':');
+
+			rec.rinfo = {
+				'address': addr.substr(0, idx),
+				'port': parseInt(addr.substr(idx + 1), 10),
+				'size': dataLen
+			};
+		}
+
+		capture.records.push(rec);
+		offset = end;
+	}
+
+	return capture;
+}
+
+/**
+ * Plays a capture file back into clients, as if the data had just arrived
+ * from LFS. Only received data is played back, sent data is for reference.
+ *
+ * Events -
+ *  - end: everything has been played back
+ *
+ * @api public
+ * @param {String} file
+ */
+var Player = function(file)
+{
+	var self = this;
+
+	events.EventEmitter.call(this);
+
+	var capture = exports.read(file);
+
+	self.file = file;
+	self.start = capture.start;
+	self.records = capture.records;
+
+	self.position = 0;
+	self.timer = null;
+}
+
+util.inherits(Player, events.EventEmitter);
+
+/**
+ * Plays the capture back into the given clients, matched by client id.
+ * Records for clients that aren't given are skipped.
+ *
+ * @api public
+ * @param {Object} clients Clients, by id
+ * @param {Number} [speed] 1 for real time (default), 2 for twice as fast,
+ * etc. 0 plays back as fast as possible.
+ */
+Player.prototype.play = function(clients, speed)
+{
+	var self = this;
+
+	speed = ((speed == undefined) || isNaN(speed)) ? 1 : speed;
+
+	var started = Date.now();
+
+	var next = function()
+	{
+		self.timer = null;
+
+		while (self.position < self.records.length)
+		{
+			var rec = self.records[self.position];
+
+			if (speed > 0)
+			{
+				var wait = (rec.time / speed) - (Date.now() - started);
+				if (wait > 0)
+				{
+					self.timer = setTimeout(next, wait);
+					return;
+				}
+			}
+
+			self.position++;
+
+			if (!rec.sent && clients[rec.id])
+				self.dispatch(clients[rec.id], rec);
+
+			// give timers elsewhere a chance to run
+			if ((speed <= 0) && ((self.position % 100) == 0))
+			{
+				self.timer = setTimeout(next, 0);
+				return;
+			}
+		}
+
+		self.emit('end');
+	};
+
+	next();
+}
+
+/**
+ * Hands a record to a client.
+ *
+ * @api private
+ * @param {Object} client
+ * @param {Object} rec
+ */
+Player.prototype.dispatch = function(client, rec)
+{
+	// InSim clients take OutSim, OutGauge, IS_MCI and IS_NLP over udp as well
+	if (rec.udp && (typeof client.receiveUdp == 'function'))
+		client.receiveUdp(rec.data, rec.rinfo || { 'address': '', 'port': 0, 'size': rec.data.length });
+	else
+		client.receive(rec.data, rec.rinfo);
+}
+
+/**
+ * Stops playback.
+ *
+ * @api public
+ */
+Player.prototype.stop = function()
+{
+	if (this.timer)
+	{
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+}
+
+/**
+ * Exports the Player object
+ *
+ * @api public
+ */
+exports.Player = Player;
+
+}(typeof exports === "undefined"
+        ? (this.capture = {})
+        : exports));
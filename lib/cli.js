@@ -9,9 +9,10 @@ var util = require('util'),
 	path = require('path'),
 	os = require('os'),
 	sv = require('semver'),
-	glob = require('glob').Glob,
 	product = require('./product'),
 	jsonTidy = require('./json-tidy'),
+	configschema = require('./configschema'),
+	secrets = require('./secrets'),
 	clientmanager = require('./clientmanager'),
 	basePKG = JSON.stringify({
 		"name": product.name + "-" + product.version + "-custom", 
@@ -34,6 +35,50 @@ var util = require('util'),
 		"",
 	].join(((os.platform() == 'win32') ? '\r\n' : '\n'));
 
+/**
+ * Collects an option that may be given more than once
+ *
+ * @api private
+ * @param {String} value
+ * @param {Array} list Values so far
+ * @return {Array}
+ */
+var collect = function(value, list)
+{
+	list.push(value);
+	return list;
+}
+
+/**
+ * Moves the lines of an array's items along by offset, i.e. clients.0 to
+ * clients.2, once they've been added to the end of another array
+ *
+ * @api private
+ * @param {Object} lines Line of each key, see jsonTidy.locate
+ * @param {String} key Path of the array
+ * @param {Number} offset
+ */
+var shiftLines = function(lines, key, offset)
+{
+	var moved = {};
+	var prefix = key + '.';
+
+	for (var i in lines)
+	{
+		var m = (i.substr(0, prefix.length) == prefix) ? /^(\d+)(.*)$/.exec(i.substr(prefix.length)) : null;
+
+		if (m)
+			moved[prefix + (parseInt(m[1], 10) + offset) + m[2]] = lines[i];
+		else
+			moved[i] = lines[i];
+
+		delete lines[i];
+	}
+
+	for (var i in moved)
+		lines[i] = moved[i];
+}
+
 /**
  * Returns the CLI wrapper, which parses and handles process argument inputs.
  *
@@ -57,7 +102,13 @@ var cli = function()
 		.option('-f, --force', 'Forces either install or config to run, if path already exists')
 		.option('-s, --symlink', 'Used in conjunction with --install. Instead of copying, it creates a symlink to save space')
 		.option('-u, --update <path>', 'Updates a given path with the newest plugins, --force assumed')
-		.option('-W --watch', 'EXPERIMENTAL: Watches the configuration file, and attempts to hot-reload it, if it changes - very broken at present');
+		.option('-W --watch', 'Watches config.json and config.d, and applies any changes without restarting')
+		.option('-r, --record <file>', 'Used in conjunction with --config. Records everything sent and received to a capture <file>')
+		.option('-p, --replay <file>', 'Used in conjunction with --config. Plays a capture <file> back into the plugins, instead of connecting')
+		.option('--speed <n>', 'Used in conjunction with --replay. Playback speed, 1 is real time, 0 is as fast as possible', parseFloat, 1)
+		.option('--check', 'Used in conjunction with --config. Checks the configuration and prints it, with defaults filled in, without connecting')
+		.option('--set <key=value>', 'Used in conjunction with --config. Sets a configuration value, i.e. --set clients.0.port=29998. May be given more than once', collect, [])
+		.option('--secrets <file>', 'Used in conjunction with --config. Loads ${NAME} values from <file>, and keeps them out of logs. Defaults to secrets.json next to config.json');
 }
 
 /**
@@ -85,7 +136,7 @@ cli.prototype.execute = function()
 		self.install(function() { process.exit(0); });
 
 	if (self.program.config)
-		self.run(function() { process.exit(0); });
+		self.run(function(code) { process.exit(code || 0); });
 
 	if (!self.program.install && !self.program.config)
 	{
@@ -216,27 +267,221 @@ cli.prototype.update = function(next)
 }
 
 /**
- * Watches a directory or file and calls a callback
+ * Watches a config directory's config.json, secrets.json and config.d/*.json,
+ * and calls a callback once they've settled after changing. Directories are
+ * watched, rather than the files, as editors often replace a file rather than
+ * writing to it.
  *
  * @function
  * @api private
- * @param {String} file Target to watch
+ * @param {String} dir Config directory
  * @param {Function} next Callback to run next
  */
-cli.prototype.watch = function(file, next)
+cli.prototype.watch = function(dir, next)
 {
 	var self = this;
 
-	fs.watch(file, { persistent: true }, function (event, filename)
+	var timer = null;
+
+	var changed = function()
+	{
+		// a save is often several events, wait for them all
+		if (timer)
+			clearTimeout(timer);
+
+		timer = setTimeout(function()
+		{
+			timer = null;
+			next();
+		}, 500);
+	};
+
+	fs.watch(dir, { persistent: true }, function(event, filename)
 	{
-		if (event == 'change')
+		if (!filename || (filename == 'config.json') || (filename == 'secrets.json'))
+			changed();
+	});
+
+	var configD = path.join(dir, 'config.d');
+
+	if (path.existsSync(configD))
+	{
+		fs.watch(configD, { persistent: true }, function(event, filename)
+		{
+			if (!filename || (path.extname(filename) == '.json'))
+				changed();
+		});
+	}
+}
+
+/**
+ * Loads config.json from a config directory, with any config.d/*.json merged
+ * on top, in name order, then any --set values. ${NAME} is replaced with
+ * NAME from the secrets file, or the environment, see loadVars
+ *
+ * @function
+ * @api private
+ * @param {String} dir Config directory
+ * @param {Array} [sources] Each file loaded is added to this, see load
+ * @return {Object} Config, or undefined if it can't be used
+ */
+cli.prototype.loadConfig = function(dir, sources)
+{
+	var self = this;
+
+	var vars = self.loadVars(dir);
+
+	if (!vars)
+		return;
+
+	var opts = self.load(path.join(dir, 'config.json'), sources, vars);
+
+	if (!opts)
+		return;
+
+	// handle config.d
+	var configD = path.join(dir, 'config.d');
+
+	if (path.existsSync(configD))
+	{
+		var found = fs.readdirSync(configD).filter(function(f)
+		{
+			return path.extname(f) == '.json';
+		}).sort();
+
+		for (var f in found)
+		{
+			var extra = self.load(path.join(configD, found[f]), sources, vars);
+
+			if (!extra)
+				return;
+
+			opts = self.merge(opts, extra, (sources) ? sources[sources.length - 1].lines : null);
+		}
+	}
+
+	if (!self.override(opts, self.program.set || [], sources))
+		return;
+
+	// passwords from the environment or --set are as secret as those from
+	// the secrets file
+	secrets.registerConfig(opts);
+
+	return opts;
+}
+
+/**
+ * Returns the values ${NAME} may refer to in the configuration - the
+ * environment, and the secrets file on top of it. The secrets file is
+ * --secrets, or secrets.json in the config directory if it's there
+ *
+ * @function
+ * @api private
+ * @param {String} dir Config directory
+ * @return {Object} Values by name, or undefined if the secrets file can't be
+ * loaded
+ */
+cli.prototype.loadVars = function(dir)
+{
+	var self = this;
+
+	var vars = {};
+
+	for (var i in process.env)
+		vars[i] = process.env[i];
+
+	var file = (self.program.secrets) ? path.resolve(self.program.secrets) : path.join(dir, 'secrets.json');
+
+	if (!self.program.secrets && !path.existsSync(file))
+		return vars;
+
+	try
+	{
+		var values = secrets.load(file);
+
+		for (var i in values)
+			vars[i] = values[i];
+	}
+	catch (e)
+	{
+		self.error(file + ((e.line) ? ':' + e.line : '') + ' - ' + e.message);
+		return;
+	}
+
+	return vars;
+}
+
+/**
+ * Sets --set values, i.e. clients.0.port=29998, in a configuration. Values
+ * are JSON, or strings if they aren't, so 29998 is a number and "29998" a
+ * string. Options that can only be strings, such as admin, are always taken
+ * as they are, so a password of 1234 stays a string. An index may be one past
+ * the end of an array, to add to it, but no further
+ *
+ * @function
+ * @api private
+ * @param {Object} opts Configuration
+ * @param {Array} values key=value strings
+ * @param {Array} [sources] Each value is added to this, as a source without
+ * lines
+ * @return {Boolean} False if a value can't be used
+ */
+cli.prototype.override = function(opts, values, sources)
+{
+	var self = this;
+
+	for (var i = 0; i < values.length; i++)
+	{
+		var eq = values[i].indexOf('=');
+
+		if (eq <= 0)
+		{
+			self.error('--set ' + values[i] + ' - should be key=value, i.e. clients.0.port=29998');
+			return false;
+		}
+
+		var key = values[i].substr(0, eq);
+		var parts = key.split('.');
+		var o = opts;
+
+		// anything on the way that isn't there yet is made, arrays for indexes
+		for (var j = 0; j < parts.length; j++)
 		{
-			setTimeout(function()
+			// arrays can only be added to at the end, so there are no holes
+			if (Array.isArray(o) && (!/^\d+$/.test(parts[j]) || (parseInt(parts[j], 10) > o.length)))
 			{
-				next();
-			}, 500);
+				self.error('--set ' + values[i] + ' - ' + parts.slice(0, j).join('.') + ' has ' + o.length + ' items, so ' + parts[j] + ' should be an index from 0 to ' + o.length);
+				return false;
+			}
+
+			if (j == parts.length - 1)
+				break;
+
+			if ((typeof o[parts[j]] != 'object') || (o[parts[j]] === null))
+				o[parts[j]] = (/^\d+$/.test(parts[j + 1])) ? [] : {};
+
+			o = o[parts[j]];
 		}
-	});
+
+		var text = values[i].substr(eq + 1);
+		var value = jsonTidy.parseValue(text);
+		var schema = configschema.at(opts, key);
+
+		if (schema && (schema.type == 'string') && (typeof value != 'string'))
+			value = text;
+
+		o[parts[parts.length - 1]] = value;
+
+		if (sources)
+		{
+			var lines = {};
+			lines[key] = 0;
+
+			sources.push({ 'file': '--set ' + key, 'lines': lines });
+		}
+	}
+
+	return true;
 }
 
 /**
@@ -245,15 +490,32 @@ cli.prototype.watch = function(file, next)
  * @function
  * @api private
  * @param {String} configFile
+ * @param {Array} [sources] The file, and the line each key is on, are added
+ * to this as { file, lines }, see jsonTidy.locate
+ * @param {Object} [vars] Values for ${NAME}, see jsonTidy.interpolate
  */
-cli.prototype.load = function(configFile)
+cli.prototype.load = function(configFile, sources, vars)
 {
 	var self = this;
 
 	// parse our config file
 	// it's user-editable, so we cannot be 100% sure that it's valid JSON,
 	// so lets do some basic tidying on it first, removing some common mistakes
-	var opts = jsonTidy.tidyParseFile(configFile, 'utf8');
+	var text = fs.readFileSync(configFile, 'utf8');
+	var opts = null;
+
+	try
+	{
+		opts = jsonTidy.tidyParseString(text, vars);
+	}
+	catch (e)
+	{
+		if (!(e instanceof SyntaxError) && !(e instanceof ReferenceError))
+			throw e;
+
+		self.error(configFile + ((e.line) ? ':' + e.line : '') + ' - ' + e.message);
+		return;
+	}
 
 	// check out config file supports this version of xi4n
 	if ((!opts.xi4n) || (!sv.satisfies(product.version, opts.xi4n)))
@@ -262,33 +524,102 @@ cli.prototype.load = function(configFile)
 		return;
 	}
 
+	if (sources)
+		sources.push({ 'file': configFile, 'lines': jsonTidy.locate(text, vars) });
+
 	return opts;
 }
 
 /**
- * Merges 2 objects together
+ * Checks a configuration, filling in defaults, and reports anything wrong
+ * with it with the file and line it's on
+ *
+ * @function
+ * @api private
+ * @param {Object} opts Configuration, from loadConfig
+ * @param {Array} sources Files it was loaded from, from loadConfig
+ * @return {Boolean} True if it's valid
+ */
+cli.prototype.validate = function(opts, sources)
+{
+	var self = this;
+
+	var errors = clientmanager.validate(opts, self.program.config);
+
+	for (var i = 0; i < errors.length; i++)
+		self.error(self.locate(errors[i].path, sources) + ' - ' + errors[i].path + ' ' + errors[i].message);
+
+	return (errors.length == 0);
+}
+
+/**
+ * Returns where a key is set, as file:line. The last file to set it wins, as
+ * it does when they're merged. A key that isn't set anywhere, i.e. one that
+ * is required, is looked for without its last part, and so on
+ *
+ * @function
+ * @api private
+ * @param {String} key Path of the key, i.e. clients.0.port
+ * @param {Array} sources Files it was loaded from, from loadConfig
+ * @return {String}
+ */
+cli.prototype.locate = function(key, sources)
+{
+	var parts = key.split('.');
+
+	while (parts.length > 0)
+	{
+		var at = parts.join('.');
+
+		for (var i = sources.length - 1; i >= 0; i--)
+		{
+			if (sources[i].lines[at] != undefined)
+				return sources[i].file + ((sources[i].lines[at] > 0) ? ':' + sources[i].lines[at] : '');
+		}
+
+		parts.pop();
+	}
+
+	return sources[0].file;
+}
+
+/**
+ * Merges 2 objects together, obj2 on top of obj1. Objects are merged key by
+ * key, and arrays are added to the end, so config.d can add clients
  *
  * @function
  * @api private
  * @param {Object} obj1 
  * @param {Object} obj2
+ * @param {Object} [lines] Where obj2's keys are, see jsonTidy.locate. Items
+ * added to the end of an array are moved along to match
+ * @param {String} [at] Path of obj1 and obj2, when merging what's in them
  */
-cli.prototype.merge = function(obj1, obj2)
+cli.prototype.merge = function(obj1, obj2, lines, at)
 {
+	var self = this;
+
+	var isObject = function(o)
+	{
+		return (typeof o == 'object') && (o !== null) && !Array.isArray(o);
+	};
+
 	// recursively merge 2 objects
 	for (var i in obj2)
 	{
-		try
+		var key = (at) ? at + '.' + i : i;
+
+		if (Array.isArray(obj1[i]) && Array.isArray(obj2[i]))
 		{
-			if (typeof obj2[i] == 'object')
-				obj1[i] = self.merge(obj1[i], obj2[i]);
-			else
-				obj1[i] = obj2[i];
+			if (lines)
+				shiftLines(lines, key, obj1[i].length);
+
+			obj1[i] = obj1[i].concat(obj2[i]);
 		}
-		catch(e)
-		{
+		else if (isObject(obj1[i]) && isObject(obj2[i]))
+			obj1[i] = self.merge(obj1[i], obj2[i], lines, key);
+		else
 			obj1[i] = obj2[i];
-		}
 	}
 
 	return obj1;
@@ -301,7 +632,8 @@ cli.prototype.merge = function(obj1, obj2)
  * @function
  * @api private
  * @param {Function} next Callback to run after all connections have been lost
- * or closed
+ * or closed, or the configuration has been checked. It's given an exit code,
+ * 1 if the configuration couldn't be used
  */
 cli.prototype.run = function(next)
 {
@@ -319,40 +651,79 @@ cli.prototype.run = function(next)
 
 	self.log('Running with given path \'' + self.program.config + '\'');
 
-	var opts = self.load(configFile);
+	var sources = [];
+	var opts = self.loadConfig(self.program.config, sources);
 
-	// handle config.d
-	var configD = path.join(self.program.config, 'config.d');
-
-	if (path.existsSync(configD))
+	if (!opts)
 	{
-		var files = new glob('*.json', {
-			cwd: configD,
-			sync: true
-		});
+		self.error('Failed to load configuration file!');
+		next(1);
+		return;
+	}
 
-		for (var f in files.found)
-			opts = self.merge(opts, self.load(path.join(configD, files.found[f])));
+	if (!self.validate(opts, sources))
+	{
+		self.error('Configuration is not valid');
+		next(1);
+		return;
 	}
 
-	if (!opts)
+	if (self.program.check)
 	{
-		self.error('Failed to load configuration file!');
+		console.log(JSON.stringify(secrets.redactConfig(opts), null, '\t'));
+		self.log('Configuration is valid');
 		next();
+		return;
 	}
 
 	// setup clientmanager
-	var c = new clientmanager.create(opts, self.program.config);
+	var c = null;
+
+	try
+	{
+		c = new clientmanager.create(opts, self.program.config);
+	}
+	catch (e)
+	{
+		if (!(e instanceof clientmanager.PluginError))
+			throw e;
+
+		self.error(e.message);
+		next(1);
+		return;
+	}
 
 	if (self.program.watch)
 	{
-		self.warn('EXPERIMENTAL watch feature enabled. Here be Dragons.');
+		self.log('Watching configuration for changes');
 
-		// watch the config file, if it changes, reload and sent the config down
-		// the tree
-		self.watch(configFile, function()
+		// if the config changes, reload it and send it down the tree. a config
+		// that can't be used is rejected, and everything carries on as it was
+		self.watch(self.program.config, function()
 		{
-			c.loadOptions(self.load(configFile));
+			var changed = null;
+			var sources = [];
+
+			try
+			{
+				changed = self.loadConfig(self.program.config, sources);
+
+				if (changed && !self.validate(changed, sources))
+					changed = null;
+
+				if (changed)
+					c.loadOptions(changed);
+			}
+			catch (e)
+			{
+				changed = null;
+				self.error(e.message);
+			}
+
+			if (changed)
+				self.log('Configuration reloaded');
+			else
+				self.error('Configuration not reloaded, keeping the one that\'s running');
 		});
 	}
 
@@ -362,8 +733,25 @@ cli.prototype.run = function(next)
 		next();
 	});
 
-	// connect
-	c.connect();
+	if (self.program.record)
+	{
+		self.log('Recording to \'' + path.resolve(self.program.record) + '\'');
+		c.record(path.resolve(self.program.record));
+	}
+
+	if (self.program.replay)
+	{
+		if (!path.existsSync(self.program.replay))
+			self.program.invalidOptionValue('-p, --replay <file>', 'capture file does not exist');
+
+		self.log('Replaying \'' + path.resolve(self.program.replay) + '\' at ' + self.program.speed + 'x');
+		c.replay(path.resolve(self.program.replay), self.program.speed);
+	}
+	else
+	{
+		// connect
+		c.connect();
+	}
 
 	if (process.platform != 'win32')
 	{
@@ -388,7 +776,7 @@ cli.prototype.run = function(next)
  */
 cli.prototype.log = function(payload)
 {
-	console.log("    %s", payload);
+	console.log("    %s", secrets.redact(payload));
 }
 
 /**
@@ -400,7 +788,7 @@ cli.prototype.log = function(payload)
  */
 cli.prototype.warn = function(payload)
 {
-	console.warn("    %s", payload);
+	console.warn("    %s", secrets.redact(payload));
 }
 
 /**
@@ -412,9 +800,16 @@ cli.prototype.warn = function(payload)
  */
 cli.prototype.error = function(payload)
 {
-	console.error("    %s", payload);
+	console.error("    %s", secrets.redact(payload));
 }
 
+/**
+ * Exports the cli object
+ *
+ * @api public
+ */
+exports.cli = cli;
+
 /**
  * Creates and returns an instance of cli
  *
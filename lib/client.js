@@ -7,12 +7,18 @@ var util = require('util'),
 	events = require('events'), 
 	jspack = require('jspack').jspack,
 	sillystring = require('./strings'),	
+	units = require('./units'),
+	secrets = require('./secrets'),
 	logger = require('./logger'),
 	product = require('./product');
 
 /**
  * Abstract packet class. It should not be used by itself, without extending it.
  *
+ * Packets describe their wire format with a schema (see lib/schema.js),
+ * assigned to _SCHEMA on their prototype. Packets without a schema fall back
+ * to packing and unpacking with jspack, using _PACK.
+ *
  * @class pkt
  * @api private
  */
@@ -22,8 +28,8 @@ exports.pkt = function()
 
 	/**
 	 * Pack and unpack functions use this variable to determine how to pack and
-	 * unpack data to and from LFS. This string must match the format specified
-	 * by jspack.
+	 * unpack data to and from LFS, if the packet has no _SCHEMA. This string
+	 * must match the format specified by jspack.
 	 *
 	 * @api private
 	 */
@@ -59,12 +65,21 @@ exports.pkt.prototype.getProperties = function(values)
 }
 
 /**
- * Packs member properties into a buffer, using jspack, ready to be sent to LFS
+ * Packs member properties into a buffer ready to be sent to LFS. If the packet
+ * has a size property it's updated to match the packed size.
  *
  * @api public
  */
 exports.pkt.prototype.pack = function(values)
 {
+	if (this._SCHEMA)
+	{
+		if (this.size != undefined)
+			this.size = this._SCHEMA.sizeOf(this);
+
+		return this._SCHEMA.pack(this);
+	}
+
 	var properties = this.getProperties();
 	var values = [];
 	for (var i = 0; i < properties.length; i++)
@@ -84,6 +99,9 @@ exports.pkt.prototype.unpack = function(buf)
 {
 	var self = this;
 
+	if (self._SCHEMA)
+		return self._SCHEMA.unpack(buf, self);
+
 	var data = jspack.Unpack(self._PACK, buf, 0);
 
 	var properties = this.getProperties();
@@ -107,6 +125,22 @@ exports.pkt.prototype.unpack = function(buf)
 	}
 }
 
+/**
+ * Validates member properties against the packet schema, returning a list of
+ * problems. An empty list means the packet is valid. Packets without a schema
+ * are always considered valid.
+ *
+ * @api public
+ * @return {Array}
+ */
+exports.pkt.prototype.validate = function()
+{
+	if (!this._SCHEMA)
+		return [];
+
+	return this._SCHEMA.validate(this);
+}
+
 /**
  * Returns a string, without the null termination.
  *
@@ -145,12 +179,39 @@ var Client = function(options, log)
 
 	self.stream = null;
 
-	self.plugins = [];
+	// attached plugins, and the listeners and timers each has added, by name
+	self.plugins = {};
+	self.pluginScopes = {};
+	// plugin whose code is running, if any, see runAs
+	self.activePlugin = null;
 
+	// reconnection attempts made since we were last connected
 	self.reconnectAttempts = 0;
 
+	// capture.Recorder this client's raw data is recorded to, if any
+	self.recorder = null;
+	// true when data is played back from a capture, rather than from LFS
+	self.replaying = false;
+
 	// 'this' context that plugin functions are call
-	self.ctx = { 'client': self, 'log': self.log, 'product': product };
+	self.ctx = { 'client': self, 'log': self.log, 'product': product, 'strings': sillystring, 'units': units, 'secrets': secrets };
+
+	// timers plugins should use, so they're cleared when the plugin is
+	// detached
+	self.ctx.setTimeout = function(fn, ms)
+	{
+		return self.setTimer(false, fn, ms);
+	};
+
+	self.ctx.setInterval = function(fn, ms)
+	{
+		return self.setTimer(true, fn, ms);
+	};
+
+	self.ctx.clearTimeout = self.ctx.clearInterval = function(timer)
+	{
+		self.clearTimer(timer);
+	};
 
 	self.on('options', function(options)
 	{
@@ -158,12 +219,6 @@ var Client = function(options, log)
 		self.setOptions(options);
 	});
 
-	// deal with reconnections
-	self.on('preconnect', function()
-	{
-		self.reconnectAttempts++;
-	});
-
 	// we're connected, reset our attempt counter
 	self.on('connect', function()
 	{
@@ -277,25 +332,26 @@ Client.prototype.emit = function()
 
 /**
  * Connects to LFS using the given protocol. This MUST be provided by the
- * relevant subclass.
+ * relevant subclass, and return a promise that resolves once connected.
  *
  * @api public
- * @return {null}
+ * @return {Promise}
  */
 Client.prototype.connect = function()
 {
-	return;
+	return Promise.resolve();
 }
 
 /**
- * Disconnects from LFS. This MUST be provided by the relevant subclass.
+ * Disconnects from LFS. This MUST be provided by the relevant subclass, and
+ * return a promise that resolves once disconnected.
  *
  * @api public
- * @return {null}
+ * @return {Promise}
  */
 Client.prototype.disconnect = function()
 {
-	return;
+	return Promise.resolve();
 }
 
 /**
@@ -320,6 +376,272 @@ Client.prototype.receive = function(data)
 	return;
 }
 
+/**
+ * Hands raw data to the recorder, if this client is being recorded.
+ *
+ * @api private
+ * @param {Buffer} data Raw data, as it was sent or received
+ * @param {Boolean} sent True if we sent the data
+ * @param {Object} [rinfo] Remote address, for datagrams
+ */
+Client.prototype.record = function(data, sent, rinfo)
+{
+	if (this.recorder)
+		this.recorder.write(this, data, sent, rinfo);
+}
+
+/**
+ * Returns a promise that resolves on one event and rejects on another, such
+ * as connect and disconnect. Nothing happens if nobody waits on it, rather
+ * than an unhandled rejection, as callers are free to ignore it.
+ *
+ * @api private
+ * @param {String} resolveOn Event that resolves the promise
+ * @param {String} [rejectOn] Event that rejects the promise
+ * @param {String} [code] Error code on rejection, i.e. EDISCONNECTED
+ * @param {String} [message] Error message on rejection
+ * @return {Promise}
+ */
+Client.prototype.settle = function(resolveOn, rejectOn, code, message)
+{
+	var self = this;
+
+	var promise = new Promise(function(resolve, reject)
+	{
+		var onResolve = function(arg)
+		{
+			cleanup();
+			resolve(arg);
+		};
+
+		var onReject = function()
+		{
+			cleanup();
+
+			var err = new Error(message || (rejectOn + ' before ' + resolveOn));
+			err.code = code || ('E' + rejectOn.toUpperCase());
+			reject(err);
+		};
+
+		var cleanup = function()
+		{
+			self.removeListener(resolveOn, onResolve);
+
+			if (rejectOn)
+				self.removeListener(rejectOn, onReject);
+		};
+
+		self.on(resolveOn, onResolve);
+
+		if (rejectOn)
+			self.on(rejectOn, onReject);
+	});
+
+	promise.catch(function() {});
+
+	return promise;
+}
+
+/**
+ * Waits for an event, like EventEmitter.once. Given a listener it is exactly
+ * EventEmitter.once, otherwise it returns a promise for the event's first
+ * argument, i.e. the packet.
+ *
+ * Options -
+ *  - filter: called with the event's arguments, only an event it returns
+ *    true for resolves the promise
+ *  - timeout: ms to wait before rejecting with an ETIMEDOUT error
+ *
+ * The promise is rejected with an EDISCONNECTED error if the client
+ * disconnects first, as outstanding requests are.
+ *
+ * Usage -
+ *  var lap = await client.once('IS_LAP', { 'filter': function(pkt) { return pkt.plid == 3; }, 'timeout': 60000 });
+ *
+ * @api public
+ * @param {String} event
+ * @param {Object|Function} [opts] Options, or a listener
+ * @return {Promise|Object}
+ */
+Client.prototype.once = function(event, opts)
+{
+	var self = this;
+
+	if (typeof opts == 'function')
+		return events.EventEmitter.prototype.once.apply(self, arguments);
+
+	opts = opts || {};
+
+	return new Promise(function(resolve, reject)
+	{
+		var timer = null;
+
+		var listener = function()
+		{
+			if (opts.filter && !opts.filter.apply(this, arguments))
+				return;
+
+			cleanup();
+			resolve(arguments[0]);
+		};
+
+		var fail = function(code, message)
+		{
+			cleanup();
+
+			var err = new Error(message);
+			err.code = code;
+			reject(err);
+		};
+
+		var onDisconnect = function()
+		{
+			fail('EDISCONNECTED', 'Disconnected while waiting for ' + event);
+		};
+
+		var cleanup = function()
+		{
+			if (timer)
+				clearTimeout(timer);
+
+			self.removeListener(event, listener);
+
+			if (event != 'disconnect')
+				self.removeListener('disconnect', onDisconnect);
+		};
+
+		if (opts.timeout > 0)
+		{
+			timer = setTimeout(function()
+			{
+				fail('ETIMEDOUT', 'Timed out waiting for ' + event);
+			}, opts.timeout);
+		}
+
+		self.on(event, listener);
+
+		if (event != 'disconnect')
+			self.on('disconnect', onDisconnect);
+	});
+}
+
+/**
+ * Returns an async iterator over an event, i.e. a packet type. Events are
+ * buffered until they're asked for, and the iterator finishes when the
+ * client disconnects, or when the loop is left.
+ *
+ * Options -
+ *  - filter: called with the event's arguments, only events it returns true
+ *    for are iterated over
+ *  - max: most events that are buffered, the oldest are dropped beyond this
+ *    (default 1024)
+ *
+ * Usage -
+ *  for await (var lap of client.packets('IS_LAP'))
+ *    console.log(lap.ltime);
+ *
+ * @api public
+ * @param {String} event
+ * @param {Object} [opts]
+ * @return {Object} Async iterator
+ */
+Client.prototype.packets = function(event, opts)
+{
+	var self = this;
+
+	opts = opts || {};
+
+	var max = (opts.max > 0) ? opts.max : 1024;
+
+	// events waiting for a next, and nexts waiting for an event
+	var buffered = [];
+	var waiting = [];
+	var done = false;
+
+	var listener = function()
+	{
+		if (opts.filter && !opts.filter.apply(this, arguments))
+			return;
+
+		if (waiting.length > 0)
+		{
+			waiting.shift()({ 'value': arguments[0], 'done': false });
+			return;
+		}
+
+		buffered.push(arguments[0]);
+
+		if (buffered.length > max)
+			buffered.shift();
+	};
+
+	var finish = function()
+	{
+		if (done)
+			return;
+
+		done = true;
+
+		self.removeListener(event, listener);
+		self.removeListener('disconnect', finish);
+
+		while (waiting.length > 0)
+			waiting.shift()({ 'value': undefined, 'done': true });
+	};
+
+	self.on(event, listener);
+	self.on('disconnect', finish);
+
+	var iterator = {
+		'next': function()
+		{
+			if (buffered.length > 0)
+				return Promise.resolve({ 'value': buffered.shift(), 'done': false });
+
+			if (done)
+				return Promise.resolve({ 'value': undefined, 'done': true });
+
+			return new Promise(function(resolve)
+			{
+				waiting.push(resolve);
+			});
+		},
+
+		'return': function()
+		{
+			buffered = [];
+			finish();
+
+			return Promise.resolve({ 'value': undefined, 'done': true });
+		}
+	};
+
+	iterator[Symbol.asyncIterator] = function()
+	{
+		return iterator;
+	};
+
+	return iterator;
+}
+
+/**
+ * Sends a packet, returning a promise that resolves once LFS has dealt with
+ * it. This MUST be provided by subclasses that can send, it rejects with an
+ * ENOTSUP error otherwise.
+ *
+ * @api public
+ * @param {Object} pkt Packet instance
+ * @param {Object} [opts] Send options
+ * @return {Promise}
+ */
+Client.prototype.sendAck = function(pkt, opts)
+{
+	var err = new Error('This client can\'t send packets');
+	err.code = 'ENOTSUP';
+
+	return Promise.reject(err);
+}
+
 /**
  * A useful, but deprecated, alias for .on
  *
@@ -363,6 +685,152 @@ Client.prototype.off = function(pktName, func)
 	self.removeListener(pktName, func);
 }
 
+/**
+ * Adds a listener. Listeners added by a plugin, while its code is running,
+ * are remembered so they can be removed when it is detached. They're
+ * removable by the original function as usual.
+ *
+ * @api public
+ * @param {String} event
+ * @param {Function} listener
+ * @return {Object} this
+ */
+Client.prototype.on = Client.prototype.addListener = function(event, listener)
+{
+	var self = this;
+
+	var owner = self.activePlugin;
+	var scope = owner ? self.pluginScopes[owner] : null;
+
+	if (!scope)
+		return events.EventEmitter.prototype.on.call(self, event, listener);
+
+	// anything the listener adds belongs to the plugin too
+	var wrapped = function()
+	{
+		return self.runAs(owner, listener, this, arguments);
+	};
+
+	wrapped.listener = listener;
+
+	scope.listeners.push({ 'event': event, 'listener': wrapped });
+
+	return events.EventEmitter.prototype.on.call(self, event, wrapped);
+}
+
+/**
+ * Removes a listener, and forgets which plugin added it.
+ *
+ * @api public
+ * @param {String} event
+ * @param {Function} listener
+ * @return {Object} this
+ */
+Client.prototype.removeListener = function(event, listener)
+{
+	var self = this;
+
+	for (var name in self.pluginScopes)
+	{
+		var listeners = self.pluginScopes[name].listeners;
+
+		for (var i = 0; i < listeners.length; i++)
+		{
+			var l = listeners[i];
+
+			if ((l.event == event) && ((l.listener === listener) || (l.listener.listener === listener)))
+			{
+				listeners.splice(i, 1);
+				break;
+			}
+		}
+	}
+
+	return events.EventEmitter.prototype.removeListener.call(self, event, listener);
+}
+
+/**
+ * Runs a function as a plugin, so that any listeners and timers it adds
+ * belong to the plugin.
+ *
+ * @api private
+ * @param {String} name Plugin name, or null
+ * @param {Function} fn
+ * @param {Object} ctx this for fn
+ * @param {Array} [args]
+ * @return {Mixed} Whatever fn returns
+ */
+Client.prototype.runAs = function(name, fn, ctx, args)
+{
+	var self = this;
+
+	var previous = self.activePlugin;
+	self.activePlugin = name;
+
+	try
+	{
+		return fn.apply(ctx, args || []);
+	}
+	finally
+	{
+		self.activePlugin = previous;
+	}
+}
+
+/**
+ * Starts a timer, belonging to whichever plugin is running. Plugins get this
+ * as this.setTimeout and this.setInterval, and their callbacks are called
+ * with the plugin context, like listeners.
+ *
+ * @api private
+ * @param {Boolean} repeat setInterval, rather than setTimeout
+ * @param {Function} fn
+ * @param {Number} ms
+ * @return {Object} Timer
+ */
+Client.prototype.setTimer = function(repeat, fn, ms)
+{
+	var self = this;
+
+	var owner = self.activePlugin;
+	var scope = owner ? self.pluginScopes[owner] : null;
+
+	var timer = (repeat ? setInterval : setTimeout)(function()
+	{
+		if (!repeat && scope)
+			scope.timers.splice(scope.timers.indexOf(timer), 1);
+
+		self.runAs(owner, fn, self.ctx);
+	}, ms);
+
+	if (scope)
+		scope.timers.push(timer);
+
+	return timer;
+}
+
+/**
+ * Stops a timer started with setTimer.
+ *
+ * @api private
+ * @param {Object} timer
+ */
+Client.prototype.clearTimer = function(timer)
+{
+	var self = this;
+
+	clearTimeout(timer);
+
+	for (var name in self.pluginScopes)
+	{
+		var timers = self.pluginScopes[name].timers;
+		var idx = timers.indexOf(timer);
+
+		if (idx >= 0)
+			timers.splice(idx, 1);
+	}
+}
+
 /**
  * Attachs a plugin instance to this client instance.
  *
@@ -376,10 +844,16 @@ Client.prototype.initPlugin = function(plugin, name)
 	var self = this;
 
 	// Have we already got this plugin?
-	if (!self.plugins[name])
-	{
-		self.plugins[name] = true;
+	if (self.plugins[name])
+		return;
 
+	var scope = { 'listeners': [], 'timers': [], 'commands': [], 'terminated': false };
+
+	self.plugins[name] = plugin;
+	self.pluginScopes[name] = scope;
+
+	self.runAs(name, function()
+	{
 		// init and term only get called ONCE
 
 		// init your plugin
@@ -389,8 +863,54 @@ Client.prototype.initPlugin = function(plugin, name)
 		// wire up the termination hook automagically
 		// any tear down should be done here
 		if (typeof plugin.term == 'function')
-			self.on('disconnect', plugin.term);
-	}
+		{
+			self.on('disconnect', function()
+			{
+				scope.terminated = true;
+				plugin.term.apply(this, arguments);
+			});
+		}
+	});
+}
+
+/**
+ * Detaches a plugin from this client. Its term is called, unless it already
+ * has been on disconnect, then every listener it added to this client is
+ * removed, every timer it started through its context is cleared and every
+ * chat command it registered is unregistered.
+ *
+ * @api public
+ * @param {String} name Plugin name
+ * @return {Boolean} false if the plugin wasn't attached
+ */
+Client.prototype.detachPlugin = function(name)
+{
+	var self = this;
+
+	var plugin = self.plugins[name];
+	var scope = self.pluginScopes[name];
+
+	if (!plugin)
+		return false;
+
+	if (!scope.terminated && (typeof plugin.term == 'function'))
+		self.runAs(name, plugin.term, self.ctx);
+
+	for (var i = 0; i < scope.listeners.length; i++)
+		events.EventEmitter.prototype.removeListener.call(self, scope.listeners[i].event, scope.listeners[i].listener);
+
+	for (var i = 0; i < scope.timers.length; i++)
+		clearTimeout(scope.timers[i]);
+
+	for (var i = 0; i < scope.commands.length; i++)
+		self.commands.remove(scope.commands[i]);
+
+	delete self.plugins[name];
+	delete self.pluginScopes[name];
+
+	self.log.info('Detached plugin ' + name);
+
+	return true;
 }
 
 /**
@@ -1,18 +1,150 @@
 "use strict";
 
 var events = require('events'),
+	fs = require('fs'),
 	path = require('path'),
 	crypto = require('crypto'),
 	util = require('util'),
 	insim = require('./insim'),
 	outsim = require('./outsim'),
 	outgauge = require('./outgauge'),
+	relay = require('./relay'),
+	capture = require('./capture'),
+	configschema = require('./configschema'),
 	logger = require('./logger');
 
+/**
+ * Client modules, by protocol name
+ *
+ * @api private
+ */
+var protocols = {
+	'insim': insim,
+	'relay': relay,
+	'outsim': outsim,
+	'outgauge': outgauge
+};
+
+/**
+ * Client options that take effect without reconnecting
+ *
+ * @api private
+ */
+var liveOptions = [ 'name', 'plugins', 'commands', 'queue', 'reconnect', 'reconnectcooldown', 'reconnectstrategy', 'reconnectmaxcooldown', 'reconnectjitter' ];
+
+/**
+ * Error thrown when a plugin's dependencies can't be satisfied, i.e. a
+ * required plugin is missing, or plugins require each other.
+ *
+ * @api public
+ * @extends Error
+ * @param {String} plugin Name of the plugin at fault
+ * @param {String} message
+ */
+var PluginError = function(plugin, message)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, PluginError);
+
+	this.name = 'PluginError';
+	this.plugin = plugin;
+	this.message = message;
+}
+
+util.inherits(PluginError, Error);
+
+/**
+ * Error thrown when a config isn't valid, with everything that's wrong with
+ * it as errors, each { path, message }, i.e.
+ * { path: 'clients.0.port', message: 'should be an integer, not string' }
+ *
+ * @api public
+ * @extends Error
+ * @param {Array} errors
+ */
+var ConfigError = function(errors)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, ConfigError);
+
+	this.name = 'ConfigError';
+	this.errors = errors;
+	this.message = errors.map(function(e)
+	{
+		return e.path + ' ' + e.message;
+	}).join('\n');
+}
+
+util.inherits(ConfigError, Error);
+
+/**
+ * Returns the file a plugin is loaded from - its path as it is, or relative
+ * to the plugins directory.
+ *
+ * @api private
+ * @param {String} pluginPath Path from the plugin's config
+ * @param {String} basepath
+ * @return {String} File, or null if there's no such plugin
+ */
+var findPluginFile = function(pluginPath, basepath)
+{
+	if (path.existsSync(pluginPath) || path.existsSync(pluginPath + '.js'))
+		return pluginPath; // absolute / already working path in our config object
+
+	var file = path.join(basepath || '', '/plugins/' + pluginPath);
+
+	if (path.existsSync(file) || path.existsSync(file + '.js'))
+		return file; // Relative to basepath
+
+	return null;
+}
+
+/**
+ * Returns the xi4n key of a directory plugin's package.json, or an empty
+ * object.
+ *
+ * @api private
+ * @param {String} file Plugin file
+ * @return {Object}
+ */
+var readMeta = function(file)
+{
+	var pkg = path.join(file, 'package.json');
+
+	if (!path.existsSync(pkg))
+		return {};
+
+	return JSON.parse(fs.readFileSync(pkg, 'utf8')).xi4n || {};
+}
+
+/**
+ * Returns the schema of a plugin's options, made from exports.schema or
+ * failing that the schema in the xi4n key of its package.json. Either is an
+ * object of options, i.e. { "http-port": { "type": "integer", "default": 8080 } }
+ *
+ * @api private
+ * @param {Object} plugin
+ * @param {String} file
+ * @return {Object} Schema, or null if the plugin hasn't got one
+ */
+var pluginSchema = function(plugin, file)
+{
+	var properties = plugin.schema || readMeta(file).schema;
+
+	if (!properties)
+		return null;
+
+	return { 'type': 'object', 'properties': properties };
+}
+
 /**
  * Creates and manages a collection of Clients, from a configuration object.
- * Automatically handles corresponding protocol - such as InSim, OutSim and
- * OutGauge.
+ * Automatically handles corresponding protocol - such as InSim, OutSim,
+ * OutGauge and the LFS World relay.
  *
  * @return {Object} ClientManager instance
  */
@@ -24,44 +156,267 @@ var ClientManager = function(options, basepath)
 
 	// properties
 	self.connected = 0;
+	self.retrying = 0;
 	self.rehashCount = 0;
 
+	// clients added or changed by a rehash that are on their way up, we don't
+	// drain until they've had their chance
+	self.starting = 0;
+	// true once connect has been called, clients added later connect
+	// straight away
+	self.started = false;
+
+	// don't drain while any client is still trying to reconnect
+	self.waitForReconnect = true;
+
+	// the config that's running, see loadOptions
+	self.options = null;
+
 	self.clients = {};
+	// each client's config as it was loaded, clients may add to their options
+	self.clientConfigs = {};
 	self.basePath = basepath;
 
 	self.plugins = {};
+	// config ({ path, options }), resolved file, and requires and optional
+	// dependencies of each plugin, by name
+	self.pluginConfigs = {};
+	self.pluginFiles = {};
+	self.dependencies = {};
+
+	// capture.Recorder when recording, capture.Player when replaying
+	self.recorder = null;
+	self.player = null;
 
 	self.logger = logger.create(options.logger);
 
 	// methods
+	// resolves once every client has connected, rejects if any fails to
 	self.connect = function()
 	{
+		var connecting = [];
+
+		self.started = true;
+
 		for(var i in self.clients)
-			self.clients[i].connect();
+			connecting.push(self.clients[i].connect());
+
+		var all = Promise.all(connecting);
+		all.catch(function() {});
+		return all;
 	};	
 
+	// resolves once every client has disconnected
 	self.disconnect = function()
 	{
+		if (self.player)
+		{
+			self.player.stop();
+			return Promise.resolve();
+		}
+
+		var disconnecting = [];
+
 		for(var i in self.clients)
-			self.clients[i].disconnect();
+			disconnecting.push(self.clients[i].disconnect());
+
+		if (self.recorder)
+			self.recorder.close();
+
+		return Promise.all(disconnecting);
+	};
+
+	// records everything all clients send and receive to a capture file
+	self.record = function(file)
+	{
+		self.recorder = new capture.Recorder(file);
+
+		for (var i in self.clients)
+			self.recorder.attach(self.clients[i], self.clients[i].options.protocol);
 	};
 
+	// plays a capture file back into the clients, instead of connecting
+	self.replay = function(file, speed)
+	{
+		self.player = new capture.Player(file);
+
+		for (var i in self.clients)
+			self.clients[i].replaying = true;
+
+		self.player.on('end', function()
+		{
+			self.logger.info('Replay of \'' + file + '\' finished');
+
+			for (var i in self.clients)
+				self.clients[i].emit('disconnect');
+		});
+
+		self.player.play(self.clients, speed);
+	};
+
+	// applies a config, the first or a changed one. an invalid config leaves
+	// what's running as it was. if applying it fails part way, i.e. a plugin
+	// throws, the config that was running is applied again
 	self.loadOptions = function(options)
 	{
+		self.checkOptions(options);
+
+		var previous = self.options;
+		var before = Object.keys(self.plugins);
+
 		if (self.rehashCount > 0)
 			self.logger.info('*** rehashing *** ');
 
-		self.rehashCount++;
+		try
+		{
+			self.applyOptions(options);
+		}
+		catch (e)
+		{
+			// plugins that came with the new config go whatever state they're in
+			for (var i in self.plugins)
+			{
+				if (before.indexOf(i) < 0)
+					self.unloadPlugin(i);
+			}
 
-		if (!options.clients)
-			throw new Error('Missing clients key in options object');
+			try
+			{
+				self.applyOptions(previous || { 'plugins': {}, 'clients': [] });
+			}
+			catch (err)
+			{
+				self.logger.crit('Failed to restore the previous config - ' + err.message);
+			}
 
-		if (!options.plugins)
-			throw new Error('Missing plugins key in options object');
+			throw e;
+		}
 
+		self.rehashCount++;
+	};
+
+	// changes only what has changed - clients are added, removed, or
+	// reconnected if their connection settings changed, plugins are given new
+	// options, and attached to or detached from clients
+	self.applyOptions = function(options)
+	{
+		// new plugins are loaded first, so that dependencies can be resolved
 		self.loadPlugins(options.plugins);
 
-		self.loadClients(options.clients);
+		var plugins = {};
+		var needed = {};
+
+		for (var i in options.clients)
+		{
+			var id = self.generateId(options.clients[i], i);
+			plugins[id] = self.resolvePlugins(options.clients[i].plugins || []);
+
+			for (var j = 0; j < plugins[id].length; j++)
+				needed[plugins[id][j]] = true;
+		}
+
+		self.waitForReconnect = (options.waitforreconnect !== false);
+		self.logger.setOptions(options.logger);
+
+		self.updatePlugins(options.plugins);
+
+		// plugins that have been taken out of the config, and those loaded as
+		// a dependency, which were never in it, that nothing needs any more
+		for (var i in self.plugins)
+		{
+			if (self.pluginConfigs[i].autoload ? !needed[i] : !options.plugins[i])
+				self.unloadPlugin(i);
+		}
+
+		self.loadClients(options.clients, plugins);
+
+		self.options = options;
+	};
+
+	// throws a ConfigError if a config isn't valid, see validate
+	self.checkOptions = function(options)
+	{
+		if (!options)
+			throw new Error('Missing options object');
+
+		var errors = exports.validate(options, self.basePath);
+
+		if (errors.length > 0)
+			throw new ConfigError(errors);
+	};
+
+	// detaches a plugin from every client and forgets it, so that it's
+	// required afresh from disk next time it's loaded. the connections to LFS
+	// are left alone
+	self.unloadPlugin = function(name)
+	{
+		var plugin = self.plugins[name];
+
+		if (!plugin)
+			return false;
+
+		for (var i in self.clients)
+			self.clients[i].detachPlugin(name);
+
+		// the counterpart to construct
+		if (typeof plugin.destruct == 'function')
+			plugin.destruct();
+
+		self.evictPlugin(name);
+
+		delete self.plugins[name];
+		delete self.pluginConfigs[name];
+		delete self.pluginFiles[name];
+		delete self.dependencies[name];
+
+		self.logger.info('Unloaded plugin ' + name);
+
+		return true;
+	};
+
+	// unloads a plugin and loads it again from disk, with the same config,
+	// attaching it to the same clients
+	self.reloadPlugin = function(name)
+	{
+		if (!self.plugins[name])
+			return false;
+
+		var config = {};
+		config[name] = self.pluginConfigs[name];
+
+		var clients = [];
+		for (var i in self.clients)
+		{
+			if (self.clients[i].plugins[name])
+				clients.push(self.clients[i]);
+		}
+
+		self.unloadPlugin(name);
+		self.loadPlugins(config);
+
+		for (var i = 0; i < clients.length; i++)
+			self.associatePlugin(clients[i], name);
+
+		return !!self.plugins[name];
+	};
+
+	// removes a plugin's own modules from require's cache. a directory plugin
+	// takes every module in it, bar those it has installed itself
+	self.evictPlugin = function(name)
+	{
+		var file = self.pluginFiles[name];
+
+		if (!file)
+			return;
+
+		var dir = path.dirname(file) + path.sep;
+		var whole = path.existsSync(path.join(dir, 'package.json'));
+
+		for (var i in require.cache)
+		{
+			if ((i == file) || (whole && (i.indexOf(dir) == 0) && (i.indexOf(path.sep + 'node_modules' + path.sep, dir.length - 1) < 0)))
+				delete require.cache[i];
+		}
 	};
 
 	self.associatePlugin = function(c, plugin)
@@ -72,102 +427,423 @@ var ClientManager = function(options, basepath)
 		c.initPlugin(self.plugins[plugin], plugin);
 	};
 
-	self.loadClients = function(clients)
+	// returns the name of a loaded plugin, by its name or the last part of its
+	// path, i.e. state. if autoload is set a plugin that isn't configured is
+	// loaded from the plugins directory, with no options. null if there's no
+	// such plugin
+	self.findPlugin = function(name, autoload)
 	{
-		for (var i in clients)
+		if (self.plugins[name])
+			return name;
+
+		for (var i in self.plugins)
+		{
+			if (path.basename(self.pluginConfigs[i].path, '.js') == name)
+				return i;
+		}
+
+		if (!autoload)
+			return null;
+
+		var plugins = {};
+		plugins[name] = { 'path': name, 'options': {}, 'autoload': true };
+		self.loadPlugins(plugins);
+
+		return self.plugins[name] ? name : null;
+	};
+
+	// returns the plugins to associate with a client, in the order they must
+	// be initialised - every plugin after those it depends on. plugins that
+	// are required are added, optional ones are only ordered if they're there
+	self.resolvePlugins = function(names)
+	{
+		var wanted = [];
+
+		var add = function(name)
 		{
-			// if the id is defined in the config, use that, otherwise generate an
-			// Id
-			var id = clients[i].id || self.generateId(clients[i]);
+			if (wanted.indexOf(name) >= 0)
+				return;
+
+			wanted.push(name);
+
+			var requires = self.dependencies[name].requires;
+			for (var i = 0; i < requires.length; i++)
+			{
+				var dep = self.findPlugin(requires[i], true);
+
+				if (dep == null)
+					throw new PluginError(name, 'Plugin ' + name + ' requires ' + requires[i] + ', which isn\'t configured or in the plugins directory');
+
+				add(dep);
+			}
+		};
+
+		for (var i = 0; i < names.length; i++)
+		{
+			if (!self.plugins[names[i]])
+			{
+				self.logger.warn('Unknown plugin ' + names[i] + ', ignoring it');
+				continue;
+			}
+
+			add(names[i]);
+		}
+
+		var order = [];
+		var visiting = [];
+
+		var visit = function(name)
+		{
+			if (order.indexOf(name) >= 0)
+				return;
+
+			var at = visiting.indexOf(name);
+			if (at >= 0)
+				throw new PluginError(name, 'Plugins depend on each other - ' + visiting.slice(at).concat(name).join(' -> '));
+
+			visiting.push(name);
+
+			var deps = self.dependencies[name];
+
+			for (var i = 0; i < deps.requires.length; i++)
+				visit(self.findPlugin(deps.requires[i]));
+
+			for (var i = 0; i < deps.optional.length; i++)
+			{
+				var dep = self.findPlugin(deps.optional[i]);
 
+				if ((dep != null) && (wanted.indexOf(dep) >= 0))
+					visit(dep);
+			}
+
+			visiting.pop();
+			order.push(name);
+		};
+
+		for (var i = 0; i < wanted.length; i++)
+			visit(wanted[i]);
+
+		return order;
+	};
+
+	// creates, updates and removes clients to match the config. plugins are
+	// the resolved plugins of each client, by id
+	self.loadClients = function(clients, plugins)
+	{
+		var ids = {};
+
+		for (var i in clients)
+		{
+			var id = self.generateId(clients[i], i);
 			var opts = clients[i];
 
-			if (!self.clients[id])
+			ids[id] = true;
+
+			if (!opts.protocol)
+				opts.protocol = 'insim';
+
+			var c = self.clients[id];
+
+			// a client can't change protocol, it's a new client
+			if (c && (c.options.protocol != opts.protocol))
 			{
-				if (!clients[i].protocol)
-					clients[i].protocol = 'insim';
+				self.removeClient(id);
+				c = null;
+			}
 
-				var protocol = null;
-				switch (clients[i].protocol)
-				{
-					case 'outgauge':
-						protocol = outgauge;
-						break;
-					case 'outsim':
-						protocol = outsim;
-						break;
-					case 'insim':
-					default:
-						protocol = insim;
-						break;
-				}
+			if (!c)
+			{
+				self.addClient(id, opts, plugins[id]);
+				continue;
+			}
 
-				self.clients[id] = new protocol.client({ 'id': id }, self.logger);
+			var reconnect = self.needsReconnect(self.clientConfigs[id], opts);
+			self.clientConfigs[id] = JSON.parse(JSON.stringify(opts));
 
-				// Client connection tracking for ClientManager
-				self.clients[id].registerHook('connect', function()
-				{
-					self.connected++;
-				});
+			// plugins this client no longer has
+			for (var name in c.plugins)
+			{
+				if (reconnect || (plugins[id].indexOf(name) < 0))
+					c.detachPlugin(name);
+			}
 
-				// Client connection tracking for ClientManager
-				self.clients[id].registerHook('disconnect', function()
-				{
-					self.connected--;
+			c.emit('options', opts);
 
-					// none of the clients are connected any more
-					// we are drained
-					if (self.connected <= 0)
-						self.emit('drain');
-				});
+			if (reconnect)
+			{
+				self.logger.info('Connection settings for client ' + id + ' changed, reconnecting');
+				self.restartClient(c, plugins[id]);
+				continue;
 			}
 
-			self.clients[id].emit('options', opts);
+			// associate our plugins, dependencies first
+			for (var j = 0; j < plugins[id].length; j++)
+				self.associatePlugin(c, plugins[id][j]);
+		}
 
-			// associate our plugins
-			for (var j in clients[i].plugins)
-				self.associatePlugin(self.clients[id], clients[i].plugins[j]);
+		// clients that have been taken out of the config
+		for (var id in self.clients)
+		{
+			if (!ids[id])
+				self.removeClient(id);
 		}
 	};
 
-	self.loadPlugins = function(plugins)
+	// creates a client, and connects it if we're already running
+	self.addClient = function(id, opts, plugins)
 	{
-		for (var i in plugins)
+		var c = new protocols[opts.protocol].client({ 'id': id }, self.logger);
+
+		self.clients[id] = c;
+		self.clientConfigs[id] = JSON.parse(JSON.stringify(opts));
+		self.track(c);
+
+		c.emit('options', opts);
+
+		if (self.recorder)
+			self.recorder.attach(c, opts.protocol);
+
+		if (self.player)
+			c.replaying = true;
+
+		// associate our plugins, dependencies first
+		for (var j = 0; j < plugins.length; j++)
+			self.associatePlugin(c, plugins[j]);
+
+		if (self.started && !self.player)
+			self.startClient(c);
+	};
+
+	// detaches a client's plugins, disconnects it and forgets it
+	self.removeClient = function(id)
+	{
+		var c = self.clients[id];
+
+		for (var name in c.plugins)
+			c.detachPlugin(name);
+
+		delete self.clients[id];
+		delete self.clientConfigs[id];
+
+		if (self.recorder)
+			self.recorder.detach(c);
+
+		self.logger.info('Removing client ' + id);
+
+		if (!self.player)
+			c.disconnect();
+	};
+
+	// reconnects a client with new connection settings. its plugins are
+	// started afresh, as they would be for a new client
+	self.restartClient = function(c, plugins)
+	{
+		if (!self.started || self.player)
 		{
-			if (self.plugins[i])
-			{
-				// plugin already loaded
+			for (var j = 0; j < plugins.length; j++)
+				self.associatePlugin(c, plugins[j]);
+			return;
+		}
+
+		// the disconnect mustn't drain us
+		self.starting++;
+
+		c.disconnect().then(function()
+		{
+			self.starting--;
+
+			// taken out of the config while we were waiting
+			if (self.clients[c.id] !== c)
+				return;
+
+			for (var j = 0; j < plugins.length; j++)
+				self.associatePlugin(c, plugins[j]);
+
+			self.startClient(c);
+		});
+	};
 
-				// If the client manager has been given new settings since the
-				// plugin was loaded, attempt to sent it new options
-				if ((self.plugins[i].rehashCount != self.rehashCount) && (typeof self.plugins[i].options == 'function'))
-					self.plugins[i].options(plugins[i].options);
+	// connects a client after we've started, we don't drain while it's on its
+	// way up
+	self.startClient = function(c)
+	{
+		self.starting++;
+
+		c.connect().then(function()
+		{
+			self.starting--;
+		}, function()
+		{
+			self.starting--;
+			self.checkDrain();
+		});
+	};
 
-				self.plugins[i].rehashCount = self.rehashCount;
+	// true if any option changes that only takes effect on connecting, that
+	// is anything but those in liveOptions
+	self.needsReconnect = function(current, next)
+	{
+		var keys = {};
+
+		for (var i in current)
+			keys[i] = true;
+		for (var i in next)
+			keys[i] = true;
+
+		for (var i in keys)
+		{
+			if (liveOptions.indexOf(i) >= 0)
+				continue;
+
+			if (JSON.stringify(current[i]) != JSON.stringify(next[i]))
+				return true;
+		}
 
-				// next
+		return false;
+	};
+
+	// Client connection tracking for ClientManager
+	self.track = function(c)
+	{
+		var connected = false;
+		var retrying = false;
+
+		var update = function(isConnected, isRetrying)
+		{
+			self.connected += (isConnected ? 1 : 0) - (connected ? 1 : 0);
+			self.retrying += (isRetrying ? 1 : 0) - (retrying ? 1 : 0);
+
+			connected = isConnected;
+			retrying = isRetrying;
+		};
+
+		c.registerHook('connect', function()
+		{
+			update(true, false);
+		});
+
+		c.registerHook('reconnecting', function()
+		{
+			update(false, true);
+			self.checkDrain();
+		});
+
+		c.registerHook('disconnect', function()
+		{
+			update(false, false);
+			self.checkDrain();
+		});
+	};
+
+	// none of the clients are connected any more, and none are coming back
+	// we are drained
+	self.checkDrain = function()
+	{
+		if (self.connected > 0)
+			return;
+
+		if (self.waitForReconnect && (self.retrying > 0))
+			return;
+
+		if (self.starting > 0)
+			return;
+
+		self.emit('drain');
+	};
+
+	self.loadPlugins = function(plugins)
+	{
+		for (var i in plugins)
+		{
+			// plugin already loaded, see updatePlugins
+			if (self.plugins[i])
 				continue; 
-			}
 
 			var plugin = null;
+			var file = findPluginFile(plugins[i].path, self.basePath);
 
-			if (path.existsSync(plugins[i].path) || path.existsSync(plugins[i].path + '.js'))
-				plugin = require(plugins[i].path); // absolute / already working path in our config object
-			else if (path.existsSync(path.join(self.basePath, '/plugins/', plugins[i].path)) || path.existsSync(path.join(self.basePath, '/plugins/' + plugins[i].path + '.js')))
-				plugin = require(path.join(self.basePath, '/plugins/' + plugins[i].path)); // Relative to basepath
+			if (file != null)
+				plugin = require(file);
 
 			if (plugin != null)
 			{
+				// plugins in the config have had their defaults filled in,
+				// those loaded as a dependency haven't
+				var schema = pluginSchema(plugin, file);
+
+				plugins[i].options = plugins[i].options || {};
+
+				if (schema)
+				{
+					var errors = configschema.validate(plugins[i].options, schema);
+
+					if (errors.length > 0)
+						throw new PluginError(i, 'Plugin ' + i + ' needs options - ' + errors[0].path + ' ' + errors[0].message);
+				}
+
 				if (typeof plugin.construct == 'function')
 					plugin.construct(plugins[i].options);
 
-				plugin.rehashCount = self.rehashCount;
-
 				self.plugins[i] = plugin;
+				self.pluginConfigs[i] = plugins[i];
+				self.pluginFiles[i] = require.resolve(file);
+				self.dependencies[i] = self.readDependencies(plugin, file);
 			}
 		}
 	};
 
+	// brings plugins that were already loaded up to date with a new config.
+	// changed options are sent to the plugin's options function, and a
+	// plugin whose path has changed is reloaded from its new path
+	self.updatePlugins = function(plugins)
+	{
+		for (var i in plugins)
+		{
+			var current = self.pluginConfigs[i];
+
+			if (!current || (current === plugins[i]))
+				continue;
+
+			if (current.path != plugins[i].path)
+			{
+				self.pluginConfigs[i] = plugins[i];
+				self.reloadPlugin(i);
+				continue;
+			}
+
+			self.pluginConfigs[i] = plugins[i];
+
+			if (JSON.stringify(current.options) == JSON.stringify(plugins[i].options))
+				continue;
+
+			if (typeof self.plugins[i].options == 'function')
+				self.plugins[i].options(plugins[i].options);
+			else
+				self.logger.warn('Plugin ' + i + ' can\'t take new options, reload it to use them');
+		}
+	};
+
+	// a plugin's dependencies, as exports.requires and exports.optional, or
+	// failing that the xi4n key of its package.json, i.e.
+	// "xi4n": { "requires": [ "state" ], "optional": [ "buttons" ] }
+	self.readDependencies = function(plugin, file)
+	{
+		var deps = { 'requires': plugin.requires, 'optional': plugin.optional };
+
+		if (!deps.requires && !deps.optional)
+		{
+			var meta = readMeta(file);
+
+			deps.requires = meta.requires;
+			deps.optional = meta.optional;
+		}
+
+		deps.requires = deps.requires || [];
+		deps.optional = deps.optional || [];
+
+		return deps;
+	};
+
 	// work
 	if (options)
 		self.loadOptions(options);
@@ -175,11 +851,29 @@ var ClientManager = function(options, basepath)
 
 util.inherits(ClientManager, events.EventEmitter);
 
-ClientManager.prototype.generateId = function(pluginOpts)
+/**
+ * Returns a client's id - its id option, or if it hasn't got one, one made
+ * from its protocol and name, or its place in the config if it hasn't got a
+ * name either. Connection settings are left out, so that changing them
+ * changes the client rather than making a new one.
+ *
+ * @api private
+ * @param {Object} clientOpts Client options
+ * @param {Number|String} index Place in the clients list
+ * @return {String}
+ */
+ClientManager.prototype.generateId = function(clientOpts, index)
 {
+	if (clientOpts.id)
+		return String(clientOpts.id);
+
 	var sha1 = crypto.createHash('sha1');
-	for(var i in pluginOpts)
-		sha1.update(pluginOpts[i].toString());
+	sha1.update(String(clientOpts.protocol || 'insim'));
+
+	if (clientOpts.name)
+		sha1.update(':' + clientOpts.name);
+	else
+		sha1.update('#' + index);
 
 	return sha1.digest('base64');
 }
@@ -189,6 +883,106 @@ ClientManager.prototype.generateId = function(pluginOpts)
  */
 exports.clientmanager = ClientManager;
 
+/**
+ * Exports the PluginError object
+ *
+ * @api public
+ */
+exports.PluginError = PluginError;
+
+/**
+ * Exports the ConfigError object
+ *
+ * @api public
+ */
+exports.ConfigError = ConfigError;
+
+/**
+ * Checks a config, filling in defaults. Clients are checked against the
+ * options of their protocol, and plugin options against the plugin's schema,
+ * if it has one. Plugins are required, but not constructed, to get it.
+ *
+ * Usage -
+ *  var errors = clientmanager.validate(config, '/path/to/config');
+ *  // [ { path: 'clients.0.reconect', message: 'is not a known option' } ]
+ *
+ * @api public
+ * @param {Object} options Config
+ * @param {String} basepath Base path, where the plugins can be found
+ * @return {Array} Errors, each { path, message }, empty if it's valid
+ */
+exports.validate = function(options, basepath)
+{
+	var errors = configschema.validate(options, configschema.config);
+
+	if (errors.length > 0)
+		return errors;
+
+	for (var i in options.plugins)
+	{
+		var at = 'plugins.' + i;
+
+		var file = findPluginFile(options.plugins[i].path, basepath);
+
+		if (file == null)
+		{
+			errors.push({ 'path': at + '.path', 'message': 'is not a plugin - ' + options.plugins[i].path });
+			continue;
+		}
+
+		var schema = null;
+
+		try
+		{
+			schema = pluginSchema(require(file), file);
+		}
+		catch (e)
+		{
+			errors.push({ 'path': at + '.path', 'message': 'failed to load - ' + e.message });
+			continue;
+		}
+
+		if (schema)
+			errors = errors.concat(configschema.validate(options.plugins[i].options, schema, at + '.options'));
+	}
+
+	var ids = {};
+
+	for (var i = 0; i < options.clients.length; i++)
+	{
+		var at = 'clients.' + i;
+		var client = options.clients[i];
+		var schema = configschema.client(client.protocol || 'insim');
+
+		if (!schema)
+		{
+			errors.push({ 'path': at + '.protocol', 'message': 'should be one of insim, relay, outsim, outgauge, not ' + JSON.stringify(client.protocol) });
+			continue;
+		}
+
+		errors = errors.concat(configschema.validate(client, schema, at));
+
+		// clients name plugins by their key in plugins, as resolvePlugins
+		// knows them. only their dependencies come from the plugins directory
+		for (var j = 0; j < (client.plugins || []).length; j++)
+		{
+			var name = client.plugins[j];
+
+			if ((typeof name == 'string') && !(options.plugins || {}).hasOwnProperty(name))
+				errors.push({ 'path': at + '.plugins.' + j, 'message': 'is not a configured plugin - ' + name });
+		}
+
+		var id = ClientManager.prototype.generateId(client, i);
+
+		if (ids[id] != undefined)
+			errors.push({ 'path': at + '.id', 'message': 'is the same as client ' + ids[id] + '\'s - ' + id });
+		else
+			ids[id] = i;
+	}
+
+	return errors;
+}
+
 /**
  * Returns an instance of ClientManager
  * @param {Object} options
@@ -0,0 +1,571 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util');
+
+/**
+ * Permission levels that aren't config defined roles
+ *  - any: anyone may run the command
+ *  - admin: connections logged in as admin, according to the state plugin
+ *
+ * The host itself (ucid 0) may run anything.
+ *
+ * @api public
+ */
+exports.LEVEL_ANY = 'any';
+exports.LEVEL_ADMIN = 'admin';
+
+/**
+ * Error thrown by a command handler, or while parsing its arguments. Its
+ * message is sent back to whoever ran the command.
+ *
+ * @api public
+ * @extends Error
+ * @param {String} message
+ */
+var CommandError = function(message)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, CommandError);
+
+	this.name = 'CommandError';
+	this.message = message;
+}
+
+util.inherits(CommandError, Error);
+
+/**
+ * Exports the CommandError object
+ *
+ * @api public
+ */
+exports.CommandError = CommandError;
+
+/**
+ * Argument types, each converting a word to its value, or throwing a
+ * CommandError if it can't
+ *
+ * @api public
+ */
+exports.types = {
+	'string': function(word)
+	{
+		return word;
+	},
+
+	'number': function(word)
+	{
+		var n = parseFloat(word);
+
+		if (isNaN(n) || !/^[-+]?[0-9.]+$/.test(word))
+			throw new CommandError('\'' + word + '\' is not a number');
+
+		return n;
+	},
+
+	'integer': function(word)
+	{
+		if (!/^[-+]?[0-9]+$/.test(word))
+			throw new CommandError('\'' + word + '\' is not a whole number');
+
+		return parseInt(word, 10);
+	},
+
+	'boolean': function(word)
+	{
+		var w = word.toLowerCase();
+
+		if ((w == 'yes') || (w == 'on') || (w == 'true') || (w == '1'))
+			return true;
+
+		if ((w == 'no') || (w == 'off') || (w == 'false') || (w == '0'))
+			return false;
+
+		throw new CommandError('\'' + word + '\' is not yes or no');
+	}
+};
+
+/**
+ * Splits the arguments of a command into words. Words are separated by
+ * spaces, unless they're in double quotes.
+ *
+ * @api private
+ * @param {String} str
+ * @return {Array}
+ */
+var words = function(str)
+{
+	var list = [];
+	var re = /"([^"]*)"|(\S+)/g;
+	var m = null;
+
+	while ((m = re.exec(str)) != null)
+		list.push((m[1] != undefined) ? m[1] : m[2]);
+
+	return list;
+}
+
+/**
+ * Chat commands for an InSim client. Plugins register commands, which are run
+ * when someone types the prefix followed by the command name in chat, i.e.
+ * !kick bob. A help command is registered automatically.
+ *
+ * Options, from the client's commands option -
+ *  - prefix: character commands start with. Defaults to the client's prefix
+ *    option, and failing that '!'
+ *  - roles: usernames in each config defined role, i.e.
+ *    { "moderator": [ "bob", "alice" ] }. Admins have every role.
+ *
+ * Events, emitted on the client -
+ *  - command: a command has been run, receives the command name, its
+ *    arguments and the invocation
+ *
+ * Usage -
+ *  this.client.commands.register('kick', {
+ *    'args': [ { 'name': 'who', 'type': 'string' } ],
+ *    'aliases': [ 'k' ],
+ *    'level': 'admin',
+ *    'cooldown': 5,
+ *    'help': 'Kicks a connection'
+ *  }, function(args, cmd)
+ *  {
+ *    this.client.command('/kick ' + args.who);
+ *  });
+ *
+ * @api public
+ * @param {Object} client InSim client
+ */
+var Commands = function(client)
+{
+	var self = this;
+
+	self.client = client;
+
+	// by name, aliases point at the same command
+	self.commands = {};
+
+	// last time each connection ran each command, by ucid then name
+	self.lastRun = {};
+
+	self.register('help', {
+		'args': [ { 'name': 'command', 'type': 'string', 'optional': true } ],
+		'help': 'Lists the commands you may run, or shows how to use one'
+	}, function(args, cmd)
+	{
+		self.help(args.command, cmd);
+	});
+}
+
+/**
+ * Returns the options for commands, from the client options.
+ *
+ * @api private
+ * @return {Object}
+ */
+Commands.prototype.options = function()
+{
+	var o = this.client.options.commands || {};
+
+	return {
+		'prefix': o.prefix || this.client.options.prefix || '!',
+		'roles': o.roles || {}
+	};
+}
+
+/**
+ * Registers a command. A command with the same name, or alias, is replaced.
+ *
+ * Spec -
+ *  - args: arguments, in order, each { name, type, optional, default, rest }.
+ *    type is one of the argument types (default 'string'). rest takes the
+ *    rest of the line, and must come last
+ *  - aliases: other names for the command
+ *  - level: any (default), admin, or a config defined role
+ *  - cooldown: seconds each connection has to wait between runs
+ *  - help: a line of help text
+ *
+ * The handler is called with the client's plugin context as 'this', the
+ * arguments by name, and the invocation - { name, ucid, plid, conn, text,
+ * reply }. reply sends text back to whoever ran the command.
+ *
+ * @api public
+ * @param {String} name Without the prefix
+ * @param {Object} [spec]
+ * @param {Function} handler
+ */
+Commands.prototype.register = function(name, spec, handler)
+{
+	var self = this;
+
+	if (typeof spec == 'function')
+	{
+		handler = spec;
+		spec = {};
+	}
+
+	spec = spec || {};
+
+	var args = spec.args || [];
+	for (var i = 0; i < args.length; i++)
+	{
+		var type = args[i].type || 'string';
+
+		if (!exports.types[type])
+			throw new Error('Command ' + name + ': unknown type ' + type + ' for argument ' + args[i].name);
+
+		if (args[i].rest && (i != args.length - 1))
+			throw new Error('Command ' + name + ': only the last argument may take the rest of the line');
+	}
+
+	var command = {
+		'name': name.toLowerCase(),
+		'args': args,
+		'aliases': spec.aliases || [],
+		'level': spec.level || exports.LEVEL_ANY,
+		'cooldown': spec.cooldown || 0,
+		'help': spec.help || '',
+		'handler': handler
+	};
+
+	self.commands[command.name] = command;
+
+	for (var i = 0; i < command.aliases.length; i++)
+		self.commands[command.aliases[i].toLowerCase()] = command;
+
+	// a plugin's commands go when it's detached, see Client.detachPlugin
+	var owner = self.client.activePlugin;
+	if (owner && self.client.pluginScopes[owner])
+		self.client.pluginScopes[owner].commands.push(command);
+}
+
+/**
+ * Removes a command, and its aliases.
+ *
+ * @api public
+ * @param {String} name
+ */
+Commands.prototype.unregister = function(name)
+{
+	var command = this.commands[String(name).toLowerCase()];
+
+	if (command)
+		this.remove(command);
+}
+
+/**
+ * Removes a registered command, by whatever names still lead to it. Names
+ * that have since been taken by another command are left alone.
+ *
+ * @api private
+ * @param {Object} command
+ */
+Commands.prototype.remove = function(command)
+{
+	for (var i in this.commands)
+	{
+		if (this.commands[i] === command)
+			delete this.commands[i];
+	}
+}
+
+/**
+ * Returns the registered commands, without aliases, by name.
+ *
+ * @api public
+ * @return {Array}
+ */
+Commands.prototype.list = function()
+{
+	var list = [];
+
+	for (var i in this.commands)
+	{
+		if (this.commands[i].name == i)
+			list.push(this.commands[i]);
+	}
+
+	return list.sort(function(a, b)
+	{
+		return (a.name < b.name) ? -1 : ((a.name > b.name) ? 1 : 0);
+	});
+}
+
+/**
+ * Returns true if a connection may run a command. Needs the state plugin to
+ * know who the connection is, without it only the host may run commands
+ * that aren't open to anyone.
+ *
+ * @api public
+ * @param {Object} command
+ * @param {Number} ucid
+ * @return {Boolean}
+ */
+Commands.prototype.allowed = function(command, ucid)
+{
+	if ((command.level == exports.LEVEL_ANY) || (ucid == 0))
+		return true;
+
+	var conn = this.client.state ? this.client.state.getConnByUcid(ucid) : null;
+	if (!conn)
+		return false;
+
+	// admins have every role
+	if (conn.admin)
+		return true;
+
+	var members = this.options().roles[command.level] || [];
+	var uname = String(conn.uname).toLowerCase();
+
+	for (var i = 0; i < members.length; i++)
+	{
+		if (String(members[i]).toLowerCase() == uname)
+			return true;
+	}
+
+	return false;
+}
+
+/**
+ * Returns how a command is used, i.e. !kick <who> [mins]
+ *
+ * @api public
+ * @param {Object} command
+ * @return {String}
+ */
+Commands.prototype.usage = function(command)
+{
+	var usage = this.options().prefix + command.name;
+
+	for (var i = 0; i < command.args.length; i++)
+	{
+		var a = command.args[i];
+		var name = a.name + (a.rest ? '...' : '');
+
+		usage += ' ' + (a.optional ? '[' + name + ']' : '<' + name + '>');
+	}
+
+	return usage;
+}
+
+/**
+ * Parses the arguments of a command.
+ *
+ * @api private
+ * @param {Object} command
+ * @param {String} text Everything after the command name
+ * @return {Object} Arguments, by name
+ */
+Commands.prototype.parseArgs = function(command, text)
+{
+	var self = this;
+
+	var list = words(text);
+	var args = {};
+
+	for (var i = 0; i < command.args.length; i++)
+	{
+		var a = command.args[i];
+		var word = a.rest ? list.slice(i).join(' ') : list[i];
+
+		if ((word == undefined) || (word.length <= 0))
+		{
+			if (!a.optional)
+				throw new CommandError('Missing ' + a.name + ', usage: ' + self.usage(command));
+
+			args[a.name] = a['default'];
+			continue;
+		}
+
+		args[a.name] = exports.types[a.type || 'string'](word);
+	}
+
+	if (!(command.args.length && command.args[command.args.length - 1].rest) && (list.length > command.args.length))
+		throw new CommandError('Too many arguments, usage: ' + self.usage(command));
+
+	return args;
+}
+
+/**
+ * Bound to IS_MSO. Picks commands out of chat and runs them.
+ *
+ * @api private
+ * @param {Object} pkt IS_MSO
+ */
+Commands.prototype.onIS_MSO = function(pkt)
+{
+	var self = this;
+
+	if ((pkt.usertype != self.client.ctx.insim.MSO_USER) && (pkt.usertype != self.client.ctx.insim.MSO_PREFIX))
+		return;
+
+	var prefix = self.options().prefix;
+
+	var text = pkt.msg.substr(pkt.textstart);
+
+	// textstart counts bytes on the wire, so it's off if the name had to be
+	// decoded. the text follows the name and a colon
+	if (text.substr(0, prefix.length) != prefix)
+	{
+		var idx = pkt.msg.indexOf(': ');
+		text = (idx >= 0) ? pkt.msg.substr(idx + 2).replace(/^(\^[0-9])+/, '') : '';
+	}
+
+	if (text.substr(0, prefix.length) != prefix)
+		return;
+
+	var m = /^(\S+)\s*([\s\S]*)$/.exec(text.substr(prefix.length));
+	if (!m)
+		return;
+
+	self.run(m[1], m[2], pkt.ucid, pkt.plid);
+}
+
+/**
+ * Runs a command on behalf of a connection, as if it had been typed in chat.
+ * Errors are sent back to the connection.
+ *
+ * @api public
+ * @param {String} name Command name, without the prefix
+ * @param {String} text Arguments
+ * @param {Number} ucid Connection running the command
+ * @param {Number} [plid] Player running the command, if any
+ */
+Commands.prototype.run = function(name, text, ucid, plid)
+{
+	var self = this;
+	var client = self.client;
+
+	var reply = function(msg)
+	{
+		client.tell(ucid, msg);
+	};
+
+	var command = self.commands[String(name).toLowerCase()];
+	if (!command)
+	{
+		reply('^1Unknown command ' + self.options().prefix + name + ', try ' + self.options().prefix + 'help');
+		return;
+	}
+
+	if (!self.allowed(command, ucid))
+	{
+		reply('^1You are not permitted to use ' + self.options().prefix + command.name);
+		return;
+	}
+
+	var now = Date.now();
+	var last = (self.lastRun[ucid] || {})[command.name] || 0;
+
+	if ((command.cooldown > 0) && (ucid != 0) && (now - last < command.cooldown * 1000))
+	{
+		var wait = Math.ceil((command.cooldown * 1000 - (now - last)) / 1000);
+		reply('^1Please wait ' + wait + ' second' + ((wait == 1) ? '' : 's') + ' before using ' + self.options().prefix + command.name + ' again');
+		return;
+	}
+
+	var cmd = {
+		'name': command.name,
+		'ucid': ucid,
+		'plid': plid || 0,
+		'conn': client.state ? client.state.getConnByUcid(ucid) : null,
+		'text': text,
+		'reply': reply
+	};
+
+	try
+	{
+		var args = self.parseArgs(command, text);
+
+		command.handler.call(client.ctx, args, cmd);
+
+		// only commands that did something start the cooldown
+		if (!self.lastRun[ucid])
+			self.lastRun[ucid] = {};
+		self.lastRun[ucid][command.name] = now;
+
+		client.emit('command', command.name, args, cmd);
+	}
+	catch (err)
+	{
+		if (err instanceof CommandError)
+		{
+			reply('^1' + err.message);
+			return;
+		}
+
+		client.log.crit('Command ' + command.name + ' failed - ' + (err.stack || err));
+		reply('^1' + self.options().prefix + command.name + ' failed');
+	}
+}
+
+/**
+ * Bound to the help command. Lists the commands a connection may run, or how
+ * to use one of them.
+ *
+ * @api private
+ * @param {String} [name]
+ * @param {Object} cmd Invocation
+ */
+Commands.prototype.help = function(name, cmd)
+{
+	var self = this;
+
+	if (name)
+	{
+		var command = self.commands[name.replace(self.options().prefix, '').toLowerCase()];
+
+		if (!command || !self.allowed(command, cmd.ucid))
+			throw new CommandError('Unknown command ' + name);
+
+		cmd.reply('^7' + self.usage(command));
+
+		if (command.help)
+			cmd.reply('^8' + command.help);
+
+		if (command.aliases.length > 0)
+			cmd.reply('^8Also ' + command.aliases.map(function(a) { return self.options().prefix + a; }).join(', '));
+
+		return;
+	}
+
+	var names = [];
+	var list = self.list();
+
+	for (var i = 0; i < list.length; i++)
+	{
+		if (self.allowed(list[i], cmd.ucid))
+			names.push(self.options().prefix + list[i].name);
+	}
+
+	cmd.reply('^7Commands: ^8' + names.join(' '));
+}
+
+/**
+ * Exports the Commands object
+ *
+ * @api public
+ */
+exports.Commands = Commands;
+
+/**
+ * Creates a Commands registry for a client
+ *
+ * @api public
+ * @param {Object} client
+ * @return {Object}
+ */
+exports.create = function(client)
+{
+	return new Commands(client);
+}
+
+}(typeof exports === "undefined"
+        ? (this.commands = {})
+        : exports));
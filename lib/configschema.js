@@ -0,0 +1,384 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Checks a value against a schema, filling in defaults as it goes. Schemas
+ * are objects describing what's expected -
+ *  - type: string, number, integer, boolean, object, array, function or any,
+ *    or an array of these
+ *  - required: true if it must be there
+ *  - default: used if it isn't there
+ *  - enum: array of the values allowed
+ *  - min, max: bounds of a number
+ *  - properties: schemas of an object's keys, any other key is an error
+ *    unless additional is true
+ *  - values: schema of every value of an object, where the keys are up to
+ *    the user, i.e. plugins
+ *  - items: schema of every item of an array
+ *
+ * Usage -
+ *  var errors = configschema.validate(options, {
+ *  	'type': 'object',
+ *  	'properties': {
+ *  		'port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 8080 }
+ *  	}
+ *  }, 'plugins.gauges.options');
+ *
+ * @api public
+ * @param {Mixed} value
+ * @param {Object} schema
+ * @param {String} [at] Path of value, errors are reported with it
+ * @return {Array} Errors, each { path, message }, empty if value is valid
+ */
+exports.validate = function(value, schema, at)
+{
+	var errors = [];
+
+	check(value, schema, at || '', errors);
+
+	return errors;
+}
+
+/**
+ * Returns a copy of a schema default, so that configs never share them.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+var copy = function(value)
+{
+	return (typeof value == 'object') ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Returns the schema type of a value.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @return {String}
+ */
+var typeOf = function(value)
+{
+	if (value === null)
+		return 'null';
+
+	if (Array.isArray(value))
+		return 'array';
+
+	if ((typeof value == 'number') && (Math.floor(value) == value))
+		return 'integer';
+
+	return typeof value;
+}
+
+/**
+ * Returns true if a value is of a schema type.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @param {String} type
+ * @return {Boolean}
+ */
+var isType = function(value, type)
+{
+	var actual = typeOf(value);
+
+	return (type == 'any') || (type == actual) || ((type == 'number') && (actual == 'integer'));
+}
+
+/**
+ * Joins a path and a key.
+ *
+ * @api private
+ * @param {String} at
+ * @param {String|Number} key
+ * @return {String}
+ */
+var join = function(at, key)
+{
+	return (at) ? at + '.' + key : String(key);
+}
+
+/**
+ * Checks a value against a schema, see validate. The parent's defaults are
+ * already filled in, so value is only undefined if there's no default.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @param {Object} schema
+ * @param {String} at
+ * @param {Array} errors Errors are added to this
+ */
+var check = function(value, schema, at, errors)
+{
+	var error = function(message)
+	{
+		errors.push({ 'path': at, 'message': message });
+	};
+
+	if (value === undefined)
+	{
+		if (schema.required)
+			error('is required');
+
+		return;
+	}
+
+	var types = [].concat(schema.type || 'any');
+	var ok = false;
+
+	for (var i = 0; i < types.length; i++)
+		ok = ok || isType(value, types[i]);
+
+	if (!ok)
+	{
+		var article = (/^[aeiou]/.test(types[0])) ? 'an ' : 'a ';
+		error('should be ' + article + types.join(' or ') + ', not ' + typeOf(value).replace('integer', 'number'));
+		return;
+	}
+
+	if (schema.enum && (typeof value != 'function') && (schema.enum.indexOf(value) < 0))
+		error('should be one of ' + schema.enum.join(', ') + ', not ' + JSON.stringify(value));
+
+	if ((schema.min != undefined) && (typeof value == 'number') && (value < schema.min))
+		error('should be at least ' + schema.min);
+
+	if ((schema.max != undefined) && (typeof value == 'number') && (value > schema.max))
+		error('should be at most ' + schema.max);
+
+	if (Array.isArray(value))
+	{
+		if (schema.items)
+		{
+			for (var i = 0; i < value.length; i++)
+			{
+				// a hole, i.e. from --set clients.5.port with fewer clients
+				if (value[i] === undefined)
+					errors.push({ 'path': join(at, i), 'message': 'is missing' });
+				else
+					check(value[i], schema.items, join(at, i), errors);
+			}
+		}
+
+		return;
+	}
+
+	if ((typeof value != 'object') || (value === null))
+		return;
+
+	if (schema.properties)
+	{
+		for (var key in schema.properties)
+		{
+			if ((value[key] === undefined) && (schema.properties[key].default !== undefined))
+				value[key] = copy(schema.properties[key].default);
+
+			check(value[key], schema.properties[key], join(at, key), errors);
+		}
+	}
+
+	for (var key in value)
+	{
+		if (schema.properties && schema.properties[key])
+			continue;
+
+		if (schema.values && (value[key] === undefined))
+			errors.push({ 'path': join(at, key), 'message': 'is missing' });
+		else if (schema.values)
+			check(value[key], schema.values, join(at, key), errors);
+		else if (schema.properties && !schema.additional)
+			errors.push({ 'path': join(at, key), 'message': 'is not a known option' });
+	}
+}
+
+/**
+ * Options every client has.
+ *
+ * @api private
+ */
+var clientCommon = {
+	'id': { 'type': [ 'string', 'number' ] },
+	'name': { 'type': 'string' },
+	'protocol': { 'type': 'string', 'enum': [ 'insim', 'relay', 'outsim', 'outgauge' ], 'default': 'insim' },
+	'plugins': { 'type': 'array', 'items': { 'type': 'string' }, 'default': [] },
+	'reconnect': { 'type': 'integer', 'min': -1, 'default': 0 },
+	'reconnectcooldown': { 'type': 'number', 'min': 0, 'default': 30 },
+	'reconnectstrategy': { 'type': [ 'string', 'function' ], 'enum': [ 'linear', 'fixed', 'exponential' ], 'default': 'linear' },
+	'reconnectmaxcooldown': { 'type': 'number', 'min': 0, 'default': 300 },
+	'reconnectjitter': { 'type': 'number', 'min': 0, 'max': 1, 'default': 0 }
+};
+
+/**
+ * Options of InSim clients, which relay clients share.
+ *
+ * @api private
+ */
+var clientInSim = {
+	'admin': { 'type': 'string' },
+	'prefix': { 'type': 'string' },
+	'insimver': { 'type': 'integer', 'min': 1, 'default': 5 },
+	'maxbacklog': { 'type': 'integer', 'min': 1, 'default': 2048 },
+	'maxresyncs': { 'type': 'integer', 'min': 0, 'default': 8 },
+	'keepalive': { 'type': 'number', 'min': 0, 'default': 0 },
+	'keepalivemisses': { 'type': 'integer', 'min': 1, 'default': 3 },
+	'reusepackets': { 'type': 'boolean', 'default': false },
+	'queue': {
+		'type': 'object',
+		'properties': {
+			'burst': { 'type': 'integer', 'min': 1, 'default': 16 },
+			'interval': { 'type': 'number', 'min': 0, 'default': 25 },
+			'maxlength': { 'type': 'integer', 'min': 1, 'default': 1024 },
+			'metricsinterval': { 'type': 'number', 'min': 0, 'default': 0 }
+		}
+	},
+	'commands': {
+		'type': 'object',
+		'properties': {
+			'prefix': { 'type': 'string' },
+			'roles': { 'type': 'object', 'values': { 'type': 'array', 'items': { 'type': 'string' } } }
+		}
+	}
+};
+
+/**
+ * Options of OutSim and OutGauge clients.
+ *
+ * @api private
+ */
+var clientUdp = {
+	'port': { 'type': 'integer', 'min': 0, 'max': 65535 },
+	'sourceid': { 'type': 'integer', 'min': 0 },
+	'sourceaddress': { 'type': 'string' }
+};
+
+/**
+ * Options of each protocol's clients, on top of the common ones.
+ *
+ * @api private
+ */
+var clientProtocols = {
+	'insim': [ clientInSim, {
+		'host': { 'type': 'string', 'default': '127.0.0.1' },
+		'port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 29999 },
+		'udpport': { 'type': 'integer', 'min': 0, 'max': 65535, 'default': 0 }
+	} ],
+	'relay': [ clientInSim, {
+		// relay.HOST and relay.PORT
+		'host': { 'type': 'string', 'default': 'isrelay.lfs.net' },
+		'port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 47474 },
+		'hname': { 'type': 'string' },
+		'spec': { 'type': 'string' }
+	} ],
+	'outsim': [ clientUdp ],
+	'outgauge': [ clientUdp ]
+};
+
+/**
+ * Schema of the configuration, bar the clients' own options, see client, and
+ * plugin options, which are up to each plugin.
+ *
+ * @api public
+ */
+exports.config = {
+	'type': 'object',
+	'properties': {
+		'xi4n': { 'type': 'string' },
+		'logger': {
+			'type': 'object',
+			'properties': {
+				'level': { 'type': [ 'string', 'integer' ], 'enum': [ 'crit', 'error', 'warn', 'notice', 'info', 'debug', 'verbose', 0, 1, 2, 3, 4, 5, 6 ] },
+				'stream': { 'type': 'any' }
+			}
+		},
+		'waitforreconnect': { 'type': 'boolean', 'default': true },
+		'plugins': {
+			'type': 'object',
+			'required': true,
+			'values': {
+				'type': 'object',
+				'properties': {
+					'path': { 'type': 'string', 'required': true },
+					'options': { 'type': 'object', 'default': {} }
+				}
+			}
+		},
+		'clients': {
+			'type': 'array',
+			'required': true,
+			'items': { 'type': 'object' }
+		}
+	}
+};
+
+/**
+ * Returns the schema of a client, by its protocol.
+ *
+ * @api public
+ * @param {String} protocol insim, relay, outsim or outgauge
+ * @return {Object} Schema, or undefined if there's no such protocol
+ */
+exports.client = function(protocol)
+{
+	var sets = clientProtocols[protocol];
+
+	if (!sets)
+		return;
+
+	var properties = {};
+
+	for (var i in clientCommon)
+		properties[i] = clientCommon[i];
+
+	for (var i = 0; i < sets.length; i++)
+	{
+		for (var j in sets[i])
+			properties[j] = sets[i][j];
+	}
+
+	return { 'type': 'object', 'properties': properties };
+}
+
+/**
+ * Returns the schema of a key in a configuration, i.e. clients.0.admin, as far
+ * as it's known without loading plugins. A client's options depend on its
+ * protocol, which is taken from config.
+ *
+ * @api public
+ * @param {Object} config
+ * @param {String} key Path of the key
+ * @return {Object} Schema, or undefined if it isn't known
+ */
+exports.at = function(config, key)
+{
+	var parts = String(key).split('.');
+	var schema = exports.config;
+	var value = config;
+
+	for (var i = 0; i < parts.length; i++)
+	{
+		value = ((typeof value == 'object') && (value !== null)) ? value[parts[i]] : undefined;
+
+		if ((i == 1) && (parts[0] == 'clients'))
+			schema = exports.client((value && value.protocol) || 'insim');
+		else if (schema.properties && schema.properties[parts[i]])
+			schema = schema.properties[parts[i]];
+		else if (schema.values)
+			schema = schema.values;
+		else if (schema.items)
+			schema = schema.items;
+		else
+			return;
+
+		if (!schema)
+			return;
+	}
+
+	return schema;
+}
+
+}(typeof exports === "undefined"
+        ? (this.configschema = {})
+        : exports));
@@ -7,28 +7,58 @@
  * Module dependencies.
  */
 var util = require('util'),
-	jspack = require('jspack').jspack,
 	net = require('net'), 
+	dgram = require('dgram'),
 	BufferList = require('bufferlist').BufferList, 
-	baseClient = require('./client');
+	baseClient = require('./client'),
+	schema = require('./schema'),
+	sendqueue = require('./sendqueue'),
+	reconnect = require('./reconnect'),
+	strings = require('./strings'),
+	units = require('./units'),
+	vector = require('./vector'),
+	commands = require('./commands');
+
+// Packets describe their layout with a schema, see lib/schema.js. Field types
+// are named after their LFS insim.h equivalents -
+// char = char (signed)
+// byte = byte
+// word = word
+// short = short
+// unsigned = unsigned
+// int = int
+// float = float
+// char[16] = string, length 16
 
-// Translating LFS insim.h to jspack as follows -
-// char	= c
-// byte	= B
-// word	= H
-// short = h
-// unsigned	= L
-// int = l
-// float = f
-// char[16] = 16s
+/**
+ * Creates the schema for an InSim packet. InSim packets are always a multiple
+ * of 4 bytes in size.
+ *
+ * @api private
+ * @param {String} name Packet name
+ * @param {Array} fields Field descriptors
+ * @return {Object}
+ */
+var packet = function(name, fields)
+{
+	return schema.create(name, fields, { 'align': 4 });
+}
 
 /**
- * Supported InSim protocol version
+ * Supported InSim protocol version, and the version requested from LFS unless
+ * the insimver option says otherwise
  *
  * @api public
  */
 exports.VERSION = 5;
 
+/**
+ * Latest InSim protocol version we have a packet table for
+ *
+ * @api public
+ */
+exports.LATEST_VERSION = 9;
+
 /**
  * Packet ID for IS_NONE (Unknown packet ID)
  *
@@ -421,6 +451,104 @@ exports.ISP_AXM = 54;
  */
 exports.ISP_ACR = 55;
 
+/**
+ * Packet ID for IS_HCP (Car handicaps), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_HCP = 56;
+
+/**
+ * Packet ID for IS_NCI (New connection info), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_NCI = 57;
+
+/**
+ * Packet ID for IS_JRR (Join request reply), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_JRR = 58;
+
+/**
+ * Packet ID for IS_UCO (User control object), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_UCO = 59;
+
+/**
+ * Packet ID for IS_OCO (Object control), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_OCO = 60;
+
+/**
+ * Packet ID for IS_TTC (Target to connection), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_TTC = 61;
+
+/**
+ * Packet ID for IS_SLC (Selected car), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_SLC = 62;
+
+/**
+ * Packet ID for IS_CSC (Car state changed), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_CSC = 63;
+
+/**
+ * Packet ID for IS_CIM (Connection interface mode), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_CIM = 64;
+
+/**
+ * Packet ID for IS_MAL (Mods allowed), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_MAL = 65;
+
+/**
+ * Packet ID for IS_PLH (Player handicaps), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_PLH = 66;
+
+/**
+ * Packet ID for IS_IPB (IP bans), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_IPB = 67;
+
+/**
+ * Packet ID for IS_AIC (AI control), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_AIC = 68;
+
+/**
+ * Packet ID for IS_AII (AI info), InSim 9
+ *
+ * @api public
+ */
+exports.ISP_AII = 69;
+
 // Tiny packet types
 exports.TINY_NONE = 0;
 exports.TINY_VER = 1;
@@ -445,6 +573,14 @@ exports.TINY_RST = 19;
 exports.TINY_AXI = 20;
 exports.TINY_AXC = 21;
 exports.TINY_RIP = 22;
+// InSim 9
+exports.TINY_NCI = 23;
+exports.TINY_ALC = 24;
+exports.TINY_AXM = 25;
+exports.TINY_SLC = 26;
+exports.TINY_MAL = 27;
+exports.TINY_PLH = 28;
+exports.TINY_IPB = 29;
 
 // Small packet types
 exports.SMALL_NONE = 0;
@@ -455,6 +591,11 @@ exports.SMALL_TMS = 4;
 exports.SMALL_STP = 5;
 exports.SMALL_RTP = 6;
 exports.SMALL_NLI = 7;
+// InSim 9
+exports.SMALL_ALC = 8;
+exports.SMALL_LCS = 9;
+exports.SMALL_LCL = 10;
+exports.SMALL_AII = 11;
 
 /**
  * A cheats way to translate ID to packet object name. The array key for the
@@ -472,7 +613,8 @@ exports.ISP_XLATED = [ 'IS_NONE', 'IS_ISI', 'IS_VER', 'IS_TINY', 'IS_SMALL', 'IS
 	'IS_TOC', 'IS_FLG', 'IS_PFL', 'IS_FIN', 'IS_RES', 'IS_REO', 'IS_NLP', 'IS_MCI',
 	'IS_MSX', 'IS_MSL', 'IS_CRS', 'IS_BFN', 'IS_AXI', 'IS_AXO', 'IS_BTN', 'IS_BTC',
 	'IS_BTT', 'IS_RIP', 'IS_SSH', 'IS_CON', 'IS_OBH', 'IS_HLV', 'IS_PLC', 'IS_AXM',
-	'IS_ACR' ];
+	'IS_ACR', 'IS_HCP', 'IS_NCI', 'IS_JRR', 'IS_UCO', 'IS_OCO', 'IS_TTC', 'IS_SLC',
+	'IS_CSC', 'IS_CIM', 'IS_MAL', 'IS_PLH', 'IS_IPB', 'IS_AIC', 'IS_AII' ];
 
 /**
  * Translates a packet ID to the object name.
@@ -508,8 +650,6 @@ exports.ISF_AXM_EDIT = 0x400 // bit 10 : receive AXM when changing objects
 
 exports.IS_ISI = function()
 {
-	this._PACK = '<BBBBHHBBH16s16s';
-
 	this.size = 44;
 
 	this.type = exports.ISP_ISI;
@@ -520,7 +660,7 @@ exports.IS_ISI = function()
 	this.udpport = 0;
 	this.flags = 0;
 
-	this.sp0 = 0;
+	this.insimver = 0;
 	this.prefix = ''; 
 	this.interval = 0;
 
@@ -530,6 +670,20 @@ exports.IS_ISI = function()
 
 util.inherits(exports.IS_ISI, baseClient.pkt);
 
+exports.IS_ISI.prototype._SCHEMA = packet('IS_ISI', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'udpport', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'insimver', 'type': 'byte' }, // spare before InSim 6
+	{ 'name': 'prefix', 'type': 'string', 'length': 1, 'encoding': 'raw' },
+	{ 'name': 'interval', 'type': 'word' },
+	{ 'name': 'admin', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'iname', 'type': 'string', 'length': 16, 'encoding': 'raw' }
+]);
+
 /**
  * Insim Packet IS_TINY
  * 
@@ -537,8 +691,6 @@ util.inherits(exports.IS_ISI, baseClient.pkt);
  */
 exports.IS_TINY = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.ISP_TINY;
 	this.reqi = 0;
@@ -547,6 +699,13 @@ exports.IS_TINY = function()
 
 util.inherits(exports.IS_TINY, baseClient.pkt);
 
+exports.IS_TINY.prototype._SCHEMA = packet('IS_TINY', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'subt', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_SMALL
  * 
@@ -554,8 +713,6 @@ util.inherits(exports.IS_TINY, baseClient.pkt);
  */
 exports.IS_SMALL = function()
 {
-	this._PACK = '<BBBBL';
-
 	this.size = 8;
 	this.type = exports.ISP_SMALL;
 	this.reqi = 0;
@@ -566,6 +723,14 @@ exports.IS_SMALL = function()
 
 util.inherits(exports.IS_SMALL, baseClient.pkt);
 
+exports.IS_SMALL.prototype._SCHEMA = packet('IS_SMALL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'subt', 'type': 'byte' },
+	{ 'name': 'uval', 'type': 'unsigned' }
+]);
+
 /**
  * Insim Packet IS_VER
  * 
@@ -573,8 +738,6 @@ util.inherits(exports.IS_SMALL, baseClient.pkt);
  */
 exports.IS_VER = function()
 {
-	this._PACK = '<BBBB8s6sH';
-
 	this.size = 20;
 	this.type = exports.ISP_VER;
 	this.reqi = 0;
@@ -587,6 +750,16 @@ exports.IS_VER = function()
 
 util.inherits(exports.IS_VER, baseClient.pkt);
 
+exports.IS_VER.prototype._SCHEMA = packet('IS_VER', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'version', 'type': 'string', 'length': 8, 'encoding': 'raw' },
+	{ 'name': 'product', 'type': 'string', 'length': 6, 'encoding': 'raw' },
+	{ 'name': 'insimver', 'type': 'word' }
+]);
+
 // state flags
 exports.ISS_GAME = 1; // in-game
 exports.ISS_REPLAY = 2; // in spr
@@ -611,8 +784,6 @@ exports.ISS_VISIBLE = 16384; // insim buttons visible
  */
 exports.IS_STA = function()
 {
-	this._PACK = '<BBBBiHBBBBBBBBBB6sBB';
-
 	this.size = 28;
 	this.type = exports.ISP_STA;
 	this.reqi = 0;
@@ -633,13 +804,35 @@ exports.IS_STA = function()
 	this.spare2 = 0;
 	this.spare3 = 0;
 
-	this.track = 0;
+	this.track = '';
 	this.weather = 0;
 	this.wind = 0;
 }
 
 util.inherits(exports.IS_STA, baseClient.pkt);
 
+exports.IS_STA.prototype._SCHEMA = packet('IS_STA', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'replayspeed', 'type': 'float' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'ingamecam', 'type': 'byte' },
+	{ 'name': 'viewplid', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'numconns', 'type': 'byte' },
+	{ 'name': 'numfinished', 'type': 'byte' },
+	{ 'name': 'raceinprog', 'type': 'byte' },
+	{ 'name': 'qualmins', 'type': 'byte' },
+	{ 'name': 'racelaps', 'type': 'byte' },
+	{ 'name': 'spare2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'spare3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'track', 'type': 'string', 'length': 6, 'encoding': 'raw' },
+	{ 'name': 'weather', 'type': 'byte' },
+	{ 'name': 'wind', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_SFP
  * 
@@ -647,8 +840,6 @@ util.inherits(exports.IS_STA, baseClient.pkt);
  */
 exports.IS_SFP = function()
 {
-	this._PACK = '<BBBBHBB';
-
 	this.size = 8;
 	this.type = exports.ISP_SFP;
 	this.reqi = 0;
@@ -661,6 +852,16 @@ exports.IS_SFP = function()
 
 util.inherits(exports.IS_SFP, baseClient.pkt);
 
+exports.IS_SFP.prototype._SCHEMA = packet('IS_SFP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'flag', 'type': 'word' },
+	{ 'name': 'offon', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_MOD
  * 
@@ -668,8 +869,6 @@ util.inherits(exports.IS_SFP, baseClient.pkt);
  */
 exports.IS_MOD = function()
 {
-	this._PACK = '<BBBBllll';
-
 	this.size = 20;
 	this.type = exports.ISP_MOD;
 	this.reqi = 0;
@@ -683,6 +882,17 @@ exports.IS_MOD = function()
 
 util.inherits(exports.IS_MOD, baseClient.pkt);
 
+exports.IS_MOD.prototype._SCHEMA = packet('IS_MOD', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'bits16', 'type': 'int' },
+	{ 'name': 'rr', 'type': 'int' },
+	{ 'name': 'width', 'type': 'int' },
+	{ 'name': 'height', 'type': 'int' }
+]);
+
 /**
  * Insim Packet IS_MSO
  * 
@@ -696,8 +906,6 @@ exports.MSO_O = 3; // hidden message typed on local pc with /o command
 
 exports.IS_MSO = function()
 {
-	this._PACK = '<BBBBBBBB128s';
-
 	this.size = 136;
 	this.type = exports.ISP_MSO;
 	this.reqi = 0;
@@ -712,6 +920,18 @@ exports.IS_MSO = function()
 
 util.inherits(exports.IS_MSO, baseClient.pkt);
 
+exports.IS_MSO.prototype._SCHEMA = packet('IS_MSO', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'usertype', 'type': 'byte' },
+	{ 'name': 'textstart', 'type': 'byte' },
+	{ 'name': 'msg', 'type': 'string', 'length': 128 }
+]);
+
 /**
  * Insim Packet IS_III
  * 
@@ -719,8 +939,6 @@ util.inherits(exports.IS_MSO, baseClient.pkt);
  */
 exports.IS_III = function()
 {
-	this._PACK = '<BBBBBBBB64s';
-
 	this.size = 72;
 	this.type = exports.ISP_III;
 	this.reqi = 0;
@@ -735,6 +953,18 @@ exports.IS_III = function()
 
 util.inherits(exports.IS_III, baseClient.pkt);
 
+exports.IS_III.prototype._SCHEMA = packet('IS_III', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'msg', 'type': 'string', 'length': 64 }
+]);
+
 /**
  * Insim Packet IS_ACR
  * 
@@ -742,8 +972,6 @@ util.inherits(exports.IS_III, baseClient.pkt);
  */
 exports.IS_ACR = function()
 {
-	this._PACK = '<BBBBBBBB64s';
-
 	this.size = 72;
 	this.type = exports.ISP_ACR;
 	this.reqi = 0;
@@ -758,6 +986,18 @@ exports.IS_ACR = function()
 
 util.inherits(exports.IS_ACR, baseClient.pkt);
 
+exports.IS_ACR.prototype._SCHEMA = packet('IS_ACR', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'admin', 'type': 'byte' },
+	{ 'name': 'result', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'msg', 'type': 'string', 'length': 64 }
+]);
+
 /**
  * Insim Packet IS_MST
  * 
@@ -765,9 +1005,7 @@ util.inherits(exports.IS_ACR, baseClient.pkt);
  */
 exports.IS_MST = function()
 {
-	this._PACK = '<BBBB64s';
-
-	this.size = 60;
+	this.size = 68;
 	this.type = exports.ISP_MST;
 	this.reqi = 0;
 	this.zero = 0;
@@ -777,6 +1015,14 @@ exports.IS_MST = function()
 
 util.inherits(exports.IS_MST, baseClient.pkt);
 
+exports.IS_MST.prototype._SCHEMA = packet('IS_MST', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'msg', 'type': 'string', 'length': 64, 'encoding': 'command' }
+]);
+
 /**
  * Insim Packet IS_MSX
  * 
@@ -784,8 +1030,6 @@ util.inherits(exports.IS_MST, baseClient.pkt);
  */
 exports.IS_MSX = function()
 {
-	this._PACK = '<BBBB96s';
-
 	this.size = 100;
 	this.type = exports.ISP_MSX;
 	this.reqi = 0;
@@ -796,6 +1040,14 @@ exports.IS_MSX = function()
 
 util.inherits(exports.IS_MSX, baseClient.pkt);
 
+exports.IS_MSX.prototype._SCHEMA = packet('IS_MSX', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'msg', 'type': 'string', 'length': 96 }
+]);
+
 // Message Sounds (for Sound byte)
 exports.SND_SILENT = 0;
 exports.SND_MESSAGE = 1;
@@ -811,8 +1063,6 @@ exports.SND_NUM = 5;
  */
 exports.IS_MSL = function()
 {
-	this._PACK = '<BBBB128s';
-
 	this.size = 132;
 	this.type = exports.ISP_MSL;
 	this.reqi = 0;
@@ -823,6 +1073,14 @@ exports.IS_MSL = function()
 
 util.inherits(exports.IS_MSL, baseClient.pkt);
 
+exports.IS_MSL.prototype._SCHEMA = packet('IS_MSL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'sound', 'type': 'byte' },
+	{ 'name': 'msg', 'type': 'string', 'length': 128 }
+]);
+
 /**
  * Insim Packet IS_MTC
  * 
@@ -830,9 +1088,7 @@ util.inherits(exports.IS_MSL, baseClient.pkt);
  */
 exports.IS_MTC = function()
 {
-	this._PACK = '<BBBBBBBB';
-
-	this.size = 8;
+	this.size = 12;
 	this.type = exports.ISP_MTC;
 	this.reqi = 0;
 	this.sound = 0;
@@ -847,26 +1103,17 @@ exports.IS_MTC = function()
 
 util.inherits(exports.IS_MTC, baseClient.pkt);
 
-exports.IS_MTC.prototype.pack = function(values)
-{
-	var len = this.text.length;
-
-	if (len > 127)
-		len = 127;
-
-	this._PACK += len+1 + 's';
-
-	this.text += 0;
-
-	this.size += len;
-
-	var properties = this.getProperties();
-	var values = [];
-	for (var i = 0; i < properties.length; i++)
-		values.push(this[properties[i]]);
-
-	return jspack.Pack(this._PACK, values);
-}
+exports.IS_MTC.prototype._SCHEMA = packet('IS_MTC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'sound', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'text', 'type': 'string', 'length': 128, 'variable': true }
+]);
 
 /**
  * Insim Packet IS_SCH
@@ -875,8 +1122,6 @@ exports.IS_MTC.prototype.pack = function(values)
  */
 exports.IS_SCH = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_SCH;
 	this.reqi = 0;
@@ -891,6 +1136,17 @@ exports.IS_SCH = function()
 
 util.inherits(exports.IS_SCH, baseClient.pkt);
 
+exports.IS_SCH.prototype._SCHEMA = packet('IS_SCH', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'charb', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'spare2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'spare3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_ISM
  * 
@@ -898,8 +1154,6 @@ util.inherits(exports.IS_SCH, baseClient.pkt);
  */
 exports.IS_ISM = function()
 {
-	this._PACK = '<BBBBBBBB32s';
-
 	this.size = 40;
 	this.type = exports.ISP_ISM;
 	this.reqi = 0;
@@ -915,6 +1169,18 @@ exports.IS_ISM = function()
 
 util.inherits(exports.IS_ISM, baseClient.pkt);
 
+exports.IS_ISM.prototype._SCHEMA = packet('IS_ISM', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'host', 'type': 'byte' },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'hname', 'type': 'string', 'length': 32 }
+]);
+
 // The Vote Actions
 exports.VOTE_NONE = 0 // no vote
 exports.VOTE_END = 1; // end race
@@ -929,8 +1195,6 @@ exports.VOTE_NUM = 4;
  */
 exports.IS_VTN = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_VTN;
 	this.reqi = 0;
@@ -944,6 +1208,17 @@ exports.IS_VTN = function()
 
 util.inherits(exports.IS_VTN, baseClient.pkt);
 
+exports.IS_VTN.prototype._SCHEMA = packet('IS_VTN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'action', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 // IDs for allowed cars field for IS_PLC
 // Both short and long names for convenience
 exports.XF_GTI = exports.XFG = 1
@@ -974,8 +1249,6 @@ exports.FORMULA_BMW_FB02 = exports.FBM = 0x80000
  */
 exports.IS_PLC = function()
 {
-	this._PACK = '<BBBBBBBBL';
-
 	this.size = 12;
 	this.type = exports.ISP_PLC;
 	this.reqi = 0;
@@ -991,6 +1264,18 @@ exports.IS_PLC = function()
 
 util.inherits(exports.IS_PLC, baseClient.pkt);
 
+exports.IS_PLC.prototype._SCHEMA = packet('IS_PLC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'cars', 'type': 'unsigned' }
+]);
+
 /**
  * Insim Packet IS_RST
  * 
@@ -998,8 +1283,6 @@ util.inherits(exports.IS_PLC, baseClient.pkt);
  */
 exports.IS_RST = function()
 {
-	this._PACK = '<BBBBBBBB6sBBHHHHHH';
-
 	this.size = 28;
 	this.type = exports.ISP_RST;
 	this.reqi = 0;
@@ -1024,6 +1307,26 @@ exports.IS_RST = function()
 
 util.inherits(exports.IS_RST, baseClient.pkt);
 
+exports.IS_RST.prototype._SCHEMA = packet('IS_RST', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'racelaps', 'type': 'byte' },
+	{ 'name': 'qualmins', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'timing', 'type': 'byte' },
+	{ 'name': 'track', 'type': 'string', 'length': 6, 'encoding': 'raw' },
+	{ 'name': 'weather', 'type': 'byte' },
+	{ 'name': 'wind', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'numnodes', 'type': 'word' },
+	{ 'name': 'finish', 'type': 'word' },
+	{ 'name': 'split1', 'type': 'word' },
+	{ 'name': 'split2', 'type': 'word' },
+	{ 'name': 'split3', 'type': 'word' }
+]);
+
 /**
  * Insim Packet IS_NCN
  * 
@@ -1031,8 +1334,6 @@ util.inherits(exports.IS_RST, baseClient.pkt);
  */
 exports.IS_NCN = function()
 {
-	this._PACK = '<BBBB24s24sBBBB';
-
 	this.size = 56;
 	this.type = exports.ISP_NCN;
 	this.reqi = 0;
@@ -1049,6 +1350,19 @@ exports.IS_NCN = function()
 
 util.inherits(exports.IS_NCN, baseClient.pkt);
 
+exports.IS_NCN.prototype._SCHEMA = packet('IS_NCN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'uname', 'type': 'string', 'length': 24 },
+	{ 'name': 'pname', 'type': 'string', 'length': 24 },
+	{ 'name': 'admin', 'type': 'byte' },
+	{ 'name': 'total', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_CNL
  * 
@@ -1056,8 +1370,6 @@ util.inherits(exports.IS_NCN, baseClient.pkt);
  */
 exports.IS_CNL = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_CNL;
 	this.reqi = 0;
@@ -1071,6 +1383,17 @@ exports.IS_CNL = function()
 
 util.inherits(exports.IS_CNL, baseClient.pkt);
 
+exports.IS_CNL.prototype._SCHEMA = packet('IS_CNL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'reason', 'type': 'byte' },
+	{ 'name': 'total', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_CPR
  * 
@@ -1078,8 +1401,6 @@ util.inherits(exports.IS_CNL, baseClient.pkt);
  */
 exports.IS_CPR = function()
 {
-	this._PACK = '<BBBB24s8s';
-
 	this.size = 36;
 	this.type = exports.ISP_CPR;
 	this.reqi = 0;
@@ -1091,6 +1412,15 @@ exports.IS_CPR = function()
 
 util.inherits(exports.IS_CPR, baseClient.pkt);
 
+exports.IS_CPR.prototype._SCHEMA = packet('IS_CPR', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'pname', 'type': 'string', 'length': 24 },
+	{ 'name': 'plate', 'type': 'string', 'length': 8 }
+]);
+
 /**
  * Insim Packet IS_NPL
  * 
@@ -1098,8 +1428,6 @@ util.inherits(exports.IS_CPR, baseClient.pkt);
  */
 exports.IS_NPL = function()
 {
-	this._PACK = '<BBBBBBH24s8s4s16s4ABBBBlBBBB';
-
 	this.size = 76;
 	this.type = exports.ISP_NPL;
 	this.reqi = 0;
@@ -1114,7 +1442,7 @@ exports.IS_NPL = function()
 
 	this.cname = '';
 	this.sname = '';
-	this.tyres = 0;
+	this.tyres = [ 0, 0, 0, 0 ];
 
 	this.h_mass = 0;
 	this.h_tres = 0;
@@ -1131,6 +1459,30 @@ exports.IS_NPL = function()
 
 util.inherits(exports.IS_NPL, baseClient.pkt);
 
+exports.IS_NPL.prototype._SCHEMA = packet('IS_NPL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'ptype', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'pname', 'type': 'string', 'length': 24 },
+	{ 'name': 'plate', 'type': 'string', 'length': 8 },
+	{ 'name': 'cname', 'type': 'string', 'length': 4, 'encoding': 'raw' },
+	{ 'name': 'sname', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'tyres', 'type': 'byte', 'count': 4 },
+	{ 'name': 'h_mass', 'type': 'byte' },
+	{ 'name': 'h_tres', 'type': 'byte' },
+	{ 'name': 'model', 'type': 'byte' },
+	{ 'name': 'pass', 'type': 'byte' },
+	{ 'name': 'spare', 'type': 'int', 'reserved': true },
+	{ 'name': 'setf', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_PLP
  * 
@@ -1138,8 +1490,6 @@ util.inherits(exports.IS_NPL, baseClient.pkt);
  */
 exports.IS_PLP = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.ISP_PLP;
 	this.reqi = 0;
@@ -1148,6 +1498,13 @@ exports.IS_PLP = function()
 
 util.inherits(exports.IS_PLP, baseClient.pkt);
 
+exports.IS_PLP.prototype._SCHEMA = packet('IS_PLP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_PLL
  * 
@@ -1155,8 +1512,6 @@ util.inherits(exports.IS_PLP, baseClient.pkt);
  */
 exports.IS_PLL = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.ISP_PLL;
 	this.reqi = 0;
@@ -1165,6 +1520,13 @@ exports.IS_PLL = function()
 
 util.inherits(exports.IS_PLL, baseClient.pkt);
 
+exports.IS_PLL.prototype._SCHEMA = packet('IS_PLL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_CRS
  * 
@@ -1172,8 +1534,6 @@ util.inherits(exports.IS_PLL, baseClient.pkt);
  */
 exports.IS_CRS = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.ISP_CRS;
 	this.reqi = 0;
@@ -1182,6 +1542,13 @@ exports.IS_CRS = function()
 
 util.inherits(exports.IS_CRS, baseClient.pkt);
 
+exports.IS_CRS.prototype._SCHEMA = packet('IS_CRS', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_LAP
  * 
@@ -1189,8 +1556,6 @@ util.inherits(exports.IS_CRS, baseClient.pkt);
  */
 exports.IS_LAP = function()
 {
-	this._PACK = '<BBBBLLHHBBBB';
-
 	this.size = 20;
 	this.type = exports.ISP_LAP;
 	this.reqi = 0;
@@ -1210,6 +1575,21 @@ exports.IS_LAP = function()
 
 util.inherits(exports.IS_LAP, baseClient.pkt);
 
+exports.IS_LAP.prototype._SCHEMA = packet('IS_LAP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'ltime', 'type': 'unsigned' },
+	{ 'name': 'etime', 'type': 'unsigned' },
+	{ 'name': 'lapsdone', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'penalty', 'type': 'byte' },
+	{ 'name': 'numstops', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_SPX
  * 
@@ -1217,8 +1597,6 @@ util.inherits(exports.IS_LAP, baseClient.pkt);
  */
 exports.IS_SPX = function()
 {
-	this._PACK = '<BBBBLLBBBB';
-
 	this.size = 16;
 	this.type = exports.ISP_SPX;
 	this.reqi = 0;
@@ -1235,6 +1613,19 @@ exports.IS_SPX = function()
 
 util.inherits(exports.IS_SPX, baseClient.pkt);
 
+exports.IS_SPX.prototype._SCHEMA = packet('IS_SPX', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'stime', 'type': 'unsigned' },
+	{ 'name': 'etime', 'type': 'unsigned' },
+	{ 'name': 'split', 'type': 'byte' },
+	{ 'name': 'penalty', 'type': 'byte' },
+	{ 'name': 'numstops', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_PIT
  * 
@@ -1242,8 +1633,6 @@ util.inherits(exports.IS_SPX, baseClient.pkt);
  */
 exports.IS_PIT = function()
 {
-	this._PACK = '<BBBBHHBBBB4ALL';
-
 	this.size = 24;
 	this.type = exports.ISP_PIT;
 	this.reqi = 0;
@@ -1257,7 +1646,7 @@ exports.IS_PIT = function()
 	this.numstops = 0;
 	this.sp3 = 0;
 
-	this.tyres = 0;
+	this.tyres = [ 0, 0, 0, 0 ];
 
 	this.work = 0;
 	this.spare = 0;
@@ -1265,6 +1654,22 @@ exports.IS_PIT = function()
 
 util.inherits(exports.IS_PIT, baseClient.pkt);
 
+exports.IS_PIT.prototype._SCHEMA = packet('IS_PIT', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'lapsdone', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'penalty', 'type': 'byte' },
+	{ 'name': 'numstops', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'tyres', 'type': 'byte', 'count': 4 },
+	{ 'name': 'work', 'type': 'unsigned' },
+	{ 'name': 'spare', 'type': 'unsigned', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_PSF
  * 
@@ -1272,8 +1677,6 @@ util.inherits(exports.IS_PIT, baseClient.pkt);
  */
 exports.IS_PSF = function()
 {
-	this._PACK = '<BBBBLL';
-
 	this.size = 12;
 	this.type = exports.ISP_PSF;
 	this.reqi = 0;
@@ -1285,6 +1688,15 @@ exports.IS_PSF = function()
 
 util.inherits(exports.IS_PSF, baseClient.pkt);
 
+exports.IS_PSF.prototype._SCHEMA = packet('IS_PSF', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'stime', 'type': 'unsigned' },
+	{ 'name': 'spare', 'type': 'unsigned', 'reserved': true }
+]);
+
 exports.PITLANE_EXIT = 0; // 0 - left pit lane
 exports.PITLANE_ENTER = 1; // 1 - entered pit lane
 exports.PITLANE_NO_PURPOSE = 2; // 2 - entered for no purpose
@@ -1298,8 +1710,6 @@ exports.PITLANE_SG = 4; // 4 - entered for stop-go
  */
 exports.IS_PLA = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_PLA;
 	this.reqi = 0;
@@ -1313,6 +1723,17 @@ exports.IS_PLA = function()
 
 util.inherits(exports.IS_PLA, baseClient.pkt);
 
+exports.IS_PLA.prototype._SCHEMA = packet('IS_PLA', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'fact', 'type': 'byte' },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_CCH
  * 
@@ -1320,14 +1741,12 @@ util.inherits(exports.IS_PLA, baseClient.pkt);
  */
 exports.IS_CCH = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_CCH;
 	this.reqi = 0;
 	this.plid = 0;
 
-	this.camera = '';
+	this.camera = 0;
 	this.sp1 = 0;
 	this.sp2 = 0;
 	this.sp3 = 0;
@@ -1335,6 +1754,17 @@ exports.IS_CCH = function()
 
 util.inherits(exports.IS_CCH, baseClient.pkt);
 
+exports.IS_CCH.prototype._SCHEMA = packet('IS_CCH', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'camera', 'type': 'byte' },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_PEN
  * 
@@ -1342,14 +1772,12 @@ util.inherits(exports.IS_CCH, baseClient.pkt);
  */
 exports.IS_PEN = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_PEN;
 	this.reqi = 0;
 	this.plid = 0;
 
-	this.oldpen = '';
+	this.oldpen = 0;
 	this.newpen = 0;
 	this.reason = 0;
 	this.sp3 = 0;
@@ -1357,6 +1785,17 @@ exports.IS_PEN = function()
 
 util.inherits(exports.IS_PEN, baseClient.pkt);
 
+exports.IS_PEN.prototype._SCHEMA = packet('IS_PEN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'oldpen', 'type': 'byte' },
+	{ 'name': 'newpen', 'type': 'byte' },
+	{ 'name': 'reason', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_TOC
  * 
@@ -1364,8 +1803,6 @@ util.inherits(exports.IS_PEN, baseClient.pkt);
  */
 exports.IS_TOC = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_TOC;
 	this.reqi = 0;
@@ -1379,6 +1816,17 @@ exports.IS_TOC = function()
 
 util.inherits(exports.IS_TOC, baseClient.pkt);
 
+exports.IS_TOC.prototype._SCHEMA = packet('IS_TOC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'olducid', 'type': 'byte' },
+	{ 'name': 'newucid', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 exports.FLG_BLUE = 1; // given
 exports.FLG_YELLOW = 1; // receiving
 
@@ -1389,8 +1837,6 @@ exports.FLG_YELLOW = 1; // receiving
  */
 exports.IS_FLG = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_FLG;
 	this.reqi = 0;
@@ -1404,6 +1850,17 @@ exports.IS_FLG = function()
 
 util.inherits(exports.IS_FLG, baseClient.pkt);
 
+exports.IS_FLG.prototype._SCHEMA = packet('IS_FLG', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'offon', 'type': 'byte' },
+	{ 'name': 'flag', 'type': 'byte' },
+	{ 'name': 'carbehind', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_PFL
  * 
@@ -1411,8 +1868,6 @@ util.inherits(exports.IS_FLG, baseClient.pkt);
  */
 exports.IS_PFL = function()
 {
-	this._PACK = '<BBBBHH';
-
 	this.size = 8;
 	this.type = exports.ISP_PFL;
 	this.reqi = 0;
@@ -1424,6 +1879,15 @@ exports.IS_PFL = function()
 
 util.inherits(exports.IS_PFL, baseClient.pkt);
 
+exports.IS_PFL.prototype._SCHEMA = packet('IS_PFL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'spare', 'type': 'word', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_FIN
  * 
@@ -1431,8 +1895,6 @@ util.inherits(exports.IS_PFL, baseClient.pkt);
  */
 exports.IS_FIN = function()
 {
-	this._PACK = '<BBBBLLBBBBHH';
-
 	this.size = 20;
 	this.type = exports.ISP_FIN;
 	this.reqi = 0;
@@ -1452,6 +1914,21 @@ exports.IS_FIN = function()
 
 util.inherits(exports.IS_FIN, baseClient.pkt);
 
+exports.IS_FIN.prototype._SCHEMA = packet('IS_FIN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'ttime', 'type': 'unsigned' },
+	{ 'name': 'btime', 'type': 'unsigned' },
+	{ 'name': 'spa', 'type': 'byte', 'reserved': true },
+	{ 'name': 'numstops', 'type': 'byte' },
+	{ 'name': 'confirm', 'type': 'byte' },
+	{ 'name': 'spb', 'type': 'byte', 'reserved': true },
+	{ 'name': 'lapsdone', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' }
+]);
+
 /**
  * Insim Packet IS_RES
  * 
@@ -1459,8 +1936,6 @@ util.inherits(exports.IS_FIN, baseClient.pkt);
  */
 exports.IS_RES = function()
 {
-	this._PACK = '<BBBB24s24s8s4sLLBBBBHHBBH';
-
 	this.size = 84;
 	this.type = exports.ISP_RES;
 	this.reqi = 0;
@@ -1489,6 +1964,28 @@ exports.IS_RES = function()
 
 util.inherits(exports.IS_RES, baseClient.pkt);
 
+exports.IS_RES.prototype._SCHEMA = packet('IS_RES', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'uname', 'type': 'string', 'length': 24 },
+	{ 'name': 'pname', 'type': 'string', 'length': 24 },
+	{ 'name': 'plate', 'type': 'string', 'length': 8 },
+	{ 'name': 'cname', 'type': 'string', 'length': 4, 'encoding': 'raw' },
+	{ 'name': 'ttime', 'type': 'unsigned' },
+	{ 'name': 'btime', 'type': 'unsigned' },
+	{ 'name': 'spa', 'type': 'byte', 'reserved': true },
+	{ 'name': 'numstops', 'type': 'byte' },
+	{ 'name': 'confirm', 'type': 'byte' },
+	{ 'name': 'spb', 'type': 'byte', 'reserved': true },
+	{ 'name': 'lapsdone', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'resultnum', 'type': 'byte' },
+	{ 'name': 'numres', 'type': 'byte' },
+	{ 'name': 'pseconds', 'type': 'word' }
+]);
+
 /**
  * Insim Packet IS_REO
  * 
@@ -1496,18 +1993,24 @@ util.inherits(exports.IS_RES, baseClient.pkt);
  */
 exports.IS_REO = function()
 {
-	this._PACK = '<BBBB32A';
-
 	this.size = 36;
 	this.type = exports.ISP_REO;
 	this.reqi = 0;
 	this.nump = 0;
 
-	this.plid = '';
+	this.plid = [];
 }
 
 util.inherits(exports.IS_REO, baseClient.pkt);
 
+exports.IS_REO.prototype._SCHEMA = packet('IS_REO', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte', 'count': 32 }
+]);
+
 /**
  * Insim Packet IS_AXI
  * 
@@ -1515,8 +2018,6 @@ util.inherits(exports.IS_REO, baseClient.pkt);
  */
 exports.IS_AXI = function()
 {
-	this._PACK = '<BBBBBBH32s';
-
 	this.size = 40;
 	this.type = exports.ISP_AXI;
 	this.reqi = 0;
@@ -1531,22 +2032,16 @@ exports.IS_AXI = function()
 
 util.inherits(exports.IS_AXI, baseClient.pkt);
 
-/**
- * Insim Packet IS_AXO
- * 
- * @api public 
- */
-exports.IS_AXO = function()
-{
-	this._PACK = '<BBBB';
-
-	this.size = 4;
-	this.type = exports.ISP_AXO;
-	this.reqi = 0;
-	this.plid = 0;
-}
-
-util.inherits(exports.IS_AXO, baseClient.pkt);
+exports.IS_AXI.prototype._SCHEMA = packet('IS_AXI', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'axstart', 'type': 'byte' },
+	{ 'name': 'numcp', 'type': 'byte' },
+	{ 'name': 'numo', 'type': 'word' },
+	{ 'name': 'lname', 'type': 'string', 'length': 32 }
+]);
 
 /**
  * Insim Packet IS_AXO
@@ -1555,8 +2050,6 @@ util.inherits(exports.IS_AXO, baseClient.pkt);
  */
 exports.IS_AXO = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.ISP_AXO;
 	this.reqi = 0;
@@ -1565,11 +2058,16 @@ exports.IS_AXO = function()
 
 util.inherits(exports.IS_AXO, baseClient.pkt);
 
+exports.IS_AXO.prototype._SCHEMA = packet('IS_AXO', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' }
+]);
+
 // NodeLap
 exports.IS_NODELAP = function()
 {
-	this._PACK = '<HHBB';
-
 	this.node = 0;
 	this.lap = 0;
 	this.plid = 0;
@@ -1578,6 +2076,13 @@ exports.IS_NODELAP = function()
 
 util.inherits(exports.IS_NODELAP, baseClient.pkt);
 
+exports.IS_NODELAP.prototype._SCHEMA = schema.create('IS_NODELAP', [
+	{ 'name': 'node', 'type': 'word' },
+	{ 'name': 'lap', 'type': 'word' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'position', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_NLP
  * 
@@ -1585,7 +2090,7 @@ util.inherits(exports.IS_NODELAP, baseClient.pkt);
  */
 exports.IS_NLP = function()
 {
-	this.size = 0;
+	this.size = 4;
 	this.type = exports.ISP_NLP;
 	this.reqi = 0;
 	this.nump = 0;
@@ -1595,34 +2100,59 @@ exports.IS_NLP = function()
 
 util.inherits(exports.IS_NLP, baseClient.pkt);
 
-exports.IS_NLP.prototype.unpack = function(buf)
+exports.IS_NLP.prototype._SCHEMA = packet('IS_NLP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'info', 'type': 'struct', 'struct': exports.IS_NODELAP, 'count': 'nump', 'max': 32 }
+]);
+
+/**
+ * Fast unpack for IS_NLP, bypassing the generic schema codec. See
+ * IS_MCI.prototype.unpack.
+ *
+ * @api public
+ * @param {Buffer} buf
+ * @param {Array} [pool] NodeLap objects to reuse
+ */
+exports.IS_NLP.prototype.unpack = function(buf, pool)
 {
-	var self = this;
+	var nump = buf[3];
 
-	// Base properties
-	var data = jspack.Unpack(self._PACK, buf, 0);
+	// never read past what we've actually been given
+	if (nump > 32)
+		nump = 32;
 
-	var properties = this.getProperties();
-	for (var i = 0; i < properties.length; i++)
-	{
-		if (properties[i] == "info")
-			continue;
+	if ((4 + (nump * 6)) > buf.length)
+		nump = Math.floor((buf.length - 4) / 6);
 
-		self[properties[i]] = data[i];
-	}
+	this.size = buf[0];
+	this.type = buf[1];
+	this.reqi = buf[2];
+	this.nump = nump;
 
-	// NodeLap unpacking
-	for(var i = 0; i < self.numc; i++)
+	var info = this.info;
+	info.length = nump;
+
+	for (var i = 0, o = 4; i < nump; i++, o += 6)
 	{
-		// Next packet start position
-		var start = 4 + (i * 6);
-		var tbuf = buf.slice(start, (start + 28));
+		var n = null;
+
+		if (pool)
+			n = pool[i] || (pool[i] = new exports.IS_NODELAP);
+		else
+			n = new exports.IS_NODELAP;
 
-		var c = new exports.IS_NODELAP;
-		c.unpack(tbuf);
+		n.node = buf.readUInt16LE(o);
+		n.lap = buf.readUInt16LE(o + 2);
+		n.plid = buf[o + 4];
+		n.position = buf[o + 5];
 
-		self.info.push(c);
+		info[i] = n;
 	}
+
+	return this;
 }
 
 // CompCar
@@ -1636,8 +2166,6 @@ exports.CCI_LAST = 128;
 
 exports.IS_COMPCAR = function()
 {
-	this._PACK = '<HHBBBBlllHHHh';
-
 	this.node = 0;
 	this.lap = 0;
 	this.plid = 0;
@@ -1655,6 +2183,84 @@ exports.IS_COMPCAR = function()
 
 util.inherits(exports.IS_COMPCAR, baseClient.pkt);
 
+exports.IS_COMPCAR.prototype._SCHEMA = schema.create('IS_COMPCAR', [
+	{ 'name': 'node', 'type': 'word' },
+	{ 'name': 'lap', 'type': 'word' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'position', 'type': 'byte' },
+	{ 'name': 'info', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'x', 'type': 'int' },
+	{ 'name': 'y', 'type': 'int' },
+	{ 'name': 'z', 'type': 'int' },
+	{ 'name': 'speed', 'type': 'word' },
+	{ 'name': 'direction', 'type': 'word' },
+	{ 'name': 'heading', 'type': 'word' },
+	{ 'name': 'angvel', 'type': 'short' }
+]);
+
+/**
+ * Position in metres.
+ *
+ * @api public
+ * @return {Object} Vector
+ */
+exports.IS_COMPCAR.prototype.getPos = function()
+{
+	return units.convertVector(vector.from(this), 'lfsdist', 'm');
+}
+
+/**
+ * Speed, in m/s unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] mps, kmh or mph
+ * @return {Number}
+ */
+exports.IS_COMPCAR.prototype.getSpeed = function(unit)
+{
+	return units.convert(this.speed, 'lfsspeed', unit || 'mps');
+}
+
+/**
+ * Direction of travel, in degrees unless otherwise asked for. 0 is world y,
+ * anticlockwise.
+ *
+ * @api public
+ * @param {String} [unit] deg or rad
+ * @return {Number}
+ */
+exports.IS_COMPCAR.prototype.getDirection = function(unit)
+{
+	return units.convert(this.direction, 'lfsangle', unit || 'deg');
+}
+
+/**
+ * Direction the car is facing, in degrees unless otherwise asked for. 0 is
+ * world y, anticlockwise.
+ *
+ * @api public
+ * @param {String} [unit] deg or rad
+ * @return {Number}
+ */
+exports.IS_COMPCAR.prototype.getHeading = function(unit)
+{
+	return units.convert(this.heading, 'lfsangle', unit || 'deg');
+}
+
+/**
+ * Rate of change of heading, in degrees per second unless otherwise asked
+ * for. Positive is anticlockwise.
+ *
+ * @api public
+ * @param {String} [unit] degs or rads
+ * @return {Number}
+ */
+exports.IS_COMPCAR.prototype.getAngVel = function(unit)
+{
+	return units.convert(this.angvel, 'lfsangvel', unit || 'degs');
+}
+
 /**
  * Insim Packet IS_MCI
  * 
@@ -1662,11 +2268,9 @@ util.inherits(exports.IS_COMPCAR, baseClient.pkt);
  */
 exports.IS_MCI = function()
 {
-	this._PACK = '<BBBB';
-
 	// Variable size packet
 	// 4 + (numc * 28)
-	this.size = 0;
+	this.size = 4;
 	this.type = exports.ISP_MCI;
 	this.reqi = 0;
 	this.numc = 0;
@@ -1676,39 +2280,74 @@ exports.IS_MCI = function()
 
 util.inherits(exports.IS_MCI, baseClient.pkt);
 
-exports.IS_MCI.prototype.pack = function(values)
-{
-	throw new Error('Unsupported at this time');
-}
+exports.IS_MCI.prototype._SCHEMA = packet('IS_MCI', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'numc', 'type': 'byte' },
+	{ 'name': 'compcar', 'type': 'struct', 'struct': exports.IS_COMPCAR, 'count': 'numc', 'max': 8 }
+]);
 
-exports.IS_MCI.prototype.unpack = function(buf)
+/**
+ * Fast unpack for IS_MCI, bypassing the generic schema codec. With a full
+ * grid MCI arrives several times a second, so this reads each field directly
+ * from the buffer and, if given a pool, reuses the CompCar objects from it
+ * rather than allocating new ones. The resulting properties are identical to
+ * the schema.
+ *
+ * Pooled CompCar objects are overwritten by the next packet, so anyone keeping
+ * hold of them must copy what they need.
+ *
+ * @api public
+ * @param {Buffer} buf
+ * @param {Array} [pool] CompCar objects to reuse
+ */
+exports.IS_MCI.prototype.unpack = function(buf, pool)
 {
-	var self = this;
+	var numc = buf[3];
 
-	// Base properties
-	var data = jspack.Unpack(self._PACK, buf, 0);
+	// never read past what we've actually been given
+	if (numc > 8)
+		numc = 8;
 
-	var properties = this.getProperties();
-	for (var i = 0; i < properties.length; i++)
-	{
-		if (properties[i] == "compcar")
-			continue;
+	if ((4 + (numc * 28)) > buf.length)
+		numc = Math.floor((buf.length - 4) / 28);
 
-		self[properties[i]] = data[i];
-	}
+	this.size = buf[0];
+	this.type = buf[1];
+	this.reqi = buf[2];
+	this.numc = numc;
 
-	// Compcar unpacking
-	for(var i = 0; i < self.numc; i++)
-	{
-		// Next packet start position
-		var start = 4 + (i * 28);
-		var tbuf = buf.slice(start, (start + 28));
+	var compcar = this.compcar;
+	compcar.length = numc;
 
-		var c = new exports.IS_COMPCAR;
-		c.unpack(tbuf);
-
-		self.compcar.push(c);
+	for (var i = 0, o = 4; i < numc; i++, o += 28)
+	{
+		var c = null;
+
+		if (pool)
+			c = pool[i] || (pool[i] = new exports.IS_COMPCAR);
+		else
+			c = new exports.IS_COMPCAR;
+
+		c.node = buf.readUInt16LE(o);
+		c.lap = buf.readUInt16LE(o + 2);
+		c.plid = buf[o + 4];
+		c.position = buf[o + 5];
+		c.info = buf[o + 6];
+		c.sp3 = buf[o + 7];
+		c.x = buf.readInt32LE(o + 8);
+		c.y = buf.readInt32LE(o + 12);
+		c.z = buf.readInt32LE(o + 16);
+		c.speed = buf.readUInt16LE(o + 20);
+		c.direction = buf.readUInt16LE(o + 22);
+		c.heading = buf.readUInt16LE(o + 24);
+		c.angvel = buf.readInt16LE(o + 26);
+
+		compcar[i] = c;
 	}
+
+	return this;
 }
 
 /**
@@ -1718,8 +2357,6 @@ exports.IS_MCI.prototype.unpack = function(buf)
  */
 exports.IS_CARCONTACT = function()
 {
-	this._PACK = '<BBBcBBBBBBcchh';
-
 	this.plid = 0;
 	this.info = 0;
 	this.sp2 = 0;
@@ -1741,6 +2378,23 @@ exports.IS_CARCONTACT = function()
 
 util.inherits(exports.IS_CARCONTACT, baseClient.pkt);
 
+exports.IS_CARCONTACT.prototype._SCHEMA = schema.create('IS_CARCONTACT', [
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'info', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'steer', 'type': 'char' },
+	{ 'name': 'thrbrk', 'type': 'byte' },
+	{ 'name': 'cluhan', 'type': 'byte' },
+	{ 'name': 'gearsp', 'type': 'byte' },
+	{ 'name': 'speed', 'type': 'byte' },
+	{ 'name': 'direction', 'type': 'byte' },
+	{ 'name': 'heading', 'type': 'byte' },
+	{ 'name': 'accelf', 'type': 'char' },
+	{ 'name': 'accelr', 'type': 'char' },
+	{ 'name': 'x', 'type': 'short' },
+	{ 'name': 'y', 'type': 'short' }
+]);
+
 /**
  * Insim Packet IS_CON
  * 
@@ -1748,52 +2402,33 @@ util.inherits(exports.IS_CARCONTACT, baseClient.pkt);
  */
 exports.IS_CON = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 40;
 	this.type = exports.ISP_CON;
 	this.reqi = 0;
-	this.numc = 0;
+	this.zero = 0;
 
 	this.spclose = 0;
 	this.time = 0;
 
-	this.a = null;
-	this.b = null;
+	this.a = new exports.IS_CARCONTACT;
+	this.b = new exports.IS_CARCONTACT;
 }
 
 util.inherits(exports.IS_CON, baseClient.pkt);
 
-exports.IS_CON.prototype.unpack = function(buf)
-{
-	var self = this;
-
-	// Base properties
-	var data = jspack.Unpack(self._PACK, buf, 0);
-	var properties = this.getProperties();
-	var start = 8;
-
-	for (var i = 0; i < properties.length; i++)
-	{
-		if (properties[i] == "a" || properties[i] == "b")
-		{
-			var tbuf = buf.slice(start, (start + 16));
-			var c = new exports.IS_CARCONTACT;
-			c.unpack(tbuf);
-			self[properties[i]] = c;
-
-			start += 16;
-			continue;
-		}
-
-		self[properties[i]] = data[i];
-	}
-}
+exports.IS_CON.prototype._SCHEMA = packet('IS_CON', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'spclose', 'type': 'word' },
+	{ 'name': 'time', 'type': 'word' },
+	{ 'name': 'a', 'type': 'struct', 'struct': exports.IS_CARCONTACT },
+	{ 'name': 'b', 'type': 'struct', 'struct': exports.IS_CARCONTACT }
+]);
 
 exports.IS_CARCONTOBJ = function()
 {
-	this._PACK = '<BBBBhh';
-
 	this.direction = 0;
 	this.heading = 0;
 	this.speed = 0;
@@ -1805,6 +2440,15 @@ exports.IS_CARCONTOBJ = function()
 
 util.inherits(exports.IS_CARCONTOBJ, baseClient.pkt);
 
+exports.IS_CARCONTOBJ.prototype._SCHEMA = schema.create('IS_CARCONTOBJ', [
+	{ 'name': 'direction', 'type': 'byte' },
+	{ 'name': 'heading', 'type': 'byte' },
+	{ 'name': 'speed', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'x', 'type': 'short' },
+	{ 'name': 'y', 'type': 'short' }
+]);
+
 // IS_OBH OBHFlags
 exports.OBH_LAYOUT = 1;
 exports.OBH_CAN_MOVE = 2;
@@ -1818,9 +2462,6 @@ exports.OBH_ON_SPOT = 8;
  */
 exports.IS_OBH = function()
 {
-	// TODO - FINISH
-	this._PACK = '<BBBBHH';
-
 	this.size = 24;
 	this.type = exports.ISP_OBH;
 	this.reqi = 0;
@@ -1829,12 +2470,12 @@ exports.IS_OBH = function()
 	this.spclose = 0;
 	this.time = 0;
 
-	this.c = null;
+	this.c = new exports.IS_CARCONTOBJ;
 
 	this.x = 0;
 	this.y = 0;
 
-	this.sp0;
+	this.sp0 = 0;
 	this.sp1 = 0;
 
 	this.index = 0;
@@ -1843,6 +2484,22 @@ exports.IS_OBH = function()
 
 util.inherits(exports.IS_OBH, baseClient.pkt);
 
+exports.IS_OBH.prototype._SCHEMA = packet('IS_OBH', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'spclose', 'type': 'word' },
+	{ 'name': 'time', 'type': 'word' },
+	{ 'name': 'c', 'type': 'struct', 'struct': exports.IS_CARCONTOBJ },
+	{ 'name': 'x', 'type': 'short' },
+	{ 'name': 'y', 'type': 'short' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'index', 'type': 'byte' },
+	{ 'name': 'obhflags', 'type': 'byte' }
+]);
+
 /**
  * Insim Packet IS_HLV
  * 
@@ -1850,8 +2507,6 @@ util.inherits(exports.IS_OBH, baseClient.pkt);
  */
 exports.IS_HLV = function()
 {
-	this._PACK = '<BBBBBBH';
-
 	this.size = 16;
 	this.type = exports.ISP_HLV;
 	this.reqi = 0;
@@ -1861,46 +2516,29 @@ exports.IS_HLV = function()
 	this.sp1 = 0;
 	this.time = 0;
 
-	this.c = null;
+	this.c = new exports.IS_CARCONTOBJ;
 }
 
 util.inherits(exports.IS_HLV, baseClient.pkt);
 
+exports.IS_HLV.prototype._SCHEMA = packet('IS_HLV', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'hlvc', 'type': 'byte' },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'time', 'type': 'word' },
+	{ 'name': 'c', 'type': 'struct', 'struct': exports.IS_CARCONTOBJ }
+]);
+
 exports.HLVC_GROUND = 0;
 exports.HLVC_WALL = 1;
 exports.HLVC_SPEED = 2;
 
-exports.IS_HLV.prototype.unpack = function(buf)
-{
-	var self = this;
-
-	// Base properties
-	var data = jspack.Unpack(self._PACK, buf, 0);
-	var properties = this.getProperties();
-	var start = 8;
-
-	for (var i = 0; i < properties.length; i++)
-	{
-		if (properties[i] == "c")
-		{
-			var tbuf = buf.slice(start, (start + 8));
-			var c = new exports.IS_CARCONTOBJ;
-			c.unpack(tbuf);
-			self[properties[i]] = c;
-
-			start += 16;
-			continue;
-		}
-
-		self[properties[i]] = data[i];
-	}
-}
-
 // ObjectInfo
 exports.IS_OBJECTINFO = function()
 {
-	this._PACK = '<hhcBBB';
-
 	this.x = 0;
 	this.y = 0;
 	this.zchar = 0;
@@ -1911,6 +2549,15 @@ exports.IS_OBJECTINFO = function()
 
 util.inherits(exports.IS_OBJECTINFO, baseClient.pkt);
 
+exports.IS_OBJECTINFO.prototype._SCHEMA = schema.create('IS_OBJECTINFO', [
+	{ 'name': 'x', 'type': 'short' },
+	{ 'name': 'y', 'type': 'short' },
+	{ 'name': 'zchar', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'index', 'type': 'byte' },
+	{ 'name': 'heading', 'type': 'byte' }
+]);
+
 // IS_AXM pmoaction flags
 exports.PMO_LOADING_FILE = 0;
 exports.PMO_ADD_OBJECTS = 1;
@@ -1925,9 +2572,7 @@ exports.PMO_NUM = 4;
  */
 exports.IS_AXM = function()
 {
-	this._PACK = '<hhcBBB';
-
-	this.size = 0;
+	this.size = 8;
 	this.type = exports.ISP_AXM;
 	this.reqi = 0;
 	this.numo = 0;
@@ -1942,36 +2587,17 @@ exports.IS_AXM = function()
 
 util.inherits(exports.IS_AXM, baseClient.pkt);
 
-exports.IS_AXM.prototype.unpack = function(buf)
-{
-	var self = this;
-
-	// Base properties
-	var data = jspack.Unpack(self._PACK, buf, 0);
-	var properties = this.getProperties();
-	var start = 8;
-
-	for (var i = 0; i < properties.length; i++)
-	{
-		if (properties[i] == "info")
-			continue;
-
-		self[properties[i]] = data[i];
-	}
-
-	// ObjectInfo unpacking
-	for(var i = 0; i < self.numo; i++)
-	{
-		// Next packet start position
-		var start = 8 + (i * 8);
-		var tbuf = buf.slice(start, (start + 28));
-
-		var c = new exports.IS_OBJECTINFO;
-		c.unpack(tbuf);
-
-		self.info.push(c);
-	}
-}
+exports.IS_AXM.prototype._SCHEMA = packet('IS_AXM', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'numo', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'pmoaction', 'type': 'byte' },
+	{ 'name': 'pmoflags', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'info', 'type': 'struct', 'struct': exports.IS_OBJECTINFO, 'count': 'numo', 'max': 30 }
+]);
 
 exports.VIEW_FOLLOW = 0; // arcade
 exports.VIEW_HELI = 1; //helicopter
@@ -1986,8 +2612,6 @@ exports.VIEW_CUSTOM = 4; // - custom
  */
 exports.IS_SCC = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_SCC;
 	this.reqi = 0;
@@ -2003,6 +2627,17 @@ exports.IS_SCC = function()
 
 util.inherits(exports.IS_SCC, baseClient.pkt);
 
+exports.IS_SCC.prototype._SCHEMA = packet('IS_SCC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'viewplid', 'type': 'byte' },
+	{ 'name': 'ingamecam', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 /**
  * Insim Packet IS_CPP
  * 
@@ -2010,13 +2645,13 @@ util.inherits(exports.IS_SCC, baseClient.pkt);
  */
 exports.IS_CPP = function()
 {
-	this._PACK = '<BBBB3lHHHBBfHH';
-
 	this.size = 32;
-	this.type = exports.ISP_SCC;
+	this.type = exports.ISP_CPP;
 	this.reqi = 0;
 	this.zero = 0;
 
+	this.pos = [ 0, 0, 0 ];
+
 	this.h = 0;
 	this.p = 0;
 	this.r = 0;
@@ -2037,6 +2672,22 @@ exports.IS_CPP = function()
 
 util.inherits(exports.IS_CPP, baseClient.pkt);
 
+exports.IS_CPP.prototype._SCHEMA = packet('IS_CPP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'pos', 'type': 'int', 'count': 3 },
+	{ 'name': 'h', 'type': 'word' },
+	{ 'name': 'p', 'type': 'word' },
+	{ 'name': 'r', 'type': 'word' },
+	{ 'name': 'viewplid', 'type': 'byte' },
+	{ 'name': 'ingamecam', 'type': 'byte' },
+	{ 'name': 'fov', 'type': 'float' },
+	{ 'name': 'time', 'type': 'word' },
+	{ 'name': 'flags', 'type': 'word' }
+]);
+
 /**
  * Insim Packet IS_RIP
  * 
@@ -2044,8 +2695,6 @@ util.inherits(exports.IS_CPP, baseClient.pkt);
  */
 exports.IS_RIP = function()
 {
-	this._PACK = '<BBBBBBBBLL64s';
-
 	this.size = 80;
 	this.type = exports.ISP_RIP;
 	this.reqi = 0;
@@ -2064,6 +2713,20 @@ exports.IS_RIP = function()
 
 util.inherits(exports.IS_RIP, baseClient.pkt);
 
+exports.IS_RIP.prototype._SCHEMA = packet('IS_RIP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'error', 'type': 'byte' },
+	{ 'name': 'mpr', 'type': 'byte' },
+	{ 'name': 'paused', 'type': 'byte' },
+	{ 'name': 'options', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ctime', 'type': 'unsigned' },
+	{ 'name': 'ttime', 'type': 'unsigned' },
+	{ 'name': 'rname', 'type': 'string', 'length': 64, 'encoding': 'raw' }
+]);
+
 /**
  * Insim Packet IS_SSH
  * 
@@ -2071,8 +2734,6 @@ util.inherits(exports.IS_RIP, baseClient.pkt);
  */
 exports.IS_SSH = function()
 {
-	this._PACK = '<BBBBBBBB32s';
-
 	this.size = 40;
 	this.type = exports.ISP_SSH;
 	this.reqi = 0;
@@ -2088,6 +2749,18 @@ exports.IS_SSH = function()
 
 util.inherits(exports.IS_SSH, baseClient.pkt);
 
+exports.IS_SSH.prototype._SCHEMA = packet('IS_SSH', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'error', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'rname', 'type': 'string', 'length': 32, 'encoding': 'raw' }
+]);
+
 // IS_BFN subt
 exports.BFN_DEL_BTN = 0;
 exports.BFN_CLEAR = 1;
@@ -2101,8 +2774,6 @@ exports.BFN_REQUEST = 3;
  */
 exports.IS_BFN = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_BFN;
 	this.reqi = 0;
@@ -2116,6 +2787,17 @@ exports.IS_BFN = function()
 
 util.inherits(exports.IS_BFN, baseClient.pkt);
 
+exports.IS_BFN.prototype._SCHEMA = packet('IS_BFN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'subt', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'clickid', 'type': 'byte' },
+	{ 'name': 'inst', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 // Styles for buttons
 exports.ISB_C1 = 1; // standard button
 exports.ISB_C2 = 2; // interface colour
@@ -2143,9 +2825,7 @@ exports.ISB_COL_GREY = 7; // unavailable
  */
 exports.IS_BTN = function()
 {
-	this._PACK = '<BBBBBBBBBBBB';
-
-	this.size = 12;
+	this.size = 16;
 	this.type = exports.ISP_BTN;
 	this.reqi = 0;
 	this.ucid = 0;
@@ -2165,24 +2845,21 @@ exports.IS_BTN = function()
 
 util.inherits(exports.IS_BTN, baseClient.pkt);
 
-exports.IS_BTN.prototype.pack = function(values)
-{
-	var len = this.text.length;
-
-	if (len > 240)
-		len = 240;
-
-	this._PACK += len + 's';
-
-	this.size += len;
-
-	var properties = this.getProperties();
-	var values = [];
-	for (var i = 0; i < properties.length; i++)
-		values.push(this[properties[i]]);
-
-	return jspack.Pack(this._PACK, values);
-}
+exports.IS_BTN.prototype._SCHEMA = packet('IS_BTN', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'clickid', 'type': 'byte' },
+	{ 'name': 'inst', 'type': 'byte' },
+	{ 'name': 'bstyle', 'type': 'byte' },
+	{ 'name': 'typein', 'type': 'byte' },
+	{ 'name': 'l', 'type': 'byte' },
+	{ 'name': 't', 'type': 'byte' },
+	{ 'name': 'w', 'type': 'byte' },
+	{ 'name': 'h', 'type': 'byte' },
+	{ 'name': 'text', 'type': 'string', 'length': 240, 'variable': true }
+]);
 
 /**
  * Insim Packet IS_BTC click types
@@ -2201,8 +2878,6 @@ exports.ISB_SHIFT = 4; // shift + left button click
  */
 exports.IS_BTC = function()
 {
-	this._PACK = '<BBBBBBBB';
-
 	this.size = 8;
 	this.type = exports.ISP_BTC;
 	this.reqi = 0;
@@ -2212,12 +2887,21 @@ exports.IS_BTC = function()
 	this.inst = 0;
 	this.cflags = 0;
 	this.sp3 = 0;
-
-	this.rname = '';
 }
 
 util.inherits(exports.IS_BTC, baseClient.pkt);
 
+exports.IS_BTC.prototype._SCHEMA = packet('IS_BTC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'clickid', 'type': 'byte' },
+	{ 'name': 'inst', 'type': 'byte' },
+	{ 'name': 'cflags', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
 exports.IS_BTC.prototype.isLeftClick = function()
 {
 	return (this.cflags == exports.ISB_LMB);
@@ -2235,8 +2919,6 @@ exports.IS_BTC.prototype.isRightClick = function()
  */
 exports.IS_BTT = function()
 {
-	this._PACK = '<BBBBBBBB96s';
-
 	this.size = 104;
 	this.type = exports.ISP_BTT;
 	this.reqi = 0;
@@ -2252,234 +2934,2587 @@ exports.IS_BTT = function()
 
 util.inherits(exports.IS_BTT, baseClient.pkt);
 
+exports.IS_BTT.prototype._SCHEMA = packet('IS_BTT', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'clickid', 'type': 'byte' },
+	{ 'name': 'inst', 'type': 'byte' },
+	{ 'name': 'typein', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'text', 'type': 'string', 'length': 96 }
+]);
+
 /**
- * Client object that represents an OutGauge connection.
+ * Insim Packet IS_NPL, as sent by InSim 9. The spare bytes of InSim 5 hold
+ * the wing adjustments, car configuration and fuel.
  *
- * @api public
- * @extends Client
- * @param {Object} options Options object
- * @param {Object} [log] Logger instance
+ * @api private
  */
-var Client = function(options, log)
+var IS_NPL9 = function()
 {
-	var self = this;
+	this.size = 76;
+	this.type = exports.ISP_NPL;
+	this.reqi = 0;
+	this.plid = 0;
 
-	baseClient.client.call(this, options, log);
+	this.ucid = 0;
+	this.ptype = 0;
+	this.flags = 0;
 
-	self.buffer = new BufferList;
-	self.stream = null;
+	this.pname = '';
+	this.plate = '';
 
-	// should be set by plugins automagically
-	// when the plugin init function is called
-	self.isiFlags = 0;
-	self.udpPort = 0;
+	this.cname = '';
+	this.sname = '';
+	this.tyres = [ 0, 0, 0, 0 ];
 
-	self.isHost = '';
-	self.hostname = '';
+	this.h_mass = 0;
+	this.h_tres = 0;
+	this.model = 0;
+	this.pass = 0;
 
-	// 'this' context that plugin functions are call
-	self.ctx.insim = exports;
-	self.ctx.outgauge = require('./outgauge');
-	self.ctx.outsim = require('./outsim');
+	this.rwadj = 0;
+	this.fwadj = 0;
+	this.sp0 = 0;
+	this.sp1 = 0;
 
-	self.registerHook('IS_VER', self.onIS_VER);
-};
+	this.setf = 0;
+	this.nump = 0;
+	this.config = 0;
+	this.fuel = 0;
+}
 
-util.inherits(Client, baseClient.client);
+util.inherits(IS_NPL9, exports.IS_NPL);
+
+IS_NPL9.prototype._SCHEMA = packet('IS_NPL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'ptype', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'pname', 'type': 'string', 'length': 24 },
+	{ 'name': 'plate', 'type': 'string', 'length': 8 },
+	{ 'name': 'cname', 'type': 'string', 'length': 4, 'encoding': 'raw' },
+	{ 'name': 'sname', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'tyres', 'type': 'byte', 'count': 4 },
+	{ 'name': 'h_mass', 'type': 'byte' },
+	{ 'name': 'h_tres', 'type': 'byte' },
+	{ 'name': 'model', 'type': 'byte' },
+	{ 'name': 'pass', 'type': 'byte' },
+	{ 'name': 'rwadj', 'type': 'byte' },
+	{ 'name': 'fwadj', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp1', 'type': 'byte', 'reserved': true },
+	{ 'name': 'setf', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'config', 'type': 'byte' },
+	{ 'name': 'fuel', 'type': 'byte' }
+]);
 
 /**
- * Connects to LFS, and registers a handful of callbacks to deal with
- * disconnections, etc.
+ * Insim Packet IS_HCP sub-packet CarHCP
  *
  * @api public
  */
-Client.prototype.connect = function()
+exports.IS_CARHCP = function()
 {
-	var self = this;
-
-	self.emit('preconnect');
-
-	self.stream = net.createConnection(self.options.port, self.options.host);
-
-	// connect
-	self.stream.on('connect', function(socket)
-	{
-		var p = new exports.IS_ISI;
-		p.iname = self.name;
-		p.flags = self.isiFlags;
-		p.interval = 1000;
-		p.udpport = self.udpPort;
-		p.reqi = 1; // request the InSim version from host
-
-		if ((self.options.admin != undefined) && (self.options.admin.length > 0))
-			p.admin = self.options.admin;
-
-		if ((self.options.prefix != undefined) && (self.options.prefix.length == 1))
-			p.prefix = self.options.prefix;
-
-		if ((self.options.udpport != undefined) && (self.options.udpport > 0))
-			p.udpport = self.options.udpport;
-
-		self.send(p);
-	});
-
-	// data
-	self.stream.on('data', function(data)
-	{
-		self.receive.call(self, data);
-	});
-
-	self.stream.on('close', function(err)
-	{
-		self.log.info('Disconnected ');
-
-		if ((self.options.reconnect > 0) && (self.reconnectAttempts <= self.options.reconnect))
-		{
-			// reconnection logic
-			var cooldown = (self.reconnectAttempts * self.options.reconnectcooldown);
-
-			self.log.info('Lost connection, attempting reconnect (' + self.reconnectAttempts + ') in ' + cooldown + ' seconds');
-
-			setTimeout(function() { self.connect.call(self); }, (cooldown * 1000));
-			return;
-		}
-
-		// disconnect only gets emitted after all reconnection attempts have
-		// been made
-		// really disconnect should be thought of as a terminating event
-		self.emit('disconnect');
-
-		if (err)
-			self.log.info('Server disappeared');
-	});
+	this.h_mass = 0;
+	this.h_tres = 0;
+}
 
-	// error handling
-	self.stream.on('error', function(err)
-	{
-		self.log.crit(err);
-	});
+util.inherits(exports.IS_CARHCP, baseClient.pkt);
 
-	self.stream.on('timeout', function()
-	{
-		self.log.crit('Timeout occured');
-	});
-}
+exports.IS_CARHCP.prototype._SCHEMA = schema.create('IS_CARHCP', [
+	{ 'name': 'h_mass', 'type': 'byte' },
+	{ 'name': 'h_tres', 'type': 'byte' }
+]);
 
 /**
- * Closes the socket that is listening for data.
+ * Insim Packet IS_HCP, InSim 9
  *
  * @api public
  */
-Client.prototype.disconnect = function()
+exports.IS_HCP = function()
 {
-	var self = this;
-
-	var p = new exports.IS_TINY;
-	p.subt = exports.TINY_CLOSE;
-	self.send(p);
+	this.size = 68;
+	this.type = exports.ISP_HCP;
+	this.reqi = 0;
+	this.zero = 0;
 
-	self.stream.end();
+	this.info = [];
+	for (var i = 0; i < 32; i++)
+		this.info.push(new exports.IS_CARHCP);
 }
 
+util.inherits(exports.IS_HCP, baseClient.pkt);
+
+exports.IS_HCP.prototype._SCHEMA = packet('IS_HCP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'info', 'type': 'struct', 'struct': exports.IS_CARHCP, 'count': 32 }
+]);
+
 /**
- * Sends a packet to LFS
+ * Insim Packet IS_NCI, InSim 9
  *
  * @api public
- * @param {Object} pkt
  */
-Client.prototype.send = function(pkt)
+exports.IS_NCI = function()
 {
-	var self = this;
+	this.size = 16;
+	this.type = exports.ISP_NCI;
+	this.reqi = 0;
+	this.ucid = 0;
 
-	var b = new Buffer(pkt.pack());
-	self.stream.write(b);
+	this.language = 0;
+	this.license = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
 
-	b = null;
-	pkt = null; // should be the last point we care about the packet. but do we want to assume this?
+	this.userid = 0;
+	this.ipaddress = 0;
 }
 
+util.inherits(exports.IS_NCI, baseClient.pkt);
+
+exports.IS_NCI.prototype._SCHEMA = packet('IS_NCI', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'language', 'type': 'byte' },
+	{ 'name': 'license', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'userid', 'type': 'unsigned' },
+	{ 'name': 'ipaddress', 'type': 'unsigned' }
+]);
+
+// IS_TTC SubT
+exports.TTC_NONE = 0;
+exports.TTC_SEL = 1;
+exports.TTC_SEL_START = 2;
+exports.TTC_SEL_STOP = 3;
+
 /**
- * Receives and parses data from LFS, into distinct packets. Once parsed into
- * complete packets it emits events containing that packet information.
+ * Insim Packet IS_TTC, InSim 9
  *
- * @api private
+ * @api public
  */
-Client.prototype.receive = function(data)
+exports.IS_TTC = function()
 {
-	var self = this;
-
-	this.buffer.push(data);
+	this.size = 8;
+	this.type = exports.ISP_TTC;
+	this.reqi = 0;
+	this.subt = 0;
 
-	var pos = 0;
-	var size = self.peekByte();
+	this.ucid = 0;
+	this.b1 = 0;
+	this.b2 = 0;
+	this.b3 = 0;
+}
 
-	while ((self.buffer.length > 0) && (size <= self.buffer.length))
-	{
-		var p = self.buffer.take(size);
-		self.buffer.advance(size);
+util.inherits(exports.IS_TTC, baseClient.pkt);
 
-		self.log.verbose('Buffer size ' + self.buffer.length);
+exports.IS_TTC.prototype._SCHEMA = packet('IS_TTC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'subt', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'b1', 'type': 'byte' },
+	{ 'name': 'b2', 'type': 'byte' },
+	{ 'name': 'b3', 'type': 'byte' }
+]);
 
-		var pktId = p.readUInt8(1);
-		var pktName = exports.translatePktIdToName(pktId);
-		self.log.verbose('Packet ' + pktName + ' consumed @ size ' + size);
+/**
+ * Insim Packet IS_SLC, InSim 9
+ *
+ * @api public
+ */
+exports.IS_SLC = function()
+{
+	this.size = 8;
+	this.type = exports.ISP_SLC;
+	this.reqi = 0;
+	this.ucid = 0;
 
-		try
-		{
-			var pkt = new exports[pktName];
-			pkt.unpack(p);
+	this.cname = '';
+}
 
-			self.log.verbose('Emitting event \'' + pktName + '\'');
-			self.emit(pktName, pkt);
-		}
-		catch (err)
-		{
-			if (pktName == 'undefined')
-				self.log.crit('Packet Id unknown - ' + pktId);
-			self.log.crit('Error');
-			self.log.crit(err.stack);
-			self.log.crit(util.inspect(err));
-		}
+util.inherits(exports.IS_SLC, baseClient.pkt);
 
-		// next packet size
-		size = self.peekByte();
-	}
+exports.IS_SLC.prototype._SCHEMA = packet('IS_SLC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'cname', 'type': 'string', 'length': 4, 'encoding': 'raw' }
+]);
 
-	if (self.buffer.length > self.maxbacklog)
-		throw new Error('Buffer is greater than the maximum permitted backlog. Dying.');
-}
+// IS_CSC CSCAction
+exports.CSC_STOP = 0;
+exports.CSC_START = 1;
 
 /**
- * Peeks (returns without removing from the buffer) the byte at a given offset
+ * Insim Packet IS_CSC, InSim 9
  *
- * @api private
- * @param {Number} offset
+ * @api public
  */
-Client.prototype.peekByte = function(offset)
+exports.IS_CSC = function()
 {
-	var self = this;
+	this.size = 20;
+	this.type = exports.ISP_CSC;
+	this.reqi = 0;
+	this.plid = 0;
 
-	offset = offset || 0;
+	this.sp0 = 0;
+	this.cscaction = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
 
-	if (offset >= self.buffer.length)
-		return 0;
+	this.time = 0;
 
-	return self.buffer.take(1).readUInt8(offset);
+	this.c = new exports.IS_CARCONTOBJ;
 }
 
+util.inherits(exports.IS_CSC, baseClient.pkt);
+
+exports.IS_CSC.prototype._SCHEMA = packet('IS_CSC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'cscaction', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'time', 'type': 'unsigned' },
+	{ 'name': 'c', 'type': 'struct', 'struct': exports.IS_CARCONTOBJ }
+]);
+
 /**
- * Bound to the event IS_VER, designed to check and handle if the InSim version
- * is not the one expected.
+ * Insim Packet IS_CIM, InSim 9
  *
- * @api private
- * @param {Object} pkt
+ * @api public
  */
-Client.prototype.onIS_VER = function(pkt)
+exports.IS_CIM = function()
 {
-	if (pkt.insimver != this.insim.VERSION)
-		this.log.crit("Reported InSim Version from LFS does not match our library supported version. May result in undesirable behaviour!");
+	this.size = 8;
+	this.type = exports.ISP_CIM;
+	this.reqi = 0;
+	this.ucid = 0;
+
+	this.mode = 0;
+	this.submode = 0;
+	this.seltype = 0;
+	this.sp3 = 0;
+}
+
+util.inherits(exports.IS_CIM, baseClient.pkt);
+
+exports.IS_CIM.prototype._SCHEMA = packet('IS_CIM', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'mode', 'type': 'byte' },
+	{ 'name': 'submode', 'type': 'byte' },
+	{ 'name': 'seltype', 'type': 'byte' },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true }
+]);
+
+/**
+ * Insim Packet IS_MAL, InSim 9
+ *
+ * @api public
+ */
+exports.IS_MAL = function()
+{
+	this.size = 8;
+	this.type = exports.ISP_MAL;
+	this.reqi = 0;
+	this.numm = 0;
+
+	this.ucid = 0;
+	this.flags = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
+
+	this.skinid = [];
+}
+
+util.inherits(exports.IS_MAL, baseClient.pkt);
+
+exports.IS_MAL.prototype._SCHEMA = packet('IS_MAL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'numm', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'skinid', 'type': 'unsigned', 'count': 'numm', 'max': 120 }
+]);
+
+/**
+ * Insim Packet IS_PLH sub-packet PlayerHCap
+ *
+ * @api public
+ */
+exports.IS_PLAYERHCAP = function()
+{
+	this.plid = 0;
+	this.flags = 0;
+	this.h_mass = 0;
+	this.h_tres = 0;
+}
+
+util.inherits(exports.IS_PLAYERHCAP, baseClient.pkt);
+
+exports.IS_PLAYERHCAP.prototype._SCHEMA = schema.create('IS_PLAYERHCAP', [
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'h_mass', 'type': 'byte' },
+	{ 'name': 'h_tres', 'type': 'byte' }
+]);
+
+/**
+ * Insim Packet IS_PLH, InSim 9
+ *
+ * @api public
+ */
+exports.IS_PLH = function()
+{
+	this.size = 4;
+	this.type = exports.ISP_PLH;
+	this.reqi = 0;
+	this.nump = 0;
+
+	this.hcaps = [];
+}
+
+util.inherits(exports.IS_PLH, baseClient.pkt);
+
+exports.IS_PLH.prototype._SCHEMA = packet('IS_PLH', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'nump', 'type': 'byte' },
+	{ 'name': 'hcaps', 'type': 'struct', 'struct': exports.IS_PLAYERHCAP, 'count': 'nump', 'max': 48 }
+]);
+
+// IS_JRR JRRAction
+exports.JRR_REJECT = 0;
+exports.JRR_SPAWN = 1;
+exports.JRR_2 = 2;
+exports.JRR_3 = 3;
+exports.JRR_RESET = 4;
+exports.JRR_RESET_NO_REPAIR = 5;
+exports.JRR_6 = 6;
+exports.JRR_7 = 7;
+
+/**
+ * Insim Packet IS_JRR, InSim 9
+ *
+ * @api public
+ */
+exports.IS_JRR = function()
+{
+	this.size = 16;
+	this.type = exports.ISP_JRR;
+	this.reqi = 0;
+	this.plid = 0;
+
+	this.ucid = 0;
+	this.jrraction = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
+
+	this.startpos = new exports.IS_OBJECTINFO;
+}
+
+util.inherits(exports.IS_JRR, baseClient.pkt);
+
+exports.IS_JRR.prototype._SCHEMA = packet('IS_JRR', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'ucid', 'type': 'byte' },
+	{ 'name': 'jrraction', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'startpos', 'type': 'struct', 'struct': exports.IS_OBJECTINFO }
+]);
+
+// IS_UCO UCOAction
+exports.UCO_CIRCLE_ENTER = 0;
+exports.UCO_CIRCLE_LEAVE = 1;
+exports.UCO_CP_FWD = 2;
+exports.UCO_CP_REV = 3;
+
+/**
+ * Insim Packet IS_UCO, InSim 9
+ *
+ * @api public
+ */
+exports.IS_UCO = function()
+{
+	this.size = 28;
+	this.type = exports.ISP_UCO;
+	this.reqi = 0;
+	this.plid = 0;
+
+	this.sp0 = 0;
+	this.ucoaction = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
+
+	this.time = 0;
+
+	this.c = new exports.IS_CARCONTOBJ;
+	this.info = new exports.IS_OBJECTINFO;
+}
+
+util.inherits(exports.IS_UCO, baseClient.pkt);
+
+exports.IS_UCO.prototype._SCHEMA = packet('IS_UCO', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ucoaction', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'time', 'type': 'unsigned' },
+	{ 'name': 'c', 'type': 'struct', 'struct': exports.IS_CARCONTOBJ },
+	{ 'name': 'info', 'type': 'struct', 'struct': exports.IS_OBJECTINFO }
+]);
+
+// IS_OCO OCOAction
+exports.OCO_ZERO = 0;
+exports.OCO_1 = 1;
+exports.OCO_2 = 2;
+exports.OCO_3 = 3;
+exports.OCO_LIGHTS_RESET = 4;
+exports.OCO_LIGHTS_SET = 5;
+exports.OCO_LIGHTS_UNSET = 6;
+
+// IS_OCO Index
+exports.AXO_START_LIGHTS = 149;
+exports.OCO_INDEX_MAIN = 240;
+
+/**
+ * Insim Packet IS_OCO, InSim 9
+ *
+ * @api public
+ */
+exports.IS_OCO = function()
+{
+	this.size = 8;
+	this.type = exports.ISP_OCO;
+	this.reqi = 0;
+	this.zero = 0;
+
+	this.ocoaction = 0;
+	this.index = 0;
+	this.identifier = 0;
+	this.data = 0;
+}
+
+util.inherits(exports.IS_OCO, baseClient.pkt);
+
+exports.IS_OCO.prototype._SCHEMA = packet('IS_OCO', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'ocoaction', 'type': 'byte' },
+	{ 'name': 'index', 'type': 'byte' },
+	{ 'name': 'identifier', 'type': 'byte' },
+	{ 'name': 'data', 'type': 'byte' }
+]);
+
+/**
+ * Insim Packet IS_IPB, InSim 9. The bans are IPv4 addresses as LFS holds
+ * them, see getBanIPs.
+ *
+ * @api public
+ */
+exports.IS_IPB = function()
+{
+	this.size = 8;
+	this.type = exports.ISP_IPB;
+	this.reqi = 0;
+	this.numb = 0;
+
+	this.sp4 = 0;
+	this.sp5 = 0;
+	this.sp6 = 0;
+	this.sp7 = 0;
+
+	this.banips = [];
+}
+
+util.inherits(exports.IS_IPB, baseClient.pkt);
+
+exports.IS_IPB.prototype._SCHEMA = packet('IS_IPB', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'numb', 'type': 'byte' },
+	{ 'name': 'sp4', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp5', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp6', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp7', 'type': 'byte', 'reserved': true },
+	{ 'name': 'banips', 'type': 'unsigned', 'count': 'numb', 'max': 120 }
+]);
+
+/**
+ * The banned addresses, in dotted form, i.e. 192.168.0.1.
+ *
+ * @api public
+ * @return {Array}
+ */
+exports.IS_IPB.prototype.getBanIPs = function()
+{
+	return this.banips.map(function(ip)
+	{
+		// in_addr, so the first octet is the lowest byte
+		return [ ip & 0xff, (ip >>> 8) & 0xff, (ip >>> 16) & 0xff, ip >>> 24 ].join('.');
+	});
+}
+
+/**
+ * Sets the banned addresses, from their dotted form.
+ *
+ * @api public
+ * @param {Array} ips
+ */
+exports.IS_IPB.prototype.setBanIPs = function(ips)
+{
+	this.banips = ips.map(function(ip)
+	{
+		var o = ip.split('.');
+		return ((o[3] << 24) >>> 0) + (o[2] << 16) + (o[1] << 8) + (o[0] << 0);
+	});
+}
+
+// IS_AIC AIInputVal Input
+exports.CS_MSX = 0;
+exports.CS_THROTTLE = 1;
+exports.CS_BRAKE = 2;
+exports.CS_CHUP = 3;
+exports.CS_CHDN = 4;
+exports.CS_IGNITION = 5;
+exports.CS_EXTRALIGHT = 6;
+exports.CS_HEADLIGHTS = 7;
+exports.CS_SIREN = 8;
+exports.CS_HORN = 9;
+exports.CS_FLASH = 10;
+exports.CS_CLUTCH = 11;
+exports.CS_HANDBRAKE = 12;
+exports.CS_SEND_AI_INFO = 240;
+exports.CS_REPEAT_AI_INFO = 241;
+exports.CS_RESET_INPUTS = 254;
+exports.CS_STOP_CONTROL = 255;
+
+/**
+ * Insim Packet IS_AIC sub-packet AIInputVal
+ *
+ * @api public
+ */
+exports.IS_AIINPUTVAL = function()
+{
+	this.input = 0;
+	this.time = 0; // hundredths of a second, 0 to hold the value
+	this.value = 0;
+}
+
+util.inherits(exports.IS_AIINPUTVAL, baseClient.pkt);
+
+exports.IS_AIINPUTVAL.prototype._SCHEMA = schema.create('IS_AIINPUTVAL', [
+	{ 'name': 'input', 'type': 'byte' },
+	{ 'name': 'time', 'type': 'byte' },
+	{ 'name': 'value', 'type': 'word' }
+]);
+
+/**
+ * Insim Packet IS_AIC, InSim 9. There's no count of the inputs, it's
+ * however many the packet has room for.
+ *
+ * @api public
+ */
+exports.IS_AIC = function()
+{
+	this.size = 4;
+	this.type = exports.ISP_AIC;
+	this.reqi = 0;
+	this.plid = 0;
+
+	this.inputs = [];
+}
+
+util.inherits(exports.IS_AIC, baseClient.pkt);
+
+exports.IS_AIC.prototype._SCHEMA = packet('IS_AIC', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'inputs', 'type': 'struct', 'struct': exports.IS_AIINPUTVAL, 'variable': true, 'max': 20 }
+]);
+
+// IS_AII Flags
+exports.AIFLAGS_IGNITION = 1;
+exports.AIFLAGS_CHUP = 4;
+exports.AIFLAGS_CHDN = 8;
+
+/**
+ * Insim Packet IS_AII, InSim 9. The car's motion is as OutSim's OS_PACK
+ * has it.
+ *
+ * @api public
+ */
+exports.IS_AII = function()
+{
+	this.size = 96;
+	this.type = exports.ISP_AII;
+	this.reqi = 0;
+	this.plid = 0;
+
+	this.angvelx = 0;
+	this.angvely = 0;
+	this.angvelz = 0;
+
+	this.heading = 0;
+	this.pitch = 0;
+	this.roll = 0;
+
+	this.accelx = 0;
+	this.accely = 0;
+	this.accelz = 0;
+
+	this.velx = 0;
+	this.vely = 0;
+	this.velz = 0;
+
+	this.posx = 0;
+	this.posy = 0;
+	this.posz = 0;
+
+	this.flags = 0;
+	this.gear = 0;
+	this.sp2 = 0;
+	this.sp3 = 0;
+
+	this.rpm = 0;
+	this.spf0 = 0;
+	this.spf1 = 0;
+
+	this.showlights = 0;
+	this.spu1 = 0;
+	this.spu2 = 0;
+	this.spu3 = 0;
+}
+
+util.inherits(exports.IS_AII, baseClient.pkt);
+
+exports.IS_AII.prototype._SCHEMA = packet('IS_AII', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'angvelx', 'type': 'float' },
+	{ 'name': 'angvely', 'type': 'float' },
+	{ 'name': 'angvelz', 'type': 'float' },
+	{ 'name': 'heading', 'type': 'float' },
+	{ 'name': 'pitch', 'type': 'float' },
+	{ 'name': 'roll', 'type': 'float' },
+	{ 'name': 'accelx', 'type': 'float' },
+	{ 'name': 'accely', 'type': 'float' },
+	{ 'name': 'accelz', 'type': 'float' },
+	{ 'name': 'velx', 'type': 'float' },
+	{ 'name': 'vely', 'type': 'float' },
+	{ 'name': 'velz', 'type': 'float' },
+	{ 'name': 'posx', 'type': 'int' },
+	{ 'name': 'posy', 'type': 'int' },
+	{ 'name': 'posz', 'type': 'int' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'gear', 'type': 'byte' },
+	{ 'name': 'sp2', 'type': 'byte', 'reserved': true },
+	{ 'name': 'sp3', 'type': 'byte', 'reserved': true },
+	{ 'name': 'rpm', 'type': 'float' },
+	{ 'name': 'spf0', 'type': 'float', 'reserved': true },
+	{ 'name': 'spf1', 'type': 'float', 'reserved': true },
+	{ 'name': 'showlights', 'type': 'unsigned' },
+	{ 'name': 'spu1', 'type': 'unsigned', 'reserved': true },
+	{ 'name': 'spu2', 'type': 'unsigned', 'reserved': true },
+	{ 'name': 'spu3', 'type': 'unsigned', 'reserved': true }
+]);
+
+/**
+ * Builds a packet table for a protocol version, starting from the table of an
+ * earlier version.
+ *
+ * @api private
+ * @param {Number} version InSim version
+ * @param {Number} scale Multiplier of the size byte
+ * @param {Object} base Protocol to start from, if any
+ * @param {Object} packets Packet constructors, by name, to add or replace
+ * @return {Object}
+ */
+var protocol = function(version, scale, base, packets)
+{
+	var p = {
+		'version': version,
+		'scale': scale,
+		'packets': {}
+	};
+
+	if (base)
+	{
+		for (var i in base.packets)
+			p.packets[i] = base.packets[i];
+	}
+
+	for (var i in packets)
+		p.packets[i] = packets[i];
+
+	return p;
+}
+
+/**
+ * Packet tables and framing rules, by InSim version. Versions without a table
+ * of their own use the closest earlier one, so InSim 6 to 8 are treated as 5.
+ *
+ * InSim 9 sends the packet size divided by 4 in the size byte.
+ *
+ * @api public
+ */
+exports.PROTOCOLS = {};
+
+(function()
+{
+	var v5 = {};
+	for (var i = exports.ISP_ISI; i <= exports.ISP_ACR; i++)
+		v5[exports.ISP_XLATED[i]] = exports[exports.ISP_XLATED[i]];
+
+	exports.PROTOCOLS[5] = protocol(5, 1, null, v5);
+
+	exports.PROTOCOLS[9] = protocol(9, 4, exports.PROTOCOLS[5], {
+		'IS_NPL': IS_NPL9,
+		'IS_HCP': exports.IS_HCP,
+		'IS_NCI': exports.IS_NCI,
+		'IS_TTC': exports.IS_TTC,
+		'IS_SLC': exports.IS_SLC,
+		'IS_CSC': exports.IS_CSC,
+		'IS_CIM': exports.IS_CIM,
+		'IS_MAL': exports.IS_MAL,
+		'IS_PLH': exports.IS_PLH,
+		'IS_JRR': exports.IS_JRR,
+		'IS_UCO': exports.IS_UCO,
+		'IS_OCO': exports.IS_OCO,
+		'IS_IPB': exports.IS_IPB,
+		'IS_AIC': exports.IS_AIC,
+		'IS_AII': exports.IS_AII
+	});
+})();
+
+/**
+ * Returns the packet table and framing rules for an InSim version.
+ *
+ * @api public
+ * @param {Number} version
+ * @return {Object}
+ */
+exports.getProtocol = function(version)
+{
+	var best = exports.VERSION;
+
+	for (var i in exports.PROTOCOLS)
+	{
+		var v = parseInt(i, 10);
+		if ((v <= version) && (v > best))
+			best = v;
+	}
+
+	return exports.PROTOCOLS[best];
+}
+
+/**
+ * Packets that LFS replies with to each IS_TINY request, used by
+ * Client.prototype.request when no expect option is given.
+ *
+ * @api private
+ */
+var tinyReplies = {};
+tinyReplies[exports.TINY_VER] = [ 'IS_VER' ];
+tinyReplies[exports.TINY_PING] = [ 'IS_TINY' ];
+tinyReplies[exports.TINY_SCP] = [ 'IS_CPP' ];
+tinyReplies[exports.TINY_SST] = [ 'IS_STA' ];
+tinyReplies[exports.TINY_GTH] = [ 'IS_SMALL' ];
+tinyReplies[exports.TINY_ISM] = [ 'IS_ISM' ];
+tinyReplies[exports.TINY_NCN] = [ 'IS_NCN' ];
+tinyReplies[exports.TINY_NPL] = [ 'IS_NPL' ];
+tinyReplies[exports.TINY_RES] = [ 'IS_RES' ];
+tinyReplies[exports.TINY_NLP] = [ 'IS_NLP' ];
+tinyReplies[exports.TINY_MCI] = [ 'IS_MCI' ];
+tinyReplies[exports.TINY_REO] = [ 'IS_REO' ];
+tinyReplies[exports.TINY_RST] = [ 'IS_RST' ];
+tinyReplies[exports.TINY_AXI] = [ 'IS_AXI' ];
+tinyReplies[exports.TINY_RIP] = [ 'IS_RIP' ];
+tinyReplies[exports.TINY_NCI] = [ 'IS_NCI' ];
+tinyReplies[exports.TINY_ALC] = [ 'IS_SMALL' ];
+tinyReplies[exports.TINY_AXM] = [ 'IS_AXM' ];
+tinyReplies[exports.TINY_SLC] = [ 'IS_SLC' ];
+tinyReplies[exports.TINY_MAL] = [ 'IS_MAL' ];
+tinyReplies[exports.TINY_PLH] = [ 'IS_PLH' ];
+tinyReplies[exports.TINY_IPB] = [ 'IS_IPB' ];
+
+/**
+ * Error passed to the callback of Client.prototype.request when it could not
+ * be completed.
+ *
+ * Codes -
+ *  - ETIMEDOUT: no complete reply within the timeout
+ *  - EDISCONNECTED: the connection was lost before the reply was complete
+ *  - EDROPPED: the send queue dropped the request
+ *  - ENOREQI: every ReqI is in use by another request
+ *
+ * @api public
+ * @extends Error
+ * @param {String} code
+ * @param {String} message
+ * @param {Array} [packets] Packets collected before the request failed
+ */
+var RequestError = function(code, message, packets)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, RequestError);
+
+	this.name = 'RequestError';
+	this.code = code;
+	this.message = message;
+	this.packets = packets || [];
+}
+
+util.inherits(RequestError, Error);
+
+/**
+ * Exports the RequestError object
+ *
+ * @api public
+ */
+exports.RequestError = RequestError;
+
+/**
+ * Formats up to max bytes of a buffer as a hex dump, 16 bytes to a line.
+ *
+ * @api private
+ * @param {Buffer} buf
+ * @param {Number} [max] Bytes to dump (default 256)
+ * @return {String}
+ */
+var hexdump = function(buf, max)
+{
+	max = Math.min(buf.length, max || 256);
+
+	var lines = [];
+	for (var o = 0; o < max; o += 16)
+	{
+		var hex = [];
+		var ascii = '';
+
+		for (var i = o; i < Math.min(o + 16, max); i++)
+		{
+			hex.push(((buf[i] < 16) ? '0' : '') + buf[i].toString(16));
+			ascii += ((buf[i] >= 32) && (buf[i] < 127)) ? String.fromCharCode(buf[i]) : '.';
+		}
+
+		while (hex.length < 16)
+			hex.push('  ');
+
+		lines.push(('000' + o.toString(16)).substr(-4) + '  ' + hex.join(' ') + '  |' + ascii + '|');
+	}
+
+	if (max < buf.length)
+		lines.push('... ' + (buf.length - max) + ' more bytes');
+
+	return lines.join('\n');
+}
+
+/**
+ * Error emitted as protocolerror when LFS sends something that makes no sense.
+ *
+ * Codes -
+ *  - EFRAMESIZE: the size byte is 0, or not a multiple of 4
+ *  - EPACKETSIZE: the size doesn't fit the packet type
+ *  - EBACKLOG: more than maxbacklog bytes are waiting for a packet to finish
+ *  - EDECODE: the packet couldn't be unpacked
+ *
+ * @api public
+ * @extends Error
+ * @param {String} code
+ * @param {String} message
+ * @param {Buffer} [data] The offending data
+ */
+var ProtocolError = function(code, message, data)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, ProtocolError);
+
+	this.name = 'ProtocolError';
+	this.code = code;
+	this.message = message;
+	this.data = data || null;
+	this.dump = data ? hexdump(data) : '';
+}
+
+util.inherits(ProtocolError, Error);
+
+/**
+ * Exports the ProtocolError object
+ *
+ * @api public
+ */
+exports.ProtocolError = ProtocolError;
+
+/**
+ * Constant prefixes for fields that take symbolic names, so that a name can
+ * be given without its prefix, i.e. 'NCN' for TINY_NCN. Full constant names,
+ * i.e. 'TINY_NCN', are accepted for any numeric field.
+ *
+ * @api private
+ */
+var symbols = {
+	'IS_TINY.subt': 'TINY_',
+	'IS_SMALL.subt': 'SMALL_',
+	'IS_TTC.subt': 'TTC_',
+	'IS_BFN.subt': 'BFN_',
+	'IS_BTN.bstyle': 'ISB_',
+	'IS_ISI.flags': 'ISF_',
+	'IS_MTC.sound': 'SND_',
+	'IS_MSL.sound': 'SND_',
+	'IS_SFP.flag': 'ISS_',
+	'IS_CPP.flags': 'ISS_',
+	'IS_CPP.ingamecam': 'VIEW_',
+	'IS_SCC.ingamecam': 'VIEW_',
+	'IS_AXM.pmoaction': 'PMO_',
+	'IS_PLA.fact': 'PITLANE_',
+	'IS_CSC.cscaction': 'CSC_',
+	'IS_FLG.flag': 'FLG_'
+};
+
+/**
+ * Limits LFS puts on fields, on top of what their wire type can hold
+ *
+ * @api private
+ */
+var limits = {
+	// buttons live in a 200 by 200 area, and there are 240 of them
+	'IS_BTN.clickid': { 'min': 0, 'max': 239 },
+	'IS_BTN.l': { 'min': 0, 'max': 200 },
+	'IS_BTN.t': { 'min': 0, 'max': 200 },
+	'IS_BTN.w': { 'min': 0, 'max': 200 },
+	'IS_BTN.h': { 'min': 0, 'max': 200 },
+	'IS_BFN.clickid': { 'min': 0, 'max': 239 }
+};
+
+/**
+ * Error thrown by build when the packet or its values aren't valid.
+ *
+ * @api public
+ * @extends Error
+ * @param {String} name Packet name
+ * @param {Array} errors Human readable problems
+ */
+var PacketError = function(name, errors)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, PacketError);
+
+	this.name = 'PacketError';
+	this.packet = name;
+	this.errors = errors;
+	this.message = 'Invalid ' + name + ' - ' + errors.join(', ');
+}
+
+util.inherits(PacketError, Error);
+
+/**
+ * Exports the PacketError object
+ *
+ * @api public
+ */
+exports.PacketError = PacketError;
+
+/**
+ * Converts a symbolic value into a number. Numbers are left as they are,
+ * constant names are looked up, and arrays of either are OR'd together, as
+ * flags.
+ *
+ * @api private
+ * @param {String} where Packet and field name, i.e. IS_BTN.bstyle
+ * @param {Mixed} value
+ * @param {Array} errors Problems are added to this
+ * @return {Mixed}
+ */
+var resolveSymbol = function(where, value, errors)
+{
+	if (Array.isArray(value))
+	{
+		var flags = 0;
+
+		for (var i = 0; i < value.length; i++)
+			flags |= resolveSymbol(where, value[i], errors);
+
+		return flags;
+	}
+
+	if (typeof value != 'string')
+		return value;
+
+	var prefix = symbols[where];
+	var upper = value.toUpperCase();
+
+	if (typeof exports[upper] == 'number')
+		return exports[upper];
+
+	if (prefix && (typeof exports[prefix + upper] == 'number'))
+		return exports[prefix + upper];
+
+	errors.push(where + ': unknown constant ' + value);
+	return 0;
+}
+
+/**
+ * Builds a packet from the given values, validating them. Numeric fields
+ * take constant names as well as numbers, and flag fields take arrays of
+ * them, i.e.
+ *
+ *  insim.build('IS_BTN', { 'ucid': 0, 'clickid': 1, 'text': 'Hello',
+ *    'l': 50, 't': 50, 'w': 40, 'h': 10, 'bstyle': [ 'ISB_DARK', 'ISB_CLICK' ] });
+ *  insim.build('IS_TINY', { 'reqi': 1, 'subt': 'NCN' });
+ *
+ * Throws a PacketError describing everything that is wrong, such as unknown
+ * fields, unknown constants, numbers that are out of range for their field
+ * and strings that are too long.
+ *
+ * @api public
+ * @param {String} name Packet name, i.e. IS_BTN
+ * @param {Object} [values] Field values
+ * @return {Object} Packet
+ */
+exports.build = function(name, values)
+{
+	var ctor = exports[name];
+
+	if ((typeof ctor != 'function') || !ctor.prototype._SCHEMA)
+		throw new PacketError(name, [ 'no such packet' ]);
+
+	var pkt = new ctor;
+	var sch = ctor.prototype._SCHEMA;
+	var errors = [];
+
+	var fields = {};
+	for (var i = 0; i < sch.fields.length; i++)
+		fields[sch.fields[i].name] = sch.fields[i];
+
+	for (var i in values)
+	{
+		var field = fields[i];
+		var where = name + '.' + i;
+
+		// size and type are taken care of when packing
+		if (!field || field.reserved || (i == 'size') || (i == 'type'))
+		{
+			errors.push(where + ': no such field');
+			continue;
+		}
+
+		pkt[i] = (field.type == 'string' || field.type == 'struct') ? values[i] : resolveSymbol(where, values[i], errors);
+	}
+
+	errors = errors.concat(sch.validate(pkt));
+
+	for (var i in fields)
+	{
+		var l = limits[name + '.' + i];
+		if (!l || (typeof pkt[i] != 'number'))
+			continue;
+
+		// already out of range for its wire type
+		var where = name + '.' + i + ':';
+		if (errors.some(function(e) { return (e.indexOf(where) == 0); }))
+			continue;
+
+		if ((pkt[i] < l.min) || (pkt[i] > l.max))
+			errors.push(name + '.' + i + ': ' + pkt[i] + ' is out of range (' + l.min + ' to ' + l.max + ')');
+	}
+
+	if (errors.length > 0)
+		throw new PacketError(name, errors);
+
+	return pkt;
+}
+
+/**
+ * Client object that represents an OutGauge connection.
+ *
+ * @api public
+ * @extends Client
+ * @param {Object} options Options object
+ * @param {Object} [log] Logger instance
+ */
+var Client = function(options, log)
+{
+	var self = this;
+
+	baseClient.client.call(this, options, log);
+
+	self.buffer = new BufferList;
+	self.stream = null;
+	self.udpStream = null;
+
+	// sub-packets reused between packets of the same type, such as IS_MCI
+	// and IS_NLP, if the reusepackets option is enabled
+	self.pools = {};
+
+	// outbound packets are held here until we're connected, and paced
+	self.queue = sendqueue.create(self.options.queue, function(pkt)
+	{
+		return self.write(pkt);
+	});
+
+	self.queue.on('overflow', function(pkt, metrics)
+	{
+		self.log.warn('Send queue overflow, dropped ' + exports.translatePktIdToName(pkt.type));
+		self.emit('queue:overflow', pkt, metrics);
+	});
+
+	self.queue.on('metrics', function(metrics)
+	{
+		self.emit('queue:metrics', metrics);
+	});
+
+	self.on('preconnect', function()
+	{
+		self.queue.pause();
+	});
+
+	self.on('connect', function()
+	{
+		self.queue.resume();
+		self.startKeepalive();
+	});
+
+	// disconnect is terminal, nothing queued will ever be sent
+	self.on('disconnect', function()
+	{
+		self.queue.clear();
+		self.stopKeepalive();
+	});
+
+	// round trip time of the last keepalive ping, in ms, null until measured
+	self.latency = null;
+	self.missedPings = 0;
+	self.keepaliveTimer = null;
+
+	// outstanding requests, by ReqI. see request
+	self.requests = {};
+	self.lastReqi = 1;
+
+	// pending reconnection, and whether we're closing on purpose, in which
+	// case we don't reconnect
+	self.reconnectTimer = null;
+	self.closing = false;
+
+	// times we've had to resync the stream since connecting. see resync
+	self.resyncs = 0;
+
+	// negotiated with LFS on connect, 0 until then
+	self.insimVersion = 0;
+	self.protocol = exports.getProtocol(exports.VERSION);
+
+	// should be set by plugins automagically
+	// when the plugin init function is called
+	self.isiFlags = 0;
+	self.udpPort = 0;
+
+	self.isHost = '';
+	self.hostname = '';
+
+	// 'this' context that plugin functions are call
+	self.ctx.insim = exports;
+	self.ctx.outgauge = require('./outgauge');
+	self.ctx.outsim = require('./outsim');
+
+	self.registerHook('IS_VER', self.onIS_VER);
+
+	// chat commands, registered by plugins
+	self.commands = commands.create(self);
+
+	self.registerHook('IS_MSO', function(pkt)
+	{
+		self.commands.onIS_MSO(pkt);
+	});
+};
+
+util.inherits(Client, baseClient.client);
+
+/**
+ * Sets the associated client options, passing any send queue options on to the
+ * queue.
+ *
+ * @api public
+ * @param {Object} [options] Configuration
+ */
+Client.prototype.setOptions = function(options)
+{
+	baseClient.client.prototype.setOptions.call(this, options);
+
+	// not yet created when called by the base constructor
+	if (this.queue)
+		this.queue.setOptions(this.options.queue);
+}
+
+/**
+ * Connects to LFS, see open.
+ *
+ * The promise resolves once LFS has replied with IS_VER, including after
+ * any reconnection attempts, and rejects with an EDISCONNECTED error if the
+ * client gives up and disconnects first.
+ *
+ * @api public
+ * @return {Promise}
+ */
+Client.prototype.connect = function()
+{
+	var self = this;
+
+	var connected = self.settle('connect', 'disconnect', 'EDISCONNECTED', 'Disconnected before connecting');
+
+	self.open();
+
+	return connected;
+}
+
+/**
+ * Opens the connection to LFS, and registers a handful of callbacks to deal
+ * with disconnections, etc. Reconnection attempts call this rather than
+ * connect, so that they don't each leave a promise waiting.
+ *
+ * @api private
+ */
+Client.prototype.open = function()
+{
+	var self = this;
+
+	self.emit('preconnect');
+
+	// nothing left over from a previous connection belongs to this one
+	self.buffer = new BufferList;
+	self.resyncs = 0;
+
+	// bind our udp socket first, so it's ready before LFS starts sending to it
+	self.connectUdp();
+
+	self.stream = net.createConnection(self.options.port, self.options.host);
+
+	// connect
+	self.stream.on('connect', function(socket)
+	{
+		self.handshake.call(self);
+	});
+
+	// data
+	self.stream.on('data', function(data)
+	{
+		self.record(data, false);
+		self.receive.call(self, data);
+	});
+
+	// the socket has caught up, carry on sending
+	self.stream.on('drain', function()
+	{
+		self.queue.unblock();
+	});
+
+	self.stream.on('close', function(err)
+	{
+		self.log.info('Disconnected ');
+
+		self.queue.pause();
+		self.stopKeepalive();
+		self.disconnectUdp();
+
+		// whatever they were waiting for will never arrive
+		self.failRequests('EDISCONNECTED', 'Disconnected before the reply was complete');
+
+		// we were asked to disconnect, so don't come back
+		var delay = self.closing ? -1 : reconnect.delay(self.reconnectAttempts + 1, self.options);
+
+		if (delay >= 0)
+		{
+			self.reconnectAttempts++;
+
+			self.log.info('Lost connection, attempting reconnect (' + self.reconnectAttempts + ') in ' + (delay / 1000) + ' seconds');
+
+			self.reconnectTimer = setTimeout(function()
+			{
+				self.reconnectTimer = null;
+				self.open();
+			}, delay);
+
+			self.emit('reconnecting', self.reconnectAttempts, delay);
+			return;
+		}
+
+		self.closing = false;
+
+		// disconnect only gets emitted after all reconnection attempts have
+		// been made
+		// really disconnect should be thought of as a terminating event
+		self.emit('disconnect');
+
+		if (err)
+			self.log.info('Server disappeared');
+	});
+
+	// error handling
+	self.stream.on('error', function(err)
+	{
+		self.log.crit(err);
+	});
+
+	self.stream.on('timeout', function()
+	{
+		self.deadLink('Timeout occured');
+	});
+}
+
+/**
+ * Measures the round trip time to LFS, by sending TINY_PING and waiting for
+ * TINY_REPLY. The result is kept in latency, and emitted as a latency event.
+ *
+ * @api public
+ * @param {Object} [opts] Request options, i.e. timeout
+ * @param {Function} [next] Called with an error, or the round trip time in ms
+ * @return {Promise} Without next, a promise for the round trip time
+ */
+Client.prototype.ping = function(opts, next)
+{
+	var self = this;
+
+	if (typeof opts == 'function')
+	{
+		next = opts;
+		opts = {};
+	}
+
+	opts = opts || {};
+
+	if (!next)
+	{
+		return new Promise(function(resolve, reject)
+		{
+			self.ping(opts, function(err, latency)
+			{
+				if (err)
+					reject(err);
+				else
+					resolve(latency);
+			});
+		});
+	}
+
+	var p = new exports.IS_TINY;
+	p.subt = exports.TINY_PING;
+
+	// the queue would otherwise be measured as well as the link
+	var reqOpts = { 'priority': sendqueue.PRIORITY_HIGH };
+	for (var i in opts)
+		reqOpts[i] = opts[i];
+
+	var sent = Date.now();
+
+	self.request(p, reqOpts, function(err)
+	{
+		if (err)
+		{
+			next(err);
+			return;
+		}
+
+		self.latency = Date.now() - sent;
+		self.emit('latency', self.latency);
+
+		next(null, self.latency);
+	});
+}
+
+/**
+ * Starts pinging LFS every keepalive seconds, if the keepalive option is
+ * set. A ping that isn't answered within the interval is missed, and after
+ * keepalivemisses missed pings in a row the link is declared dead.
+ *
+ * @api private
+ */
+Client.prototype.startKeepalive = function()
+{
+	var self = this;
+
+	self.stopKeepalive();
+	self.missedPings = 0;
+
+	var interval = parseFloat(self.options.keepalive) * 1000;
+
+	// there's nobody to answer when replaying
+	if (!(interval > 0) || self.replaying)
+		return;
+
+	var misses = parseInt(self.options.keepalivemisses, 10);
+	if (!(misses > 0))
+		misses = 3;
+
+	var tick = function()
+	{
+		self.keepaliveTimer = null;
+
+		var sent = Date.now();
+
+		self.ping({ 'timeout': interval }, function(err)
+		{
+			// stopped while we were waiting
+			if (self.missedPings < 0)
+				return;
+
+			if (!err)
+			{
+				self.missedPings = 0;
+				self.keepaliveTimer = setTimeout(tick, Math.max(0, interval - (Date.now() - sent)));
+				return;
+			}
+
+			// disconnected, close has dealt with it
+			if (err.code == 'EDISCONNECTED')
+				return;
+
+			self.missedPings++;
+			self.log.warn('No reply to keepalive ping (' + self.missedPings + ' of ' + misses + ') - ' + err.message);
+
+			if (self.missedPings >= misses)
+			{
+				self.deadLink('No reply to ' + self.missedPings + ' keepalive pings');
+				return;
+			}
+
+			// we've already waited the interval
+			tick();
+		});
+	};
+
+	self.keepaliveTimer = setTimeout(tick, interval);
+}
+
+/**
+ * Stops pinging LFS.
+ *
+ * @api private
+ */
+Client.prototype.stopKeepalive = function()
+{
+	if (this.keepaliveTimer)
+	{
+		clearTimeout(this.keepaliveTimer);
+		this.keepaliveTimer = null;
+	}
+
+	// tells a ping that is still waiting that it's no longer wanted
+	this.missedPings = -1;
+}
+
+/**
+ * Gives up on a connection that LFS has stopped answering, without closing
+ * it. The socket is destroyed, so that the usual reconnection logic applies.
+ *
+ * @api private
+ * @param {String} reason
+ */
+Client.prototype.deadLink = function(reason)
+{
+	var self = this;
+
+	self.log.crit('Connection is dead - ' + reason);
+
+	self.stopKeepalive();
+
+	if (self.stream)
+		self.stream.destroy();
+}
+
+/**
+ * Called once the TCP connection is established. Sends IS_ISI to initialise
+ * InSim and request the version from LFS.
+ *
+ * @api private
+ */
+Client.prototype.handshake = function()
+{
+	var self = this;
+
+	var p = new exports.IS_ISI;
+	p.iname = self.name;
+	p.flags = self.isiFlags;
+	p.interval = 1000;
+	p.udpport = self.udpPort;
+
+	if ((self.options.admin != undefined) && (self.options.admin.length > 0))
+		p.admin = self.options.admin;
+
+	if ((self.options.prefix != undefined) && (self.options.prefix.length == 1))
+		p.prefix = self.options.prefix;
+
+	if ((self.options.udpport != undefined) && (self.options.udpport > 0))
+		p.udpport = self.options.udpport;
+
+	// until LFS replies we talk the version we've asked for
+	var version = self.requestedVersion();
+	self.insimVersion = 0;
+	self.protocol = exports.getProtocol(version);
+
+	if (version > exports.VERSION)
+		p.insimver = version;
+
+	// request the InSim version from host. everything else is held until LFS
+	// replies with IS_VER
+	self.request(p, { 'expect': [ 'IS_VER' ], 'count': 1, 'immediate': true }, function(err)
+	{
+		if (err)
+			self.log.warn('No IS_VER in reply to IS_ISI - ' + err.message);
+	});
+}
+
+/**
+ * Returns the InSim version to ask LFS for, from the insimver option.
+ *
+ * @api private
+ * @return {Number}
+ */
+Client.prototype.requestedVersion = function()
+{
+	var version = parseInt(this.options.insimver, 10);
+
+	if (isNaN(version) || (version < exports.VERSION))
+		return exports.VERSION;
+
+	return Math.min(version, exports.LATEST_VERSION);
+}
+
+/**
+ * Settles on the InSim version to use, given the version reported by LFS in
+ * IS_VER, and switches to the matching packet table and framing.
+ *
+ * @api private
+ * @param {Number} reported InSim version reported by LFS
+ */
+Client.prototype.negotiate = function(reported)
+{
+	var self = this;
+
+	var requested = self.requestedVersion();
+
+	// older hosts ignore what we've asked for and talk their own version
+	self.insimVersion = Math.min(requested, reported);
+	self.protocol = exports.getProtocol(self.insimVersion);
+
+	if (reported < exports.VERSION)
+		self.log.crit('LFS reported InSim version ' + reported + ', which is older than we support. May result in undesirable behaviour!');
+	else if (reported < requested)
+		self.log.info('LFS reported InSim version ' + reported + ', falling back from ' + requested);
+
+	self.log.info('Using InSim version ' + self.insimVersion);
+}
+
+/**
+ * Returns true if a packet is part of the negotiated InSim version, so that
+ * plugins can check before relying on newer packets.
+ *
+ * @api public
+ * @param {String} name Packet name, i.e. IS_NCI
+ * @return {Boolean}
+ */
+Client.prototype.supports = function(name)
+{
+	return !!this.protocol.packets[name];
+}
+
+/**
+ * Closes the socket that is listening for data.
+ *
+ * @api public
+ * @return {Promise} Resolves once disconnected
+ */
+Client.prototype.disconnect = function()
+{
+	var self = this;
+
+	// waiting to reconnect, there's nothing to close
+	if (self.reconnectTimer)
+	{
+		clearTimeout(self.reconnectTimer);
+		self.reconnectTimer = null;
+
+		self.emit('disconnect');
+		return Promise.resolve();
+	}
+
+	// never connected, or already disconnected
+	if (!self.stream || self.stream.destroyed)
+		return Promise.resolve();
+
+	var disconnected = self.settle('disconnect');
+
+	self.closing = true;
+
+	var p = new exports.IS_TINY;
+	p.subt = exports.TINY_CLOSE;
+	self.send(p, { 'immediate': true });
+
+	self.stream.end();
+
+	self.disconnectUdp();
+
+	return disconnected;
+}
+
+/**
+ * Binds a UDP socket to the configured udpport, if any. LFS sends IS_NLP and
+ * IS_MCI to this port, instead of the TCP connection, as well as any OutSim
+ * or OutGauge data requested through IS_SMALL.
+ *
+ * @api private
+ */
+Client.prototype.connectUdp = function()
+{
+	var self = this;
+
+	// tidy up anything left over from a previous connection
+	self.disconnectUdp();
+
+	if ((self.options.udpport == undefined) || (self.options.udpport <= 0))
+		return;
+
+	self.udpStream = dgram.createSocket('udp4');
+
+	self.udpStream.on('message', function(data, rinfo)
+	{
+		self.record(data, false, rinfo);
+		self.receiveUdp.call(self, data, rinfo);
+	});
+
+	self.udpStream.on('error', function(err)
+	{
+		self.log.crit(err);
+	});
+
+	self.udpStream.bind(self.options.udpport);
+}
+
+/**
+ * Closes the UDP socket, if one is open.
+ *
+ * @api private
+ */
+Client.prototype.disconnectUdp = function()
+{
+	var self = this;
+
+	if (!self.udpStream)
+		return;
+
+	self.udpStream.removeAllListeners('message');
+
+	try
+	{
+		self.udpStream.close();
+	}
+	catch (err)
+	{
+		// already closed
+	}
+
+	self.udpStream = null;
+}
+
+/**
+ * Sends a packet to LFS. Packets are queued until we're connected, and then
+ * paced, so this is safe to call at any time. Replies to LFS' keep alive
+ * (TINY_NONE) are high priority by default.
+ *
+ * Send options -
+ *  - priority: sendqueue.PRIORITY_HIGH, PRIORITY_NORMAL or PRIORITY_LOW
+ *  - merge: replaces any queued packet with the same key
+ *  - ttl: ms after which the packet is dropped, if it's still queued
+ *  - immediate: skip the queue entirely
+ *
+ * @api public
+ * @param {Object} pkt
+ * @param {Object} [opts] Send options
+ * @return {Boolean} false if the packet was dropped
+ */
+Client.prototype.send = function(pkt, opts)
+{
+	var self = this;
+
+	var o = {};
+	for (var i in opts)
+		o[i] = opts[i];
+
+	if ((o.priority == undefined) && (pkt.type == exports.ISP_TINY) && (pkt.subt == exports.TINY_NONE))
+		o.priority = sendqueue.PRIORITY_HIGH;
+
+	return self.queue.push(pkt, o);
+}
+
+/**
+ * Sends a packet, returning a promise that resolves once LFS has dealt with
+ * it. A TINY_PING follows the packet, and LFS' TINY_REPLY is the ack. The
+ * promise rejects with a RequestError if the packet is dropped, or there's
+ * no reply in time.
+ *
+ * Usage -
+ *  await client.sendAck(insim.build('IS_MST', { 'msg': '/restart' }));
+ *
+ * @api public
+ * @param {Object} pkt Packet instance
+ * @param {Object} [opts] Send options, and the request timeout
+ * @return {Promise}
+ */
+Client.prototype.sendAck = function(pkt, opts)
+{
+	var self = this;
+
+	opts = opts || {};
+
+	return new Promise(function(resolve, reject)
+	{
+		if (!self.send(pkt, opts))
+		{
+			reject(new RequestError('EDROPPED', 'Packet dropped by the send queue'));
+			return;
+		}
+
+		// the ping has to follow the packet, so it mustn't be merged into it
+		var o = {};
+		for (var i in opts)
+			o[i] = opts[i];
+		delete o.merge;
+
+		var p = new exports.IS_TINY;
+		p.subt = exports.TINY_PING;
+
+		self.request(p, o, function(err)
+		{
+			if (err)
+				reject(err);
+			else
+				resolve();
+		});
+	});
+}
+
+/**
+ * Sends an IS_TINY, or requests its reply if a callback is given.
+ *
+ * Usage -
+ *  this.client.tiny('NCN', function(err, pkts) { ... });
+ *  this.client.tiny('CLR');
+ *
+ * @api public
+ * @param {String|Number} subt TINY_ name, with or without the prefix, or
+ * number
+ * @param {Function} [next] Called with (err, packets), see request
+ * @return {Boolean} false if the packet was dropped, when not a request
+ */
+Client.prototype.tiny = function(subt, next)
+{
+	var p = exports.build('IS_TINY', { 'subt': subt });
+
+	if (next)
+		return this.request(p, next);
+
+	return this.send(p);
+}
+
+/**
+ * Sends an IS_SMALL, or requests its reply if a callback is given.
+ *
+ * Usage -
+ *  this.client.small('SSG', 10);
+ *
+ * @api public
+ * @param {String|Number} subt SMALL_ name, with or without the prefix, or
+ * number
+ * @param {Number} [uval] Value (default 0)
+ * @param {Function} [next] Called with (err, packets), see request
+ * @return {Boolean} false if the packet was dropped, when not a request
+ */
+Client.prototype.small = function(subt, uval, next)
+{
+	if (typeof uval == 'function')
+	{
+		next = uval;
+		uval = 0;
+	}
+
+	var p = exports.build('IS_SMALL', { 'subt': subt, 'uval': uval || 0 });
+
+	if (next)
+		return this.request(p, next);
+
+	return this.send(p);
+}
+
+/**
+ * Most bytes of text each message packet can carry, leaving room for the
+ * null terminator
+ *
+ * @api private
+ */
+var messageLimits = {
+	'IS_MST': 63,
+	'IS_MSX': 95,
+	'IS_MSL': 127,
+	'IS_MTC': 127
+};
+
+/**
+ * Sends text as one or more message packets of the given type, wrapping it
+ * into as many lines as it takes. For IS_MSX, each line that fits in IS_MST
+ * goes as IS_MST instead.
+ *
+ * @api private
+ * @param {String} name IS_MSX, IS_MSL or IS_MTC
+ * @param {String} text
+ * @param {Object} [values] Copied onto each packet, i.e. ucid and sound
+ * @return {Boolean} false if any of the packets were dropped
+ */
+Client.prototype.sendText = function(name, text, values)
+{
+	var self = this;
+
+	var lines = strings.wrap(text, messageLimits[name]);
+	var ok = true;
+
+	for (var i = 0; i < lines.length; i++)
+	{
+		var type = name;
+
+		// short enough for IS_MST. anything starting with / would be run as
+		// a command, so it stays in IS_MSX
+		if ((name == 'IS_MSX') && (lines[i][0] != '/') && (strings.fromUTF8(lines[i]).length <= messageLimits.IS_MST))
+			type = 'IS_MST';
+
+		var p = new exports[type];
+		for (var j in values)
+			p[j] = values[j];
+
+		p[(type == 'IS_MTC') ? 'text' : 'msg'] = lines[i];
+
+		if (!self.send(p))
+			ok = false;
+	}
+
+	return ok;
+}
+
+/**
+ * Says something to everyone on the host, as the host. Text too long for
+ * IS_MSX is wrapped over several messages, keeping its colour, and each of
+ * them is sent as IS_MST if it's short enough, otherwise as IS_MSX. Text
+ * starting with / is sent as a command.
+ *
+ * @api public
+ * @param {String} text Text, which may contain colour codes
+ * @return {Boolean} false if any of the packets were dropped
+ */
+Client.prototype.say = function(text)
+{
+	text = String(text);
+
+	if (text[0] == '/')
+		return this.command(text);
+
+	return this.sendText('IS_MSX', text);
+}
+
+/**
+ * Sends a message to a single connection or player, or to everyone with a
+ * ucid of 255, as IS_MTC. Long messages are wrapped over several messages,
+ * keeping their colour.
+ *
+ * @api public
+ * @param {Number|Object} to ucid, or an object with either a ucid or a plid
+ * @param {String} text Text, which may contain colour codes
+ * @param {Number} [sound] SND_* (default SND_SILENT)
+ * @return {Boolean} false if any of the packets were dropped
+ */
+Client.prototype.tell = function(to, text, sound)
+{
+	var values = { 'ucid': 0, 'plid': 0, 'sound': sound || exports.SND_SILENT };
+
+	if (typeof to == 'object')
+	{
+		values.ucid = to.ucid || 0;
+		values.plid = to.plid || 0;
+	}
+	else
+		values.ucid = to;
+
+	return this.sendText('IS_MTC', String(text), values);
+}
+
+/**
+ * Runs an LFS command, such as /restart, as IS_MST. Commands can't be split,
+ * so one that is too long throws.
+ *
+ * @api public
+ * @param {String} cmd Command, the leading / is added if missing
+ * @return {Boolean} false if the packet was dropped
+ */
+Client.prototype.command = function(cmd)
+{
+	cmd = String(cmd);
+
+	if (cmd[0] != '/')
+		cmd = '/' + cmd;
+
+	if (strings.fromUTF8(cmd, true).length > messageLimits.IS_MST)
+		throw new Error('Command is longer than ' + messageLimits.IS_MST + ' bytes - ' + cmd);
+
+	var p = new exports.IS_MST;
+	p.msg = cmd;
+
+	return this.send(p);
+}
+
+/**
+ * Shows a message on the local computer only, as IS_MSL. Only of use to
+ * clients connected to a local copy of LFS (ISF_LOCAL). Long messages are
+ * wrapped over several messages, keeping their colour.
+ *
+ * @api public
+ * @param {String} text Text, which may contain colour codes
+ * @param {Number} [sound] SND_* (default SND_SILENT)
+ * @return {Boolean} false if any of the packets were dropped
+ */
+Client.prototype.local = function(text, sound)
+{
+	return this.sendText('IS_MSL', String(text), { 'sound': sound || exports.SND_SILENT });
+}
+
+/**
+ * Sends a request to LFS with its own ReqI, and collects the packets sent in
+ * reply. LFS answers requests in order, so unless a count is given a TINY_PING
+ * with the same ReqI is sent after the request, and its TINY_REPLY marks the
+ * end of the reply. This copes with multi-packet replies such as TINY_NCN,
+ * TINY_NPL and TINY_RES, as well as requests that have no reply at all.
+ *
+ * Replies are still emitted as usual. Note that with the reusepackets option,
+ * the sub-packets of collected IS_MCI and IS_NLP packets are only valid until
+ * the next packet of the same type arrives.
+ *
+ * Options, in addition to the send options -
+ *  - expect: packet names that are part of the reply. Defaults to the reply
+ *    of IS_TINY requests, otherwise all packets with the ReqI are collected
+ *  - count: complete as soon as this many packets have been collected,
+ *    rather than waiting for TINY_REPLY
+ *  - timeout: ms to wait for the complete reply (default 10000)
+ *
+ * Usage -
+ *  var t = new this.insim.IS_TINY();
+ *  t.subt = this.insim.TINY_NPL;
+ *  this.client.request(t, function(err, pkts) { ... });
+ *
+ * @api public
+ * @param {Object} pkt Request packet, its reqi is set
+ * @param {Object} [opts] Request options
+ * @param {Function} [next] Called with (err, packets)
+ * @return {Promise} Without next, a promise for the packets
+ */
+Client.prototype.request = function(pkt, opts, next)
+{
+	var self = this;
+
+	if (typeof opts == 'function')
+	{
+		next = opts;
+		opts = {};
+	}
+
+	opts = opts || {};
+
+	if (!next)
+	{
+		return new Promise(function(resolve, reject)
+		{
+			self.request(pkt, opts, function(err, packets)
+			{
+				if (err)
+					reject(err);
+				else
+					resolve(packets);
+			});
+		});
+	}
+
+	var reqi = self.nextReqi();
+	if (reqi <= 0)
+	{
+		process.nextTick(function()
+		{
+			next(new RequestError('ENOREQI', 'Too many outstanding requests'));
+		});
+		return;
+	}
+
+	var isPing = ((pkt.type == exports.ISP_TINY) && (pkt.subt == exports.TINY_PING));
+
+	var expect = opts.expect;
+	if (!expect && (pkt.type == exports.ISP_TINY))
+		expect = tinyReplies[pkt.subt];
+
+	var req = {
+		'reqi': reqi,
+		'expect': expect || null,
+		'count': (opts.count > 0) ? opts.count : 0,
+		'packets': [],
+		'timer': null,
+		'next': next
+	};
+
+	req.timer = setTimeout(function()
+	{
+		self.completeRequest(req, new RequestError('ETIMEDOUT', 'Timed out waiting for a reply to ' + exports.translatePktIdToName(pkt.type), req.packets));
+	}, (opts.timeout > 0) ? opts.timeout : 10000);
+
+	self.requests[reqi] = req;
+
+	pkt.reqi = reqi;
+
+	if (!self.send(pkt, opts))
+	{
+		self.completeRequest(req, new RequestError('EDROPPED', 'Request dropped by the send queue'));
+		return;
+	}
+
+	// a ping is its own terminator
+	if (req.count || isPing)
+		return;
+
+	var p = new exports.IS_TINY;
+	p.reqi = reqi;
+	p.subt = exports.TINY_PING;
+
+	// only the priority applies, the ping mustn't be merged away or expire
+	// before the request it follows
+	if (!self.send(p, { 'priority': opts.priority }))
+		self.completeRequest(req, new RequestError('EDROPPED', 'Request dropped by the send queue'));
+}
+
+/**
+ * Returns a ReqI that isn't in use by an outstanding request, or 0 if there
+ * are none. ReqI 1 is left for requests that don't care about their reply.
+ *
+ * @api private
+ * @return {Number}
+ */
+Client.prototype.nextReqi = function()
+{
+	var self = this;
+
+	for (var i = 0; i < 254; i++)
+	{
+		self.lastReqi = (self.lastReqi >= 255) ? 2 : (self.lastReqi + 1);
+
+		if (!self.requests[self.lastReqi])
+			return self.lastReqi;
+	}
+
+	return 0;
+}
+
+/**
+ * Adds a packet to the outstanding request with the same ReqI, if any, and
+ * completes the request if that was the end of the reply.
+ *
+ * @api private
+ * @param {String} pktName
+ * @param {Object} pkt
+ */
+Client.prototype.correlate = function(pktName, pkt)
+{
+	var self = this;
+
+	if (!pkt.reqi)
+		return;
+
+	var req = self.requests[pkt.reqi];
+	if (!req)
+		return;
+
+	var isReply = ((pktName == 'IS_TINY') && (pkt.subt == exports.TINY_REPLY));
+
+	// our terminating ping, unless a ping is what was asked for
+	if (isReply && !req.count && (!req.expect || (req.expect.indexOf('IS_TINY') < 0)))
+	{
+		self.completeRequest(req, null);
+		return;
+	}
+
+	if (req.expect && (req.expect.indexOf(pktName) < 0))
+		return;
+
+	req.packets.push(pkt);
+
+	if ((req.count && (req.packets.length >= req.count)) || isReply)
+		self.completeRequest(req, null);
+}
+
+/**
+ * Removes an outstanding request and calls its callback.
+ *
+ * @api private
+ * @param {Object} req
+ * @param {Object} err RequestError, or null on success
+ */
+Client.prototype.completeRequest = function(req, err)
+{
+	var self = this;
+
+	if (self.requests[req.reqi] !== req)
+		return;
+
+	delete self.requests[req.reqi];
+	clearTimeout(req.timer);
+
+	if (err)
+		req.next(err);
+	else
+		req.next(null, req.packets);
+}
+
+/**
+ * Fails all outstanding requests.
+ *
+ * @api private
+ * @param {String} code
+ * @param {String} message
+ */
+Client.prototype.failRequests = function(code, message)
+{
+	var self = this;
+
+	for (var i in self.requests)
+	{
+		var req = self.requests[i];
+		self.completeRequest(req, new RequestError(code, message, req.packets));
+	}
+}
+
+/**
+ * Packs and writes a packet straight to the socket. Used by the send queue.
+ *
+ * @api private
+ * @param {Object} pkt
+ * @return {Boolean} false if the socket is full and we should wait for it to
+ * drain
+ */
+Client.prototype.write = function(pkt)
+{
+	var self = this;
+
+	// there's nobody on the other end of a capture
+	if (self.replaying)
+		return true;
+
+	if (!self.stream || !self.stream.writable)
+	{
+		self.log.warn('Not connected, dropping ' + exports.translatePktIdToName(pkt.type));
+		return true;
+	}
+
+	var b = new Buffer(pkt.pack());
+
+	if (self.protocol.scale > 1)
+		b[0] = b.length / self.protocol.scale;
+
+	self.record(b, true);
+
+	return self.stream.write(b);
+}
+
+/**
+ * Receives and parses data from LFS, into distinct packets. Once parsed into
+ * complete packets it emits events containing that packet information.
+ *
+ * @api private
+ */
+Client.prototype.receive = function(data)
+{
+	var self = this;
+
+	self.buffer.push(data);
+
+	// every packet is at least 4 bytes, with the size and type up front
+	while (self.buffer.length >= 4)
+	{
+		var size = self.frameSize(self.peekByte(0), self.peekByte(1));
+
+		var err = self.checkFrame(size, self.peekByte(1));
+		if (err)
+		{
+			if (!self.resync(err))
+				return;
+
+			continue;
+		}
+
+		if (size > self.buffer.length)
+			break;
+
+		var p = self.buffer.take(size);
+		self.buffer.advance(size);
+
+		self.log.verbose('Buffer size ' + self.buffer.length);
+
+		self.parse(p);
+	}
+
+	var maxbacklog = (self.options.maxbacklog > 0) ? self.options.maxbacklog : 2048;
+	if (self.buffer.length > maxbacklog)
+		self.drop(new ProtocolError('EBACKLOG', 'Buffer is greater than the maximum permitted backlog', self.buffer.take(self.buffer.length)));
+}
+
+/**
+ * Returns the packet constructor for a packet id in the InSim version in use,
+ * or null if there isn't one.
+ *
+ * @api private
+ * @param {Number} id
+ * @return {Function}
+ */
+Client.prototype.packetClass = function(id)
+{
+	var name = exports.translatePktIdToName(id);
+
+	return (name && this.protocol.packets[name]) || null;
+}
+
+/**
+ * Checks that a packet size makes sense. Packet types we don't know are given
+ * the benefit of the doubt, as long as the size is a multiple of 4.
+ *
+ * @api private
+ * @param {Number} size Size in bytes
+ * @param {Number} id Packet id
+ * @return {Object} ProtocolError, or null if it looks fine
+ */
+Client.prototype.checkFrame = function(size, id)
+{
+	var self = this;
+
+	if ((size <= 0) || ((size % 4) != 0))
+		return new ProtocolError('EFRAMESIZE', 'Invalid size ' + size + ' for packet id ' + id);
+
+	var ctor = self.packetClass(id);
+	if (!ctor || !ctor.prototype._SCHEMA)
+		return null;
+
+	// InSim 9 packs more into variable sized packets than InSim 5 could, so
+	// only the minimum can be trusted
+	var range = ctor.prototype._SCHEMA.sizeRange();
+	var max = ((range.min != range.max) && (self.protocol.scale > 1)) ? (0xff * self.protocol.scale) : range.max;
+
+	if ((size < range.min) || (size > max))
+		return new ProtocolError('EPACKETSIZE', 'Invalid size ' + size + ' for ' + exports.translatePktIdToName(id) + ', expected ' + ((range.min == max) ? range.min : (range.min + ' to ' + max)));
+
+	return null;
+}
+
+/**
+ * Reports garbage in the stream, and skips to the next thing that looks like
+ * the start of a packet. Gives up and drops the connection if the stream
+ * keeps going bad, or has gone bad as soon as we've connected.
+ *
+ * Options -
+ *  - maxresyncs: resyncs permitted per connection (default 8)
+ *
+ * @api private
+ * @param {Object} err ProtocolError
+ * @return {Boolean} false if the connection has been dropped
+ */
+Client.prototype.resync = function(err)
+{
+	var self = this;
+
+	var data = self.buffer.take(self.buffer.length);
+
+	err.data = data;
+	err.dump = hexdump(data);
+
+	var maxresyncs = (self.options.maxresyncs >= 0) ? self.options.maxresyncs : 8;
+	if (++self.resyncs > maxresyncs)
+	{
+		self.drop(err);
+		return false;
+	}
+
+	self.log.warn('Protocol error, resyncing - ' + err.message + '\n' + err.dump);
+	self.emit('protocolerror', err);
+
+	// look for a header that makes sense, keeping the last few bytes in case
+	// they're the start of one
+	var skip = 1;
+	for (; skip + 4 <= data.length; skip++)
+	{
+		var size = self.frameSize(data[skip], data[skip + 1]);
+
+		if (self.packetClass(data[skip + 1]) && !self.checkFrame(size, data[skip + 1]))
+			break;
+	}
+
+	self.buffer.advance(Math.min(skip, data.length));
+
+	return true;
+}
+
+/**
+ * Gives up on a connection that's sending garbage, and drops it. The usual
+ * reconnect rules then apply.
+ *
+ * @api private
+ * @param {Object} err ProtocolError
+ */
+Client.prototype.drop = function(err)
+{
+	var self = this;
+
+	self.log.crit('Protocol error, dropping connection - ' + err.message + '\n' + err.dump);
+	self.emit('protocolerror', err);
+
+	self.buffer = new BufferList;
+
+	if (self.stream)
+		self.stream.destroy();
+}
+
+/**
+ * Returns the size in bytes of a packet, from its size byte, according to the
+ * framing rule of the InSim version in use.
+ *
+ * @api private
+ * @param {Number} size Size byte
+ * @param {Number} id Packet id
+ * @return {Number}
+ */
+Client.prototype.frameSize = function(size, id)
+{
+	var self = this;
+
+	// IS_VER is 20 bytes, so until we've seen it its size byte tells us
+	// whether LFS went along with the version we asked for
+	if (!self.insimVersion && (id == exports.ISP_VER))
+		return (size == (20 / 4)) ? 20 : size;
+
+	return size * self.protocol.scale;
+}
+
+/**
+ * Receives a datagram from the UDP socket. Each datagram holds exactly one
+ * packet, so there is no buffering to be done.
+ *
+ * @api private
+ * @param {Buffer} data
+ * @param {Object} rinfo
+ */
+Client.prototype.receiveUdp = function(data, rinfo)
+{
+	var self = this;
+
+	if (data.length < 4)
+		return;
+
+	// LFS only ever sends IS_NLP and IS_MCI over UDP
+	var pktId = data.readUInt8(1);
+	if (((data.readUInt8(0) * self.protocol.scale) == data.length) && ((pktId == exports.ISP_NLP) || (pktId == exports.ISP_MCI)))
+	{
+		self.parse(data);
+		return;
+	}
+
+	// OutSim and OutGauge, when requested through IS_SMALL, arrive here too
+	var pkt = null;
+	var pktName = null;
+
+	if ((data.length == 64) || (data.length == 68))
+	{
+		pkt = new self.ctx.outsim.OS_PACK;
+		pktName = 'OS_PACK';
+	}
+	else if ((data.length == 92) || (data.length == 96))
+	{
+		pkt = new self.ctx.outgauge.OG_PACK;
+		pktName = 'OG_PACK';
+	}
+
+	if (!pkt)
+	{
+		self.log.verbose('Ignoring unknown UDP datagram @ size ' + data.length + ' from ' + rinfo.address);
+		return;
+	}
+
+	try
+	{
+		pkt.unpack(data);
+	}
+	catch (err)
+	{
+		var e = new ProtocolError('EDECODE', 'Failed to unpack ' + pktName + ' - ' + err.message, data);
+
+		self.log.crit(e.message + '\n' + e.dump);
+		self.emit('protocolerror', e);
+		return;
+	}
+
+	try
+	{
+		self.log.verbose('Emitting event \'' + pktName + '\'');
+		self.emit(pktName, pkt);
+	}
+	catch (err)
+	{
+		self.log.crit('Error');
+		self.log.crit(err.stack);
+		self.log.crit(util.inspect(err));
+	}
+}
+
+/**
+ * Unpacks a single complete packet and emits it to any subscribers.
+ *
+ * @api private
+ * @param {Buffer} p Complete packet
+ */
+Client.prototype.parse = function(p)
+{
+	var self = this;
+
+	var pktId = p.readUInt8(1);
+	var pktName = exports.translatePktIdToName(pktId);
+	self.log.verbose('Packet ' + pktName + ' consumed @ size ' + p.length);
+
+	var ctor = self.protocol.packets[pktName];
+	if (!ctor)
+	{
+		self.log.debug('Packet ' + (pktName || pktId) + ' is not part of InSim version ' + self.protocol.version);
+		self.emit('unknown', p);
+		return;
+	}
+
+	var pool = undefined;
+	if (self.options.reusepackets)
+		pool = self.pools[pktName] || (self.pools[pktName] = []);
+
+	var pkt = new ctor;
+
+	try
+	{
+		pkt.unpack(p, pool);
+	}
+	catch (err)
+	{
+		var e = new ProtocolError('EDECODE', 'Failed to unpack ' + pktName + ' - ' + err.message, p);
+
+		self.log.crit(e.message + '\n' + e.dump);
+		self.emit('protocolerror', e);
+		return;
+	}
+
+	// always in bytes, whatever the framing
+	pkt.size = p.length;
+
+	try
+	{
+		self.log.verbose('Emitting event \'' + pktName + '\'');
+		self.emit(pktName, pkt);
+
+		self.correlate(pktName, pkt);
+	}
+	catch (err)
+	{
+		self.log.crit('Error');
+		self.log.crit(err.stack);
+		self.log.crit(util.inspect(err));
+	}
+}
+
+/**
+ * Peeks (returns without removing from the buffer) the byte at a given offset
+ *
+ * @api private
+ * @param {Number} offset
+ */
+Client.prototype.peekByte = function(offset)
+{
+	var self = this;
+
+	offset = offset || 0;
+
+	if (offset >= self.buffer.length)
+		return 0;
+
+	return self.buffer.take(offset + 1).readUInt8(offset);
+}
+
+/**
+ * Bound to the event IS_VER, settles on the InSim version to use for the rest
+ * of the connection.
+ *
+ * @api private
+ * @param {Object} pkt
+ */
+Client.prototype.onIS_VER = function(pkt)
+{
+	// already connected, this is a reply to TINY_VER
+	if (this.client.insimVersion > 0)
+		return;
+
+	var attempts = this.client.reconnectAttempts;
+
+	this.client.negotiate(pkt.insimver);
 
 	this.client.emit('connect');
+
+	if (attempts > 0)
+		this.client.emit('reconnected', attempts);
 }
 
 /**
@@ -10,21 +10,21 @@ var fs = require('fs');
 
 /**
  * Takes a string, attempts to remove anything that prevents a string from being
- * parsed by JSON.parse. 
+ * parsed by JSON.parse. Line breaks are kept, so that line numbers still match.
  *   * Removes commented out lines
  *   * Replaces single quotes with double quotes
  *   * Removes any mis-placed commas
  *
- * @param {String} str String that gets cleaned and turned into a JSON parsed
- * object
+ * @param {String} str
+ * @return {String}
  * @api public
  */
-exports.tidyParseString = function(str)
+exports.tidyString = function(str)
 {
 	var regex = [
 		{ pattern: /[\w]*(\/\/).*$/mg, replace: '' }, // remove "//" comments
 		{ pattern: /\'/mg, replace: '"' }, // replace single with double quotes
-		{ pattern: /([\]}]),([\r\n\s\t]*)?([\]}])/mg, replace: '$1 $3' }, // remove any mis-placed ","
+		{ pattern: /([\]}]),([\r\n\s\t]*)?([\]}])/mg, replace: '$1$2$3' }, // remove any mis-placed ","
 	];
 
 	var output = str;
@@ -32,12 +32,136 @@ exports.tidyParseString = function(str)
 	for (var i in regex)
 		output = output.replace(regex[i].pattern, regex[i].replace);
 
-	return JSON.parse(output);
+	return output;
 }
 
+/**
+ * Replaces ${NAME} in JSON text with the value of NAME in vars, or
+ * ${NAME:-default} with default if NAME isn't in vars. Inside a string the
+ * value is added to the string. Anywhere else it's added as it is if it's
+ * JSON, i.e. "port": ${PORT}, or as a string if it isn't. Throws a
+ * ReferenceError, with the line, if NAME isn't in vars and has no default.
+ *
+ * Usage -
+ *  jsonTidy.interpolate('{ "admin": "${ADMIN}" }', process.env);
+ *
+ * @param {String} str
+ * @param {Object} vars Values, by name
+ * @return {String}
+ * @api public
+ */
+exports.interpolate = function(str, vars)
+{
+	var output = '';
+	var quoted = false;
+	var line = 1;
+
+	for (var pos = 0; pos < str.length; pos++)
+	{
+		var c = str.charAt(pos);
+
+		if (c == '\n')
+			line++;
+
+		if (quoted && (c == '\\'))
+		{
+			output += str.substr(pos++, 2);
+			continue;
+		}
+
+		if (c == '"')
+			quoted = !quoted;
+
+		var m = (c == '$') ? /^\$\{(\w+)(?::-([^}]*))?\}/.exec(str.substr(pos)) : null;
+
+		if (!m)
+		{
+			output += c;
+			continue;
+		}
+
+		var value = (vars[m[1]] != undefined) ? String(vars[m[1]]) : m[2];
+
+		if (value == undefined)
+		{
+			var err = new ReferenceError(m[1] + ' isn\'t set, on line ' + line);
+			err.line = line;
+			throw err;
+		}
+
+		if (quoted)
+			value = JSON.stringify(value).slice(1, -1);
+		else if (exports.parseValue(value) === value)
+			value = JSON.stringify(value);
+		else
+			value = value.replace(/[\r\n]+/g, ' '); // keep the lines where they are
+
+		output += value;
+		pos += m[0].length - 1;
+	}
+
+	return output;
+}
 
 /**
- * Reads in a file and passes it through tidyParseString()
+ * Returns a value given as text, i.e. on the command line - parsed if it's
+ * JSON, such as 29998, true or "1234", otherwise the text itself.
+ *
+ * @param {String} str
+ * @return {Mixed}
+ * @api public
+ */
+exports.parseValue = function(str)
+{
+	try
+	{
+		return JSON.parse(str);
+	}
+	catch (e)
+	{
+		return str;
+	}
+}
+
+/**
+ * Takes a string, tidies it with tidyString() and parses it. A syntax error
+ * is given the line it's on, as line.
+ *
+ * @param {String} str String that gets cleaned and turned into a JSON parsed
+ * object
+ * @param {Object} [vars] Values to interpolate, see interpolate()
+ * @api public
+ */
+exports.tidyParseString = function(str, vars)
+{
+	var output = exports.tidyString(str);
+
+	if (vars)
+		output = exports.interpolate(output, vars);
+
+	try
+	{
+		return JSON.parse(output);
+	}
+	catch (e)
+	{
+		// JSON.parse doesn't always say where, scan finds it
+		try
+		{
+			scan(output);
+		}
+		catch (err)
+		{
+			e.line = err.line;
+		}
+
+		throw e;
+	}
+}
+
+/**
+ * Reads in a file and passes it through tidyParseString(). A syntax error is
+ * given the file, as file.
  *
  * @param {String} dst File path
  * @param {String} [encoding] File encoding, defaults to utf8
@@ -46,7 +170,177 @@ exports.tidyParseString = function(str)
 exports.tidyParseFile = function(file, encoding)
 {
 	var encoding = encoding || 'utf8';
-	return exports.tidyParseString(fs.readFileSync(file, encoding));
+
+	try
+	{
+		return exports.tidyParseString(fs.readFileSync(file, encoding));
+	}
+	catch (e)
+	{
+		if (e instanceof SyntaxError)
+			e.file = file;
+
+		throw e;
+	}
+}
+
+/**
+ * Returns the line each key, and array item, of a string that
+ * tidyParseString() can parse starts on, by its path, i.e.
+ * { 'clients': 3, 'clients.0': 4, 'clients.0.port': 5 }
+ *
+ * @param {String} str
+ * @param {Object} [vars] Values to interpolate, see interpolate()
+ * @return {Object}
+ * @api public
+ */
+exports.locate = function(str, vars)
+{
+	var output = exports.tidyString(str);
+
+	if (vars)
+		output = exports.interpolate(output, vars);
+
+	return scan(output);
+}
+
+/**
+ * Walks through JSON text, returning the line each key and array item starts
+ * on, by its path. Throws a SyntaxError, with the line, at the first thing
+ * that isn't JSON.
+ *
+ * @param {String} text
+ * @return {Object}
+ * @api private
+ */
+var scan = function(text)
+{
+	var lines = {};
+	var pos = 0;
+	var line = 1;
+
+	var fail = function()
+	{
+		var err = new SyntaxError((pos < text.length) ? 'Unexpected ' + text.charAt(pos) + ' on line ' + line : 'Unexpected end of JSON');
+		err.line = line;
+		throw err;
+	};
+
+	var skip = function()
+	{
+		while ((pos < text.length) && /\s/.test(text.charAt(pos)))
+		{
+			if (text.charAt(pos) == '\n')
+				line++;
+
+			pos++;
+		}
+	};
+
+	var expect = function(c)
+	{
+		skip();
+
+		if (text.charAt(pos) != c)
+			fail();
+
+		pos++;
+	};
+
+	var string = function()
+	{
+		if (text.charAt(pos) != '"')
+			fail();
+
+		var start = pos++;
+
+		while ((pos < text.length) && (text.charAt(pos) != '"') && (text.charAt(pos) != '\n'))
+			pos += (text.charAt(pos) == '\\') ? 2 : 1;
+
+		if (text.charAt(pos) != '"')
+			fail();
+
+		pos++;
+
+		return JSON.parse(text.substring(start, pos));
+	};
+
+	var value = function(at)
+	{
+		skip();
+
+		if (at != null)
+			lines[at] = line;
+
+		var prefix = (at) ? at + '.' : '';
+		var c = text.charAt(pos);
+
+		if ((c == '{') || (c == '['))
+		{
+			var end = (c == '{') ? '}' : ']';
+			var index = 0;
+
+			pos++;
+			skip();
+
+			if (text.charAt(pos) == end)
+			{
+				pos++;
+				return;
+			}
+
+			for (;;)
+			{
+				skip();
+
+				if (c == '{')
+				{
+					var key = string();
+					expect(':');
+					value(prefix + key);
+				}
+				else
+				{
+					value(prefix + index++);
+				}
+
+				skip();
+
+				if (text.charAt(pos) == end)
+				{
+					pos++;
+					return;
+				}
+
+				expect(',');
+			}
+		}
+
+		if (c == '"')
+		{
+			string();
+			return;
+		}
+
+		var start = pos;
+
+		while ((pos < text.length) && /[^,:\]}\s]/.test(text.charAt(pos)))
+			pos++;
+
+		if (!/^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)$/.test(text.substring(start, pos)))
+		{
+			pos = start;
+			fail();
+		}
+	};
+
+	value(null);
+	skip();
+
+	if (pos < text.length)
+		fail();
+
+	return lines;
 }
 
 }(typeof exports === "undefined"
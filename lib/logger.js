@@ -3,7 +3,19 @@
 /**
  * Module dependencies.
  */
-var fs = require('fs');
+var fs = require('fs'),
+	secrets = require('./secrets');
+
+/**
+ * Default options
+ *
+ * @api private
+ */
+var defaults = {
+	'levels': { 'crit': 0, 'error': 1, 'warn': 2, 'notice': 3, 'info': 4, 'debug': 5, 'verbose': 6 },
+	'level': 5,
+	'stream': process.stdout
+};
 
 /**
  * Creates a logger instance
@@ -13,24 +25,42 @@ var fs = require('fs');
  */
 var Logger = function(options)
 {
-	var defaults = {
-		'levels': { 'crit': 0, 'error': 1, 'warn': 2, 'notice': 3, 'info': 4, 'debug': 5, 'verbose': 6 },
-		'level': 5,
-		'stream': process.stdout
-	};
-
-	this.options = this.merge(defaults, options);
+	this.options = this.merge({ 'levels': defaults.levels }, options);
 
 	for (var level in this.options.levels)
 		this.define(this, level);
 
-	if (typeof this.options.level != 'number')
-		this.setLevel(this.options.level);
+	// the stream option, as given, see setOptions
+	this.streamOption = null;
+
+	this.setOptions(options);
+}
+
+/**
+ * Sets the level and stream, i.e. when the configuration is reloaded.
+ * Anything not given goes back to its default. A file is only opened again
+ * if it's a different file
+ *
+ * @param {Object} [options] level and stream
+ * @api public
+ */
+Logger.prototype.setOptions = function(options)
+{
+	options = options || {};
+
+	this.setLevel((options.level != undefined) ? options.level : defaults.level);
 
-	if (typeof this.options.stream != 'object')
-		this.options.stream = this.name2stream(this.options.stream);
+	var stream = options.stream || defaults.stream;
 
-	defaults = null;
+	if (stream === this.streamOption)
+		return;
+
+	// close any file we opened before
+	if ((typeof this.streamOption == 'string') && (this.options.stream !== process.stdout) && (this.options.stream !== process.stderr))
+		this.options.stream.end();
+
+	this.streamOption = stream;
+	this.options.stream = (typeof stream != 'object') ? this.name2stream(stream) : stream;
 }
 
 /**
@@ -42,7 +72,10 @@ var Logger = function(options)
 Logger.prototype.setLevel = function(level)
 {
 	if (typeof level == 'number')
+	{
 		this.options.level = level;
+		return;
+	}
 
 	if (!(level in this.options.levels))
 		throw new Error('Unknown log level');
@@ -70,7 +103,7 @@ Logger.prototype.log = function(level, message)
 
 /**
  * Writes a log message to the log stream. This may be any writable stream -
- * such as a file or a stdout/stderr
+ * such as a file or a stdout/stderr. Secrets are masked, see secrets.redact
  *
  * @param {String} dst Destination
  * @param {Boolean} force
@@ -79,7 +112,7 @@ Logger.prototype.log = function(level, message)
 Logger.prototype.write = function(options)
 {
 	var d = new Date;
-	var msg = '[' + d.toISOString() + ' ' + options.severity + '] ' + options.message + '\n';
+	var msg = '[' + d.toISOString() + ' ' + options.severity + '] ' + secrets.redact(options.message) + '\n';
 
 	this.options.stream.write(msg);
 	msg = null;
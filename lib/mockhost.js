@@ -0,0 +1,471 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util'),
+	events = require('events'),
+	net = require('net'),
+	insim = require('./insim');
+
+/**
+ * Which part of the scenario answers each IS_TINY request, and with what
+ * packet. Lists are answered with one packet per entry, anything else with a
+ * single packet. Requests with nothing in the scenario go unanswered, just as
+ * LFS doesn't answer TINY_ISM in single player.
+ *
+ * @api private
+ */
+var answers = {};
+answers[insim.TINY_NCN] = { 'key': 'connections', 'packet': 'IS_NCN', 'list': true };
+answers[insim.TINY_NPL] = { 'key': 'players', 'packet': 'IS_NPL', 'list': true };
+answers[insim.TINY_RES] = { 'key': 'results', 'packet': 'IS_RES', 'list': true };
+answers[insim.TINY_ISM] = { 'key': 'ism', 'packet': 'IS_ISM' };
+answers[insim.TINY_SST] = { 'key': 'state', 'packet': 'IS_STA' };
+answers[insim.TINY_AXI] = { 'key': 'autocross', 'packet': 'IS_AXI' };
+answers[insim.TINY_RST] = { 'key': 'race', 'packet': 'IS_RST' };
+
+/**
+ * A fake LFS host, for developing and testing plugins without LFS. It listens
+ * on TCP, answers IS_ISI with IS_VER and answers IS_TINY requests from a
+ * scenario. Packets can be pushed to connected clients at any time, or on a
+ * script, and everything clients send is recorded.
+ *
+ * Scenario -
+ *  - insimver: InSim version reported in IS_VER (default insim.VERSION)
+ *  - product: product reported in IS_VER (default 'S2')
+ *  - version: LFS version reported in IS_VER (default '0.6B')
+ *  - connections: IS_NCN values, one per connection, for TINY_NCN
+ *  - players: IS_NPL values, one per player, for TINY_NPL
+ *  - results: IS_RES values, for TINY_RES
+ *  - ism: IS_ISM values, for TINY_ISM. Leave out for single player
+ *  - state: IS_STA values, for TINY_SST (default {})
+ *  - autocross: IS_AXI values, for TINY_AXI (default {})
+ *  - race: IS_RST values, for TINY_RST
+ *  - script: packets to push once a client has sent IS_ISI, as an array of
+ *    { 'at': ms after IS_ISI, 'packet': 'IS_LAP', 'values': { ... } }
+ *
+ * Values are copied onto a new instance of the packet, so anything not given
+ * keeps the packet's default.
+ *
+ * Events -
+ *  - listening: receives the port
+ *  - connection: a client has connected, receives the connection
+ *  - handshake: a client has sent IS_ISI, receives the packet and connection
+ *  - packet: a client has sent a packet, receives the packet and connection
+ *  - IS_*: as packet, but for each packet type, i.e. 'IS_MTC'
+ *  - unknown: a client has sent something we don't have a packet for,
+ *    receives the raw data and connection
+ *
+ * Usage -
+ *  var host = mockhost.create({ 'connections': [ { 'ucid': 0, 'uname': '' } ] });
+ *  host.listen(0, function(port) { ... connect a client to port ... });
+ *  host.on('IS_MTC', function(pkt) { ... });
+ *  host.push('IS_LAP', { 'plid': 1, 'ltime': 60000 });
+ *
+ * @api public
+ * @param {Object} [scenario]
+ */
+var Host = function(scenario)
+{
+	var self = this;
+
+	events.EventEmitter.call(this);
+
+	self.scenario = scenario || {};
+
+	self.server = null;
+	self.port = 0;
+	self.connections = [];
+	self.timers = [];
+
+	// everything clients have sent, in order
+	self.received = [];
+}
+
+util.inherits(Host, events.EventEmitter);
+
+/**
+ * Starts listening.
+ *
+ * @api public
+ * @param {Number} [port] 0 or not given picks a free port
+ * @param {Function} [next] Called with the port once listening
+ */
+Host.prototype.listen = function(port, next)
+{
+	var self = this;
+
+	if (typeof port == 'function')
+	{
+		next = port;
+		port = 0;
+	}
+
+	self.server = net.createServer(function(socket)
+	{
+		self.accept(socket);
+	});
+
+	self.server.listen(port || 0, '127.0.0.1', function()
+	{
+		self.port = self.server.address().port;
+		self.emit('listening', self.port);
+
+		if (next)
+			next(self.port);
+	});
+}
+
+/**
+ * Disconnects all clients and stops listening.
+ *
+ * @api public
+ * @param {Function} [next]
+ */
+Host.prototype.close = function(next)
+{
+	var self = this;
+
+	for (var i = 0; i < self.timers.length; i++)
+		clearTimeout(self.timers[i]);
+	self.timers = [];
+
+	for (var i = 0; i < self.connections.length; i++)
+		self.connections[i].socket.destroy();
+	self.connections = [];
+
+	if (!self.server)
+	{
+		if (next)
+			next();
+		return;
+	}
+
+	self.server.close(next);
+	self.server = null;
+}
+
+/**
+ * Sets up a newly connected client. Each client is tracked by a connection
+ * object, holding its socket and the InSim version it talks.
+ *
+ * @api private
+ * @param {Object} socket
+ */
+Host.prototype.accept = function(socket)
+{
+	var self = this;
+
+	var conn = {
+		'socket': socket,
+		'insimVersion': 0,
+		// InSim 9 and later send the size divided by 4
+		'scale': 1,
+		'pending': new Buffer(0)
+	};
+
+	self.connections.push(conn);
+
+	socket.on('data', function(data)
+	{
+		self.receive(conn, data);
+	});
+
+	socket.on('close', function()
+	{
+		var idx = self.connections.indexOf(conn);
+		if (idx >= 0)
+			self.connections.splice(idx, 1);
+	});
+
+	socket.on('error', function()
+	{
+		// the client went away, close deals with it
+	});
+
+	self.emit('connection', conn);
+}
+
+/**
+ * Splits data from a client into packets.
+ *
+ * @api private
+ * @param {Object} conn Connection
+ * @param {Buffer} data
+ */
+Host.prototype.receive = function(conn, data)
+{
+	var self = this;
+
+	var buf = Buffer.concat([ conn.pending, data ]);
+
+	while (buf.length >= 4)
+	{
+		// IS_ISI is 44 bytes, so its size byte gives the framing away
+		if (!conn.insimVersion && (buf[1] == insim.ISP_ISI))
+			conn.scale = (buf[0] == (44 / 4)) ? 4 : 1;
+
+		var size = buf[0] * conn.scale;
+
+		// garbage, there's no recovering from it
+		if (size <= 0)
+		{
+			conn.socket.destroy();
+			return;
+		}
+
+		if (size > buf.length)
+			break;
+
+		self.parse(conn, buf.slice(0, size));
+		buf = buf.slice(size);
+	}
+
+	conn.pending = buf;
+}
+
+/**
+ * Unpacks, records and answers a packet from a client.
+ *
+ * @api private
+ * @param {Object} conn Connection
+ * @param {Buffer} data
+ */
+Host.prototype.parse = function(conn, data)
+{
+	var self = this;
+
+	var name = insim.translatePktIdToName(data[1]);
+	var ctor = insim.getProtocol(conn.insimVersion || insim.VERSION).packets[name];
+
+	if (!ctor)
+	{
+		self.emit('unknown', data, conn);
+		return;
+	}
+
+	var pkt = new ctor;
+	pkt.unpack(data);
+	pkt.size = data.length;
+
+	self.received.push(pkt);
+
+	if (name == 'IS_ISI')
+		self.handshake(conn, pkt);
+	else if (name == 'IS_TINY')
+		self.answer(conn, pkt);
+
+	self.emit('packet', pkt, conn);
+	self.emit(name, pkt, conn);
+}
+
+/**
+ * Replies to IS_ISI with IS_VER, and starts the script.
+ *
+ * @api private
+ * @param {Object} conn Connection
+ * @param {Object} pkt IS_ISI
+ */
+Host.prototype.handshake = function(conn, pkt)
+{
+	var self = this;
+
+	var reported = self.scenario.insimver || insim.VERSION;
+
+	// like LFS, talk the version asked for if we can
+	conn.insimVersion = Math.min(pkt.insimver || insim.VERSION, reported);
+	if (conn.insimVersion < 9)
+		conn.scale = 1;
+
+	self.emit('handshake', pkt, conn);
+
+	if (pkt.reqi > 0)
+	{
+		self.send(conn, 'IS_VER', {
+			'reqi': pkt.reqi,
+			'version': self.scenario.version || '0.6B',
+			'product': self.scenario.product || 'S2',
+			'insimver': reported
+		});
+	}
+
+	var script = self.scenario.script || [];
+	for (var i = 0; i < script.length; i++)
+		self.schedule(conn, script[i]);
+}
+
+/**
+ * Pushes a scripted packet after its delay.
+ *
+ * @api private
+ * @param {Object} conn Connection
+ * @param {Object} entry { at, packet, values }
+ */
+Host.prototype.schedule = function(conn, entry)
+{
+	var self = this;
+
+	var t = setTimeout(function()
+	{
+		self.timers.splice(self.timers.indexOf(t), 1);
+
+		if (self.connections.indexOf(conn) >= 0)
+			self.send(conn, entry.packet, entry.values);
+	}, entry.at || 0);
+
+	self.timers.push(t);
+}
+
+/**
+ * Answers an IS_TINY request from the scenario.
+ *
+ * @api private
+ * @param {Object} conn Connection
+ * @param {Object} pkt IS_TINY
+ */
+Host.prototype.answer = function(conn, pkt)
+{
+	var self = this;
+
+	// requests without a ReqI are ignored by LFS
+	if (pkt.reqi == 0)
+		return;
+
+	if (pkt.subt == insim.TINY_PING)
+	{
+		self.send(conn, 'IS_TINY', { 'reqi': pkt.reqi, 'subt': insim.TINY_REPLY });
+		return;
+	}
+
+	if (pkt.subt == insim.TINY_VER)
+	{
+		self.send(conn, 'IS_VER', {
+			'reqi': pkt.reqi,
+			'version': self.scenario.version || '0.6B',
+			'product': self.scenario.product || 'S2',
+			'insimver': self.scenario.insimver || insim.VERSION
+		});
+		return;
+	}
+
+	var a = answers[pkt.subt];
+	if (!a)
+		return;
+
+	var values = self.scenario[a.key];
+
+	// LFS always answers these, even with nothing to say
+	if ((values == undefined) && ((a.key == 'state') || (a.key == 'autocross')))
+		values = {};
+
+	if (values == undefined)
+		return;
+
+	if (!a.list)
+		values = [ values ];
+
+	for (var i = 0; i < values.length; i++)
+		self.send(conn, a.packet, values[i], pkt.reqi);
+}
+
+/**
+ * Sends a packet to a single client.
+ *
+ * @api public
+ * @param {Object} conn Connection
+ * @param {Object|String} pkt Packet instance, or packet name
+ * @param {Object} [values] Copied onto the packet
+ * @param {Number} [reqi] ReqI, when answering a request
+ */
+Host.prototype.send = function(conn, pkt, values, reqi)
+{
+	var self = this;
+
+	if (typeof pkt == 'string')
+		pkt = new insim[pkt];
+
+	for (var i in values)
+		pkt[i] = values[i];
+
+	if (reqi != undefined)
+		pkt.reqi = reqi;
+
+	var b = new Buffer(pkt.pack());
+	if (conn.scale > 1)
+		b[0] = b.length / conn.scale;
+
+	conn.socket.write(b);
+}
+
+/**
+ * Sends a packet to all connected clients.
+ *
+ * @api public
+ * @param {Object|String} pkt Packet instance, or packet name
+ * @param {Object} [values] Copied onto the packet
+ */
+Host.prototype.push = function(pkt, values)
+{
+	var self = this;
+
+	for (var i = 0; i < self.connections.length; i++)
+		self.send(self.connections[i], pkt, values);
+}
+
+/**
+ * Returns the packets clients have sent, optionally only those of a given
+ * type.
+ *
+ * @api public
+ * @param {String} [name] i.e. IS_MTC
+ * @return {Array}
+ */
+Host.prototype.packets = function(name)
+{
+	if (!name)
+		return this.received.slice();
+
+	var type = insim['ISP_' + name.replace(/^IS_/, '')];
+
+	return this.received.filter(function(pkt)
+	{
+		return (pkt.type == type);
+	});
+}
+
+/**
+ * Forgets everything clients have sent so far.
+ *
+ * @api public
+ */
+Host.prototype.reset = function()
+{
+	this.received = [];
+}
+
+/**
+ * Exports the Host object
+ *
+ * @api public
+ */
+exports.Host = Host;
+
+/**
+ * Creates a Host
+ *
+ * @api public
+ * @param {Object} [scenario]
+ * @return {Object}
+ */
+exports.create = function(scenario)
+{
+	return new Host(scenario);
+}
+
+}(typeof exports === "undefined"
+        ? (this.mockhost = {})
+        : exports));
@@ -8,17 +8,11 @@
  */
 var util = require('util'),
 	baseClient = require('./client'),
-	dgram = require('dgram');
-
-// Translating LFS insim.h to jspack as follows -
-// char	= c
-// byte	= B
-// word	= H
-// short = h
-// unsigned	= L
-// int = l
-// float = f
-// char[16] = 16s
+	schema = require('./schema'),
+	units = require('./units'),
+	udplistener = require('./udplistener');
+
+// Packets describe their layout with a schema, see lib/schema.js
 
 exports.OG_SHIFT = 1; // key
 exports.OG_CTRL = 2; // key
@@ -50,8 +44,6 @@ exports.DL_NUM = 4096;
  */
 exports.OG_PACK = function()
 {
-	this._PACK = '<L4sHBBfffffffLLfff16s16s';
-
 	this.time = 0;
 	this.car = ""; // Car name
 	this.flags = 0;	// Info (see OG_x below)
@@ -71,12 +63,107 @@ exports.OG_PACK = function()
 	this.clutch = 0; // 0 to 1
 	this.display1 = ""; // Usually Fuel
 	this.display2 = ""; // Usually Settings
+	this.id = 0; // OutGauge ID from cfg.txt, 0 if not sent
 }
 
 util.inherits(exports.OG_PACK, baseClient.pkt);
 
+exports.OG_PACK.prototype._SCHEMA = schema.create('OG_PACK', [
+	{ 'name': 'time', 'type': 'unsigned' },
+	{ 'name': 'car', 'type': 'string', 'length': 4, 'encoding': 'raw' },
+	{ 'name': 'flags', 'type': 'word' },
+	{ 'name': 'gear', 'type': 'byte' },
+	{ 'name': 'plid', 'type': 'byte' },
+	{ 'name': 'speed', 'type': 'float' },
+	{ 'name': 'rpm', 'type': 'float' },
+	{ 'name': 'turbo', 'type': 'float' },
+	{ 'name': 'engtemp', 'type': 'float' },
+	{ 'name': 'fuel', 'type': 'float' },
+	{ 'name': 'oilpressure', 'type': 'float' },
+	{ 'name': 'oiltemp', 'type': 'float' },
+	{ 'name': 'dashlights', 'type': 'unsigned' },
+	{ 'name': 'showlights', 'type': 'unsigned' },
+	{ 'name': 'Throttle', 'type': 'float' },
+	{ 'name': 'Brake', 'type': 'float' },
+	{ 'name': 'clutch', 'type': 'float' },
+	{ 'name': 'display1', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'display2', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'id', 'type': 'int', 'optional': true }
+]);
+
+/**
+ * Speed, in the driver's preferred unit (OG_KM) unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] mps, kmh or mph
+ * @return {Number}
+ */
+exports.OG_PACK.prototype.getSpeed = function(unit)
+{
+	return units.convert(this.speed, 'mps', unit || units.speedUnit(this.flags));
+}
+
+/**
+ * Turbo pressure, in the driver's preferred unit (OG_BAR) unless otherwise
+ * asked for.
+ *
+ * @api public
+ * @param {String} [unit] bar, psi or kpa
+ * @return {Number}
+ */
+exports.OG_PACK.prototype.getTurbo = function(unit)
+{
+	return units.convert(this.turbo, 'bar', unit || units.pressureUnit(this.flags));
+}
+
+/**
+ * Oil pressure, in the driver's preferred unit (OG_BAR) unless otherwise
+ * asked for.
+ *
+ * @api public
+ * @param {String} [unit] bar, psi or kpa
+ * @return {Number}
+ */
+exports.OG_PACK.prototype.getOilPressure = function(unit)
+{
+	return units.convert(this.oilpressure, 'bar', unit || units.pressureUnit(this.flags));
+}
+
+/**
+ * Speed formatted in the driver's preferred unit, i.e. '123 km/h'.
+ *
+ * @api public
+ * @param {Number} [digits] Decimal places (default 0)
+ * @return {String}
+ */
+exports.OG_PACK.prototype.formatSpeed = function(digits)
+{
+	return units.formatSpeed(this.speed, this.flags, digits);
+}
+
+/**
+ * Turbo pressure formatted in the driver's preferred unit, i.e. '1.2 bar'.
+ *
+ * @api public
+ * @param {Number} [digits] Decimal places (default 1)
+ * @return {String}
+ */
+exports.OG_PACK.prototype.formatTurbo = function(digits)
+{
+	return units.formatPressure(this.turbo, this.flags, digits);
+}
+
 /**
- * Client object that represents an OutGauge connection.
+ * Client object that represents an OutGauge connection. Several clients may
+ * listen on the same port, each taking the packets from one LFS instance,
+ * see the sourceid and sourceaddress options.
+ *
+ * Options -
+ *  - port: UDP port to listen on
+ *  - sourceid: only take packets with this OutGauge ID, as set in LFS'
+ *    cfg.txt. 0 only takes packets without an ID
+ *  - sourceaddress: only take packets from this address, i.e. "192.168.0.2"
+ *    or "192.168.0.2:30000"
  *
  * @api public
  * @extends Client
@@ -89,7 +176,19 @@ var Client = function(options, log)
 
 	baseClient.client.call(this, options, log);
 
-	self.stream = dgram.createSocket("udp4");
+	// shared socket, see lib/udplistener.js
+	self.listener = null;
+	self.stream = null;
+
+	self.onListenerError = function(err)
+	{
+		self.log.crit(err);
+	};
+
+	self.onUnclaimed = function(data, rinfo)
+	{
+		self.log.verbose('Ignoring datagram @ size ' + data.length + ' from ' + rinfo.address + ':' + rinfo.port);
+	};
 
 	// 'this' context that plugin functions are call
 	self.ctx.outgauge = exports;
@@ -98,9 +197,11 @@ var Client = function(options, log)
 util.inherits(Client, baseClient.client);
 
 /**
- * Starts a listening socket that waits for OutGauge messages.
+ * Starts listening for OutGauge messages, on a socket shared with any other
+ * OutGauge clients on the same port.
  *
  * @api public
+ * @return {Promise} Resolves once listening
  */
 Client.prototype.connect = function()
 {
@@ -108,32 +209,59 @@ Client.prototype.connect = function()
 
 	self.emit('preconnect');
 
-	// data
-	self.stream.on('message', function(data, rinfo)
+	self.listener = udplistener.acquire(self.options.port, self);
+	self.stream = self.listener.stream;
+
+	self.listener.on('error', self.onListenerError);
+	self.listener.on('unclaimed', self.onUnclaimed);
+
+	var listener = self.listener;
+	var listening = new Promise(function(resolve, reject)
 	{
- 	 	// TODO Whats generating the 32 byte messages? And whats the content?
-		if (data.length < 92)
+		if (listener.listening)
+		{
+			resolve();
 			return;
-		self.receive.call(self, data);
+		}
+
+		listener.once('listening', resolve);
+		listener.once('error', reject);
 	});
 
-	self.stream.bind(self.options.port);
+	listening.catch(function() {});
+
+	return listening;
 }
 
 /**
- * Closes the socket that is listening for data.
+ * Stops listening. The socket is closed once no other clients are using it.
  *
  * @api public
+ * @return {Promise} Resolves once closed
  */
 Client.prototype.disconnect = function()
 {
 	var self = this;
 
-	self.stream.close();
+	var listener = self.listener;
+
+	if (!listener)
+		return Promise.resolve();
+
+	self.listener = null;
+	self.stream = null;
+
+	listener.removeListener('error', self.onListenerError);
+	listener.removeListener('unclaimed', self.onUnclaimed);
+
+	return new Promise(function(resolve)
+	{
+		udplistener.release(listener, self, resolve);
+	});
 }
 
 /**
- * No-op for OutSim.
+ * No-op for OutGauge.
  *
  * @ignore
  * @param {Object} pkt Packet instance
@@ -143,22 +271,47 @@ Client.prototype.send = function(pkt)
 	return;
 }
 
+/**
+ * Returns true if a datagram is an OG_PACK meant for this client. OG_PACK is
+ * 92 bytes, or 96 with the optional ID on the end.
+ *
+ * @api public
+ * @param {Buffer} data
+ * @param {Object} [rinfo] Remote address
+ * @return {Boolean}
+ */
+Client.prototype.accepts = function(data, rinfo)
+{
+	var range = exports.OG_PACK.prototype._SCHEMA.sizeRange();
+
+	if ((data.length != range.min) && (data.length != range.max))
+		return false;
+
+	var id = (data.length == range.max) ? data.readInt32LE(range.min) : 0;
+
+	return udplistener.matches(this.options, id, rinfo);
+}
+
 /**
  * Receives data from the socket and parses the data, if it's successfully
  * parsed it emit the event to the relevant subscribers
  *
  * @api public
  * @param {Buffer} data 
+ * @param {Object} [rinfo] Remote address
  */
-Client.prototype.receive = function(data)
+Client.prototype.receive = function(data, rinfo)
 {
 	var self = this;
 
+	if (!self.accepts(data, rinfo))
+		return;
+
 	var pkt = new exports.OG_PACK;
 	pkt.unpack(data);
 
 	self.log.verbose('Emitting event OG_PACK');
-	self.emit('OG_PACK', pkt);
+	self.emit('OG_PACK', pkt, rinfo);
 }
 
 /**
@@ -7,17 +7,13 @@
  * Module dependencies
  */
 var util = require('util'),
-	baseClient = require('./client');
+	baseClient = require('./client'),
+	schema = require('./schema'),
+	units = require('./units'),
+	vector = require('./vector'),
+	udplistener = require('./udplistener');
 
-// Translating LFS insim.h to jspack as follows -
-// char	= c
-// byte	= B
-// word	= H
-// short = h
-// unsigned	= L
-// int = l
-// float = f
-// char[16] = 16s
+// Packets describe their layout with a schema, see lib/schema.js
 
 /**
  * Object that represents OutSim packet.
@@ -28,11 +24,9 @@ var util = require('util'),
  */
 exports.OS_PACK = function()
 {
-	this._PACK = '<Lffffffffffffllll';
-
 	this.time = 0; // time in milliseconds (to check order)
 
-	// TODO - Proper Vector object
+	// radians per second, see getAngVel
 	this.angvelx = 0;
 	this.angvely = 0;
 	this.angvelz = 0;
@@ -41,28 +35,145 @@ exports.OS_PACK = function()
 	this.pitch = 0; // anticlockwise from right (x)
 	this.roll = 0; // anticlockwise from front (y)
 
-	// TODO - Proper Vector object
+	// m/s², see getAccel
 	this.accelx = 0;
 	this.accely = 0;
 	this.accelz = 0;
 
-	// TODO - Proper Vector object
+	// m/s, see getVel
 	this.velx = 0;
 	this.vely = 0;
 	this.velz = 0;
 
-	// TODO - Proper Vector object
+	// 65536 = 1m, see getPos
 	this.posx = 0;
 	this.posy = 0;
 	this.posz = 0;
 
-	this.id = 0;
+	this.id = 0; // OutSim ID from cfg.txt, 0 if not sent
 }
 
 util.inherits(exports.OS_PACK, baseClient.pkt);
 
+exports.OS_PACK.prototype._SCHEMA = schema.create('OS_PACK', [
+	{ 'name': 'time', 'type': 'unsigned' },
+	{ 'name': 'angvelx', 'type': 'float' },
+	{ 'name': 'angvely', 'type': 'float' },
+	{ 'name': 'angvelz', 'type': 'float' },
+	{ 'name': 'heading', 'type': 'float' },
+	{ 'name': 'pitch', 'type': 'float' },
+	{ 'name': 'roll', 'type': 'float' },
+	{ 'name': 'accelx', 'type': 'float' },
+	{ 'name': 'accely', 'type': 'float' },
+	{ 'name': 'accelz', 'type': 'float' },
+	{ 'name': 'velx', 'type': 'float' },
+	{ 'name': 'vely', 'type': 'float' },
+	{ 'name': 'velz', 'type': 'float' },
+	{ 'name': 'posx', 'type': 'int' },
+	{ 'name': 'posy', 'type': 'int' },
+	{ 'name': 'posz', 'type': 'int' },
+	{ 'name': 'id', 'type': 'int', 'optional': true }
+]);
+
+/**
+ * Angular velocity, in radians per second unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] rads or degs
+ * @return {Object} Vector
+ */
+exports.OS_PACK.prototype.getAngVel = function(unit)
+{
+	return units.convertVector(vector.from(this, 'angvel'), 'rads', unit || 'rads');
+}
+
+/**
+ * Acceleration, in m/s² unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] mps2 or g
+ * @return {Object} Vector
+ */
+exports.OS_PACK.prototype.getAccel = function(unit)
+{
+	return units.convertVector(vector.from(this, 'accel'), 'mps2', unit || 'mps2');
+}
+
+/**
+ * Acceleration in G, i.e. for a G-force meter.
+ *
+ * @api public
+ * @return {Object} Vector
+ */
+exports.OS_PACK.prototype.getGForce = function()
+{
+	return this.getAccel('g');
+}
+
+/**
+ * Velocity, in m/s unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] mps, kmh or mph
+ * @return {Object} Vector
+ */
+exports.OS_PACK.prototype.getVel = function(unit)
+{
+	return units.convertVector(vector.from(this, 'vel'), 'mps', unit || 'mps');
+}
+
+/**
+ * Speed, in m/s unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] mps, kmh or mph
+ * @return {Number}
+ */
+exports.OS_PACK.prototype.getSpeed = function(unit)
+{
+	return units.convert(vector.from(this, 'vel').length(), 'mps', unit || 'mps');
+}
+
+/**
+ * Position in metres.
+ *
+ * @api public
+ * @return {Object} Vector
+ */
+exports.OS_PACK.prototype.getPos = function()
+{
+	return units.convertVector(vector.from(this, 'pos'), 'lfsdist', 'm');
+}
+
+/**
+ * Heading, pitch and roll, in degrees unless otherwise asked for.
+ *
+ * @api public
+ * @param {String} [unit] deg or rad
+ * @return {Object} { heading, pitch, roll }
+ */
+exports.OS_PACK.prototype.getOrientation = function(unit)
+{
+	unit = unit || 'deg';
+
+	return {
+		'heading': units.convert(this.heading, 'rad', unit),
+		'pitch': units.convert(this.pitch, 'rad', unit),
+		'roll': units.convert(this.roll, 'rad', unit)
+	};
+}
+
 /**
- * Client object that represents an OutSim connection.
+ * Client object that represents an OutSim connection. Several clients may
+ * listen on the same port, each taking the packets from one LFS instance,
+ * see the sourceid and sourceaddress options.
+ *
+ * Options -
+ *  - port: UDP port to listen on
+ *  - sourceid: only take packets with this OutSim ID, as set in LFS'
+ *    cfg.txt. 0 only takes packets without an ID
+ *  - sourceaddress: only take packets from this address, i.e. "192.168.0.2"
+ *    or "192.168.0.2:30000"
  *
  * @api public
  * @extends Client
@@ -75,7 +186,19 @@ var Client = function(options, log)
 
 	baseClient.client.call(this, options, log);
 
-	self.stream = dgram.createSocket("udp4");
+	// shared socket, see lib/udplistener.js
+	self.listener = null;
+	self.stream = null;
+
+	self.onListenerError = function(err)
+	{
+		self.log.crit(err);
+	};
+
+	self.onUnclaimed = function(data, rinfo)
+	{
+		self.log.verbose('Ignoring datagram @ size ' + data.length + ' from ' + rinfo.address + ':' + rinfo.port);
+	};
 
 	// 'this' context that plugin functions are call
 	self.ctx.outsim = exports;
@@ -84,9 +207,11 @@ var Client = function(options, log)
 util.inherits(Client, baseClient.client);
 
 /**
- * Starts a listening socket that waits for OutSim messages.
+ * Starts listening for OutSim messages, on a socket shared with any other
+ * OutSim clients on the same port.
  *
  * @api public
+ * @return {Promise} Resolves once listening
  */
 Client.prototype.connect = function()
 {
@@ -94,27 +219,55 @@ Client.prototype.connect = function()
 
 	self.emit('preconnect');
 
-	// data
-	self.stream.on('message', function(data, rinfo)
+	self.listener = udplistener.acquire(self.options.port, self);
+	self.stream = self.listener.stream;
+
+	self.listener.on('error', self.onListenerError);
+	self.listener.on('unclaimed', self.onUnclaimed);
+
+	var listener = self.listener;
+	var listening = new Promise(function(resolve, reject)
 	{
-		if (data.length <= 64)
+		if (listener.listening)
+		{
+			resolve();
 			return;
-		self.receive.call(self, data);
+		}
+
+		listener.once('listening', resolve);
+		listener.once('error', reject);
 	});
 
-	self.stream.bind(self.options.port);
+	listening.catch(function() {});
+
+	return listening;
 }
 
 /**
- * Closes the socket that is listening for data.
+ * Stops listening. The socket is closed once no other clients are using it.
  *
  * @api public
+ * @return {Promise} Resolves once closed
  */
 Client.prototype.disconnect = function()
 {
 	var self = this;
 
-	self.stream.close();
+	var listener = self.listener;
+
+	if (!listener)
+		return Promise.resolve();
+
+	self.listener = null;
+	self.stream = null;
+
+	listener.removeListener('error', self.onListenerError);
+	listener.removeListener('unclaimed', self.onUnclaimed);
+
+	return new Promise(function(resolve)
+	{
+		udplistener.release(listener, self, resolve);
+	});
 }
 
 /**
@@ -128,22 +281,47 @@ Client.prototype.send = function(pkt)
 	return;
 }
 
+/**
+ * Returns true if a datagram is an OS_PACK meant for this client. OS_PACK is
+ * 64 bytes, or 68 with the optional ID on the end.
+ *
+ * @api public
+ * @param {Buffer} data
+ * @param {Object} [rinfo] Remote address
+ * @return {Boolean}
+ */
+Client.prototype.accepts = function(data, rinfo)
+{
+	var range = exports.OS_PACK.prototype._SCHEMA.sizeRange();
+
+	if ((data.length != range.min) && (data.length != range.max))
+		return false;
+
+	var id = (data.length == range.max) ? data.readInt32LE(range.min) : 0;
+
+	return udplistener.matches(this.options, id, rinfo);
+}
+
 /**
  * Receives data from the socket and parses the data, if it's successfully
  * parsed it emit the event to the relevant subscribers
  *
  * @api public
  * @param {Buffer} data 
+ * @param {Object} [rinfo] Remote address
  */
-Client.prototype.receive = function(data)
+Client.prototype.receive = function(data, rinfo)
 {
 	var self = this;
 
+	if (!self.accepts(data, rinfo))
+		return;
+
 	var pkt = new exports.OS_PACK;
 	pkt.unpack(data);
 
 	self.log.verbose('Emitting event OS_PACK');
-	self.emit('OS_PACK', pkt);
+	self.emit('OS_PACK', pkt, rinfo);
 }
 
 /**
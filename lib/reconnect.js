@@ -0,0 +1,89 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Reconnect strategies. Each takes the attempt about to be made, starting at
+ * 1, and the client options, and returns the cooldown before it in seconds.
+ *
+ * @api public
+ */
+exports.strategies = {
+	// cooldown, 2 * cooldown, 3 * cooldown, ...
+	'linear': function(attempt, options)
+	{
+		return attempt * options.reconnectcooldown;
+	},
+
+	// cooldown, cooldown, ...
+	'fixed': function(attempt, options)
+	{
+		return options.reconnectcooldown;
+	},
+
+	// cooldown, 2 * cooldown, 4 * cooldown, ...
+	'exponential': function(attempt, options)
+	{
+		return options.reconnectcooldown * Math.pow(2, attempt - 1);
+	}
+};
+
+/**
+ * Returns the cooldown before a reconnection attempt, in ms, or -1 if we
+ * should give up.
+ *
+ * Options -
+ *  - reconnect: maximum number of attempts, -1 for unlimited, 0 never
+ *    reconnects (default 0)
+ *  - reconnectcooldown: seconds, the base cooldown (default 30)
+ *  - reconnectstrategy: linear (default), fixed, exponential, or a function
+ *    taking the attempt and the options, returning the cooldown in seconds or
+ *    a negative number to give up
+ *  - reconnectmaxcooldown: seconds, the cooldown never exceeds this (default
+ *    300)
+ *  - reconnectjitter: 0 to 1, fraction of the cooldown that is randomly taken
+ *    off, so that clients don't all reconnect at once (default 0)
+ *
+ * @api public
+ * @param {Number} attempt Attempt about to be made, starting at 1
+ * @param {Object} options Client options
+ * @return {Number}
+ */
+exports.delay = function(attempt, options)
+{
+	options = options || {};
+
+	var max = parseInt(options.reconnect, 10) || 0;
+	if ((max == 0) || ((max > 0) && (attempt > max)))
+		return -1;
+
+	var strategy = options.reconnectstrategy || 'linear';
+	if (typeof strategy != 'function')
+		strategy = exports.strategies[strategy];
+
+	if (!strategy)
+		throw new Error('Unknown reconnect strategy - ' + options.reconnectstrategy);
+
+	var opts = {};
+	for (var i in options)
+		opts[i] = options[i];
+
+	opts.reconnectcooldown = (options.reconnectcooldown >= 0) ? parseFloat(options.reconnectcooldown) : 30;
+
+	var cooldown = strategy(attempt, opts);
+	if ((typeof cooldown != 'number') || isNaN(cooldown) || (cooldown < 0))
+		return -1;
+
+	var limit = (options.reconnectmaxcooldown > 0) ? parseFloat(options.reconnectmaxcooldown) : 300;
+	cooldown = Math.min(cooldown, limit);
+
+	var jitter = Math.min(Math.max(parseFloat(options.reconnectjitter) || 0, 0), 1);
+	cooldown -= cooldown * jitter * Math.random();
+
+	return Math.round(cooldown * 1000);
+}
+
+}(typeof exports === "undefined"
+        ? (this.reconnect = {})
+        : exports));
@@ -8,17 +8,24 @@
  */
 var util = require('util'),
 	baseClient = require('./client'),
-	insim = require('./insim');
+	insim = require('./insim'),
+	schema = require('./schema');
 
-// Translating LFSW relay packets to jspack as follows -
-// char	= c
-// byte	= B
-// word	= H
-// short = h
-// unsigned	= L
-// int = l
-// float = f
-// char[16] = 16s
+// Packets describe their layout with a schema, see lib/schema.js
+
+/**
+ * Creates the schema for a relay packet. Like InSim, relay packets are always a
+ * multiple of 4 bytes in size.
+ *
+ * @api private
+ * @param {String} name Packet name
+ * @param {Array} fields Field descriptors
+ * @return {Object}
+ */
+var packet = function(name, fields)
+{
+	return schema.create(name, fields, { 'align': 4 });
+}
 
 /**
  * Packet ID for IRP_ARQ
@@ -62,6 +69,44 @@ exports.IRP_SEL = 254;
  */
 exports.IRP_ERR = 255;
 
+/**
+ * Translates relay packet IDs to the object name. Relay packet IDs start at
+ * IRP_ARQ, so the array is offset by that.
+ *
+ * @ignore
+ * @api private
+ */
+exports.IRP_XLATED = [ 'IR_ARQ', 'IR_ARP', 'IR_HLR', 'IR_HOS', 'IR_SEL', 'IR_ERR' ];
+
+/**
+ * Translates a relay packet ID to the object name.
+ *
+ * @api private
+ */
+exports.translatePktIdToName = function(id)
+{
+	var name = exports.IRP_XLATED[id - exports.IRP_ARQ];
+
+	if ((name == undefined) || (name == null))
+		return null;
+
+	return name;
+}
+
+/**
+ * Default address of the LFS World relay
+ *
+ * @api public
+ */
+exports.HOST = 'isrelay.lfs.net';
+
+/**
+ * Default port of the LFS World relay
+ *
+ * @api public
+ */
+exports.PORT = 47474;
+
 /**
  * Insim Relay Packet IR_HLR (Host List Request)
  * 
@@ -69,8 +114,6 @@ exports.IRP_ERR = 255;
  */
 exports.IR_HLR = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.IRP_HLR;
 	this.reqi = 0;
@@ -79,13 +122,20 @@ exports.IR_HLR = function()
 
 util.inherits(exports.IR_HLR, baseClient.pkt);
 
+exports.IR_HLR.prototype._SCHEMA = packet('IR_HLR', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true }
+]);
+
 // IR_HOSTINFO flags
 exports.HOS_SPECPASS = 1;
 exports.HOS_LICENSED = 2;
 exports.HOS_S1 = 4;
-exports.HOST_S2 = 8;
+exports.HOS_S2 = 8;
 exports.HOS_FIRST = 64;
-exports.LAST = 128;
+exports.HOS_LAST = 128;
 
 /**
  * Insim Relay Sub-packet containing HostInfo, used in IR_HOS
@@ -93,8 +143,6 @@ exports.LAST = 128;
  */
 exports.IR_HOSTINFO = function()
 {
-	this._PACK = '<32s6sBB';
-
 	this.hname= "";
 	this.track = "";
 	this.flags = 0;
@@ -103,6 +151,13 @@ exports.IR_HOSTINFO = function()
 
 util.inherits(exports.IR_HOSTINFO, baseClient.pkt);
 
+exports.IR_HOSTINFO.prototype._SCHEMA = schema.create('IR_HOSTINFO', [
+	{ 'name': 'hname', 'type': 'string', 'length': 32 },
+	{ 'name': 'track', 'type': 'string', 'length': 6, 'encoding': 'raw' },
+	{ 'name': 'flags', 'type': 'byte' },
+	{ 'name': 'numconns', 'type': 'byte' }
+]);
+
 /**
  * Insim Relay Packet IR_HOS (Online hosts, connected to LFSW Relay)
  * 
@@ -110,20 +165,23 @@ util.inherits(exports.IR_HOSTINFO, baseClient.pkt);
  */
 exports.IR_HOS = function()
 {
-	this._PACK = '<BBBB'; // partial pack string
-
 	this.size = 4; // 4+ NumHosts * 40
 	this.type = exports.IRP_HOS;
 	this.reqi = 0;
 	this.numhosts = 0;
-	this.info = [];
 
-	this.sp0 = 0;
+	this.info = [];
 }
 
-util.inherits(exports.IR_HLR, baseClient.pkt);
+util.inherits(exports.IR_HOS, baseClient.pkt);
 
-// TODO custom unpack and pack functions for IR_HOS
+exports.IR_HOS.prototype._SCHEMA = packet('IR_HOS', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'numhosts', 'type': 'byte' },
+	{ 'name': 'info', 'type': 'struct', 'struct': exports.IR_HOSTINFO, 'count': 'numhosts', 'max': 6 }
+]);
 
 /**
  * Insim Relay Packet IR_SEL (Select host)
@@ -132,8 +190,6 @@ util.inherits(exports.IR_HLR, baseClient.pkt);
  */
 exports.IR_SEL = function()
 {
-	this._PACK = '<BBBB32s16s16s';
-
 	this.size = 68;
 	this.type = exports.IRP_SEL;
 	this.reqi = 0;
@@ -146,23 +202,60 @@ exports.IR_SEL = function()
 
 util.inherits(exports.IR_SEL, baseClient.pkt);
 
+exports.IR_SEL.prototype._SCHEMA = packet('IR_SEL', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'zero', 'type': 'byte', 'reserved': true },
+	{ 'name': 'hname', 'type': 'string', 'length': 32 },
+	{ 'name': 'admin', 'type': 'string', 'length': 16, 'encoding': 'raw' },
+	{ 'name': 'spec', 'type': 'string', 'length': 16, 'encoding': 'raw' }
+]);
+
 /**
- * Insim Relay Packet IR_ArQ (Admin Request)
+ * Insim Relay Packet IR_ARQ (Admin Request)
  * 
  * @api public 
  */
 exports.IR_ARQ = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.IRP_ARQ;
 	this.reqi = 0;
-	this.admin = 0; // 0=admin, 1=admin
+	this.sp0 = 0;
 }
 
 util.inherits(exports.IR_ARQ, baseClient.pkt);
 
+exports.IR_ARQ.prototype._SCHEMA = packet('IR_ARQ', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'sp0', 'type': 'byte', 'reserved': true }
+]);
+
+/**
+ * Insim Relay Packet IR_ARP (Admin Response)
+ * 
+ * @api public 
+ */
+exports.IR_ARP = function()
+{
+	this.size = 4;
+	this.type = exports.IRP_ARP;
+	this.reqi = 0;
+	this.admin = 0; // 0=not admin, 1=admin
+}
+
+util.inherits(exports.IR_ARP, baseClient.pkt);
+
+exports.IR_ARP.prototype._SCHEMA = packet('IR_ARP', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'admin', 'type': 'byte' }
+]);
+
 /**
  * IR_ERR errno - Invalid packet
  * @api public
@@ -206,8 +299,6 @@ exports.IR_ERR_NOSPEC = 6;
  */
 exports.IR_ERR = function()
 {
-	this._PACK = '<BBBB';
-
 	this.size = 4;
 	this.type = exports.IRP_ERR;
 	this.reqi = 0;
@@ -216,11 +307,76 @@ exports.IR_ERR = function()
 
 util.inherits(exports.IR_ERR, baseClient.pkt);
 
+exports.IR_ERR.prototype._SCHEMA = packet('IR_ERR', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'type', 'type': 'byte' },
+	{ 'name': 'reqi', 'type': 'byte' },
+	{ 'name': 'errno', 'type': 'byte' }
+]);
+
 /**
- * Client object that represents an OutGauge connection.
+ * Human readable descriptions of each IR_ERR errno
+ *
+ * @api private
+ */
+var errMessages = {};
+errMessages[exports.IR_ERR_PACKET] = 'Invalid packet sent by client (wrong structure / length)';
+errMessages[exports.IR_ERR_PACKET2] = 'Invalid packet sent by client (packet was not allowed to be forwarded to host)';
+errMessages[exports.IR_ERR_HOSTNAME] = 'Wrong hostname given by client';
+errMessages[exports.IR_ERR_ADMIN] = 'Wrong admin pass given by client';
+errMessages[exports.IR_ERR_SPEC] = 'Wrong spec pass given by client';
+errMessages[exports.IR_ERR_NOSPEC] = 'Spectator pass required, but none given';
+
+/**
+ * Error raised when the relay responds with IR_ERR. The errno is kept, and the
+ * matching IR_ERR_* constant name is available as code.
  *
  * @api public
- * @extends Client
+ * @extends Error
+ * @param {Number} errno IR_ERR errno
+ */
+var RelayError = function(errno)
+{
+	Error.call(this);
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, RelayError);
+
+	this.name = 'RelayError';
+	this.errno = errno;
+	this.code = 'IR_ERR_UNKNOWN';
+	this.message = errMessages[errno] || ('Unknown relay error ' + errno);
+
+	for (var i in exports)
+	{
+		if ((i.indexOf('IR_ERR_') == 0) && (exports[i] === errno))
+		{
+			this.code = i;
+			break;
+		}
+	}
+}
+
+util.inherits(RelayError, Error);
+
+/**
+ * Exports the RelayError object
+ *
+ * @api public
+ */
+exports.RelayError = RelayError;
+
+/**
+ * Client object that represents a connection to the LFS World relay. Once a
+ * host has been selected it behaves just like an InSim client.
+ *
+ * Options, in addition to those of the InSim client -
+ *  - hname: host to select once connected, if any
+ *  - admin: admin password for the selected host
+ *  - spec: spectator password for the selected host
+ *
+ * @api public
+ * @extends insim.client
  * @param {Object} options Options object
  * @param {Object} [log] Logger instance
  */
@@ -228,70 +384,290 @@ var Client = function(options, log)
 {
 	var self = this;
 
-	baseClient.client.call(this, options, log);
-
-	self.buffer = new BufferList;
-	self.stream = null;
+	insim.client.call(this, options, log);
 
-	// should be set by plugins automagically
-	// when the plugin init function is called
-	self.isiFlags = 0;
-	self.udpPort = 0;
+	// the host list from the last completed IR_HLR
+	self.hosts = [];
+	self.hname = '';
 
-	self.isHost = '';
-	self.hostname = '';
+	// pending host list, and callbacks, until we see HOS_LAST
+	self.hostsPending = [];
+	self.hostsCallbacks = [];
 
 	// 'this' context that plugin functions are call
-	self.ctx.insim = exports;
+	self.ctx.relay = exports;
+
+	self.registerHook('IR_HOS', self.onIR_HOS);
+	self.registerHook('IR_ERR', self.onIR_ERR);
 };
 
-util.inherits(Client, baseClient.client);
+util.inherits(Client, insim.client);
 
 /**
- * Starts a listening socket that waits for OutGauge messages.
+ * Connects to the relay, and registers a handful of callbacks to deal with
+ * disconnections, etc.
+ *
+ * The promise resolves once the selected host has replied with IS_VER, so
+ * only if a host is configured with the hname option.
  *
  * @api public
+ * @return {Promise}
  */
 Client.prototype.connect = function()
 {
 	var self = this;
+
+	self.options.host = self.options.host || exports.HOST;
+	self.options.port = self.options.port || exports.PORT;
+
+	return insim.client.prototype.connect.call(self);
 }
 
 /**
- * Closes the socket that is listening for data.
+ * Called once the TCP connection to the relay is established. There is no
+ * IS_ISI through the relay, so if a host has been configured we select it.
+ *
+ * @api private
+ */
+Client.prototype.handshake = function()
+{
+	var self = this;
+
+	if ((self.options.hname != undefined) && (self.options.hname.length > 0))
+		self.selectHost(self.options.hname, self.options.admin, self.options.spec);
+}
+
+/**
+ * The relay cannot forward UDP, so this is a no-op.
+ *
+ * @ignore
+ */
+Client.prototype.connectUdp = function()
+{
+	return;
+}
+
+/**
+ * Closes the connection to the relay. The host is not sent TINY_CLOSE, as
+ * it's not ours to close.
  *
  * @api public
+ * @return {Promise} Resolves once disconnected
  */
 Client.prototype.disconnect = function()
 {
 	var self = this;
 
-	var p = new exports.IS_TINY;
-	p.subt = exports.TINY_CLOSE;
-	self.send(p);
+	// waiting to reconnect, there's nothing to close
+	if (self.reconnectTimer)
+	{
+		clearTimeout(self.reconnectTimer);
+		self.reconnectTimer = null;
+
+		self.emit('disconnect');
+		return Promise.resolve();
+	}
+
+	if (!self.stream || self.stream.destroyed)
+		return Promise.resolve();
+
+	var disconnected = self.settle('disconnect');
 
+	self.closing = true;
 	self.stream.end();
+
+	return disconnected;
 }
 
 /**
- * Sends a packet to LFS
+ * Requests the list of hosts connected to the relay. The callback is called
+ * with an array of IR_HOSTINFO once the relay has sent them all.
  *
  * @api public
- * @param {Object} pkt
+ * @param {Function} next Callback, receives (err, hosts)
  */
-Client.prototype.send = function(pkt)
+Client.prototype.listHosts = function(next)
 {
 	var self = this;
 
-	var b = new Buffer(pkt.pack());
-	self.stream.write(b);
+	if (typeof next == 'function')
+		self.hostsCallbacks.push(next);
+
+	// already waiting on a list, no need to ask twice
+	if (self.hostsCallbacks.length > 1)
+		return;
 
-	b = null;
-	pkt = null; // should be the last point we care about the packet. but do we want to assume this?
+	self.hostsPending = [];
+
+	// the relay answers before any host is selected, so skip the queue
+	var p = new exports.IR_HLR;
+	p.reqi = 1;
+	self.send(p, { 'immediate': true });
 }
 
 /**
- * Exports the OutSim client object
+ * Selects a host on the relay. Once selected the host's InSim packets are
+ * forwarded to us, and we request IS_VER so that the usual connect event is
+ * emitted.
+ *
+ * @api public
+ * @param {String} hname Host name
+ * @param {String} [admin] Admin password
+ * @param {String} [spec] Spectator password
+ */
+Client.prototype.selectHost = function(hname, admin, spec)
+{
+	var self = this;
+
+	self.hname = hname;
+
+	var p = new exports.IR_SEL;
+	p.reqi = 1;
+	p.hname = hname;
+	p.admin = admin || '';
+	p.spec = spec || '';
+	self.send(p, { 'immediate': true });
+
+	var t = new insim.IS_TINY;
+	t.reqi = 1;
+	t.subt = insim.TINY_VER;
+	self.send(t, { 'immediate': true });
+}
+
+/**
+ * Asks the relay whether we are admin on the selected host. The relay replies
+ * with IR_ARP.
+ *
+ * @api public
+ */
+Client.prototype.requestAdmin = function()
+{
+	var self = this;
+
+	var p = new exports.IR_ARQ;
+	p.reqi = 1;
+	self.send(p);
+}
+
+/**
+ * Unpacks a single complete packet and emits it to any subscribers. Relay
+ * packets are handled here, anything else is an InSim packet from the
+ * selected host.
+ *
+ * @api private
+ * @param {Buffer} p Complete packet
+ */
+Client.prototype.parse = function(p)
+{
+	var self = this;
+
+	var pktId = p.readUInt8(1);
+	var pktName = exports.translatePktIdToName(pktId);
+
+	if (pktName == null)
+		return insim.client.prototype.parse.call(self, p);
+
+	self.log.verbose('Relay packet ' + pktName + ' consumed @ size ' + p.length);
+
+	try
+	{
+		var pkt = new exports[pktName];
+		pkt.unpack(p);
+
+		self.log.verbose('Emitting event \'' + pktName + '\'');
+		self.emit(pktName, pkt);
+	}
+	catch (err)
+	{
+		self.log.crit('Error');
+		self.log.crit(err.stack);
+		self.log.crit(util.inspect(err));
+	}
+}
+
+/**
+ * Returns the packet constructor for a relay or InSim packet id, or null if
+ * there isn't one.
+ *
+ * @api private
+ * @param {Number} id
+ * @return {Function}
+ */
+Client.prototype.packetClass = function(id)
+{
+	var name = exports.translatePktIdToName(id);
+
+	if (name == null)
+		return insim.client.prototype.packetClass.call(this, id);
+
+	return exports[name];
+}
+
+/**
+ * Bound to the event IR_HOS. Collects host info until the relay flags the
+ * last host, then hands the complete list to anyone waiting on it.
+ *
+ * @api private
+ * @param {Object} pkt
+ */
+Client.prototype.onIR_HOS = function(pkt)
+{
+	var self = this.client;
+	var last = false;
+
+	for (var i = 0; i < pkt.info.length; i++)
+	{
+		if (pkt.info[i].flags & exports.HOS_FIRST)
+			self.hostsPending = [];
+
+		self.hostsPending.push(pkt.info[i]);
+
+		if (pkt.info[i].flags & exports.HOS_LAST)
+			last = true;
+	}
+
+	// no hosts at all still marks the end of the list
+	if (!last && (pkt.numhosts > 0))
+		return;
+
+	self.hosts = self.hostsPending;
+	self.hostsPending = [];
+
+	var callbacks = self.hostsCallbacks;
+	self.hostsCallbacks = [];
+
+	for (var i = 0; i < callbacks.length; i++)
+		callbacks[i].call(this, null, self.hosts);
+
+	self.emit('relay:hosts', self.hosts);
+}
+
+/**
+ * Bound to the event IR_ERR. Converts the errno into a RelayError, passes it
+ * to anyone waiting on a host list and emits it as relay:error.
+ *
+ * @api private
+ * @param {Object} pkt
+ */
+Client.prototype.onIR_ERR = function(pkt)
+{
+	var self = this.client;
+
+	var err = new RelayError(pkt.errno);
+
+	this.log.crit('Relay error - ' + err.message);
+
+	var callbacks = self.hostsCallbacks;
+	self.hostsCallbacks = [];
+
+	for (var i = 0; i < callbacks.length; i++)
+		callbacks[i].call(this, err);
+
+	self.emit('relay:error', err);
+}
+
+/**
+ * Exports the relay client object
  *
  * @api public
  * @return {Object}
@@ -299,6 +675,5 @@ Client.prototype.send = function(pkt)
 exports.client = Client;
 
 }(typeof exports === "undefined"
-        ? (this.outgauge = {})
+        ? (this.relay = {})
         : exports));
-
@@ -0,0 +1,710 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util'),
+	strings = require('./strings');
+
+/**
+ * Wire types, named after their LFS insim.h equivalents, along with their size
+ * in bytes, permitted range and the Buffer functions used to read and write
+ * them.
+ *
+ * @api public
+ */
+exports.types = {
+	'byte': { 'size': 1, 'min': 0, 'max': 0xff, 'integer': true, 'read': 'readUInt8', 'write': 'writeUInt8' },
+	'char': { 'size': 1, 'min': -0x80, 'max': 0x7f, 'integer': true, 'read': 'readInt8', 'write': 'writeInt8' },
+	'word': { 'size': 2, 'min': 0, 'max': 0xffff, 'integer': true, 'read': 'readUInt16LE', 'write': 'writeUInt16LE' },
+	'short': { 'size': 2, 'min': -0x8000, 'max': 0x7fff, 'integer': true, 'read': 'readInt16LE', 'write': 'writeInt16LE' },
+	'unsigned': { 'size': 4, 'min': 0, 'max': 0xffffffff, 'integer': true, 'read': 'readUInt32LE', 'write': 'writeUInt32LE' },
+	'int': { 'size': 4, 'min': -0x80000000, 'max': 0x7fffffff, 'integer': true, 'read': 'readInt32LE', 'write': 'writeInt32LE' },
+	'float': { 'size': 4, 'min': -3.4028234663852886e38, 'max': 3.4028234663852886e38, 'integer': false, 'read': 'readFloatLE', 'write': 'writeFloatLE' }
+};
+
+/**
+ * String encodings
+ *  - lfs: LFS codepage encoded text, converted to and from utf8
+ *  - command: as lfs, but a leading / is sent as it is, so that it runs as a
+ *    command. Only IS_MST takes commands
+ *  - raw: left as is, one character per byte
+ *
+ * @api public
+ */
+exports.encodings = [ 'lfs', 'command', 'raw' ];
+
+/**
+ * Describes the wire format of a packet, or of a structure within a packet,
+ * as an ordered list of fields. Each field is an object with the following
+ * keys -
+ *  - name: property name on the packet object
+ *  - type: one of the wire types above, 'string' or 'struct'
+ *  - count: for numeric types and structs, either a fixed number of elements
+ *    or the name of a previous field that holds the number of elements.
+ *    Either way the property is an array.
+ *  - max: maximum number of elements, when count names another field or the
+ *    field is variable
+ *  - length: for strings, the size in bytes
+ *  - variable: for strings, the string only takes as much space as it needs
+ *    (including the null terminator), rounded up to a multiple of 4, up to
+ *    length bytes. For numeric types and structs without a count, the
+ *    property is an array of up to max elements that takes up whatever is
+ *    left of the buffer, i.e. IS_AIC, which doesn't say how many it holds.
+ *  - encoding: for strings, one of the encodings above. Defaults to 'lfs'.
+ *  - struct: for structs, the constructor of the structure. Its prototype must
+ *    have a _SCHEMA.
+ *  - reserved: always packed as zero, and never validated
+ *  - optional: may be missing from the end of a received buffer
+ *
+ * @api public
+ * @param {String} name Name used when reporting errors
+ * @param {Array} fields Field descriptors
+ * @param {Object} [options] align: packed size is rounded up to a multiple of
+ * this
+ */
+var Schema = function(name, fields, options)
+{
+	var self = this;
+
+	options = options || {};
+
+	self.name = name;
+	self.align = options.align || 1;
+	self.fields = [];
+
+	for (var i = 0; i < fields.length; i++)
+		self.fields.push(self.checkField(fields[i]));
+}
+
+/**
+ * Checks a field descriptor is sane, throwing if it isn't, and fills in any
+ * defaults.
+ *
+ * @api private
+ * @param {Object} field
+ * @return {Object}
+ */
+Schema.prototype.checkField = function(field)
+{
+	var self = this;
+	var where = self.name + '.' + field.name;
+
+	if (!field.name)
+		throw new Error('Field without a name in ' + self.name);
+
+	if (field.type == 'string')
+	{
+		if (!(field.length > 0))
+			throw new Error(where + ': strings must have a length');
+
+		if (!field.encoding)
+			field.encoding = 'lfs';
+
+		if (exports.encodings.indexOf(field.encoding) < 0)
+			throw new Error(where + ': unknown encoding \'' + field.encoding + '\'');
+	}
+	else if (field.type == 'struct')
+	{
+		if ((typeof field.struct != 'function') || !field.struct.prototype._SCHEMA)
+			throw new Error(where + ': structs must have a constructor with a _SCHEMA');
+	}
+	else if (!exports.types[field.type])
+	{
+		throw new Error(where + ': unknown type \'' + field.type + '\'');
+	}
+
+	if (((typeof field.count == 'string') || (field.variable && (field.type != 'string'))) && !(field.max > 0))
+		throw new Error(where + ': variable counts must have a max');
+
+	return field;
+}
+
+/**
+ * Returns true if a field holds an array of elements, rather than one.
+ *
+ * @api private
+ * @param {Object} field
+ * @return {Boolean}
+ */
+Schema.prototype.isArray = function(field)
+{
+	return (field.count != undefined) || ((field.type != 'string') && !!field.variable);
+}
+
+/**
+ * Returns the field descriptor for a given name.
+ *
+ * @api public
+ * @param {String} name
+ * @return {Object}
+ */
+Schema.prototype.getField = function(name)
+{
+	for (var i = 0; i < this.fields.length; i++)
+	{
+		if (this.fields[i].name == name)
+			return this.fields[i];
+	}
+
+	return null;
+}
+
+/**
+ * Returns the number of elements a field holds, when packing values.
+ *
+ * @api private
+ * @param {Object} field
+ * @param {Object} values
+ * @return {Number}
+ */
+Schema.prototype.countOf = function(field, values)
+{
+	if (!this.isArray(field))
+		return 1;
+
+	if (typeof field.count == 'number')
+		return field.count;
+
+	var items = values[field.name] || [];
+	return Math.min(items.length, field.max);
+}
+
+/**
+ * Returns the string as bytes, ready to be written to the wire.
+ *
+ * @api private
+ * @param {Object} field
+ * @param {String} str
+ * @return {Buffer}
+ */
+Schema.prototype.encodeString = function(field, str)
+{
+	if ((str == undefined) || (str == null))
+		str = '';
+
+	str = String(str);
+
+	if ((field.encoding != 'raw') && (str.length > 0))
+		str = strings.fromUTF8(str, (field.encoding == 'command'));
+
+	return new Buffer(str, 'binary');
+}
+
+/**
+ * Returns a string read from the wire, without the null termination.
+ *
+ * @api private
+ * @param {Object} field
+ * @param {Buffer} buf
+ * @param {Number} start
+ * @param {Number} end
+ * @return {String}
+ */
+Schema.prototype.decodeString = function(field, buf, start, end)
+{
+	for (var i = start; i < end; i++)
+	{
+		if (buf[i] == 0)
+		{
+			end = i;
+			break;
+		}
+	}
+
+	var str = buf.toString('binary', start, end);
+
+	if ((field.encoding != 'raw') && (str.length > 0))
+		str = strings.toUTF8(str);
+
+	return str;
+}
+
+/**
+ * Returns the size in bytes of a single field, for the given values.
+ *
+ * @api private
+ * @param {Object} field
+ * @param {Object} values
+ * @return {Number}
+ */
+Schema.prototype.fieldSize = function(field, values)
+{
+	var self = this;
+
+	if (field.type == 'string')
+	{
+		if (!field.variable)
+			return field.length;
+
+		// text, plus null terminator, rounded up to a multiple of 4
+		var len = self.encodeString(field, values[field.name]).length + 1;
+		len += (4 - (len % 4)) % 4;
+
+		return Math.min(len, field.length);
+	}
+
+	var count = self.countOf(field, values);
+
+	if (field.type != 'struct')
+		return exports.types[field.type].size * count;
+
+	var sub = field.struct.prototype._SCHEMA;
+	var items = values[field.name];
+	var size = 0;
+
+	for (var i = 0; i < count; i++)
+		size += sub.sizeOf(self.isArray(field) ? items[i] : items);
+
+	return size;
+}
+
+/**
+ * Returns the smallest and largest sizes in bytes that a buffer holding this
+ * schema may have, i.e. to sanity check the size of a received packet.
+ * Variable strings, variable counts and optional fields may be anything from
+ * empty to their maximum.
+ *
+ * @api public
+ * @return {Object} { min, max }
+ */
+Schema.prototype.sizeRange = function()
+{
+	var self = this;
+
+	if (self.range)
+		return self.range;
+
+	var min = 0;
+	var max = 0;
+
+	for (var i = 0; i < self.fields.length; i++)
+	{
+		var field = self.fields[i];
+		var lo = 0;
+		var hi = 0;
+
+		if (field.type == 'string')
+		{
+			hi = field.length;
+			lo = field.variable ? 0 : field.length;
+		}
+		else
+		{
+			var each = (field.type == 'struct') ? field.struct.prototype._SCHEMA.sizeRange() : { 'min': exports.types[field.type].size, 'max': exports.types[field.type].size };
+
+			if ((typeof field.count == 'string') || field.variable)
+			{
+				hi = each.max * field.max;
+			}
+			else
+			{
+				var count = (field.count == undefined) ? 1 : field.count;
+				lo = each.min * count;
+				hi = each.max * count;
+			}
+		}
+
+		if (!field.optional)
+			min += lo;
+		max += hi;
+	}
+
+	max += (self.align - (max % self.align)) % self.align;
+
+	self.range = { 'min': min, 'max': max };
+	return self.range;
+}
+
+/**
+ * Returns the packed size in bytes of the given values.
+ *
+ * @api public
+ * @param {Object} values
+ * @return {Number}
+ */
+Schema.prototype.sizeOf = function(values)
+{
+	var self = this;
+	var size = 0;
+
+	values = values || {};
+
+	for (var i = 0; i < self.fields.length; i++)
+		size += self.fieldSize(self.fields[i], values);
+
+	size += (self.align - (size % self.align)) % self.align;
+
+	return size;
+}
+
+/**
+ * Packs the given values into a new Buffer. Any field holding the count of
+ * another field is updated to match the number of elements being packed.
+ *
+ * @api public
+ * @param {Object} values
+ * @return {Buffer}
+ */
+Schema.prototype.pack = function(values)
+{
+	var self = this;
+
+	// update the counts before we do anything else, as they're packed before
+	// the elements that they count
+	for (var i = 0; i < self.fields.length; i++)
+	{
+		if (typeof self.fields[i].count == 'string')
+			values[self.fields[i].count] = self.countOf(self.fields[i], values);
+	}
+
+	var buf = new Buffer(self.sizeOf(values));
+	buf.fill(0);
+
+	self.packInto(values, buf, 0);
+
+	return buf;
+}
+
+/**
+ * Packs the given values into an existing buffer at an offset.
+ *
+ * @api private
+ * @param {Object} values
+ * @param {Buffer} buf
+ * @param {Number} offset
+ * @return {Number} Offset after the last byte written
+ */
+Schema.prototype.packInto = function(values, buf, offset)
+{
+	var self = this;
+
+	for (var i = 0; i < self.fields.length; i++)
+	{
+		var field = self.fields[i];
+		var size = self.fieldSize(field, values);
+		var value = values[field.name];
+
+		if (field.reserved)
+		{
+			// already zero filled
+		}
+		else if (field.type == 'string')
+		{
+			// always leave room for the null terminator on variable strings
+			var bytes = self.encodeString(field, value);
+			bytes.copy(buf, offset, 0, Math.min(bytes.length, (field.variable ? size - 1 : size)));
+		}
+		else if (field.type == 'struct')
+		{
+			var sub = field.struct.prototype._SCHEMA;
+
+			if (!self.isArray(field))
+				sub.packInto(value || {}, buf, offset);
+			else
+			{
+				for (var j = 0, o = offset; j < self.countOf(field, values); j++)
+					o = sub.packInto(value[j], buf, o);
+			}
+		}
+		else
+		{
+			var t = exports.types[field.type];
+
+			if (!self.isArray(field))
+				buf[t.write](self.coerce(t, value), offset);
+			else
+			{
+				for (var j = 0; j < self.countOf(field, values); j++)
+					buf[t.write](self.coerce(t, (value || [])[j]), offset + (j * t.size));
+			}
+		}
+
+		offset += size;
+	}
+
+	return offset;
+}
+
+/**
+ * Coerces a value into something that can be written as the given type,
+ * without Buffer complaining.
+ *
+ * @api private
+ * @param {Object} t Type
+ * @param {Mixed} value
+ * @return {Number}
+ */
+Schema.prototype.coerce = function(t, value)
+{
+	value = Number(value) || 0;
+
+	if (!t.integer)
+		return value;
+
+	value = Math.round(value);
+
+	if (value < t.min)
+		return t.min;
+
+	if (value > t.max)
+		return t.max;
+
+	return value;
+}
+
+/**
+ * Unpacks a buffer into the target object, or a new object if one isn't
+ * given.
+ *
+ * @api public
+ * @param {Buffer} buf
+ * @param {Object} [target]
+ * @return {Object}
+ */
+Schema.prototype.unpack = function(buf, target)
+{
+	var self = this;
+
+	target = target || {};
+
+	self.unpackFrom(buf, 0, target);
+
+	return target;
+}
+
+/**
+ * Unpacks from a buffer at an offset into the target object.
+ *
+ * @api private
+ * @param {Buffer} buf
+ * @param {Number} offset
+ * @param {Object} target
+ * @return {Number} Offset after the last byte read
+ */
+Schema.prototype.unpackFrom = function(buf, offset, target)
+{
+	var self = this;
+
+	for (var i = 0; i < self.fields.length; i++)
+	{
+		var field = self.fields[i];
+		var count = 1;
+
+		if (typeof field.count == 'number')
+			count = field.count;
+		else if (typeof field.count == 'string')
+			count = Math.min(target[field.count] || 0, field.max);
+		else if (self.isArray(field))
+		{
+			// as many as there's room for
+			var each = (field.type == 'struct') ? field.struct.prototype._SCHEMA.sizeRange().max : exports.types[field.type].size;
+			count = Math.min(Math.floor((buf.length - offset) / each), field.max);
+		}
+
+		if (field.type == 'string')
+		{
+			var end = offset + field.length;
+
+			// variable strings take up whatever is left, up to their length
+			if (field.variable)
+				end = Math.min(end, buf.length);
+
+			if (end > buf.length)
+			{
+				if (field.optional)
+					break;
+
+				throw new Error(self.name + '.' + field.name + ': buffer too short, ' + buf.length + ' bytes');
+			}
+
+			target[field.name] = self.decodeString(field, buf, offset, end);
+			offset = end;
+		}
+		else if (field.type == 'struct')
+		{
+			var sub = field.struct.prototype._SCHEMA;
+
+			if (!self.isArray(field))
+			{
+				target[field.name] = new field.struct;
+				offset = sub.unpackFrom(buf, offset, target[field.name]);
+			}
+			else
+			{
+				target[field.name] = [];
+
+				for (var j = 0; j < count; j++)
+				{
+					var item = new field.struct;
+					offset = sub.unpackFrom(buf, offset, item);
+					target[field.name].push(item);
+				}
+			}
+		}
+		else
+		{
+			var t = exports.types[field.type];
+
+			if (offset + (t.size * count) > buf.length)
+			{
+				if (field.optional)
+					break;
+
+				throw new Error(self.name + '.' + field.name + ': buffer too short, ' + buf.length + ' bytes');
+			}
+
+			if (!self.isArray(field))
+			{
+				target[field.name] = buf[t.read](offset);
+				offset += t.size;
+			}
+			else
+			{
+				target[field.name] = [];
+
+				for (var j = 0; j < count; j++, offset += t.size)
+					target[field.name].push(buf[t.read](offset));
+			}
+		}
+	}
+
+	return offset;
+}
+
+/**
+ * Validates the given values against the schema, returning a list of
+ * human readable problems. An empty list means the values are valid.
+ *
+ * @api public
+ * @param {Object} values
+ * @return {Array}
+ */
+Schema.prototype.validate = function(values)
+{
+	var self = this;
+	var errors = [];
+
+	values = values || {};
+
+	for (var i = 0; i < self.fields.length; i++)
+	{
+		var field = self.fields[i];
+
+		if (field.reserved)
+			continue;
+
+		var where = self.name + '.' + field.name;
+		var value = values[field.name];
+
+		// count fields are filled in for us
+		if (self.isCountField(field.name))
+			continue;
+
+		if (field.type == 'string')
+		{
+			var len = self.encodeString(field, value).length;
+			var max = (field.variable ? field.length - 1 : field.length);
+
+			if ((value != undefined) && (typeof value != 'string'))
+				errors.push(where + ': expected a string, got ' + typeof value);
+			else if (len > max)
+				errors.push(where + ': string of ' + len + ' bytes exceeds the maximum of ' + max);
+
+			continue;
+		}
+
+		var items = [ value ];
+
+		if (self.isArray(field))
+		{
+			if (!Array.isArray(value))
+			{
+				errors.push(where + ': expected an array');
+				continue;
+			}
+
+			var max = ((typeof field.count == 'number') ? field.count : field.max);
+			if (value.length > max)
+				errors.push(where + ': ' + value.length + ' elements exceeds the maximum of ' + max);
+
+			items = value;
+		}
+
+		for (var j = 0; j < items.length; j++)
+		{
+			var what = where + (self.isArray(field) ? '[' + j + ']' : '');
+
+			if (field.type == 'struct')
+			{
+				if ((typeof items[j] != 'object') || (items[j] == null))
+					errors.push(what + ': expected an object');
+				else
+					errors = errors.concat(field.struct.prototype._SCHEMA.validate(items[j]).map(function(e)
+					{
+						return what + ' ' + e;
+					}));
+
+				continue;
+			}
+
+			var t = exports.types[field.type];
+			var v = items[j];
+
+			if ((typeof v != 'number') || isNaN(v))
+				errors.push(what + ': expected a number, got ' + util.inspect(v));
+			else if (t.integer && (Math.floor(v) != v))
+				errors.push(what + ': expected an integer, got ' + v);
+			else if ((v < t.min) || (v > t.max))
+				errors.push(what + ': ' + v + ' is out of range for ' + field.type + ' (' + t.min + ' to ' + t.max + ')');
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Returns true if the named field holds the count of another field.
+ *
+ * @api private
+ * @param {String} name
+ * @return {Boolean}
+ */
+Schema.prototype.isCountField = function(name)
+{
+	for (var i = 0; i < this.fields.length; i++)
+	{
+		if (this.fields[i].count === name)
+			return true;
+	}
+
+	return false;
+}
+
+/**
+ * Exports the Schema object
+ *
+ * @api public
+ */
+exports.Schema = Schema;
+
+/**
+ * Creates a schema
+ *
+ * @api public
+ * @param {String} name Name used when reporting errors
+ * @param {Array} fields Field descriptors
+ * @param {Object} [options]
+ * @return {Object}
+ */
+exports.create = function(name, fields, options)
+{
+	return new Schema(name, fields, options);
+}
+
+}(typeof exports === "undefined"
+        ? (this.schema = {})
+        : exports));
@@ -0,0 +1,158 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var jsonTidy = require('./json-tidy');
+
+/**
+ * What redacted values are replaced with.
+ *
+ * @api public
+ */
+exports.MASK = '********';
+
+/**
+ * Options that are always secret, whatever they're set to, i.e. the InSim
+ * admin password.
+ *
+ * @api public
+ */
+exports.keys = [ 'admin', 'spec', 'password' ];
+
+/**
+ * Shortest value that is redacted from text, see register.
+ *
+ * @api public
+ */
+exports.MIN_LENGTH = 4;
+
+/**
+ * Values that have been registered as secret, see register.
+ *
+ * @api private
+ */
+var values = [];
+
+/**
+ * Loads a secrets file, a JSON object of names and values, i.e.
+ * { "ADMIN_PASSWORD": "hunter2" }. Every value is registered as secret, and
+ * is available to the config as ${ADMIN_PASSWORD}.
+ *
+ * @api public
+ * @param {String} file
+ * @return {Object} Values, by name
+ */
+exports.load = function(file)
+{
+	var secrets = jsonTidy.tidyParseFile(file, 'utf8');
+
+	for (var i in secrets)
+	{
+		secrets[i] = String(secrets[i]);
+		exports.register(secrets[i]);
+	}
+
+	return secrets;
+}
+
+/**
+ * Registers a value as secret, so that it's redacted wherever it turns up.
+ * Values shorter than MIN_LENGTH are left out, as they'd turn up by chance
+ * all over the logs, i.e. a password of 1 would mask every 1. Options in
+ * keys are masked by redactConfig however short they are.
+ *
+ * @api public
+ * @param {String} value
+ */
+exports.register = function(value)
+{
+	value = String(value);
+
+	if ((value.length >= exports.MIN_LENGTH) && (values.indexOf(value) < 0))
+		values.push(value);
+
+	// longest first, so a secret containing another is redacted whole
+	values.sort(function(a, b)
+	{
+		return b.length - a.length;
+	});
+}
+
+/**
+ * Registers whatever is set for one of the keys in keys, anywhere in a
+ * config, as secret. These may have come from the environment, or --set,
+ * rather than the secrets file, and are masked in logs all the same.
+ *
+ * @api public
+ * @param {Mixed} config
+ */
+exports.registerConfig = function(config)
+{
+	if ((typeof config != 'object') || (config === null))
+		return;
+
+	for (var i in config)
+	{
+		if ((exports.keys.indexOf(i) >= 0) && (typeof config[i] == 'string'))
+			exports.register(config[i]);
+		else
+			exports.registerConfig(config[i]);
+	}
+}
+
+/**
+ * Returns a string with every secret in it masked.
+ *
+ * @api public
+ * @param {String} str
+ * @return {String}
+ */
+exports.redact = function(str)
+{
+	str = String(str);
+
+	for (var i = 0; i < values.length; i++)
+		str = str.split(values[i]).join(exports.MASK);
+
+	return str;
+}
+
+/**
+ * Returns a copy of a config, or part of one, with secrets masked - any
+ * registered value and anything set for one of the keys in keys.
+ *
+ * Usage -
+ *  console.log(JSON.stringify(secrets.redactConfig(this.client.options)));
+ *
+ * @api public
+ * @param {Mixed} config
+ * @return {Mixed}
+ */
+exports.redactConfig = function(config)
+{
+	if (typeof config == 'string')
+		return exports.redact(config);
+
+	if ((typeof config != 'object') || (config === null))
+		return config;
+
+	var copy = Array.isArray(config) ? [] : {};
+
+	for (var i in config)
+	{
+		if ((exports.keys.indexOf(i) >= 0) && (typeof config[i] == 'string') && (config[i].length > 0))
+			copy[i] = exports.MASK;
+		else
+			copy[i] = exports.redactConfig(config[i]);
+	}
+
+	return copy;
+}
+
+}(typeof exports === "undefined"
+        ? (this.secrets = {})
+        : exports));
@@ -0,0 +1,469 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util'),
+	events = require('events');
+
+/**
+ * Priorities, highest first. High priority packets, such as replies to
+ * LFS' keep alive, are never held back by pacing or backpressure.
+ *
+ * @api public
+ */
+exports.PRIORITY_HIGH = 0;
+exports.PRIORITY_NORMAL = 1;
+exports.PRIORITY_LOW = 2;
+
+/**
+ * Outbound packet queue, with pacing and backpressure. Packets are held while
+ * the queue is paused (i.e. until we've connected), sent in bursts of up to
+ * burst packets, after which one packet is sent every interval ms, and held
+ * whenever the writer reports that the underlying stream is full.
+ *
+ * Options -
+ *  - burst: packets that may be sent back to back (default 16)
+ *  - interval: ms before another packet may be sent, once the burst has been
+ *    used up (default 25)
+ *  - maxlength: maximum number of queued packets (default 1024)
+ *  - metricsinterval: ms between metrics events, 0 disables them (default 0)
+ *
+ * Events -
+ *  - overflow: the queue was full and a packet was dropped, receives the
+ *    dropped packet and the current metrics
+ *  - metrics: every metricsinterval ms, while running, receives the current
+ *    metrics
+ *  - empty: the queue has been emptied
+ *
+ * @api public
+ * @param {Object} [options]
+ * @param {Function} write Writes a packet, returning false if the stream is
+ * full
+ */
+var SendQueue = function(options, write)
+{
+	var self = this;
+
+	events.EventEmitter.call(this);
+
+	self.write = write;
+
+	// one queue per priority
+	self.queues = [ [], [], [] ];
+	self.length = 0;
+
+	self.paused = true;
+	self.blocked = false;
+
+	self.timer = null;
+	self.metricsTimer = null;
+	self.tokens = 0;
+	self.lastRefill = Date.now();
+
+	self.counters = {
+		'queued': 0,
+		'sent': 0,
+		'dropped': 0,
+		'merged': 0,
+		'expired': 0,
+		'overflows': 0,
+		'highwater': 0
+	};
+
+	self.setOptions(options);
+
+	self.tokens = self.options.burst;
+}
+
+util.inherits(SendQueue, events.EventEmitter);
+
+/**
+ * Sets the queue options, filling in defaults for anything not given.
+ *
+ * @api public
+ * @param {Object} [options]
+ */
+SendQueue.prototype.setOptions = function(options)
+{
+	options = options || {};
+
+	this.options = {
+		'burst': (options.burst > 0) ? options.burst : 16,
+		'interval': (options.interval >= 0) ? options.interval : 25,
+		'maxlength': (options.maxlength > 0) ? options.maxlength : 1024,
+		'metricsinterval': (options.metricsinterval > 0) ? options.metricsinterval : 0
+	};
+}
+
+/**
+ * Queues a packet, and sends as much as is permitted.
+ *
+ * Send options -
+ *  - priority: PRIORITY_HIGH, PRIORITY_NORMAL (default) or PRIORITY_LOW
+ *  - merge: a key. If a packet with the same key is still queued it is
+ *    replaced by this one, keeping its place in the queue.
+ *  - ttl: ms after which the packet is stale and is dropped, rather than sent
+ *  - immediate: written straight away, even if the queue is paused. Only
+ *    useful for the handshake with LFS.
+ *
+ * @api public
+ * @param {Object} pkt Packet
+ * @param {Object} [opts] Send options
+ * @return {Boolean} false if the packet was dropped
+ */
+SendQueue.prototype.push = function(pkt, opts)
+{
+	var self = this;
+
+	opts = opts || {};
+
+	var entry = {
+		'pkt': pkt,
+		'priority': (opts.priority != undefined) ? opts.priority : exports.PRIORITY_NORMAL,
+		'merge': opts.merge || null,
+		'expires': (opts.ttl > 0) ? Date.now() + opts.ttl : 0
+	};
+
+	if (entry.priority < exports.PRIORITY_HIGH)
+		entry.priority = exports.PRIORITY_HIGH;
+
+	if (entry.priority > exports.PRIORITY_LOW)
+		entry.priority = exports.PRIORITY_LOW;
+
+	if (opts.immediate)
+	{
+		self.send(entry);
+		return true;
+	}
+
+	if (entry.merge && self.replace(entry))
+	{
+		self.counters.merged++;
+		self.flush();
+		return true;
+	}
+
+	if (self.length >= self.options.maxlength)
+	{
+		var dropped = self.dropOne(entry.priority);
+
+		self.counters.overflows++;
+		self.emit('overflow', (dropped ? dropped.pkt : pkt), self.metrics());
+
+		// nothing lower priority to make room, so this packet goes instead
+		if (!dropped)
+		{
+			self.counters.dropped++;
+			return false;
+		}
+	}
+
+	self.queues[entry.priority].push(entry);
+	self.length++;
+	self.counters.queued++;
+
+	if (self.length > self.counters.highwater)
+		self.counters.highwater = self.length;
+
+	self.flush();
+
+	return true;
+}
+
+/**
+ * Replaces a queued entry with the same merge key, if there is one.
+ *
+ * @api private
+ * @param {Object} entry
+ * @return {Boolean} true if an entry was replaced
+ */
+SendQueue.prototype.replace = function(entry)
+{
+	for (var p = 0; p < this.queues.length; p++)
+	{
+		var q = this.queues[p];
+
+		for (var i = 0; i < q.length; i++)
+		{
+			if (q[i].merge !== entry.merge)
+				continue;
+
+			// keep the place, but take the more urgent priority
+			if (entry.priority < p)
+			{
+				q.splice(i, 1);
+				this.queues[entry.priority].push(entry);
+			}
+			else
+				q[i] = entry;
+
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Drops the oldest packet with a lower priority than the one given, to make
+ * room.
+ *
+ * @api private
+ * @param {Number} priority
+ * @return {Object} The dropped entry, or null if there was nothing to drop
+ */
+SendQueue.prototype.dropOne = function(priority)
+{
+	for (var p = this.queues.length - 1; p > priority; p--)
+	{
+		if (this.queues[p].length <= 0)
+			continue;
+
+		this.length--;
+		this.counters.dropped++;
+
+		return this.queues[p].shift();
+	}
+
+	return null;
+}
+
+/**
+ * Returns the next entry to send, without removing it. Stale entries are
+ * discarded along the way.
+ *
+ * @api private
+ * @return {Object}
+ */
+SendQueue.prototype.peek = function()
+{
+	var now = Date.now();
+
+	for (var p = 0; p < this.queues.length; p++)
+	{
+		var q = this.queues[p];
+
+		while ((q.length > 0) && (q[0].expires > 0) && (q[0].expires < now))
+		{
+			q.shift();
+			this.length--;
+			this.counters.expired++;
+			this.counters.dropped++;
+		}
+
+		if (q.length > 0)
+			return q[0];
+	}
+
+	return null;
+}
+
+/**
+ * Writes an entry.
+ *
+ * @api private
+ * @param {Object} entry
+ */
+SendQueue.prototype.send = function(entry)
+{
+	this.counters.sent++;
+
+	if (this.write(entry.pkt) === false)
+		this.blocked = true;
+}
+
+/**
+ * Tops up the number of packets we may send, based on the time passed.
+ *
+ * @api private
+ */
+SendQueue.prototype.refill = function()
+{
+	var now = Date.now();
+
+	if (this.options.interval <= 0)
+	{
+		this.tokens = this.options.burst;
+	}
+	else
+	{
+		var earned = Math.floor((now - this.lastRefill) / this.options.interval);
+		if (earned <= 0)
+			return;
+
+		this.tokens = Math.min(this.options.burst, this.tokens + earned);
+	}
+
+	this.lastRefill = now;
+}
+
+/**
+ * Sends as many packets as pacing and backpressure permit, and schedules
+ * itself to send the rest.
+ *
+ * @api public
+ */
+SendQueue.prototype.flush = function()
+{
+	var self = this;
+
+	if (self.paused)
+		return;
+
+	self.refill();
+
+	var entry = null;
+	while ((entry = self.peek()) != null)
+	{
+		// high priority skips pacing and backpressure
+		if (entry.priority != exports.PRIORITY_HIGH)
+		{
+			if (self.blocked || (self.tokens <= 0))
+				break;
+
+			self.tokens--;
+		}
+
+		self.queues[entry.priority].shift();
+		self.length--;
+
+		self.send(entry);
+	}
+
+	if (self.length <= 0)
+	{
+		self.emit('empty');
+		return;
+	}
+
+	// blocked is cleared by unblock, when the stream drains
+	if (!self.blocked && !self.timer)
+	{
+		self.timer = setTimeout(function()
+		{
+			self.timer = null;
+			self.flush();
+		}, Math.max(self.options.interval, 1));
+	}
+}
+
+/**
+ * Holds all packets, except immediate ones, until resumed.
+ *
+ * @api public
+ */
+SendQueue.prototype.pause = function()
+{
+	this.paused = true;
+
+	if (this.timer)
+	{
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	if (this.metricsTimer)
+	{
+		clearInterval(this.metricsTimer);
+		this.metricsTimer = null;
+	}
+}
+
+/**
+ * Resumes sending, after being paused.
+ *
+ * @api public
+ */
+SendQueue.prototype.resume = function()
+{
+	var self = this;
+
+	self.paused = false;
+	self.blocked = false;
+
+	if ((self.options.metricsinterval > 0) && !self.metricsTimer)
+	{
+		self.metricsTimer = setInterval(function()
+		{
+			self.emit('metrics', self.metrics());
+		}, self.options.metricsinterval);
+	}
+
+	self.flush();
+}
+
+/**
+ * Resumes sending after the stream has drained.
+ *
+ * @api public
+ */
+SendQueue.prototype.unblock = function()
+{
+	this.blocked = false;
+
+	this.flush();
+}
+
+/**
+ * Drops everything queued.
+ *
+ * @api public
+ */
+SendQueue.prototype.clear = function()
+{
+	this.pause();
+
+	this.counters.dropped += this.length;
+
+	this.queues = [ [], [], [] ];
+	this.length = 0;
+	this.blocked = false;
+}
+
+/**
+ * Returns the current state of the queue, and counters since it was created.
+ *
+ * @api public
+ * @return {Object}
+ */
+SendQueue.prototype.metrics = function()
+{
+	var m = {
+		'length': this.length,
+		'paused': this.paused,
+		'blocked': this.blocked
+	};
+
+	for (var i in this.counters)
+		m[i] = this.counters[i];
+
+	return m;
+}
+
+/**
+ * Exports the SendQueue object
+ *
+ * @api public
+ */
+exports.SendQueue = SendQueue;
+
+/**
+ * Creates a SendQueue
+ *
+ * @api public
+ * @param {Object} [options]
+ * @param {Function} write
+ * @return {Object}
+ */
+exports.create = function(options, write)
+{
+	return new SendQueue(options, write);
+}
+
+}(typeof exports === "undefined"
+        ? (this.sendqueue = {})
+        : exports));
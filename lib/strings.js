@@ -45,6 +45,21 @@ var _colours = {
 	'^9': 'original'
 }
 
+/**
+ * Returns true if a ^ followed by the given character would be read as
+ * something other than a ^ - a colour code, a codepage switch or an escaped
+ * ^. Only there does a ^ have to stay escaped in utf8 text, as ^^1 is a ^ and
+ * a 1, where ^1 is red.
+ *
+ * @api private
+ * @param {String} ch
+ * @return {Boolean}
+ */
+var _startsCode = function(ch)
+{
+	return !!(_colours['^' + ch] || _codepages['^' + ch] || (ch == '^'));
+}
+
 /**
  * Converts a chunk of data into utf8, from a provided codepage. This is
  * designed to be used by toUTF8 exclusively.
@@ -97,22 +112,22 @@ exports._chunkToUTF8 = function(str, from)
 		// by looking at the character we want to output and making an
 		// assumption based on how many bytes we need to use to encode it
 		// properly as a unicode code point value
-		if (c < 0x80)
+		if (r < 0x80)
 			l = 1; // byte 
-		else if (c < 0x800)
+		else if (r < 0x800)
 			l = 2; // 2 byte 
-		else if (c < 0x10000)
+		else if (r < 0x10000)
 			l = 3; // 3 byte  
-		else if (c < 0x200000)
+		else if (r < 0x200000)
 			l = 4; // 4 byte 
-		else if (c < 0x4000000)
+		else if (r < 0x4000000)
 			l = 5; // 5 byte
 		else
 			l = 6; // 6 byte
 
 		len += l;
 		// push onto our array of chars
-		chars.push(c);
+		chars.push(r);
 	}
 
 	// now we know how long our buffer needs to be
@@ -202,7 +217,14 @@ exports.toUTF8 = function(str)
 
 	for (var i = 0; i < str.length; i++)
 	{
-		if ((str[i] == '^') && (_codepages['^' + str[i+1]]) && (str[i-1] != '^'))
+		// escaped ^, which translateSpecials deals with
+		if ((str[i] == '^') && (str[i+1] == '^'))
+		{
+			tmp += str[i] + str[++i];
+			continue;
+		}
+
+		if ((str[i] == '^') && (_codepages['^' + str[i+1]]))
 		{
 			if (tmp.length > 0)
 			{
@@ -235,7 +257,8 @@ exports.toUTF8 = function(str)
 
 /**
  * Converts special characters into their utf8 equivilent - such as ^^ = ^, ^v =
- * | and so forth.
+ * | and so forth. A ^^ before a colour code, codepage character or another ^
+ * is left as it is, so that it isn't then taken for one.
  *
  * @api public
  * @param {String} str Input string
@@ -243,10 +266,210 @@ exports.toUTF8 = function(str)
  */
 exports.translateSpecials = function(str)
 {
-	for (var i in _specials)
-		str = str.replace(i, _specials[i]);
+	// in one pass, so that ^^v is ^v rather than ^|
+	return str.replace(/\^[vacdsqtlrh^]/g, function(m, offset)
+	{
+		if ((m == '^^') && _startsCode(str.charAt(offset + 2)))
+			return m;
+
+		return _specials[m];
+	});
+}
+
+/**
+ * Codepages in the order they're tried, when the current one can't encode a
+ * character
+ *
+ * @api private
+ */
+var _codepageOrder = [ '^L', '^E', '^T', '^B', '^C', '^G', '^J', '^H', '^S', '^K' ];
+
+/**
+ * utf8 to codepage tables, built from the codepage to utf8 tables when first
+ * needed
+ *
+ * @api private
+ */
+var _fromUTF8Tables = null;
+
+/**
+ * Special characters to their escape sequences, the reverse of _specials
+ *
+ * @api private
+ */
+var _escapes = {};
+for (var i in _specials)
+	_escapes[_specials[i]] = i;
+
+/**
+ * Builds the utf8 to codepage tables. Only single byte characters are
+ * included, as the tables only describe the single byte part of the double
+ * byte codepages.
+ *
+ * @api private
+ * @return {Object} _fromUTF8Tables[codepage][utf8charactervalue] = codepagecharactervalue
+ */
+exports._buildFromUTF8Tables = function()
+{
+	if (_fromUTF8Tables)
+		return _fromUTF8Tables;
+
+	_fromUTF8Tables = {};
+
+	for (var cp in _codepages)
+	{
+		var table = _codepageTables[_codepages[cp]] || {};
+		var reverse = {};
 
-	return str;
+		for (var c = 0x80; c <= 0xff; c++)
+		{
+			var r = (table[c] != undefined) ? table[c] : c;
+
+			// lead byte of a double byte character, or nothing at all
+			if ((r == 0) || (r == 0xfffd))
+				continue;
+
+			reverse[r] = c;
+		}
+
+		_fromUTF8Tables[cp] = reverse;
+	}
+
+	return _fromUTF8Tables;
+}
+
+/**
+ * Returns how many of the non-ascii characters in a string, from a given
+ * position, a codepage can encode in a row. This is designed to be used by
+ * fromUTF8 exclusively.
+ *
+ * @api private
+ * @param {String} str
+ * @param {Number} from Position to start at
+ * @param {Object} reverse utf8 to codepage table
+ * @return {Number}
+ */
+exports._runLength = function(str, from, reverse)
+{
+	var run = 0;
+
+	for (var i = from; i < str.length; i++)
+	{
+		var c = str.charCodeAt(i);
+
+		if (c < 0x80)
+			continue;
+
+		if (reverse[c] == undefined)
+			break;
+
+		run++;
+	}
+
+	return run;
+}
+
+/**
+ * Converts a utf8 string into LFS' codepages, the reverse of toUTF8. For each
+ * run of characters the current codepage can't encode, it switches to the
+ * codepage that can encode most of them, inserting the ^L, ^C, etc. switches.
+ * Special characters, such as | and ^, are escaped, so that toUTF8 gives back
+ * the same text. A command's leading / is the exception, as LFS would show an
+ * escaped one rather than run the command.
+ *
+ * Colour codes, codepage switches and ^^ that are already in the string are
+ * passed through as is, so ^^1 is a ^ and a 1, as toUTF8 gives it, where ^1
+ * is red. Characters no codepage can encode are replaced by '?'. As only
+ * the single byte part of the double byte codepages (i.e. Japanese) is known,
+ * most of their characters can't be encoded.
+ *
+ * @api public
+ * @param {String} str
+ * @param {Boolean} [command] True if str may be a command, i.e. /restart
+ * @return {String} One character per byte, as it should be sent
+ */
+exports.fromUTF8 = function(str, command)
+{
+	var tables = exports._buildFromUTF8Tables();
+
+	str = String(str);
+
+	// LFS starts out in ^L
+	var cp = '^L';
+	var ret = '';
+	var i = 0;
+
+	if (command && (str[0] == '/'))
+	{
+		ret += '/';
+		i++;
+	}
+
+	for (; i < str.length; i++)
+	{
+		var ch = str[i];
+		var c = str.charCodeAt(i);
+
+		if (ch == '^')
+		{
+			var seq = ch + (str[i+1] || '');
+
+			// colour codes, codepage switches and escaped ^ are left alone
+			if (_colours[seq] || _codepages[seq] || (seq == '^^'))
+			{
+				if (_codepages[seq])
+					cp = seq;
+
+				ret += seq;
+				i++;
+				continue;
+			}
+		}
+
+		if (_escapes[ch])
+		{
+			ret += _escapes[ch];
+			continue;
+		}
+
+		if (c < 0x80)
+		{
+			ret += ch;
+			continue;
+		}
+
+		if (tables[cp][c] != undefined)
+		{
+			ret += String.fromCharCode(tables[cp][c]);
+			continue;
+		}
+
+		// pick the codepage that gets us furthest before the next switch
+		var best = null;
+		var bestRun = 0;
+
+		for (var j = 0; j < _codepageOrder.length; j++)
+		{
+			var run = exports._runLength(str, i, tables[_codepageOrder[j]]);
+
+			if (run > bestRun)
+			{
+				best = _codepageOrder[j];
+				bestRun = run;
+			}
+		}
+
+		if (!best)
+		{
+			ret += '?';
+			continue;
+		}
+
+		cp = best;
+		ret += cp + String.fromCharCode(tables[cp][c]);
+	}
+
+	return ret;
 }
 
 /**
@@ -261,3 +484,332 @@ exports.remColours = function(str)
 	return str.replace(/\^[012345679]+/g, '');
 }
 
+/**
+ * Colour codes by colour name, the reverse of _colours
+ *
+ * @api private
+ */
+var _colourCodes = {};
+for (var i in _colours)
+	_colourCodes[_colours[i]] = i;
+
+/**
+ * ANSI escape sequences for each colour code
+ *
+ * @api private
+ */
+var _ansi = {
+	'^0': '\u001b[30m',
+	'^1': '\u001b[31m',
+	'^2': '\u001b[92m',
+	'^3': '\u001b[33m',
+	'^4': '\u001b[34m',
+	'^5': '\u001b[35m',
+	'^6': '\u001b[96m',
+	'^7': '\u001b[37m',
+	'^8': '\u001b[32m',
+	'^9': '\u001b[39m'
+}
+
+/**
+ * Splits LFS formatted text into spans of the same colour. Codepage switches
+ * and special character escapes are decoded along the way, so it may be given
+ * text straight from the wire, or text that has already been through
+ * toUTF8.
+ *
+ * Each span has -
+ *  - text: utf8 text, without any codes
+ *  - code: colour code, 0 to 9. Text starts out as 9, the original colour
+ *  - colour: colour name, i.e. red
+ *
+ * @api public
+ * @param {String} str Input string
+ * @return {Array} Spans, in order. Empty spans are left out.
+ */
+exports.parseColours = function(str)
+{
+	var spans = [];
+
+	var cp = _codepages['^L'];
+	var code = 9;
+	var text = '';
+	var tmp = '';
+
+	// decodes whatever is pending in the current codepage
+	var decode = function()
+	{
+		if (tmp.length > 0)
+			text += exports._chunkToUTF8(tmp, cp);
+
+		tmp = '';
+	};
+
+	var close = function()
+	{
+		decode();
+
+		if (text.length <= 0)
+			return;
+
+		var last = spans[spans.length - 1];
+
+		if (last && (last.code == code))
+			last.text += text;
+		else
+			spans.push({ 'text': text, 'code': code, 'colour': _colours['^' + code] });
+
+		text = '';
+	};
+
+	str = String(str);
+
+	for (var i = 0; i < str.length; i++)
+	{
+		var seq = str[i] + (str[i+1] || '');
+
+		if (str[i] != '^')
+			tmp += str[i];
+		else if (_colours[seq])
+		{
+			close();
+			code = parseInt(str[++i], 10);
+		}
+		else if (_codepages[seq])
+		{
+			decode();
+			cp = _codepages[seq];
+			i++;
+		}
+		else if (_specials[seq])
+		{
+			decode();
+			text += _specials[seq];
+			i++;
+		}
+		else
+			tmp += str[i];
+	}
+
+	close();
+
+	return spans;
+}
+
+/**
+ * Renders LFS formatted text as HTML, with each colour in a span with a class
+ * of prefix followed by the colour code, i.e. <span class="col1">. The text
+ * is escaped, so it's safe to drop into a page.
+ *
+ * Options -
+ *  - prefix: class name prefix (default 'col')
+ *
+ * @api public
+ * @param {String} str Input string
+ * @param {Object} [options]
+ * @return {String}
+ */
+exports.toHTML = function(str, options)
+{
+	var prefix = (options && (options.prefix != undefined)) ? options.prefix : 'col';
+
+	var spans = exports.parseColours(str);
+	var html = '';
+
+	for (var i = 0; i < spans.length; i++)
+	{
+		var text = spans[i].text
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;')
+			.replace(/'/g, '&#39;');
+
+		html += '<span class="' + prefix + spans[i].code + '">' + text + '</span>';
+	}
+
+	return html;
+}
+
+/**
+ * Renders LFS formatted text with ANSI colour escapes, for terminals. The
+ * colour is reset at the end.
+ *
+ * @api public
+ * @param {String} str Input string
+ * @return {String}
+ */
+exports.toANSI = function(str)
+{
+	var spans = exports.parseColours(str);
+	var ansi = '';
+
+	for (var i = 0; i < spans.length; i++)
+		ansi += _ansi['^' + spans[i].code] + spans[i].text;
+
+	if (spans.length > 0)
+		ansi += _ansi['^9'];
+
+	return ansi;
+}
+
+/**
+ * Converts colour markup into LFS colour codes, i.e. '{red}Hello {white}world'
+ * into '^1Hello ^7world'. Tags are the colour names used by parseColours, or
+ * the colour codes themselves, i.e. {1}. {{ is a literal {, and unknown tags
+ * are left as they are. Any ^ in the text is escaped, so that it isn't taken
+ * for a colour code.
+ *
+ * @api public
+ * @param {String} str Markup
+ * @return {String}
+ */
+exports.fromMarkup = function(str)
+{
+	return String(str).replace(/\{\{|\{([a-z0-9]+)\}|\^/gi, function(m, tag)
+	{
+		if (m == '{{')
+			return '{';
+
+		if (m == '^')
+			return '^^';
+
+		tag = tag.toLowerCase();
+
+		if (_colours['^' + tag])
+			return '^' + tag;
+
+		if (_colourCodes[tag])
+			return _colourCodes[tag];
+
+		return m;
+	});
+}
+
+/**
+ * Splits a string into atoms, each either a single character or an escape
+ * sequence that must be kept whole, such as ^1 or ^^. This is designed to be
+ * used by wrap exclusively.
+ *
+ * @api private
+ * @param {String} str
+ * @return {Array}
+ */
+exports._atoms = function(str)
+{
+	var atoms = [];
+
+	for (var i = 0; i < str.length; i++)
+	{
+		var seq = str[i] + (str[i+1] || '');
+
+		if ((str[i] == '^') && (_colours[seq] || _codepages[seq] || _specials[seq]))
+		{
+			atoms.push(seq);
+			i++;
+		}
+		else
+			atoms.push(str[i]);
+	}
+
+	return atoms;
+}
+
+/**
+ * Wraps text into lines that each take up no more than max bytes once
+ * encoded by fromUTF8. Lines are broken on spaces and newlines where possible,
+ * never in the middle of an escape sequence, and each follow-on line starts
+ * with the colour and codepage that were active at the end of the line
+ * before it.
+ *
+ * @api public
+ * @param {String} str utf8 text, as given to fromUTF8
+ * @param {Number} max Maximum length of each line in bytes, once encoded
+ * @return {Array} Lines, as utf8 text
+ */
+exports.wrap = function(str, max)
+{
+	var lines = [];
+
+	var colour = '';
+	var codepage = '';
+
+	var fits = function(line)
+	{
+		return (exports.fromUTF8(line).length <= max);
+	};
+
+	// the codes a follow-on line has to start with
+	var carry = function(atoms)
+	{
+		for (var i = 0; i < atoms.length; i++)
+		{
+			if (_colours[atoms[i]])
+				colour = atoms[i];
+			else if (_codepages[atoms[i]])
+				codepage = atoms[i];
+		}
+	};
+
+	var paragraphs = String(str).split(/\r?\n/);
+
+	for (var p = 0; p < paragraphs.length; p++)
+	{
+		var words = paragraphs[p].split(' ');
+		var line = colour + codepage;
+		var prefix = line;
+
+		for (var w = 0; w < words.length; w++)
+		{
+			var word = words[w];
+			var candidate = (line.length > prefix.length) ? (line + ' ' + word) : (line + word);
+
+			if (fits(candidate))
+			{
+				line = candidate;
+				continue;
+			}
+
+			// the line is full, start another
+			if (line.length > prefix.length)
+			{
+				carry(exports._atoms(line));
+				lines.push(line);
+
+				line = prefix = colour + codepage;
+
+				if (fits(line + word))
+				{
+					line += word;
+					continue;
+				}
+			}
+
+			// the word won't fit on a line of its own, so break it up
+			var atoms = exports._atoms(word);
+
+			for (var a = 0; a < atoms.length; a++)
+			{
+				if (!fits(line + atoms[a]) && (line.length > prefix.length))
+				{
+					carry(exports._atoms(line));
+					lines.push(line);
+
+					line = prefix = colour + codepage;
+				}
+
+				line += atoms[a];
+			}
+		}
+
+		carry(exports._atoms(line));
+
+		if ((line.length > prefix.length) || (lines.length <= 0))
+			lines.push(line);
+	}
+
+	// a carried colour that is straight away replaced by another is no use
+	for (var i = 0; i < lines.length; i++)
+		lines[i] = lines[i].replace(/^\^[0-9](?=\^[0-9])/, '');
+
+	return lines;
+}
@@ -0,0 +1,219 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var util = require('util'),
+	events = require('events'),
+	dgram = require('dgram');
+
+/**
+ * Shared listeners, by port. Several LFS instances may send OutSim or
+ * OutGauge to the same port, but only one socket can listen on it.
+ *
+ * @api private
+ */
+var listeners = {};
+
+/**
+ * A UDP socket shared by any number of OutSim and OutGauge clients. Each
+ * datagram is handed to every client that accepts it, see matches.
+ *
+ * Clients must implement accepts(data, rinfo), returning true if the
+ * datagram is for them, and receive(data, rinfo).
+ *
+ * Events -
+ *  - listening: the socket is bound
+ *  - error: socket error, receives the error
+ *  - unclaimed: no client accepted a datagram, receives the data and rinfo
+ *
+ * @api private
+ * @param {Number} port
+ */
+var Listener = function(port)
+{
+	var self = this;
+
+	events.EventEmitter.call(this);
+
+	// every client on the port listens for errors, and there may be many
+	self.setMaxListeners(0);
+
+	self.port = port;
+	self.clients = [];
+	self.listening = false;
+
+	self.stream = dgram.createSocket('udp4');
+
+	self.stream.on('message', function(data, rinfo)
+	{
+		self.dispatch(data, rinfo);
+	});
+
+	self.stream.on('listening', function()
+	{
+		self.listening = true;
+		self.emit('listening');
+	});
+
+	self.stream.on('error', function(err)
+	{
+		self.emit('error', err);
+	});
+
+	self.stream.bind(port);
+}
+
+util.inherits(Listener, events.EventEmitter);
+
+/**
+ * Hands a datagram to every client that accepts it.
+ *
+ * @api private
+ * @param {Buffer} data
+ * @param {Object} rinfo
+ */
+Listener.prototype.dispatch = function(data, rinfo)
+{
+	var self = this;
+
+	var claimed = false;
+
+	// copied, as a client may disconnect while handling it
+	var clients = self.clients.slice();
+
+	for (var i = 0; i < clients.length; i++)
+	{
+		if (!clients[i].accepts(data, rinfo))
+			continue;
+
+		claimed = true;
+
+		clients[i].record(data, false, rinfo);
+		clients[i].receive(data, rinfo);
+	}
+
+	if (!claimed)
+		self.emit('unclaimed', data, rinfo);
+}
+
+/**
+ * Closes the socket.
+ *
+ * @api private
+ * @param {Function} [next]
+ */
+Listener.prototype.close = function(next)
+{
+	var self = this;
+
+	if (listeners[self.port] === self)
+		delete listeners[self.port];
+
+	try
+	{
+		self.stream.close(next);
+	}
+	catch (err)
+	{
+		// already closed
+		if (next)
+			next();
+	}
+}
+
+/**
+ * Returns the listener for a port, creating it if need be, and adds the
+ * client to it. Port 0 always gets a listener of its own, on a random port.
+ *
+ * @api private
+ * @param {Number} port
+ * @param {Object} client
+ * @return {Object} Listener
+ */
+exports.acquire = function(port, client)
+{
+	port = parseInt(port, 10) || 0;
+
+	var listener = (port > 0) ? listeners[port] : null;
+
+	if (!listener)
+	{
+		listener = new Listener(port);
+
+		if (port > 0)
+			listeners[port] = listener;
+	}
+
+	listener.clients.push(client);
+
+	return listener;
+}
+
+/**
+ * Removes the client from its listener, closing the socket once no clients
+ * are left on it.
+ *
+ * @api private
+ * @param {Object} listener
+ * @param {Object} client
+ * @param {Function} [next] Called once released
+ */
+exports.release = function(listener, client, next)
+{
+	var idx = listener.clients.indexOf(client);
+	if (idx >= 0)
+		listener.clients.splice(idx, 1);
+
+	if (listener.clients.length > 0)
+	{
+		if (next)
+			next();
+		return;
+	}
+
+	listener.close(next);
+}
+
+/**
+ * Returns true if a datagram is from the source a client wants, going by its
+ * sourceid and sourceaddress options. Either, or both, may be left out to
+ * accept anything.
+ *
+ * Options -
+ *  - sourceid: only accept packets with this OutSim/OutGauge ID, as set in
+ *    LFS' cfg.txt. 0 only accepts packets without an ID
+ *  - sourceaddress: only accept datagrams from this address, i.e.
+ *    "192.168.0.2", or "192.168.0.2:30000" to also match the port
+ *
+ * @api private
+ * @param {Object} options Client options
+ * @param {Number} id ID of the packet, 0 if it has none
+ * @param {Object} [rinfo] Remote address, the address isn't checked without it
+ * @return {Boolean}
+ */
+exports.matches = function(options, id, rinfo)
+{
+	if ((options.sourceid != undefined) && (parseInt(options.sourceid, 10) != id))
+		return false;
+
+	if (options.sourceaddress && rinfo)
+	{
+		var parts = String(options.sourceaddress).split(':');
+
+		if (parts[0] != rinfo.address)
+			return false;
+
+		if ((parts.length > 1) && (parseInt(parts[1], 10) != rinfo.port))
+			return false;
+	}
+
+	return true;
+}
+
+}(typeof exports === "undefined"
+        ? (this.udplistener = {})
+        : exports));
@@ -0,0 +1,232 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * Module dependencies
+ */
+var vector = require('./vector');
+
+/**
+ * How many of each unit make up the base unit of its quantity, i.e. 3.6 km/h
+ * is 1 m/s. The lfs units are the raw integers InSim uses, see IS_COMPCAR.
+ *
+ * @api private
+ */
+var quantities = {
+	'distance': {
+		'm': 1,
+		'km': 0.001,
+		'mi': 1 / 1609.344,
+		'ft': 1 / 0.3048,
+		'lfsdist': 65536
+	},
+	'speed': {
+		'mps': 1,
+		'kmh': 3.6,
+		'mph': 3600 / 1609.344,
+		'lfsspeed': 32768 / 100
+	},
+	'angle': {
+		'rad': 1,
+		'deg': 180 / Math.PI,
+		'lfsangle': 32768 / Math.PI
+	},
+	'angvel': {
+		'rads': 1,
+		'degs': 180 / Math.PI,
+		'lfsangvel': 8192 / Math.PI
+	},
+	'accel': {
+		'mps2': 1,
+		'g': 1 / 9.80665
+	},
+	'pressure': {
+		'bar': 1,
+		'psi': 14.503773773,
+		'kpa': 100
+	}
+};
+
+/**
+ * Which quantity each unit belongs to, built from quantities.
+ *
+ * @api private
+ */
+var unitQuantity = {};
+
+/**
+ * Labels used when formatting.
+ *
+ * @api public
+ */
+exports.labels = {
+	'm': 'm',
+	'km': 'km',
+	'mi': 'mi',
+	'ft': 'ft',
+	'mps': 'm/s',
+	'kmh': 'km/h',
+	'mph': 'mph',
+	'rad': 'rad',
+	'deg': '°',
+	'rads': 'rad/s',
+	'degs': '°/s',
+	'mps2': 'm/s²',
+	'g': 'G',
+	'bar': 'bar',
+	'psi': 'psi',
+	'kpa': 'kPa'
+};
+
+// same as outgauge.OG_KM and OG_BAR, outgauge requires us so we can't use it
+var OG_KM = 16384;
+var OG_BAR = 32768;
+
+/**
+ * Returns the quantity a unit measures, i.e. 'speed' for 'mph'.
+ *
+ * @api private
+ * @param {String} unit
+ * @return {String}
+ */
+var quantityOf = function(unit)
+{
+	var q = unitQuantity[unit];
+
+	if (!q)
+		throw new Error('Unknown unit - ' + unit);
+
+	return q;
+}
+
+/**
+ * Converts a value between units of the same quantity. Units are -
+ *  - distance: m, km, mi, ft, lfsdist (65536 = 1m)
+ *  - speed: mps, kmh, mph, lfsspeed (32768 = 100 m/s)
+ *  - angle: rad, deg, lfsangle (32768 = 180°)
+ *  - angvel: rads, degs, lfsangvel (16384 = 360°/s)
+ *  - accel: mps2, g
+ *  - pressure: bar, psi, kpa
+ *
+ * Usage -
+ *  units.convert(pkt.speed, 'lfsspeed', 'kmh');
+ *
+ * @api public
+ * @param {Number} value
+ * @param {String} from Unit of value
+ * @param {String} to Unit to convert to
+ * @return {Number}
+ */
+exports.convert = function(value, from, to)
+{
+	var q = quantityOf(from);
+
+	if (quantityOf(to) != q)
+		throw new Error('Cannot convert ' + from + ' to ' + to);
+
+	if (from == to)
+		return value;
+
+	return value * quantities[q][to] / quantities[q][from];
+}
+
+/**
+ * As convert, for each component of a vector.
+ *
+ * @api public
+ * @param {Object} v Vector
+ * @param {String} from
+ * @param {String} to
+ * @return {Object} Vector
+ */
+exports.convertVector = function(v, from, to)
+{
+	return vector.create(
+		exports.convert(v.x, from, to),
+		exports.convert(v.y, from, to),
+		exports.convert(v.z, from, to)
+	);
+}
+
+/**
+ * The speed unit the driver prefers, from OutGauge flags.
+ *
+ * @api public
+ * @param {Number} flags OG_PACK flags
+ * @return {String} kmh or mph
+ */
+exports.speedUnit = function(flags)
+{
+	return (flags & OG_KM) ? 'kmh' : 'mph';
+}
+
+/**
+ * The pressure unit the driver prefers, from OutGauge flags.
+ *
+ * @api public
+ * @param {Number} flags OG_PACK flags
+ * @return {String} bar or psi
+ */
+exports.pressureUnit = function(flags)
+{
+	return (flags & OG_BAR) ? 'bar' : 'psi';
+}
+
+/**
+ * Converts a value and formats it with its label, i.e. '123 km/h'.
+ *
+ * @api public
+ * @param {Number} value
+ * @param {String} from Unit of value
+ * @param {String} to Unit to display
+ * @param {Number} [digits] Decimal places (default 0)
+ * @return {String}
+ */
+exports.format = function(value, from, to, digits)
+{
+	var v = exports.convert(value, from, to).toFixed(digits || 0);
+	var label = exports.labels[to] || to;
+
+	// degrees sit right next to the number
+	return (label.charAt(0) == '°') ? v + label : v + ' ' + label;
+}
+
+/**
+ * Formats a speed in m/s in the driver's preferred unit.
+ *
+ * @api public
+ * @param {Number} mps Speed in m/s, as OutGauge gives it
+ * @param {Number} flags OG_PACK flags
+ * @param {Number} [digits] Decimal places (default 0)
+ * @return {String}
+ */
+exports.formatSpeed = function(mps, flags, digits)
+{
+	return exports.format(mps, 'mps', exports.speedUnit(flags), digits);
+}
+
+/**
+ * Formats a pressure in bar in the driver's preferred unit.
+ *
+ * @api public
+ * @param {Number} bar Pressure in bar, as OutGauge gives it
+ * @param {Number} flags OG_PACK flags
+ * @param {Number} [digits] Decimal places (default 1)
+ * @return {String}
+ */
+exports.formatPressure = function(bar, flags, digits)
+{
+	return exports.format(bar, 'bar', exports.pressureUnit(flags), (digits == undefined) ? 1 : digits);
+}
+
+for (var q in quantities)
+{
+	for (var u in quantities[q])
+		unitQuantity[u] = q;
+}
+
+}(typeof exports === "undefined"
+        ? (this.units = {})
+        : exports));
@@ -0,0 +1,201 @@
+"use strict";
+
+(function(exports)
+{
+
+/**
+ * A 3D vector, for positions, velocities, accelerations and the like. Methods
+ * never modify the vector, they return a new one.
+ *
+ * Usage -
+ *  var v = vector.create(3, 4, 0);
+ *  v.length(); // 5
+ *  v.scale(2).add(vector.create(0, 0, 1)); // { x: 6, y: 8, z: 1 }
+ *
+ * @api public
+ * @param {Number} [x]
+ * @param {Number} [y]
+ * @param {Number} [z]
+ */
+var Vector = function(x, y, z)
+{
+	this.x = x || 0;
+	this.y = y || 0;
+	this.z = z || 0;
+}
+
+/**
+ * Adds another vector.
+ *
+ * @api public
+ * @param {Object} v
+ * @return {Object} Vector
+ */
+Vector.prototype.add = function(v)
+{
+	return new Vector(this.x + v.x, this.y + v.y, this.z + v.z);
+}
+
+/**
+ * Subtracts another vector.
+ *
+ * @api public
+ * @param {Object} v
+ * @return {Object} Vector
+ */
+Vector.prototype.sub = function(v)
+{
+	return new Vector(this.x - v.x, this.y - v.y, this.z - v.z);
+}
+
+/**
+ * Multiplies each component by a number.
+ *
+ * @api public
+ * @param {Number} n
+ * @return {Object} Vector
+ */
+Vector.prototype.scale = function(n)
+{
+	return new Vector(this.x * n, this.y * n, this.z * n);
+}
+
+/**
+ * Dot product with another vector.
+ *
+ * @api public
+ * @param {Object} v
+ * @return {Number}
+ */
+Vector.prototype.dot = function(v)
+{
+	return (this.x * v.x) + (this.y * v.y) + (this.z * v.z);
+}
+
+/**
+ * Cross product with another vector.
+ *
+ * @api public
+ * @param {Object} v
+ * @return {Object} Vector
+ */
+Vector.prototype.cross = function(v)
+{
+	return new Vector(
+		(this.y * v.z) - (this.z * v.y),
+		(this.z * v.x) - (this.x * v.z),
+		(this.x * v.y) - (this.y * v.x)
+	);
+}
+
+/**
+ * Length, or magnitude, of the vector.
+ *
+ * @api public
+ * @return {Number}
+ */
+Vector.prototype.length = function()
+{
+	return Math.sqrt(this.dot(this));
+}
+
+/**
+ * Length of the vector ignoring z, i.e. ground speed.
+ *
+ * @api public
+ * @return {Number}
+ */
+Vector.prototype.length2d = function()
+{
+	return Math.sqrt((this.x * this.x) + (this.y * this.y));
+}
+
+/**
+ * Distance to another vector, treating both as points.
+ *
+ * @api public
+ * @param {Object} v
+ * @return {Number}
+ */
+Vector.prototype.distance = function(v)
+{
+	return this.sub(v).length();
+}
+
+/**
+ * Vector of length 1 in the same direction. A zero vector stays zero.
+ *
+ * @api public
+ * @return {Object} Vector
+ */
+Vector.prototype.normalise = function()
+{
+	var l = this.length();
+	return (l > 0) ? this.scale(1 / l) : new Vector;
+}
+
+/**
+ * Copy of the vector.
+ *
+ * @api public
+ * @return {Object} Vector
+ */
+Vector.prototype.clone = function()
+{
+	return new Vector(this.x, this.y, this.z);
+}
+
+/**
+ * The vector as [ x, y, z ].
+ *
+ * @api public
+ * @return {Array}
+ */
+Vector.prototype.toArray = function()
+{
+	return [ this.x, this.y, this.z ];
+}
+
+/**
+ * Exports the Vector object
+ *
+ * @api public
+ */
+exports.Vector = Vector;
+
+/**
+ * Creates a Vector
+ *
+ * @api public
+ * @param {Number} [x]
+ * @param {Number} [y]
+ * @param {Number} [z]
+ * @return {Object}
+ */
+exports.create = function(x, y, z)
+{
+	return new Vector(x, y, z);
+}
+
+/**
+ * Creates a Vector from an array, or an object's properties, i.e.
+ * from(pkt, 'vel') reads pkt.velx, pkt.vely and pkt.velz.
+ *
+ * @api public
+ * @param {Array|Object} o
+ * @param {String} [prefix] Property prefix
+ * @return {Object}
+ */
+exports.from = function(o, prefix)
+{
+	if (Array.isArray(o))
+		return new Vector(o[0], o[1], o[2]);
+
+	prefix = prefix || '';
+
+	return new Vector(o[prefix + 'x'], o[prefix + 'y'], o[prefix + 'z']);
+}
+
+}(typeof exports === "undefined"
+        ? (this.vector = {})
+        : exports));
@@ -6,7 +6,15 @@
 exports.insim = require('./lib/insim');
 exports.outsim = require('./lib/outsim');
 exports.outgauge = require('./lib/outgauge');
+exports.relay = require('./lib/relay');
+exports.reconnect = require('./lib/reconnect');
+exports.capture = require('./lib/capture');
+exports.commands = require('./lib/commands');
+exports.mockhost = require('./lib/mockhost');
 exports.clientmanager = require('./lib/clientmanager');
 exports.logger = require('./lib/logger');
+exports.secrets = require('./lib/secrets');
 exports.strings = require('./lib/strings');
+exports.units = require('./lib/units');
+exports.vector = require('./lib/vector');
 exports.product = require('./lib/product');
@@ -7,6 +7,11 @@ var util = require('util'),
 	outgauge = null,
 	udpPort = 0;
 
+exports.schema = {
+	'port': { 'type': 'integer', 'min': 0, 'max': 65535 },
+	'http-port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 8080 }
+};
+
 exports.construct = function(options)
 {
 	udpPort = options.port;
@@ -50,6 +55,10 @@ exports.init = function(options)
 
 	outgauge.on('OG_PACK', function(p)
 	{
+		// shown in whatever the driver has chosen in LFS
+		p.speedvalue = Math.round(p.getSpeed());
+		p.speedunit = this.units.labels[this.units.speedUnit(p.flags)];
+
 		io.sockets.emit('OG_PACK', p);
 	});
 
@@ -18,13 +18,17 @@ var livemap = {
 	}
 };
 
+// strings from the plugin context, set by init
+var strings = null;
+
+// pname is rendered as html, ready to be dropped into the page
 var plyrCompact = function(p)
 {
 	if (!p)
 		return;
 	return {
 		'plid': p.plid,
-		'pname': p.pname, 
+		'pname': strings.toHTML(p.pname), 
 		'cname': p.cname,
 		'pitting': p.pitting,
 		'position': p.position,
@@ -44,6 +48,10 @@ var util = require('util'),
 	express = require('express').createServer(),
 	io = require('socket.io').listen(express);
 
+exports.schema = {
+	'http-port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 8080 }
+};
+
 exports.construct = function(options)
 {
 	io.set('log level', 1);
@@ -110,6 +118,8 @@ exports.init = function()
 {
 	this.log.info('Registering LiveMap2 plugin');
 
+	strings = this.strings;
+
 	this.client.isiFlags |= this.insim.ISF_MCI;
 
 	// setup state update hooks
@@ -121,7 +131,7 @@ exports.init = function()
 
 	this.client.on('state:notready', function()
 	{
-		delete livemap.clients[this.client.id] = this.client.state;
+		delete livemap.clients[this.client.id];
 	});
 
 	this.client.on('state:server', function(joined)
@@ -187,13 +197,13 @@ exports.init = function()
 	this.client.on('IS_MSO', function(pkt)
 	{
 		// system or user msgs only
-		// TODO re-encode crazy string as utf8
 		if (pkt.usertype <= this.insim.MSO_USER)
 		{
+			// msg is rendered as html, ready to be dropped into the page
 			var line = {
 				'plid': pkt.plid,
 				'usertype': pkt.usertype,
-				'msg': pkt.msg.substr(pkt.msg.textstart)
+				'msg': this.strings.toHTML(pkt.msg.substr(pkt.textstart))
 			};
 			io.sockets.in(this.client.id).emit('chat', line);
 		}
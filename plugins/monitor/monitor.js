@@ -1,11 +1,25 @@
 var util = require('util');
 
+// clients we're attached to, by id
+var clients = {};
+
+// redaction of passwords, etc. - the plugin context's, see init
+var secrets = null;
+
+// the http server, if it's turned on
+var server = null;
+
+exports.schema = {
+	'http': { 'type': 'boolean', 'default': false },
+	'http-port': { 'type': 'integer', 'min': 1, 'max': 65535, 'default': 9615 }
+};
+
 exports.construct = function(options)
 {
 	if (options.http)
 	{
 		var http = require('http');
-		http.createServer(function (req, res)
+		server = http.createServer(function (req, res)
 		{
 			res.writeHead(200, {'Content-Type': 'text/plain'});
 			var text = 'uptime = ' + process.uptime() + '\r\n';
@@ -13,7 +27,34 @@ exports.construct = function(options)
 			for(var i in mem)
 				text += '\r\n' + i + ' = ' + mem[i];
 
+			// passwords and anything from the secrets file are masked
+			for (var i in clients)
+				text += '\r\n\r\nclient ' + i + ' = ' + JSON.stringify(secrets.redactConfig(clients[i].options), null, '\t');
+
 			res.end(text);
-		}).listen(options['http-port'] || 9615);
+		});
+		server.listen(options['http-port'] || 9615);
 	}
 }
+
+exports.destruct = function()
+{
+	if (server)
+		server.close();
+
+	server = null;
+}
+
+exports.init = function()
+{
+	secrets = this.secrets;
+	clients[this.client.id] = this.client;
+}
+
+exports.term = function()
+{
+	// detached, or the client has been removed. a client since added with
+	// the same id has its own init
+	if (clients[this.client.id] === this.client)
+		delete clients[this.client.id];
+}
@@ -9,10 +9,6 @@ exports.init = function(options)
 		if (pkt.ucid <= 0)
 			return;
 
-		var welcome = new this.insim.IS_MTC;
-		welcome.ucid = pkt.ucid;
-		welcome.text = 'This server is powered by ' + this.product.full;
-
-		this.client.send(welcome);
+		this.client.tell(pkt.ucid, 'This server is powered by ' + this.product.full);
 	});
 }
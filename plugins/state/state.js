@@ -249,32 +249,22 @@ ClientState.prototype = {
 
 		this.log.debug('OOS - Requesting data');
 
-		// FIXME in a loop sending these 4 pkts breaks horribly..
-		// TODO figure out why
-		var t0 = new this.insim.IS_TINY();
-		t0.reqi = 1;
-		t0.subt = this.insim.TINY_ISM;
-		this.client.send(t0);
-
-		var t1 = new this.insim.IS_TINY();
-		t1.reqi = 1;
-		t1.subt = this.insim.TINY_NCN;
-		this.client.send(t1);
-
-		var t2 = new this.insim.IS_TINY();
-		t2.reqi = 1;
-		t2.subt = this.insim.TINY_NPL;
-		this.client.send(t2);
-
-		var t3 = new this.insim.IS_TINY();
-		t3.reqi = 1;
-		t3.subt = this.insim.TINY_SST;
-		this.client.send(t3);
-
-		var t4 = new this.insim.IS_TINY();
-		t4.reqi = 1;
-		t4.subt = this.insim.TINY_AXI;
-		this.client.send(t4);
+		var subts = [
+			this.insim.TINY_ISM,
+			this.insim.TINY_NCN,
+			this.insim.TINY_NPL,
+			this.insim.TINY_SST,
+			this.insim.TINY_AXI
+		];
+
+		// merged, so a burst of OOS never queues more than one of each
+		for (var i = 0; i < subts.length; i++)
+		{
+			var t = new this.insim.IS_TINY();
+			t.reqi = 1;
+			t.subt = subts[i];
+			this.client.send(t, { 'merge': 'state:' + subts[i] });
+		}
 	},
 
 	// state ready
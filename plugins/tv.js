@@ -432,5 +432,6 @@ var tvDirector = function()
 
 var director = new tvDirector;
 
+exports.requires = [ 'state' ];
 exports.init = director.init;
 exports.term = director.term;
@@ -0,0 +1,117 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim');
+
+/**
+ * Returns the PacketError build throws for the given packet and values.
+ *
+ * @api private
+ * @param {String} name
+ * @param {Object} values
+ * @return {Object}
+ */
+var failure = function(name, values)
+{
+	try
+	{
+		insim.build(name, values);
+	}
+	catch (err)
+	{
+		assert.ok(err instanceof insim.PacketError);
+		return err;
+	}
+
+	throw new Error('Built an invalid ' + name);
+}
+
+common.test('constant names are taken with or without their prefix', function()
+{
+	assert.equal(insim.build('IS_TINY', { 'subt': 'NCN' }).subt, insim.TINY_NCN);
+	assert.equal(insim.build('IS_TINY', { 'subt': 'tiny_npl' }).subt, insim.TINY_NPL);
+	assert.equal(insim.build('IS_TINY', { 'subt': insim.TINY_RST }).subt, insim.TINY_RST);
+	assert.equal(insim.build('IS_SMALL', { 'subt': 'SSG', 'uval': 10 }).subt, insim.SMALL_SSG);
+});
+
+common.test('flags may be given as a list, and the packet packs as one built by hand', function()
+{
+	var built = insim.build('IS_BTN', {
+		'reqi': 1, 'ucid': 3, 'clickid': 7, 'text': 'Hello',
+		'l': 50, 't': 60, 'w': 40, 'h': 10, 'bstyle': [ 'DARK', 'ISB_CLICK' ]
+	});
+
+	var p = new insim.IS_BTN;
+	p.reqi = 1;
+	p.ucid = 3;
+	p.clickid = 7;
+	p.text = 'Hello';
+	p.l = 50;
+	p.t = 60;
+	p.w = 40;
+	p.h = 10;
+	p.bstyle = insim.ISB_DARK | insim.ISB_CLICK;
+
+	assert.ok(built instanceof insim.IS_BTN);
+	assert.equal(built.bstyle, insim.ISB_DARK | insim.ISB_CLICK);
+	assert.equal(new Buffer(built.pack()).toString('hex'), new Buffer(p.pack()).toString('hex'));
+});
+
+common.test('everything that\'s wrong is reported at once', function()
+{
+	var err = failure('IS_BTN', {
+		'clickid': 240, 'l': 201, 'bstyle': [ 'DARK', 'SHINY' ], 'size': 12, 'colour': 1, 'text': new Array(300).join('x')
+	});
+
+	assert.equal(err.packet, 'IS_BTN');
+	assert.deepEqual(err.errors.slice().sort(), [
+		'IS_BTN.bstyle: unknown constant SHINY',
+		'IS_BTN.clickid: 240 is out of range (0 to 239)',
+		'IS_BTN.colour: no such field',
+		'IS_BTN.l: 201 is out of range (0 to 200)',
+		'IS_BTN.size: no such field',
+		'IS_BTN.text: string of 299 bytes exceeds the maximum of 239'
+	]);
+	assert.ok(/^Invalid IS_BTN - /.test(err.message));
+});
+
+common.test('values out of range for their wire type are only reported once', function()
+{
+	assert.deepEqual(failure('IS_BTN', { 'clickid': 300 }).errors, [ 'IS_BTN.clickid: 300 is out of range for byte (0 to 255)' ]);
+});
+
+common.test('there\'s no building a packet that doesn\'t exist', function()
+{
+	assert.deepEqual(failure('IS_NOPE', {}).errors, [ 'no such packet' ]);
+	assert.deepEqual(failure('VERSION', {}).errors, [ 'no such packet' ]);
+});
+
+common.test('tiny and small send straight away, or make a request', function()
+{
+	var c = new insim.client({ 'id': 'build' }, common.logger());
+	var sent = [];
+
+	c.send = function(pkt)
+	{
+		sent.push([ insim.translatePktIdToName(pkt.type), pkt.subt, pkt.uval ]);
+		return true;
+	};
+
+	c.tiny('CLR');
+	c.small('SSG', 10);
+	c.small(insim.SMALL_TMS);
+
+	assert.deepEqual(sent, [ [ 'IS_TINY', insim.TINY_CLR, undefined ], [ 'IS_SMALL', insim.SMALL_SSG, 10 ], [ 'IS_SMALL', insim.SMALL_TMS, 0 ] ]);
+
+	assert.throws(function() { c.tiny('NOPE'); }, /IS_TINY\.subt: unknown constant NOPE/);
+
+	sent = [];
+	c.tiny('NCN', function() {});
+
+	// the request, and the ping that marks the end of its reply
+	assert.deepEqual(sent, [ [ 'IS_TINY', insim.TINY_NCN, undefined ], [ 'IS_TINY', insim.TINY_PING, undefined ] ]);
+	assert.equal(Object.keys(c.requests).length, 1);
+
+	c.failRequests('EDISCONNECTED', 'Test over');
+});
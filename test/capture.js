@@ -0,0 +1,195 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	capture = require('../lib/capture'),
+	insim = require('../lib/insim');
+
+var file = path.join(os.tmpdir(), 'xi4n-test-' + process.pid + '.cap');
+
+/**
+ * Returns a client that keeps whatever is played back into it.
+ *
+ * @api private
+ * @param {String} id
+ * @return {Object}
+ */
+var client = function(id)
+{
+	var c = { 'id': id, 'tcp': [], 'udp': [] };
+
+	c.receive = function(data)
+	{
+		c.tcp.push(data.toString('binary'));
+	};
+
+	c.receiveUdp = function(data, rinfo)
+	{
+		c.udp.push(data.toString('binary') + ' from ' + rinfo.address + ':' + rinfo.port);
+	};
+
+	return c;
+}
+
+/**
+ * Records a capture of two clients, returning the recorder's start time.
+ *
+ * @api private
+ * @return {Number}
+ */
+var record = function()
+{
+	var r = new capture.Recorder(file);
+	var a = client('a');
+	var b = client('b');
+
+	r.attach(a, 'insim');
+	r.attach(b, 'outgauge');
+
+	r.write(a, new Buffer('first', 'binary'), false);
+	r.write(a, new Buffer('sent', 'binary'), true);
+	r.write(b, new Buffer('gauge', 'binary'), false, { 'address': '10.0.0.1', 'port': 30000 });
+	r.write(a, new Buffer('second', 'binary'), false);
+
+	r.close();
+
+	return r.start;
+}
+
+common.test('the file is laid out as documented', function()
+{
+	var start = record();
+	var buf = fs.readFileSync(file);
+
+	assert.equal(buf.toString('binary', 0, 6), 'XI4NCP');
+	assert.equal(buf.readUInt16LE(6), 1);
+	assert.equal(buf.readDoubleLE(8), start);
+
+	// first record, received over tcp by a
+	var o = capture.HEADER_SIZE;
+	assert.equal(buf.readUInt8(o + 4), capture.PROTO_INSIM);
+	assert.equal(buf.readUInt8(o + 5), 0);
+	assert.equal(buf.readUInt8(o + 6), 1);
+	assert.equal(buf.readUInt8(o + 7), 0);
+	assert.equal(buf.readUInt32LE(o + 8), 5);
+	assert.equal(buf.toString('binary', o + 12, o + 18), 'afirst');
+
+	// third record, a datagram received by b
+	o += (12 + 1 + 5) + (12 + 1 + 4);
+	assert.equal(buf.readUInt8(o + 4), capture.PROTO_OUTGAUGE);
+	assert.equal(buf.readUInt8(o + 5), capture.REC_UDP);
+	assert.equal(buf.toString('binary', o + 12, o + 12 + 1 + 14), 'b10.0.0.1:30000');
+	assert.equal(buf.toString('binary', o + 12 + 1 + 14, o + 12 + 1 + 14 + 5), 'gauge');
+
+	fs.unlinkSync(file);
+});
+
+common.test('read returns every record as it was written', function()
+{
+	var start = record();
+	var cap = capture.read(file);
+
+	assert.equal(cap.start, start);
+	assert.deepEqual(cap.records.map(function(r)
+	{
+		return [ r.protocol, r.id, r.sent, r.udp, r.data.toString('binary') ];
+	}), [
+		[ 'insim', 'a', false, false, 'first' ],
+		[ 'insim', 'a', true, false, 'sent' ],
+		[ 'outgauge', 'b', false, true, 'gauge' ],
+		[ 'insim', 'a', false, false, 'second' ]
+	]);
+	assert.deepEqual(cap.records[2].rinfo, { 'address': '10.0.0.1', 'port': 30000, 'size': 5 });
+
+	fs.unlinkSync(file);
+});
+
+common.test('a record cut short at the end of the file is ignored', function()
+{
+	record();
+
+	var buf = fs.readFileSync(file);
+	fs.writeFileSync(file, buf.slice(0, buf.length - 3));
+
+	var cap = capture.read(file);
+
+	assert.equal(cap.records.length, 3);
+	assert.equal(cap.records[2].data.toString('binary'), 'gauge');
+
+	fs.unlinkSync(file);
+});
+
+common.test('files that aren\'t captures, or of another version, are refused', function()
+{
+	fs.writeFileSync(file, new Buffer('not a capture file'));
+	assert.throws(function() { capture.read(file); }, /Not a capture file/);
+
+	record();
+
+	var buf = fs.readFileSync(file);
+	buf.writeUInt16LE(2, 6);
+	fs.writeFileSync(file, buf);
+	assert.throws(function() { capture.read(file); }, /Unsupported capture format version 2/);
+
+	fs.unlinkSync(file);
+});
+
+common.test('playback hands received data to clients by id, skipping what was sent', function()
+{
+	record();
+
+	var player = new capture.Player(file);
+	var a = client('a');
+	var b = client('b');
+
+	fs.unlinkSync(file);
+
+	return new Promise(function(resolve)
+	{
+		player.on('end', resolve);
+		player.play({ 'a': a, 'b': b }, 0);
+	}).then(function()
+	{
+		assert.deepEqual(a.tcp, [ 'first', 'second' ]);
+		assert.deepEqual(b.udp, [ 'gauge from 10.0.0.1:30000' ]);
+	});
+});
+
+common.test('a recorded InSim client plays back the same packets', function()
+{
+	var c = new insim.client({ 'id': 'replayed' }, common.logger());
+	var r = new capture.Recorder(file);
+	r.attach(c, 'insim');
+
+	var p = new insim.IS_MSO;
+	p.msg = 'hello';
+
+	var data = new Buffer(p.pack());
+
+	// split, as it may arrive from the socket
+	r.write(c, data.slice(0, 10), false);
+	r.write(c, data.slice(10), false);
+	r.close();
+
+	var player = new capture.Player(file);
+	var got = [];
+
+	fs.unlinkSync(file);
+
+	c.on('IS_MSO', function(pkt)
+	{
+		got.push(pkt.msg);
+	});
+
+	return new Promise(function(resolve)
+	{
+		player.on('end', resolve);
+		player.play({ 'replayed': c }, 0);
+	}).then(function()
+	{
+		assert.deepEqual(got, [ 'hello' ]);
+	});
+});
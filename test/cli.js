@@ -0,0 +1,195 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	path = require('path'),
+	cli = require('../lib/cli'),
+	clientmanager = require('../lib/clientmanager'),
+	secrets = require('../lib/secrets');
+
+/**
+ * Returns a cli without any command line, whose errors are kept in errors
+ * rather than printed.
+ *
+ * @api private
+ * @return {Object}
+ */
+var create = function()
+{
+	var c = Object.create(cli.cli.prototype);
+
+	c.program = {};
+	c.errors = [];
+	c.error = function(msg)
+	{
+		c.errors.push(msg);
+	};
+
+	return c;
+}
+
+common.test('--set values are parsed as JSON, or kept as strings', function()
+{
+	var c = create();
+	var opts = { 'clients': [ { 'port': 29999 } ] };
+	var sources = [];
+
+	assert.ok(c.override(opts, [ 'clients.0.port=29998', 'clients.0.admin=1234', 'clients.0.name="1234"', 'clients.0.host=10.0.0.1' ], sources));
+
+	assert.deepEqual(opts.clients[0], { 'port': 29998, 'admin': '1234', 'name': '1234', 'host': '10.0.0.1' });
+	assert.equal(sources.length, 4);
+	assert.deepEqual(sources[0], { 'file': '--set clients.0.port', 'lines': { 'clients.0.port': 0 } });
+});
+
+common.test('--set keeps values that look like numbers as strings, where only a string will do', function()
+{
+	var c = create();
+	var opts = { 'plugins': {}, 'clients': [ { 'protocol': 'relay' } ] };
+
+	assert.ok(c.override(opts, [ 'clients.0.admin=1234', 'clients.0.spec=0.5', 'clients.0.hname=true', 'clients.1.admin="007"', 'clients.1.port=29998' ]));
+
+	assert.strictEqual(opts.clients[0].admin, '1234');
+	assert.strictEqual(opts.clients[0].spec, '0.5');
+	assert.strictEqual(opts.clients[0].hname, 'true');
+	assert.strictEqual(opts.clients[1].admin, '007');
+	assert.strictEqual(opts.clients[1].port, 29998);
+
+	assert.deepEqual(clientmanager.validate(opts), []);
+});
+
+common.test('--set makes what isn\'t there yet, and may add to the end of an array', function()
+{
+	var c = create();
+	var opts = { 'clients': [ {} ] };
+
+	assert.ok(c.override(opts, [ 'logger.level=debug', 'clients.1.port=29998', 'clients.0.plugins.0=state' ]));
+
+	assert.deepEqual(opts.logger, { 'level': 'debug' });
+	assert.equal(opts.clients.length, 2);
+	assert.equal(opts.clients[1].port, 29998);
+	assert.deepEqual(opts.clients[0].plugins, [ 'state' ]);
+});
+
+common.test('--set refuses indexes past the end of an array', function()
+{
+	var c = create();
+	var opts = { 'clients': [ {} ] };
+
+	assert.ok(!c.override(opts, [ 'clients.5.port=1' ]));
+	assert.equal(opts.clients.length, 1);
+	assert.ok(/clients has 1 items, so 5 should be an index from 0 to 1/.test(c.errors[0]), c.errors[0]);
+
+	assert.ok(!c.override(opts, [ 'clients.first.port=1' ]));
+	assert.equal(opts.clients.first, undefined);
+});
+
+common.test('--set needs a key and a value', function()
+{
+	var c = create();
+
+	assert.ok(!c.override({}, [ 'clients.0.port' ]));
+	assert.ok(!c.override({}, [ '=1' ]));
+	assert.equal(c.errors.length, 2);
+});
+
+common.test('${NAME} is filled in from the environment', function()
+{
+	var c = create();
+
+	process.env.XI4N_TEST_ADMIN = 'from-the-env';
+	delete process.env.XI4N_TEST_PORT;
+
+	var opts = c.loadConfig(path.join(common.fixtures, 'config'));
+
+	assert.deepEqual(c.errors, []);
+	assert.equal(opts.clients[0].admin, 'from-the-env');
+	assert.equal(opts.clients[0].port, 29999);
+});
+
+common.test('passwords from the environment and --set are masked', function()
+{
+	var c = create();
+
+	process.env.XI4N_TEST_ADMIN = 'env-admin-pw';
+	c.program.set = [ 'clients.0.spec=set-spec-pw' ];
+
+	assert.ok(c.loadConfig(path.join(common.fixtures, 'config')));
+
+	assert.equal(secrets.redact('admin env-admin-pw, spec set-spec-pw, host 127.0.0.1'), 'admin ' + secrets.MASK + ', spec ' + secrets.MASK + ', host 127.0.0.1');
+});
+
+common.test('values too short to redact from text are still masked in configs', function()
+{
+	secrets.registerConfig({ 'clients': [ { 'admin': '1' }, { 'admin': 'x9z' } ] });
+
+	assert.equal(secrets.redact('client 1 has 1 car, x9z'), 'client 1 has 1 car, x9z');
+	assert.deepEqual(secrets.redactConfig({ 'admin': '1', 'port': 1 }), { 'admin': secrets.MASK, 'port': 1 });
+});
+
+common.test('a variable that isn\'t set is reported with its line', function()
+{
+	var c = create();
+
+	delete process.env.XI4N_TEST_ADMIN;
+
+	assert.equal(c.loadConfig(path.join(common.fixtures, 'config')), undefined);
+	assert.ok(/config\.json:8 - XI4N_TEST_ADMIN isn't set, on line 8$/.test(c.errors[0]), c.errors[0]);
+});
+
+common.test('config.d clients are added to config.json\'s, not merged into them', function()
+{
+	var c = create();
+
+	var opts = {
+		'logger': { 'level': 'info' },
+		'plugins': { 'state': { 'path': 'state' } },
+		'clients': [ { 'host': '10.0.0.1', 'port': 29999, 'plugins': [ 'state' ] } ]
+	};
+
+	var extra = {
+		'logger': { 'level': 'debug' },
+		'plugins': { 'pong': { 'path': 'pong' } },
+		'clients': [ { 'host': '10.0.0.2' } ]
+	};
+
+	var lines = { 'clients': 4, 'clients.0': 5, 'clients.0.host': 6 };
+
+	c.merge(opts, extra, lines);
+
+	assert.deepEqual(opts.logger, { 'level': 'debug' });
+	assert.deepEqual(Object.keys(opts.plugins), [ 'state', 'pong' ]);
+	assert.deepEqual(opts.clients, [
+		{ 'host': '10.0.0.1', 'port': 29999, 'plugins': [ 'state' ] },
+		{ 'host': '10.0.0.2' }
+	]);
+
+	// errors in the added client are reported against config.d
+	assert.deepEqual(lines, { 'clients': 4, 'clients.1': 5, 'clients.1.host': 6 });
+});
+
+common.test('values of different types replace each other whole', function()
+{
+	var c = create();
+
+	var opts = c.merge({ 'a': [ 1, 2 ], 'b': { 'c': 1 }, 'd': 'x' }, { 'a': { '0': 3 }, 'b': [ 4 ], 'd': null });
+
+	assert.deepEqual(opts, { 'a': { '0': 3 }, 'b': [ 4 ], 'd': null });
+});
+
+common.test('config.d files are merged in order of their names, and errors point into them', function()
+{
+	var c = create();
+	var sources = [];
+	var dir = path.join(common.fixtures, 'configd');
+
+	c.program.config = dir;
+
+	var opts = c.loadConfig(dir, sources);
+
+	assert.deepEqual(c.errors, []);
+	assert.deepEqual(opts.clients.map(function(client) { return client.host; }), [ '127.0.0.1', '127.0.0.2', '127.0.0.3' ]);
+	assert.deepEqual(sources.map(function(s) { return path.basename(s.file); }), [ 'config.json', '10-second.json', '20-third.json' ]);
+
+	assert.ok(!c.validate(opts, sources));
+	assert.ok(/20-third\.json:6 - clients\.2\.port should be an integer, not string$/.test(c.errors[0]), c.errors[0]);
+});
@@ -0,0 +1,260 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	clientmanager = require('../lib/clientmanager'),
+	calls = require('./fixtures/calls');
+
+var quiet = { 'stream': { 'write': function() {} } };
+
+/**
+ * Returns a config of the given clients, each { id, plugins }, and plugins,
+ * by name, as their options.
+ *
+ * @api private
+ * @param {Array} clients
+ * @param {Object} plugins
+ * @return {Object}
+ */
+var config = function(clients, plugins)
+{
+	var opts = { 'logger': quiet, 'plugins': {}, 'clients': [] };
+
+	for (var i in plugins)
+		opts.plugins[i] = { 'path': i, 'options': plugins[i] };
+
+	for (var i = 0; i < clients.length; i++)
+		opts.clients.push({ 'id': clients[i].id, 'host': '127.0.0.1', 'plugins': clients[i].plugins });
+
+	return opts;
+}
+
+/**
+ * Returns a manager, with the fixture plugins, running a config.
+ *
+ * @api private
+ * @param {Object} opts
+ * @return {Object}
+ */
+var create = function(opts)
+{
+	calls.log.length = 0;
+
+	return clientmanager.create(opts, common.fixtures);
+}
+
+/**
+ * Returns the plugins attached to each client, by id.
+ *
+ * @api private
+ * @param {Object} m Manager
+ * @return {Object}
+ */
+var attached = function(m)
+{
+	var list = {};
+
+	for (var i in m.clients)
+		list[i] = Object.keys(m.clients[i].plugins);
+
+	return list;
+}
+
+common.test('a changed config adds, removes and updates only what changed', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'greeter' ] }, { 'id': 'b', 'plugins': [] } ], { 'greeter': {} }));
+
+	calls.log.length = 0;
+
+	m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'greeter' ] }, { 'id': 'c', 'plugins': [ 'greeter' ] } ], { 'greeter': { 'greeting': 'Hi' } }));
+
+	assert.deepEqual(attached(m), { 'a': [ 'greeter' ], 'c': [ 'greeter' ] });
+	assert.deepEqual(calls.log, [ 'greeter options Hi', 'greeter init c' ]);
+	assert.equal(m.rehashCount, 2);
+});
+
+common.test('a plugin failing to load leaves the running config as it was', function()
+{
+	var before = config([ { 'id': 'a', 'plugins': [ 'greeter' ] } ], { 'greeter': {} });
+	var m = create(before);
+
+	var clientA = m.clients['a'];
+
+	assert.throws(function()
+	{
+		m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'greeter', 'exploder' ] }, { 'id': 'b', 'plugins': [ 'greeter' ] } ], { 'greeter': { 'greeting': 'Hi' }, 'exploder': {} }));
+	}, /Boom/);
+
+	assert.deepEqual(Object.keys(m.plugins), [ 'greeter' ]);
+	assert.deepEqual(attached(m), { 'a': [ 'greeter' ] });
+	assert.strictEqual(m.clients['a'], clientA);
+	assert.strictEqual(m.options, before);
+	assert.equal(m.rehashCount, 1);
+});
+
+common.test('a plugin refusing its new options leaves the running config as it was', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'greeter' ] } ], { 'greeter': { 'greeting': 'Hi' } }));
+	var greeter = m.plugins['greeter'];
+
+	assert.throws(function()
+	{
+		m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'greeter', 'tracker' ] }, { 'id': 'b', 'plugins': [] } ], { 'greeter': { 'greeting': 'explode' }, 'tracker': {} }));
+	}, /Can't say that/);
+
+	assert.deepEqual(Object.keys(m.plugins), [ 'greeter' ]);
+	assert.deepEqual(attached(m), { 'a': [ 'greeter' ] });
+	assert.equal(greeter.greeting, 'Hi');
+	assert.equal(m.pluginConfigs['greeter'].options.greeting, 'Hi');
+});
+
+common.test('clients and plugins of a config that fails are taken away again', function()
+{
+	var m = create(config([], {}));
+
+	assert.throws(function()
+	{
+		m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'scoreboard', 'exploder' ] } ], { 'scoreboard': {}, 'exploder': {} }));
+	}, /Boom/);
+
+	assert.deepEqual(Object.keys(m.plugins), []);
+	assert.deepEqual(Object.keys(m.clients), []);
+});
+
+common.test('dependencies nothing needs any more are unloaded', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'scoreboard' ] } ], { 'scoreboard': {} }));
+
+	// tracker comes from the plugins directory, as scoreboard requires it
+	assert.deepEqual(Object.keys(m.plugins).sort(), [ 'scoreboard', 'tracker' ]);
+	assert.ok(m.pluginConfigs['tracker'].autoload);
+
+	m.loadOptions(config([ { 'id': 'a', 'plugins': [] } ], {}));
+
+	assert.deepEqual(Object.keys(m.plugins), []);
+	assert.deepEqual(attached(m), { 'a': [] });
+	assert.deepEqual(calls.log.slice(-1), [ 'tracker term a' ]);
+});
+
+common.test('logger options are applied again on reload', function()
+{
+	var opts = config([ { 'id': 'a', 'plugins': [] } ], {});
+	var m = create(opts);
+
+	assert.equal(m.logger.options.level, 5);
+
+	opts = config([ { 'id': 'a', 'plugins': [] } ], {});
+	opts.logger = { 'level': 'crit', 'stream': quiet.stream };
+	m.loadOptions(opts);
+
+	assert.equal(m.logger.options.level, 0);
+	assert.strictEqual(m.clients['a'].log, m.logger);
+
+	opts = config([ { 'id': 'a', 'plugins': [] } ], {});
+	opts.logger = { 'level': 6, 'stream': quiet.stream };
+	m.loadOptions(opts);
+
+	assert.equal(m.logger.options.level, 6);
+});
+
+common.test('plugins are initialised after those they require', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'scoreboard' ] } ], { 'scoreboard': {} }));
+
+	assert.deepEqual(calls.log, [ 'tracker init a', 'scoreboard init a' ]);
+	assert.deepEqual(attached(m), { 'a': [ 'tracker', 'scoreboard' ] });
+});
+
+common.test('optional dependencies are ordered first, but only if they\'re wanted', function()
+{
+	create(config([ { 'id': 'a', 'plugins': [ 'scoreboard', 'greeter' ] }, { 'id': 'b', 'plugins': [ 'scoreboard' ] } ], { 'scoreboard': {}, 'greeter': {} }));
+
+	assert.deepEqual(calls.log, [
+		'tracker init a', 'greeter init a', 'scoreboard init a',
+		'tracker init b', 'scoreboard init b'
+	]);
+});
+
+common.test('dependencies may be given in a directory plugin\'s package.json', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'podium' ] } ], { 'podium': {} }));
+
+	assert.deepEqual(m.dependencies['podium'], { 'requires': [ 'scoreboard' ], 'optional': [] });
+	assert.deepEqual(calls.log, [ 'tracker init a', 'scoreboard init a', 'podium init a' ]);
+});
+
+common.test('plugins that depend on each other are refused', function()
+{
+	var m = create(config([], {}));
+
+	assert.throws(function()
+	{
+		m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'chicken' ] } ], { 'chicken': {} }));
+	}, function(err)
+	{
+		return (err instanceof clientmanager.PluginError) && /depend on each other - (chicken -> egg -> chicken|egg -> chicken -> egg)$/.test(err.message);
+	});
+
+	assert.deepEqual(Object.keys(m.plugins), []);
+});
+
+common.test('a dependency that can\'t be found is reported', function()
+{
+	var m = create(config([], {}));
+
+	assert.throws(function()
+	{
+		m.loadOptions(config([ { 'id': 'a', 'plugins': [ 'stray' ] } ], { 'stray': {} }));
+	}, /Plugin stray requires nowhere, which isn't configured or in the plugins directory/);
+
+	assert.deepEqual(Object.keys(m.plugins), []);
+});
+
+common.test('an unloaded plugin leaves no listeners, timers or commands behind', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'busy' ] } ], { 'busy': {} }));
+	var c = m.clients['a'];
+	var chat = c.listenerCount('IS_MSO');
+
+	assert.equal(c.pluginScopes['busy'].listeners.length, 1);
+	assert.equal(c.pluginScopes['busy'].timers.length, 2);
+	assert.ok(c.commands.commands['busy']);
+	assert.strictEqual(c.commands.commands['bz'], c.commands.commands['busy']);
+
+	assert.ok(m.unloadPlugin('busy'));
+
+	assert.equal(c.listenerCount('IS_MSO'), chat - 1);
+	assert.equal(c.commands.commands['busy'], undefined);
+	assert.equal(c.commands.commands['bz'], undefined);
+	assert.ok(c.commands.commands['help']);
+
+	return new Promise(function(resolve)
+	{
+		setTimeout(resolve, 60);
+	}).then(function()
+	{
+		assert.deepEqual(calls.log, []);
+	});
+});
+
+common.test('a reloaded plugin has only its new listeners, timers and commands', function()
+{
+	var m = create(config([ { 'id': 'a', 'plugins': [ 'busy' ] } ], { 'busy': {} }));
+	var c = m.clients['a'];
+	var chat = c.listenerCount('IS_MSO');
+	var before = c.commands.commands['busy'];
+
+	assert.ok(m.reloadPlugin('busy'));
+
+	assert.equal(c.listenerCount('IS_MSO'), chat);
+	assert.equal(c.pluginScopes['busy'].timers.length, 2);
+	assert.notStrictEqual(c.commands.commands['busy'], before);
+
+	c.emit('IS_MSO', {});
+	c.commands.run('bz', '', 0);
+
+	assert.deepEqual(calls.log, [ 'busy chat a', 'busy command a' ]);
+
+	m.unloadPlugin('busy');
+});
+
@@ -0,0 +1,168 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim');
+
+/**
+ * Sets every field of a schema that we set, bar reserved and count fields, to
+ * something that isn't its default, returning what was set.
+ *
+ * @api private
+ * @param {Object} schema
+ * @param {Object} target
+ * @param {Number} seed Varies the values between fields
+ * @return {Object}
+ */
+var fill = function(schema, target, seed)
+{
+	var expected = {};
+
+	var make = function(field, n)
+	{
+		if (field.type == 'string')
+			return ('x' + n).substr(0, field.variable ? field.length - 1 : field.length);
+
+		if (field.type == 'struct')
+		{
+			var item = new field.struct;
+			fill(field.struct.prototype._SCHEMA, item, n);
+			return item;
+		}
+
+		if (field.type == 'float')
+			return n + 0.5;
+
+		return (n % 100) + 1;
+	};
+
+	for (var i = 0; i < schema.fields.length; i++)
+	{
+		var field = schema.fields[i];
+		var n = seed + i;
+
+		if (field.reserved || schema.isCountField(field.name) || (field.name == 'size') || (field.name == 'type'))
+			continue;
+
+		if (schema.isArray(field))
+		{
+			var count = (typeof field.count == 'number') ? field.count : Math.min(field.max, 2);
+			target[field.name] = [];
+
+			for (var j = 0; j < count; j++)
+				target[field.name].push(make(field, n + j));
+		}
+		else
+		{
+			target[field.name] = make(field, n);
+		}
+
+		expected[field.name] = target[field.name];
+	}
+
+	return expected;
+};
+
+/**
+ * Returns plain copies of unpacked values, so that they can be compared.
+ *
+ * @api private
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+var plain = function(value)
+{
+	return JSON.parse(JSON.stringify(value));
+};
+
+[ 5, 9 ].forEach(function(version)
+{
+	var packets = insim.PROTOCOLS[version].packets;
+
+	Object.keys(packets).forEach(function(name)
+	{
+		common.test('InSim ' + version + ' ' + name + ' round trips', function()
+		{
+			var p = new packets[name];
+
+			if (!p._SCHEMA)
+				return;
+
+			var expected = fill(p._SCHEMA, p, 1);
+			var buf = p.pack();
+
+			assert.equal(buf.length, p.size, 'size matches what was packed');
+			assert.equal(buf.length % 4, 0, 'packed to a multiple of 4');
+			assert.equal(buf[1], p.type);
+
+			var q = new packets[name];
+			q.unpack(buf);
+
+			for (var i in expected)
+				assert.deepEqual(plain(q[i]), plain(expected[i]), name + '.' + i);
+		});
+	});
+});
+
+common.test('InSim 9 has the packets added in it', function()
+{
+	[ 'IS_JRR', 'IS_UCO', 'IS_OCO', 'IS_IPB', 'IS_AIC', 'IS_AII' ].forEach(function(name)
+	{
+		assert.equal(insim.PROTOCOLS[9].packets[name], insim[name]);
+		assert.equal(insim.PROTOCOLS[5].packets[name], undefined);
+		assert.equal(insim.ISP_XLATED[(new insim[name]).type], name);
+	});
+});
+
+common.test('fixed size InSim 9 packets are the size insim.h gives', function()
+{
+	assert.equal((new insim.IS_JRR).pack().length, 16);
+	assert.equal((new insim.IS_UCO).pack().length, 28);
+	assert.equal((new insim.IS_OCO).pack().length, 8);
+	assert.equal((new insim.IS_AII).pack().length, 96);
+});
+
+common.test('IS_AIC holds as many inputs as it has room for', function()
+{
+	var p = new insim.IS_AIC;
+	p.plid = 3;
+
+	[ insim.CS_THROTTLE, insim.CS_BRAKE, insim.CS_HORN ].forEach(function(input, i)
+	{
+		var v = new insim.IS_AIINPUTVAL;
+		v.input = input;
+		v.time = 10;
+		v.value = 65535 - i;
+		p.inputs.push(v);
+	});
+
+	var buf = p.pack();
+	assert.equal(buf.length, 16);
+	assert.equal(p.size, 16);
+
+	var q = new insim.IS_AIC;
+	q.unpack(buf);
+
+	assert.equal(q.inputs.length, 3);
+	assert.equal(q.inputs[2].input, insim.CS_HORN);
+	assert.equal(q.inputs[2].value, 65533);
+
+	q.unpack(buf.slice(0, 4));
+	assert.equal(q.inputs.length, 0);
+});
+
+common.test('IS_IPB addresses convert to and from dotted form', function()
+{
+	var p = new insim.IS_IPB;
+	p.setBanIPs([ '192.168.0.1', '10.0.0.255' ]);
+
+	var buf = p.pack();
+	assert.equal(buf.length, 16);
+	assert.equal(buf[3], 2);
+	assert.deepEqual(Array.prototype.slice.call(buf, 8, 12), [ 192, 168, 0, 1 ]);
+
+	var q = new insim.IS_IPB;
+	q.unpack(buf);
+
+	assert.deepEqual(q.getBanIPs(), [ '192.168.0.1', '10.0.0.255' ]);
+});
@@ -0,0 +1,201 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	commands = require('../lib/commands');
+
+/**
+ * Returns an InSim client whose replies to connections are kept in replies,
+ * rather than sent.
+ *
+ * @api private
+ * @return {Object}
+ */
+var client = function()
+{
+	var c = new insim.client({ 'id': 'commands', 'prefix': '!' }, common.logger());
+
+	c.replies = [];
+	c.tell = function(ucid, msg)
+	{
+		c.replies.push(msg);
+	};
+
+	return c;
+}
+
+/**
+ * Returns an IS_MSO as LFS sends chat from a connection.
+ *
+ * @api private
+ * @param {String} name Player name
+ * @param {String} text What they typed
+ * @return {Object}
+ */
+var chat = function(name, text)
+{
+	var p = new insim.IS_MSO;
+	p.ucid = 3;
+	p.plid = 4;
+	p.usertype = insim.MSO_PREFIX;
+	p.msg = name + ' ^L: ' + text;
+	p.textstart = (name + ' ^L: ').length;
+
+	return p;
+}
+
+common.test('arguments are parsed by type, with quotes and rest', function()
+{
+	var c = client();
+	var got = null;
+
+	c.commands.register('kick', {
+		'args': [
+			{ 'name': 'who' },
+			{ 'name': 'mins', 'type': 'integer' },
+			{ 'name': 'quiet', 'type': 'boolean', 'optional': true, 'default': false },
+			{ 'name': 'reason', 'rest': true, 'optional': true }
+		]
+	}, function(args)
+	{
+		got = args;
+	});
+
+	c.commands.onIS_MSO(chat('admin', '!kick "bob the builder" 5 yes being rude'));
+
+	assert.deepEqual(got, { 'who': 'bob the builder', 'mins': 5, 'quiet': true, 'reason': 'being rude' });
+
+	c.commands.onIS_MSO(chat('admin', '!KICK bob 10'));
+
+	assert.deepEqual(got, { 'who': 'bob', 'mins': 10, 'quiet': false, 'reason': undefined });
+	assert.deepEqual(c.replies, []);
+});
+
+common.test('bad arguments are reported to whoever ran the command', function()
+{
+	var c = client();
+	var runs = 0;
+
+	c.commands.register('laps', { 'args': [ { 'name': 'n', 'type': 'integer' } ] }, function()
+	{
+		runs++;
+	});
+
+	c.commands.run('laps', 'ten', 3);
+	c.commands.run('laps', '', 3);
+	c.commands.run('laps', '1 2', 3);
+	c.commands.run('lap', '1', 3);
+
+	assert.equal(runs, 0);
+	assert.deepEqual(c.replies, [
+		'^1\'ten\' is not a whole number',
+		'^1Missing n, usage: !laps <n>',
+		'^1Too many arguments, usage: !laps <n>',
+		'^1Unknown command !lap, try !help'
+	]);
+});
+
+common.test('other chat and other prefixes are ignored', function()
+{
+	var c = client();
+	var runs = 0;
+
+	c.commands.register('go', function()
+	{
+		runs++;
+	});
+
+	c.commands.onIS_MSO(chat('bob', 'go'));
+	c.commands.onIS_MSO(chat('bob', '?go'));
+
+	var system = chat('bob', '!go');
+	system.usertype = insim.MSO_SYSTEM;
+	c.commands.onIS_MSO(system);
+
+	c.commands.onIS_MSO(chat('bob', '!go'));
+
+	assert.equal(runs, 1);
+});
+
+common.test('aliases run the same command, and go with it', function()
+{
+	var c = client();
+	var runs = 0;
+
+	c.commands.register('restart', { 'aliases': [ 'rs' ] }, function()
+	{
+		runs++;
+	});
+
+	c.commands.run('rs', '', 0);
+	assert.equal(runs, 1);
+
+	c.commands.unregister('restart');
+	assert.equal(c.commands.commands['rs'], undefined);
+});
+
+common.test('a detached plugin\'s commands go with it, unless another has taken their names', function()
+{
+	var c = client();
+
+	c.initPlugin({ 'init': function()
+	{
+		this.client.commands.register('kick', { 'aliases': [ 'k', 'boot' ] }, function() {});
+		this.client.commands.register('ban', function() {});
+	} }, 'first');
+
+	c.initPlugin({ 'init': function()
+	{
+		this.client.commands.register('boot', function() {});
+	} }, 'second');
+
+	var boot = c.commands.commands['boot'];
+
+	c.detachPlugin('first');
+
+	assert.deepEqual(Object.keys(c.commands.commands).sort(), [ 'boot', 'help' ]);
+	assert.strictEqual(c.commands.commands['boot'], boot);
+
+	c.detachPlugin('second');
+
+	assert.deepEqual(Object.keys(c.commands.commands), [ 'help' ]);
+});
+
+common.test('a CommandError doesn\'t start the cooldown', function()
+{
+	var c = client();
+	var runs = 0;
+
+	c.commands.register('vote', { 'cooldown': 60 }, function()
+	{
+		runs++;
+
+		if (runs == 1)
+			throw new commands.CommandError('No vote in progress');
+	});
+
+	c.commands.run('vote', '', 3);
+	c.commands.run('vote', '', 3);
+	c.commands.run('vote', '', 3);
+
+	assert.equal(runs, 2);
+	assert.equal(c.replies[0], '^1No vote in progress');
+	assert.ok(/^\^1Please wait 60 seconds/.test(c.replies[1]), c.replies[1]);
+});
+
+common.test('the host has no cooldown', function()
+{
+	var c = client();
+	var runs = 0;
+
+	c.commands.register('spin', { 'cooldown': 60 }, function()
+	{
+		runs++;
+	});
+
+	c.commands.run('spin', '', 0);
+	c.commands.run('spin', '', 0);
+
+	assert.equal(runs, 2);
+});
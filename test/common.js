@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * Module dependencies
+ */
+var assert = require('assert'),
+	fs = require('fs'),
+	path = require('path');
+
+// lib/ still uses path.existsSync, which newer versions of node have dropped
+if (!path.existsSync)
+	path.existsSync = fs.existsSync;
+
+/**
+ * Tests registered by the file being run, run one after another once it has
+ * been loaded.
+ *
+ * @api private
+ */
+var tests = [];
+
+/**
+ * Longest a test may take, in ms.
+ *
+ * @api public
+ */
+exports.TIMEOUT = 5000;
+
+/**
+ * node's assert module, for convenience.
+ *
+ * @api public
+ */
+exports.assert = assert;
+
+/**
+ * Directory of the files tests use.
+ *
+ * @api public
+ */
+exports.fixtures = path.join(__dirname, 'fixtures');
+
+/**
+ * Registers a test. It fails if it throws, or if it returns a promise that
+ * rejects.
+ *
+ * Usage -
+ *  var common = require('./common'), assert = common.assert;
+ *
+ *  common.test('adds up', function()
+ *  {
+ *  	assert.equal(1 + 1, 2);
+ *  });
+ *
+ * @api public
+ * @param {String} name
+ * @param {Function} fn
+ */
+exports.test = function(name, fn)
+{
+	tests.push({ 'name': name, 'fn': fn });
+}
+
+/**
+ * Returns a logger that writes nowhere, for clients under test.
+ *
+ * @api public
+ * @return {Object}
+ */
+exports.logger = function()
+{
+	return require('../lib/logger').create({ 'level': 'verbose', 'stream': { 'write': function() {} } });
+}
+
+/**
+ * Runs a test, resolving with its error, or null if it passed.
+ *
+ * @api private
+ * @param {Object} t
+ * @return {Object} Promise
+ */
+var run = function(t)
+{
+	return new Promise(function(resolve)
+	{
+		var timer = setTimeout(function()
+		{
+			resolve(new Error('Timed out after ' + exports.TIMEOUT + 'ms'));
+		}, exports.TIMEOUT);
+
+		var done = function(err)
+		{
+			clearTimeout(timer);
+			resolve(err || null);
+		};
+
+		try
+		{
+			Promise.resolve(t.fn()).then(function()
+			{
+				done();
+			}, done);
+		}
+		catch (err)
+		{
+			done(err);
+		}
+	});
+}
+
+setImmediate(function()
+{
+	var failed = 0;
+	var file = path.basename(process.argv[1]);
+
+	var next = function(i)
+	{
+		if (i >= tests.length)
+		{
+			console.log('%s - %d passed, %d failed', file, tests.length - failed, failed);
+
+			// sockets and timers left behind by a failure mustn't keep us here
+			process.exit(failed ? 1 : 0);
+		}
+
+		run(tests[i]).then(function(err)
+		{
+			if (err)
+			{
+				failed++;
+				console.log('  not ok - %s\n%s', tests[i].name, err.stack || err);
+			}
+			else
+			{
+				console.log('  ok - %s', tests[i].name);
+			}
+
+			next(i + 1);
+		});
+	};
+
+	next(0);
+});
@@ -0,0 +1,202 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	clientmanager = require('../lib/clientmanager'),
+	configschema = require('../lib/configschema'),
+	jsonTidy = require('../lib/json-tidy');
+
+/**
+ * Returns a config with a client and a plugin, and whatever else is given
+ * on top.
+ *
+ * @api private
+ * @param {Object} [extra]
+ * @return {Object}
+ */
+var config = function(extra)
+{
+	var opts = {
+		'plugins': { 'greeter': { 'path': 'greeter' } },
+		'clients': [ { 'host': '127.0.0.1', 'plugins': [ 'greeter' ] } ]
+	};
+
+	for (var i in extra)
+		opts[i] = extra[i];
+
+	return opts;
+}
+
+/**
+ * Returns the errors of a config, as 'path message' strings.
+ *
+ * @api private
+ * @param {Object} opts
+ * @return {Array}
+ */
+var validate = function(opts)
+{
+	return clientmanager.validate(opts, common.fixtures).map(function(e)
+	{
+		return e.path + ' ' + e.message;
+	});
+}
+
+common.test('a valid config has its defaults filled in', function()
+{
+	var opts = config();
+
+	assert.deepEqual(validate(opts), []);
+	assert.equal(opts.clients[0].protocol, 'insim');
+	assert.equal(opts.clients[0].port, 29999);
+	assert.deepEqual(opts.plugins.greeter.options, { 'greeting': 'Hello', 'repeat': 1 });
+});
+
+common.test('holes in clients are reported, not thrown', function()
+{
+	var clients = [ { 'host': '127.0.0.1' } ];
+	clients[2] = { 'host': '127.0.0.2' };
+
+	assert.deepEqual(validate(config({ 'clients': clients })), [ 'clients.1 is missing' ]);
+});
+
+common.test('clients and plugins that aren\'t objects are reported', function()
+{
+	assert.deepEqual(validate(config({ 'clients': [ 'localhost', null ] })), [
+		'clients.0 should be an object, not string',
+		'clients.1 should be an object, not null'
+	]);
+
+	assert.deepEqual(validate(config({ 'plugins': { 'greeter': 'greeter', 'pong': undefined } })), [
+		'plugins.greeter should be an object, not string',
+		'plugins.pong is missing'
+	]);
+});
+
+common.test('unknown options, and plugin options that don\'t fit, are reported by path', function()
+{
+	assert.deepEqual(validate(config({ 'loger': {} })), [ 'loger is not a known option' ]);
+
+	var opts = config();
+	opts.clients[0].prot = 29999;
+	opts.clients[0].port = 'twenty';
+	opts.plugins.greeter.options = { 'repeat': 0, 'greeting': 5 };
+
+	assert.deepEqual(validate(opts).sort(), [
+		'clients.0.port should be an integer, not string',
+		'clients.0.prot is not a known option',
+		'plugins.greeter.options.greeting should be a string, not number',
+		'plugins.greeter.options.repeat should be at least 1'
+	]);
+});
+
+common.test('schemas check types, enums and bounds, and fill in defaults', function()
+{
+	var schema = {
+		'type': 'object',
+		'properties': {
+			'mode': { 'type': 'string', 'enum': [ 'a', 'b' ], 'default': 'a' },
+			'port': { 'type': 'integer', 'min': 1, 'max': 65535 },
+			'ratio': { 'type': 'number', 'max': 1 },
+			'tags': { 'type': 'array', 'items': { 'type': 'string' }, 'default': [] },
+			'host': { 'type': 'string', 'required': true }
+		}
+	};
+
+	var value = { 'host': 'localhost', 'ratio': 0.5 };
+	assert.deepEqual(configschema.validate(value, schema), []);
+	assert.deepEqual(value, { 'host': 'localhost', 'ratio': 0.5, 'mode': 'a', 'tags': [] });
+
+	// defaults are copies, not shared between values
+	var other = { 'host': 'localhost' };
+	configschema.validate(other, schema);
+	assert.notStrictEqual(other.tags, value.tags);
+
+	assert.deepEqual(configschema.validate({ 'mode': 'c', 'port': 1.5, 'ratio': 2, 'tags': [ 'x', 1 ] }, schema, 'opts'), [
+		{ 'path': 'opts.mode', 'message': 'should be one of a, b, not "c"' },
+		{ 'path': 'opts.port', 'message': 'should be an integer, not number' },
+		{ 'path': 'opts.ratio', 'message': 'should be at most 1' },
+		{ 'path': 'opts.tags.1', 'message': 'should be a string, not number' },
+		{ 'path': 'opts.host', 'message': 'is required' }
+	]);
+});
+
+common.test('${NAME} is filled in, quoted or not, with a default if it isn\'t set', function()
+{
+	var vars = { 'HOST': 'example.org', 'PORT': '29998', 'QUOTE': 'say "hi"' };
+
+	assert.deepEqual(jsonTidy.tidyParseString([
+		'{',
+		'	"host": "${HOST}",',
+		'	"port": ${PORT},',
+		'	"name": ${HOST},',
+		'	"msg": "${QUOTE}",',
+		'	"admin": "${ADMIN:-none}",',
+		'	"udpport": ${UDPPORT:-0}',
+		'}'
+	].join('\n'), vars), {
+		'host': 'example.org',
+		'port': 29998,
+		'name': 'example.org',
+		'msg': 'say "hi"',
+		'admin': 'none',
+		'udpport': 0
+	});
+});
+
+common.test('a variable that isn\'t set is reported with its line', function()
+{
+	assert.throws(function()
+	{
+		jsonTidy.interpolate('{\n\t"a": 1,\n\t"admin": "${ADMIN}"\n}', {});
+	}, function(err)
+	{
+		return (err instanceof ReferenceError) && (err.line == 3) && (err.message == 'ADMIN isn\'t set, on line 3');
+	});
+});
+
+common.test('locate finds the line of every key and array item', function()
+{
+	var text = [
+		'{',
+		'	// a comment keeps its line',
+		'	"clients": [',
+		'		{',
+		'			"port": ${PORT}',
+		'		},',
+		'	],',
+		'	"plugins": {}',
+		'}'
+	].join('\n');
+
+	assert.deepEqual(jsonTidy.locate(text, { 'PORT': 1 }), {
+		'clients': 3,
+		'clients.0': 4,
+		'clients.0.port': 5,
+		'plugins': 8
+	});
+});
+
+common.test('syntax errors are given their line', function()
+{
+	assert.throws(function()
+	{
+		jsonTidy.tidyParseString('{\n\t"a": 1,\n\t"b" 2\n}');
+	}, function(err)
+	{
+		return (err instanceof SyntaxError) && (err.line == 3);
+	});
+});
+
+common.test('clients may only use plugins by their key in plugins', function()
+{
+	var opts = config({ 'plugins': { 'hello': { 'path': 'greeter' } } });
+
+	// greeter is the path, and in the plugins directory, but not configured
+	opts.clients[0].plugins = [ 'hello', 'greeter', 'tracker' ];
+
+	assert.deepEqual(validate(opts), [
+		'clients.0.plugins.1 is not a configured plugin - greeter',
+		'clients.0.plugins.2 is not a configured plugin - tracker'
+	]);
+});
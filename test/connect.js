@@ -0,0 +1,198 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	mockhost = require('../lib/mockhost');
+
+/**
+ * Resolves with a mock host, listening on a free port.
+ *
+ * @api private
+ * @param {Object} [scenario]
+ * @return {Object} Promise
+ */
+var start = function(scenario)
+{
+	var host = mockhost.create(scenario);
+
+	return new Promise(function(resolve)
+	{
+		host.listen(0, function()
+		{
+			resolve(host);
+		});
+	});
+}
+
+/**
+ * Stops a mock host.
+ *
+ * @api private
+ * @param {Object} host
+ * @return {Object} Promise
+ */
+var stop = function(host)
+{
+	return new Promise(function(resolve)
+	{
+		host.close(resolve);
+	});
+}
+
+/**
+ * Returns a client for a mock host.
+ *
+ * @api private
+ * @param {Object} host
+ * @param {Object} [options]
+ * @return {Object}
+ */
+var client = function(host, options)
+{
+	options = options || {};
+	options.id = 'connect';
+	options.host = '127.0.0.1';
+	options.port = host.port;
+
+	return new insim.client(options, common.logger());
+}
+
+common.test('connect resolves once the host has answered IS_ISI', function()
+{
+	return start({ 'insimver': 8 }).then(function(host)
+	{
+		var c = client(host, { 'admin': 'secret', 'prefix': '!' });
+
+		return c.connect().then(function()
+		{
+			var isi = host.packets('IS_ISI');
+
+			assert.equal(isi.length, 1);
+			assert.equal(isi[0].admin, 'secret');
+			assert.equal(isi[0].prefix, '!');
+			assert.ok(isi[0].reqi > 0);
+
+			// the host talks a newer version than we asked for
+			assert.equal(c.insimVersion, insim.VERSION);
+
+			return c.disconnect();
+		}).then(function()
+		{
+			assert.equal(host.packets('IS_TINY').pop().subt, insim.TINY_CLOSE);
+
+			return stop(host);
+		});
+	});
+});
+
+common.test('a lost connection is made again, with a fresh handshake', function()
+{
+	return start().then(function(host)
+	{
+		var c = client(host, { 'reconnect': 1, 'reconnectcooldown': 0 });
+		var reconnected = 0;
+
+		// drops the first connection once it's been made
+		host.once('handshake', function(pkt, conn)
+		{
+			setTimeout(function()
+			{
+				conn.socket.destroy();
+			}, 10);
+		});
+
+		return c.connect().then(function()
+		{
+			return new Promise(function(resolve)
+			{
+				c.on('reconnected', function(attempts)
+				{
+					reconnected = attempts;
+					resolve();
+				});
+			});
+		}).then(function()
+		{
+			assert.equal(reconnected, 1);
+			assert.equal(host.packets('IS_ISI').length, 2);
+
+			return c.disconnect();
+		}).then(function()
+		{
+			return stop(host);
+		});
+	});
+});
+
+common.test('reconnection attempts don\'t add listeners', function()
+{
+	return start().then(function(host)
+	{
+		// drops every connection as soon as it's made
+		host.on('connection', function(conn)
+		{
+			conn.socket.destroy();
+		});
+
+		var c = client(host, { 'reconnect': 20, 'reconnectcooldown': 0 });
+
+		var before = c.listeners('connect').length + c.listeners('disconnect').length;
+		var most = 0;
+
+		c.on('reconnecting', function()
+		{
+			most = Math.max(most, c.listeners('connect').length + c.listeners('disconnect').length);
+		});
+
+		return c.connect().then(function()
+		{
+			throw new Error('Connected to a host that drops connections');
+		}, function(err)
+		{
+			assert.equal(err.code, 'EDISCONNECTED');
+			assert.equal(c.reconnectAttempts, 20);
+
+			// connect's own promise, waiting on both events
+			assert.equal(most, before + 2);
+			assert.equal(c.listeners('connect').length + c.listeners('disconnect').length, before);
+
+			return stop(host);
+		});
+	});
+});
+
+common.test('waiting on LFS fails with the same code, whatever was waiting', function()
+{
+	return start().then(function(host)
+	{
+		var c = client(host);
+
+		return c.connect().then(function()
+		{
+			var lap = c.once('IS_LAP');
+
+			// the host has no connections to answer with
+			var t = new insim.IS_TINY;
+			t.subt = insim.TINY_NCN;
+
+			var ncn = c.request(t, { 'count': 1 });
+
+			host.close();
+
+			return Promise.all([ lap, ncn ].map(function(p)
+			{
+				return p.then(function()
+				{
+					throw new Error('Resolved after the host went away');
+				}, function(err)
+				{
+					return err.code;
+				});
+			}));
+		}).then(function(codes)
+		{
+			assert.deepEqual(codes, [ 'EDISCONNECTED', 'EDISCONNECTED' ]);
+		});
+	});
+});
@@ -0,0 +1,185 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim');
+
+/**
+ * Returns a packed IS_MCI of numc cars, each with values that differ from
+ * every other car's.
+ *
+ * @api private
+ * @param {Number} numc
+ * @return {Buffer}
+ */
+var mci = function(numc)
+{
+	var p = new insim.IS_MCI;
+	p.reqi = 7;
+
+	for (var i = 0; i < numc; i++)
+	{
+		var c = new insim.IS_COMPCAR;
+
+		c.node = 100 + i;
+		c.lap = 1 + i;
+		c.plid = 10 + i;
+		c.position = 1 + i;
+		c.info = insim.CCI_BLUE | insim.CCI_LAST;
+		c.x = -65536 * (i + 1);
+		c.y = 65536 * (i + 1);
+		c.z = 1000 + i;
+		c.speed = 3000 + i;
+		c.direction = 16384 + i;
+		c.heading = 32768 + i;
+		c.angvel = -100 - i;
+
+		p.compcar.push(c);
+	}
+
+	return new Buffer(p.pack());
+}
+
+/**
+ * Returns the fields of each CompCar, for comparison.
+ *
+ * @api private
+ * @param {Array} compcar
+ * @return {Array}
+ */
+var fields = function(compcar)
+{
+	return compcar.map(function(c)
+	{
+		return [ c.node, c.lap, c.plid, c.position, c.info, c.x, c.y, c.z, c.speed, c.direction, c.heading, c.angvel ];
+	});
+}
+
+/**
+ * Returns a client, and the IS_MCI packets it emits.
+ *
+ * @api private
+ * @param {Object} [options]
+ * @return {Object} { client, got }
+ */
+var client = function(options)
+{
+	options = options || {};
+	options.id = 'decode';
+
+	var c = new insim.client(options, common.logger());
+	var got = [];
+
+	c.on('IS_MCI', function(pkt)
+	{
+		got.push({ 'numc': pkt.numc, 'size': pkt.size, 'compcar': pkt.compcar, 'cars': fields(pkt.compcar) });
+	});
+
+	return { 'client': c, 'got': got };
+}
+
+common.test('the fast unpack reads the same as the schema', function()
+{
+	var buf = mci(3);
+	var fast = (new insim.IS_MCI).unpack(buf);
+	var slow = insim.IS_MCI.prototype._SCHEMA.unpack(buf);
+
+	assert.equal(buf.length, 4 + (3 * 28));
+	assert.equal(fast.numc, 3);
+	assert.equal(fast.reqi, 7);
+	assert.ok(fast.compcar[2] instanceof insim.IS_COMPCAR);
+	assert.deepEqual(fields(fast.compcar), fields(slow.compcar));
+	assert.deepEqual(fields(fast.compcar)[2], [ 102, 3, 12, 3, insim.CCI_BLUE | insim.CCI_LAST, -196608, 196608, 1002, 3002, 16386, 32770, -102 ]);
+});
+
+common.test('a numc larger than the packet is cut down to what\'s there', function()
+{
+	var buf = mci(2);
+	buf[3] = 5;
+
+	var pkt = (new insim.IS_MCI).unpack(buf);
+
+	assert.equal(pkt.numc, 2);
+	assert.equal(pkt.compcar.length, 2);
+});
+
+common.test('packets split across reads are put back together', function()
+{
+	var r = client();
+	var data = Buffer.concat([ mci(1), mci(8), mci(0) ]);
+
+	// in uneven pieces, the first ending mid-header
+	r.client.receive(data.slice(0, 2));
+	r.client.receive(data.slice(2, 100));
+	r.client.receive(data.slice(100));
+
+	assert.deepEqual(r.got.map(function(g) { return g.numc; }), [ 1, 8, 0 ]);
+	assert.equal(r.got[1].size, 4 + (8 * 28));
+	assert.deepEqual(r.got[1].cars, fields((new insim.IS_MCI).unpack(mci(8)).compcar));
+});
+
+common.test('InSim 9 framing, with a size byte of a quarter of the size', function()
+{
+	var r = client();
+	r.client.protocol = insim.getProtocol(9);
+
+	var buf = mci(8);
+	buf[0] = buf.length / 4;
+
+	r.client.receive(buf);
+
+	assert.equal(r.got.length, 1);
+	assert.equal(r.got[0].numc, 8);
+	assert.equal(r.got[0].size, buf.length);
+});
+
+common.test('pooled CompCars are reused from one packet to the next', function()
+{
+	var r = client({ 'reusepackets': true });
+
+	r.client.receive(mci(3));
+	r.client.receive(mci(2));
+
+	assert.strictEqual(r.got[0].compcar[0], r.got[1].compcar[0]);
+	assert.equal(r.got[1].compcar.length, 2);
+
+	// and without the pool, every packet has its own
+	r = client();
+
+	r.client.receive(mci(3));
+	r.client.receive(mci(2));
+
+	assert.notStrictEqual(r.got[0].compcar[0], r.got[1].compcar[0]);
+});
+
+common.test('IS_NLP is read the same way', function()
+{
+	var p = new insim.IS_NLP;
+
+	for (var i = 0; i < 3; i++)
+	{
+		var n = new insim.IS_NODELAP;
+
+		n.node = 200 + i;
+		n.lap = 2 + i;
+		n.plid = 20 + i;
+		n.position = 3 - i;
+
+		p.info.push(n);
+	}
+
+	var buf = new Buffer(p.pack());
+	var pool = [];
+	var fast = (new insim.IS_NLP).unpack(buf, pool);
+	var slow = insim.IS_NLP.prototype._SCHEMA.unpack(buf);
+
+	var nodes = function(info)
+	{
+		return info.map(function(n) { return [ n.node, n.lap, n.plid, n.position ]; });
+	};
+
+	assert.equal(fast.nump, 3);
+	assert.deepEqual(nodes(fast.info), nodes(slow.info));
+	assert.deepEqual(nodes(fast.info)[1], [ 201, 3, 21, 2 ]);
+	assert.strictEqual(fast.info[0], pool[0]);
+});
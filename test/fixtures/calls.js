@@ -0,0 +1,7 @@
+// what the fixture plugins have been asked to do, in order
+exports.log = [];
+
+exports.record = function(what)
+{
+	exports.log.push(what);
+}
@@ -0,0 +1,24 @@
+var calls = require('../calls');
+
+exports.init = function()
+{
+	this.client.on('IS_MSO', function()
+	{
+		calls.record('busy chat ' + this.client.id);
+	});
+
+	this.setTimeout(function()
+	{
+		calls.record('busy timeout ' + this.client.id);
+	}, 20);
+
+	this.setInterval(function()
+	{
+		calls.record('busy interval ' + this.client.id);
+	}, 20);
+
+	this.client.commands.register('busy', { 'aliases': [ 'bz' ] }, function()
+	{
+		calls.record('busy command ' + this.client.id);
+	});
+}
@@ -0,0 +1,5 @@
+exports.requires = [ 'egg' ];
+
+exports.init = function()
+{
+}
@@ -0,0 +1,5 @@
+exports.requires = [ 'chicken' ];
+
+exports.init = function()
+{
+}
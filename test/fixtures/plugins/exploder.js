@@ -0,0 +1,8 @@
+exports.construct = function(options)
+{
+	throw new Error('Boom');
+}
+
+exports.init = function()
+{
+}
@@ -0,0 +1,30 @@
+var calls = require('../calls');
+
+exports.schema = {
+	'greeting': { 'type': 'string', 'default': 'Hello' },
+	'repeat': { 'type': 'integer', 'min': 1, 'default': 1 }
+};
+
+exports.construct = function(options)
+{
+	exports.greeting = options.greeting;
+}
+
+exports.options = function(options)
+{
+	if (options.greeting == 'explode')
+		throw new Error('Can\'t say that');
+
+	exports.greeting = options.greeting;
+	calls.record('greeter options ' + options.greeting);
+}
+
+exports.init = function()
+{
+	calls.record('greeter init ' + this.client.id);
+}
+
+exports.term = function()
+{
+	calls.record('greeter term ' + this.client.id);
+}
@@ -0,0 +1,6 @@
+var calls = require('../../calls');
+
+exports.init = function()
+{
+	calls.record('podium init ' + this.client.id);
+}
@@ -0,0 +1,9 @@
+var calls = require('../calls');
+
+exports.requires = [ 'tracker' ];
+exports.optional = [ 'greeter' ];
+
+exports.init = function()
+{
+	calls.record('scoreboard init ' + this.client.id);
+}
@@ -0,0 +1,5 @@
+exports.requires = [ 'nowhere' ];
+
+exports.init = function()
+{
+}
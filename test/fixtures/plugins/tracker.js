@@ -0,0 +1,11 @@
+var calls = require('../calls');
+
+exports.init = function()
+{
+	calls.record('tracker init ' + this.client.id);
+}
+
+exports.term = function()
+{
+	calls.record('tracker term ' + this.client.id);
+}
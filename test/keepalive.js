@@ -0,0 +1,177 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	mockhost = require('../lib/mockhost');
+
+/**
+ * Resolves with a mock host, listening on a free port, that doesn't answer
+ * keepalive pings on the connections in deaf. Every ping it's sent is kept
+ * in pings, with whether it was answered.
+ *
+ * @api private
+ * @return {Object} Promise
+ */
+var start = function()
+{
+	var host = mockhost.create();
+
+	host.deaf = [];
+	host.pings = [];
+
+	host.answer = function(conn, pkt)
+	{
+		if (pkt.subt == insim.TINY_PING)
+		{
+			var deaf = (host.deaf.indexOf(conn) >= 0);
+
+			host.pings.push(deaf ? 'missed' : 'answered');
+
+			if (deaf)
+				return;
+		}
+
+		mockhost.Host.prototype.answer.call(host, conn, pkt);
+	};
+
+	return new Promise(function(resolve)
+	{
+		host.listen(0, function()
+		{
+			resolve(host);
+		});
+	});
+}
+
+/**
+ * Disconnects the client and stops the host.
+ *
+ * @api private
+ * @param {Object} c Client
+ * @param {Object} host
+ * @return {Object} Promise
+ */
+var stop = function(c, host)
+{
+	return c.disconnect().then(function()
+	{
+		return new Promise(function(resolve)
+		{
+			host.close(resolve);
+		});
+	});
+}
+
+/**
+ * Returns a client for a mock host, pinging it every 30ms.
+ *
+ * @api private
+ * @param {Object} host
+ * @param {Object} [options]
+ * @return {Object}
+ */
+var client = function(host, options)
+{
+	options = options || {};
+	options.id = 'keepalive';
+	options.host = '127.0.0.1';
+	options.port = host.port;
+	options.keepalive = 0.03;
+
+	return new insim.client(options, common.logger());
+}
+
+common.test('answered pings keep the link up, and measure its latency', function()
+{
+	return start().then(function(host)
+	{
+		var c = client(host);
+		var latencies = 0;
+
+		return c.connect().then(function()
+		{
+			return new Promise(function(resolve)
+			{
+				c.on('latency', function(ms)
+				{
+					assert.ok(ms >= 0);
+
+					if (++latencies == 3)
+						resolve();
+				});
+			});
+		}).then(function()
+		{
+			assert.deepEqual(host.pings, [ 'answered', 'answered', 'answered' ]);
+			assert.equal(c.missedPings, 0);
+			assert.equal(c.reconnectAttempts, 0);
+
+			return stop(c, host);
+		});
+	});
+});
+
+common.test('keepalivemisses unanswered pings in a row close the link, and it\'s made again', function()
+{
+	return start().then(function(host)
+	{
+		var c = client(host, { 'keepalivemisses': 2, 'reconnect': 1, 'reconnectcooldown': 0 });
+
+		// only the first connection goes quiet
+		host.once('handshake', function(pkt, conn)
+		{
+			host.deaf.push(conn);
+		});
+
+		return c.connect().then(function()
+		{
+			return new Promise(function(resolve)
+			{
+				c.on('reconnected', function()
+				{
+					resolve();
+				});
+			});
+		}).then(function()
+		{
+			assert.deepEqual(host.pings, [ 'missed', 'missed' ]);
+			assert.equal(host.packets('IS_ISI').length, 2);
+
+			// and the new link is kept alive as usual
+			return new Promise(function(resolve)
+			{
+				c.once('latency', resolve);
+			});
+		}).then(function()
+		{
+			assert.deepEqual(host.pings, [ 'missed', 'missed', 'answered' ]);
+
+			return stop(c, host);
+		});
+	});
+});
+
+common.test('pinging stops once disconnected', function()
+{
+	return start().then(function(host)
+	{
+		var c = client(host);
+
+		return c.connect().then(function()
+		{
+			return stop(c, host);
+		}).then(function()
+		{
+			assert.equal(c.keepaliveTimer, null);
+
+			return new Promise(function(resolve)
+			{
+				setTimeout(resolve, 60);
+			});
+		}).then(function()
+		{
+			assert.deepEqual(host.pings, []);
+		});
+	});
+});
@@ -0,0 +1,189 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	strings = require('../lib/strings');
+
+/**
+ * Returns a client whose packets are kept in sent, rather than sent.
+ *
+ * @api private
+ * @return {Object}
+ */
+var client = function()
+{
+	var c = new insim.client({ 'id': 'messages' }, common.logger());
+
+	c.sent = [];
+	c.send = function(pkt)
+	{
+		c.sent.push(pkt);
+		return true;
+	};
+
+	return c;
+}
+
+/**
+ * Returns each packet a client has sent as [ name, text, encoded length ],
+ * checking that its text survives being packed and unpacked.
+ *
+ * @api private
+ * @param {Object} c Client
+ * @return {Array}
+ */
+var sent = function(c)
+{
+	return c.sent.map(function(pkt)
+	{
+		var name = insim.translatePktIdToName(pkt.type);
+		var field = (name == 'IS_MTC') ? 'text' : 'msg';
+
+		var q = new insim[name];
+		q.unpack(new Buffer(pkt.pack()));
+		assert.equal(q[field], pkt[field]);
+
+		return [ name, pkt[field], strings.fromUTF8(pkt[field], name == 'IS_MST').length ];
+	});
+}
+
+/**
+ * Returns a string of n characters.
+ *
+ * @api private
+ * @param {String} ch
+ * @param {Number} n
+ * @return {String}
+ */
+var repeat = function(ch, n)
+{
+	return new Array(n + 1).join(ch);
+}
+
+common.test('say uses IS_MST up to 63 bytes, and IS_MSX up to 95', function()
+{
+	var c = client();
+
+	c.say(repeat('a', 63));
+	c.say(repeat('a', 64));
+	c.say(repeat('a', 95));
+
+	assert.deepEqual(sent(c).map(function(s) { return [ s[0], s[2] ]; }), [
+		[ 'IS_MST', 63 ],
+		[ 'IS_MSX', 64 ],
+		[ 'IS_MSX', 95 ]
+	]);
+});
+
+common.test('the limits are in bytes, once encoded', function()
+{
+	var c = client();
+
+	// each | is sent as ^v
+	c.say(repeat('|', 32));
+	c.say(repeat('|', 31));
+
+	assert.deepEqual(sent(c).map(function(s) { return [ s[0], s[2] ]; }), [
+		[ 'IS_MSX', 64 ],
+		[ 'IS_MST', 62 ]
+	]);
+});
+
+common.test('long text is split on words, each line sent as whatever it fits', function()
+{
+	var c = client();
+	var words = [];
+
+	for (var i = 0; i < 20; i++)
+		words.push('word' + i);
+
+	// 129 bytes
+	c.say(words.join(' ') + ' ' + repeat('x', 15));
+
+	var out = sent(c);
+
+	assert.deepEqual(out.map(function(s) { return s[0]; }), [ 'IS_MSX', 'IS_MST' ]);
+	assert.ok(out[0][2] <= 95);
+	assert.equal(out.map(function(s) { return s[1]; }).join(' '), words.join(' ') + ' ' + repeat('x', 15));
+});
+
+common.test('a line starting with / is never sent as IS_MST', function()
+{
+	var c = client();
+
+	c.say(repeat('a', 90) + ' /kick bob');
+
+	assert.deepEqual(sent(c).map(function(s) { return [ s[0], s[1] ]; }), [
+		[ 'IS_MSX', repeat('a', 90) ],
+		[ 'IS_MSX', '/kick bob' ]
+	]);
+});
+
+common.test('tell and local go up to 127 bytes a message', function()
+{
+	var c = client();
+
+	c.tell(3, repeat('a', 127));
+	c.tell({ 'plid': 4 }, repeat('b', 128));
+	c.local(repeat('c', 127) + ' d', insim.SND_SYSMESSAGE);
+
+	assert.deepEqual(sent(c).map(function(s) { return [ s[0], s[2] ]; }), [
+		[ 'IS_MTC', 127 ],
+		[ 'IS_MTC', 127 ],
+		[ 'IS_MTC', 1 ],
+		[ 'IS_MSL', 127 ],
+		[ 'IS_MSL', 1 ]
+	]);
+
+	assert.equal(c.sent[0].ucid, 3);
+	assert.equal(c.sent[1].plid, 4);
+	assert.equal(c.sent[2].plid, 4);
+	assert.equal(c.sent[4].sound, insim.SND_SYSMESSAGE);
+});
+
+common.test('commands go whole as IS_MST, and may not be longer than 63 bytes', function()
+{
+	var c = client();
+
+	c.command('restart');
+	c.say('/end');
+
+	assert.deepEqual(sent(c).map(function(s) { return [ s[0], s[1] ]; }), [
+		[ 'IS_MST', '/restart' ],
+		[ 'IS_MST', '/end' ]
+	]);
+
+	assert.throws(function()
+	{
+		c.command('/msg ' + repeat('a', 59));
+	}, /Command is longer than 63 bytes/);
+});
+
+common.test('the colour carries over to follow-on lines', function()
+{
+	var lines = strings.wrap('^1' + repeat('r', 10) + ' ' + repeat('s', 10) + ' ^3' + repeat('y', 10) + ' ' + repeat('z', 10), 14);
+
+	assert.deepEqual(lines, [ '^1' + repeat('r', 10), '^1' + repeat('s', 10), '^3' + repeat('y', 10), '^3' + repeat('z', 10) ]);
+});
+
+common.test('a redundant carried colour is left off', function()
+{
+	var lines = strings.wrap('^1' + repeat('r', 10) + ' ^3' + repeat('y', 10), 14);
+
+	assert.deepEqual(lines, [ '^1' + repeat('r', 10), '^3' + repeat('y', 10) ]);
+});
+
+common.test('a word too long for a line is broken up, keeping escapes whole', function()
+{
+	var lines = strings.wrap('^2' + repeat('a', 10) + '^4' + repeat('b', 4), 8);
+
+	assert.deepEqual(lines, [ '^2' + repeat('a', 6), '^2' + repeat('a', 4) + '^4', '^4' + repeat('b', 4) ]);
+});
+
+common.test('the codepage carries over as well', function()
+{
+	var lines = strings.wrap('^1^J' + repeat('a', 10) + ' ' + repeat('b', 10), 14);
+
+	assert.deepEqual(lines, [ '^1^J' + repeat('a', 10), '^1^J' + repeat('b', 10) ]);
+});
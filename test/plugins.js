@@ -0,0 +1,184 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	fs = require('fs'),
+	http = require('http'),
+	net = require('net'),
+	path = require('path'),
+	insim = require('../lib/insim');
+
+var plugins = path.join(__dirname, '..', 'plugins');
+
+/**
+ * Returns the plugin source files, bar their static web content.
+ *
+ * @api private
+ * @return {Array}
+ */
+var sources = function()
+{
+	var files = [];
+
+	fs.readdirSync(plugins).forEach(function(name)
+	{
+		var p = path.join(plugins, name);
+
+		if (/\.js$/.test(name))
+			files.push(p);
+		else if (fs.statSync(p).isDirectory())
+		{
+			fs.readdirSync(p).forEach(function(f)
+			{
+				if (/\.js$/.test(f))
+					files.push(path.join(p, f));
+			});
+		}
+	});
+
+	return files;
+}
+
+common.test('plugins don\'t require anything outside of their directory', function()
+{
+	var files = sources();
+
+	assert.ok(files.length > 0);
+
+	files.forEach(function(file)
+	{
+		var src = fs.readFileSync(file, 'utf8');
+		var m = /require\(\s*['"]\.\.\/[^'"]*['"]\s*\)/.exec(src);
+
+		// only node_modules, plugins and data are deployed
+		assert.ok(!m, path.relative(plugins, file) + ' has ' + (m && m[0]));
+	});
+});
+
+common.test('the plugin context has strings, units and secrets', function()
+{
+	var c = new insim.client({ 'id': 'plugins' }, common.logger());
+
+	assert.equal(typeof c.ctx.strings.toHTML, 'function');
+	assert.equal(typeof c.ctx.units.speedUnit, 'function');
+	assert.equal(typeof c.ctx.secrets.redact, 'function');
+	assert.equal(typeof c.ctx.secrets.redactConfig, 'function');
+});
+
+/**
+ * Resolves with a port that's free, for monitor to listen on.
+ *
+ * @api private
+ * @return {Object} Promise
+ */
+var freePort = function()
+{
+	var probe = net.createServer();
+
+	return new Promise(function(resolve)
+	{
+		probe.listen(0, '127.0.0.1', function()
+		{
+			var port = probe.address().port;
+
+			probe.close(function()
+			{
+				resolve(port);
+			});
+		});
+	});
+}
+
+/**
+ * Resolves with what monitor serves on a port.
+ *
+ * @api private
+ * @param {Number} port
+ * @return {Object} Promise
+ */
+var get = function(port)
+{
+	return new Promise(function(resolve, reject)
+	{
+		// without an agent, nothing is kept open once monitor closes
+		http.get({ 'host': '127.0.0.1', 'port': port, 'path': '/', 'agent': false }, function(res)
+		{
+			var text = '';
+
+			res.setEncoding('utf8');
+			res.on('data', function(chunk)
+			{
+				text += chunk;
+			});
+
+			res.on('end', function()
+			{
+				resolve(text);
+			});
+		}).on('error', reject);
+	});
+}
+
+common.test('monitor masks passwords in what it serves', function()
+{
+	var monitor = require('../plugins/monitor/monitor');
+	var c = new insim.client({ 'id': 'monitor', 'admin': 'hunter2' }, common.logger());
+
+	return freePort().then(function(port)
+	{
+		monitor.construct({ 'http': true, 'http-port': port });
+		c.initPlugin(monitor, 'monitor');
+
+		return get(port).then(function(text)
+		{
+			assert.ok(/client monitor = /.test(text), text);
+			assert.ok(text.indexOf('hunter2') < 0, text);
+			assert.ok(text.indexOf(c.ctx.secrets.MASK) >= 0, text);
+
+			c.detachPlugin('monitor');
+			monitor.destruct();
+
+			// the server goes with the plugin
+			return get(port).then(function()
+			{
+				throw new Error('Still listening');
+			}, function(err)
+			{
+				assert.equal(err.code, 'ECONNREFUSED');
+			});
+		});
+	});
+});
+
+common.test('monitor forgets clients once they\'re detached', function()
+{
+	var monitor = require('../plugins/monitor/monitor');
+	var a = new insim.client({ 'id': 'monitored' }, common.logger());
+	var b = new insim.client({ 'id': 'monitored' }, common.logger());
+
+	return freePort().then(function(port)
+	{
+		monitor.construct({ 'http': true, 'http-port': port });
+
+		a.initPlugin(monitor, 'monitor');
+
+		// replaced by a client with the same id, which the old one's term
+		// mustn't take away
+		b.initPlugin(monitor, 'monitor');
+		a.detachPlugin('monitor');
+
+		return get(port).then(function(text)
+		{
+			assert.equal(text.split('client monitored = ').length, 2, text);
+
+			b.detachPlugin('monitor');
+
+			return get(port);
+		}).then(function(text)
+		{
+			assert.ok(text.indexOf('client monitored') < 0, text);
+
+			monitor.destruct();
+		});
+	});
+});
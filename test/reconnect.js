@@ -0,0 +1,65 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	reconnect = require('../lib/reconnect');
+
+common.test('linear waits attempt * cooldown', function()
+{
+	var options = { 'reconnect': -1, 'reconnectcooldown': 10 };
+
+	assert.equal(reconnect.delay(1, options), 10000);
+	assert.equal(reconnect.delay(2, options), 20000);
+	assert.equal(reconnect.delay(3, options), 30000);
+});
+
+common.test('fixed and exponential cooldowns', function()
+{
+	var fixed = { 'reconnect': -1, 'reconnectcooldown': 5, 'reconnectstrategy': 'fixed' };
+	var exponential = { 'reconnect': -1, 'reconnectcooldown': 5, 'reconnectstrategy': 'exponential' };
+
+	assert.equal(reconnect.delay(1, fixed), 5000);
+	assert.equal(reconnect.delay(4, fixed), 5000);
+
+	assert.equal(reconnect.delay(1, exponential), 5000);
+	assert.equal(reconnect.delay(3, exponential), 20000);
+});
+
+common.test('cooldowns are capped at reconnectmaxcooldown', function()
+{
+	var options = { 'reconnect': -1, 'reconnectcooldown': 30, 'reconnectmaxcooldown': 60 };
+
+	assert.equal(reconnect.delay(5, options), 60000);
+});
+
+common.test('gives up once the attempts run out', function()
+{
+	assert.equal(reconnect.delay(1, { 'reconnect': 0 }), -1);
+	assert.equal(reconnect.delay(2, { 'reconnect': 2, 'reconnectcooldown': 1 }), 2000);
+	assert.equal(reconnect.delay(3, { 'reconnect': 2, 'reconnectcooldown': 1 }), -1);
+});
+
+common.test('custom strategies can give up', function()
+{
+	var options = {
+		'reconnect': -1,
+		'reconnectstrategy': function(attempt)
+		{
+			return (attempt < 3) ? 1 : -1;
+		}
+	};
+
+	assert.equal(reconnect.delay(2, options), 1000);
+	assert.equal(reconnect.delay(3, options), -1);
+});
+
+common.test('jitter only ever shortens the cooldown', function()
+{
+	var options = { 'reconnect': -1, 'reconnectcooldown': 10, 'reconnectjitter': 0.5 };
+
+	for (var i = 0; i < 20; i++)
+	{
+		var ms = reconnect.delay(1, options);
+		assert.ok((ms >= 5000) && (ms <= 10000), ms + 'ms');
+	}
+});
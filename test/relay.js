@@ -0,0 +1,203 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	relay = require('../lib/relay'),
+	mockhost = require('../lib/mockhost');
+
+/**
+ * Returns a host info record.
+ *
+ * @api private
+ * @param {String} hname
+ * @param {String} track
+ * @param {Number} flags HOS_*
+ * @param {Number} numconns
+ * @return {Object}
+ */
+var hostinfo = function(hname, track, flags, numconns)
+{
+	var h = new relay.IR_HOSTINFO;
+
+	h.hname = hname;
+	h.track = track;
+	h.flags = flags;
+	h.numconns = numconns;
+
+	return h;
+}
+
+/**
+ * Starts a stand-in relay - a mock host, that lists two hosts in two IR_HOS,
+ * and answers IR_SEL with an IR_ERR if the admin password isn't 'secret'.
+ * Resolves with { relay, client, sent }, sent being the relay packets the
+ * client has sent, by name.
+ *
+ * @api private
+ * @param {Object} [options] Client options
+ * @return {Object} Promise
+ */
+var start = function(options)
+{
+	var host = mockhost.create();
+	var sent = {};
+
+	host.on('unknown', function(data, conn)
+	{
+		var name = relay.translatePktIdToName(data[1]);
+		var pkt = new relay[name];
+
+		pkt.unpack(data);
+		(sent[name] = sent[name] || []).push(pkt);
+
+		if (name == 'IR_HLR')
+		{
+			var first = new relay.IR_HOS;
+			first.reqi = pkt.reqi;
+			first.info = [ hostinfo('^1Host A', 'BL1', relay.HOS_FIRST | relay.HOS_LICENSED, 4) ];
+
+			var last = new relay.IR_HOS;
+			last.reqi = pkt.reqi;
+			last.info = [ hostinfo('Host B', 'SO4R', relay.HOS_LAST | relay.HOS_SPECPASS, 12) ];
+
+			host.send(conn, first);
+			host.send(conn, last);
+		}
+		else if ((name == 'IR_SEL') && (pkt.admin != 'secret'))
+		{
+			var err = new relay.IR_ERR;
+			err.errno = relay.IR_ERR_ADMIN;
+
+			host.send(conn, err);
+		}
+	});
+
+	return new Promise(function(resolve)
+	{
+		host.listen(0, function(port)
+		{
+			options.id = 'relay';
+			options.host = '127.0.0.1';
+			options.port = port;
+
+			resolve({ 'relay': host, 'client': new relay.client(options, common.logger()), 'sent': sent });
+		});
+	});
+}
+
+/**
+ * Disconnects the client and stops the relay.
+ *
+ * @api private
+ * @param {Object} r From start
+ * @return {Object} Promise
+ */
+var stop = function(r)
+{
+	return r.client.disconnect().then(function()
+	{
+		return new Promise(function(resolve)
+		{
+			r.relay.close(resolve);
+		});
+	});
+}
+
+common.test('the host list is asked for straight away, and put together from each IR_HOS', function()
+{
+	return start({}).then(function(r)
+	{
+		// there's no host to connect to, so this never resolves
+		r.client.connect().catch(function() {});
+
+		return new Promise(function(resolve, reject)
+		{
+			r.client.stream.once('connect', function()
+			{
+				r.client.listHosts(function(err, hosts)
+				{
+					try
+					{
+						assert.ifError(err);
+						assert.equal(r.sent.IR_HLR.length, 1);
+
+						assert.deepEqual(hosts.map(function(h) { return [ h.hname, h.track, h.flags, h.numconns ]; }), [
+							[ '^1Host A', 'BL1', relay.HOS_FIRST | relay.HOS_LICENSED, 4 ],
+							[ 'Host B', 'SO4R', relay.HOS_LAST | relay.HOS_SPECPASS, 12 ]
+						]);
+						assert.ok(hosts[0] instanceof relay.IR_HOSTINFO);
+						assert.strictEqual(r.client.hosts, hosts);
+
+						resolve(stop(r));
+					}
+					catch (e)
+					{
+						reject(e);
+					}
+				});
+			});
+		});
+	});
+});
+
+common.test('a configured host is selected straight away, and its packets come through', function()
+{
+	return start({ 'hname': 'Host A', 'admin': 'secret', 'spec': 'watch' }).then(function(r)
+	{
+		return r.client.connect().then(function()
+		{
+			var sel = r.sent.IR_SEL[0];
+
+			assert.equal(sel.hname, 'Host A');
+			assert.equal(sel.admin, 'secret');
+			assert.equal(sel.spec, 'watch');
+			assert.equal(r.relay.packets('IS_TINY')[0].subt, insim.TINY_VER);
+
+			return new Promise(function(resolve)
+			{
+				r.client.on('IS_MSO', function(pkt)
+				{
+					resolve(pkt.msg);
+				});
+
+				r.relay.push('IS_MSO', { 'msg': 'through the relay' });
+			});
+		}).then(function(msg)
+		{
+			assert.equal(msg, 'through the relay');
+
+			return stop(r);
+		});
+	});
+});
+
+common.test('IR_ERR becomes a RelayError', function()
+{
+	return start({ 'hname': 'Host A', 'admin': 'wrong' }).then(function(r)
+	{
+		r.client.connect().catch(function() {});
+
+		return new Promise(function(resolve)
+		{
+			r.client.on('relay:error', resolve);
+		}).then(function(err)
+		{
+			assert.ok(err instanceof relay.RelayError);
+			assert.ok(err instanceof Error);
+			assert.equal(err.errno, relay.IR_ERR_ADMIN);
+			assert.equal(err.code, 'IR_ERR_ADMIN');
+			assert.equal(err.message, 'Wrong admin pass given by client');
+
+			return stop(r);
+		});
+	});
+});
+
+common.test('unknown errnos still make a RelayError', function()
+{
+	var err = new relay.RelayError(42);
+
+	assert.equal(err.code, 'IR_ERR_UNKNOWN');
+	assert.equal(err.message, 'Unknown relay error 42');
+});
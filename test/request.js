@@ -0,0 +1,201 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	mockhost = require('../lib/mockhost');
+
+var client = function()
+{
+	return new insim.client({ 'id': 'request' }, common.logger());
+}
+
+/**
+ * Returns the packets waiting in a client's send queue, with their send
+ * options.
+ *
+ * @api private
+ * @param {Object} c Client
+ * @return {Array}
+ */
+var queued = function(c)
+{
+	return [].concat.apply([], c.queue.queues);
+}
+
+/**
+ * Hands a packet to a client as though LFS had sent it.
+ *
+ * @api private
+ * @param {Object} c Client
+ * @param {String} name Packet name
+ * @param {Object} values
+ */
+var reply = function(c, name, values)
+{
+	var p = new insim[name];
+
+	for (var i in values)
+		p[i] = values[i];
+
+	c.receive(p.pack());
+}
+
+common.test('the terminating ping has none of the request\'s send options', function()
+{
+	var c = client();
+
+	var t = new insim.IS_TINY;
+	t.subt = insim.TINY_NPL;
+
+	c.request(t, { 'merge': 'npl', 'ttl': 1000 }, function() {});
+
+	var entries = queued(c);
+
+	assert.equal(entries.length, 2);
+	assert.equal(entries[0].pkt.subt, insim.TINY_NPL);
+	assert.equal(entries[0].merge, 'npl');
+
+	assert.equal(entries[1].pkt.subt, insim.TINY_PING);
+	assert.equal(entries[1].pkt.reqi, t.reqi);
+	assert.equal(entries[1].merge, null);
+	assert.equal(entries[1].expires, 0);
+});
+
+common.test('the reply is collected until the TINY_REPLY to the ping', function()
+{
+	var c = client();
+
+	var t = new insim.IS_TINY;
+	t.subt = insim.TINY_NCN;
+
+	var result = c.request(t);
+
+	reply(c, 'IS_NCN', { 'reqi': t.reqi, 'ucid': 1, 'uname': 'one' });
+	reply(c, 'IS_NCN', { 'reqi': 0, 'ucid': 9, 'uname': 'joined' });
+	reply(c, 'IS_NCN', { 'reqi': t.reqi + 1, 'ucid': 8, 'uname': 'other' });
+	reply(c, 'IS_NCN', { 'reqi': t.reqi, 'ucid': 2, 'uname': 'two' });
+	reply(c, 'IS_TINY', { 'reqi': t.reqi, 'subt': insim.TINY_REPLY });
+
+	return result.then(function(pkts)
+	{
+		assert.deepEqual(pkts.map(function(p) { return p.uname; }), [ 'one', 'two' ]);
+		assert.equal(Object.keys(c.requests).length, 0);
+	});
+});
+
+common.test('a count completes the request without a ping', function()
+{
+	var c = client();
+
+	var t = new insim.IS_TINY;
+	t.subt = insim.TINY_VER;
+
+	var result = c.request(t, { 'count': 1 });
+
+	assert.equal(queued(c).length, 1);
+
+	reply(c, 'IS_VER', { 'reqi': t.reqi, 'insimver': 5 });
+
+	return result.then(function(pkts)
+	{
+		assert.equal(pkts.length, 1);
+		assert.equal(pkts[0].insimver, 5);
+	});
+});
+
+common.test('requests time out with what was collected', function()
+{
+	var c = client();
+
+	var t = new insim.IS_TINY;
+	t.subt = insim.TINY_NPL;
+
+	var result = c.request(t, { 'timeout': 20 });
+
+	reply(c, 'IS_NPL', { 'reqi': t.reqi, 'plid': 4 });
+
+	return result.then(function()
+	{
+		throw new Error('Resolved without a reply');
+	}, function(err)
+	{
+		assert.equal(err.code, 'ETIMEDOUT');
+		assert.equal(err.packets.length, 1);
+		assert.equal(err.packets[0].plid, 4);
+	});
+});
+
+common.test('outstanding requests each get their own ReqI', function()
+{
+	var c = client();
+	var seen = {};
+
+	for (var i = 0; i < 10; i++)
+	{
+		var t = new insim.IS_TINY;
+		t.subt = insim.TINY_SST;
+
+		c.request(t, function() {});
+
+		assert.ok(t.reqi > 1);
+		assert.ok(!seen[t.reqi]);
+		seen[t.reqi] = true;
+	}
+
+	c.failRequests('EDISCONNECTED', 'Test over');
+	assert.equal(Object.keys(c.requests).length, 0);
+});
+
+common.test('a host\'s answer comes back whole, and other traffic is left alone', function()
+{
+	var host = mockhost.create({
+		'connections': [ { 'ucid': 0, 'uname': '' }, { 'ucid': 1, 'uname': 'one' }, { 'ucid': 2, 'uname': 'two' } ]
+	});
+
+	var c = null;
+	var joined = [];
+
+	return new Promise(function(resolve)
+	{
+		host.listen(0, function(port)
+		{
+			c = new insim.client({ 'id': 'request', 'host': '127.0.0.1', 'port': port }, common.logger());
+			resolve(c.connect());
+		});
+	}).then(function()
+	{
+		c.on('IS_NCN', function(pkt)
+		{
+			if (pkt.reqi == 0)
+				joined.push(pkt.uname);
+		});
+
+		var t = new insim.IS_TINY;
+		t.subt = insim.TINY_NCN;
+
+		var result = c.request(t);
+
+		// someone joining while the reply is on its way
+		host.push('IS_NCN', { 'ucid': 3, 'uname': 'late' });
+
+		return result;
+	}).then(function(pkts)
+	{
+		assert.deepEqual(pkts.map(function(p) { return p.uname; }), [ '', 'one', 'two' ]);
+		assert.deepEqual(joined, [ 'late' ]);
+
+		// the ping that ended it went with the request's ReqI
+		var sent = host.packets('IS_TINY');
+		assert.equal(sent[sent.length - 1].subt, insim.TINY_PING);
+		assert.equal(sent[sent.length - 1].reqi, pkts[0].reqi);
+
+		return c.disconnect();
+	}).then(function()
+	{
+		return new Promise(function(resolve)
+		{
+			host.close(resolve);
+		});
+	});
+});
@@ -0,0 +1,159 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim');
+
+/**
+ * Returns a client on a stand-in stream, keeping the packets, unknown packets
+ * and protocol errors it emits. dropped is set if the stream is destroyed.
+ *
+ * @api private
+ * @param {Object} [options]
+ * @return {Object}
+ */
+var client = function(options)
+{
+	options = options || {};
+	options.id = 'resync';
+
+	var c = new insim.client(options, common.logger());
+	var r = { 'client': c, 'got': [], 'unknown': [], 'errors': [], 'dropped': false };
+
+	c.stream = { 'destroy': function() { r.dropped = true; } };
+
+	c.on('IS_TINY', function(pkt)
+	{
+		r.got.push('TINY ' + pkt.reqi);
+	});
+
+	c.on('IS_MSO', function(pkt)
+	{
+		r.got.push('MSO ' + pkt.msg);
+	});
+
+	c.on('unknown', function(p)
+	{
+		r.unknown.push(p.toString('hex'));
+	});
+
+	c.on('protocolerror', function(err)
+	{
+		r.errors.push(err.code);
+	});
+
+	return r;
+}
+
+/**
+ * Returns a packed IS_TINY.
+ *
+ * @api private
+ * @param {Number} reqi
+ * @return {Buffer}
+ */
+var tiny = function(reqi)
+{
+	var p = new insim.IS_TINY;
+	p.reqi = reqi;
+	p.subt = insim.TINY_NONE;
+
+	return new Buffer(p.pack());
+}
+
+common.test('garbage is skipped, up to the next packet that makes sense', function()
+{
+	var r = client();
+
+	r.client.receive(Buffer.concat([ tiny(1), new Buffer([ 0xff, 0xfe, 0xfd, 0x05, 0x07 ]), tiny(2) ]));
+
+	assert.deepEqual(r.got, [ 'TINY 1', 'TINY 2' ]);
+	assert.deepEqual(r.errors, [ 'EFRAMESIZE' ]);
+	assert.equal(r.client.resyncs, 1);
+	assert.ok(!r.dropped);
+});
+
+common.test('the tail of the garbage is kept, in case a packet starts there', function()
+{
+	var r = client();
+	var t = tiny(3);
+
+	r.client.receive(Buffer.concat([ new Buffer([ 0x03, 0x00, 0xff ]), t.slice(0, 3) ]));
+	r.client.receive(t.slice(3));
+
+	assert.deepEqual(r.got, [ 'TINY 3' ]);
+	assert.deepEqual(r.errors, [ 'EFRAMESIZE' ]);
+});
+
+common.test('a size of zero is a frame error', function()
+{
+	var r = client();
+	var err = r.client.checkFrame(0, insim.ISP_TINY);
+
+	assert.ok(err instanceof insim.ProtocolError);
+	assert.equal(err.code, 'EFRAMESIZE');
+
+	r.client.receive(Buffer.concat([ new Buffer([ 0, insim.ISP_TINY, 0, 0 ]), tiny(4) ]));
+
+	assert.deepEqual(r.got, [ 'TINY 4' ]);
+	assert.deepEqual(r.errors, [ 'EFRAMESIZE' ]);
+});
+
+common.test('a known packet of the wrong size is a packet size error', function()
+{
+	var r = client();
+	var err = r.client.checkFrame(8, insim.ISP_TINY);
+
+	assert.equal(err.code, 'EPACKETSIZE');
+	assert.equal(err.message, 'Invalid size 8 for IS_TINY, expected 4');
+	assert.equal(r.client.checkFrame(4, insim.ISP_TINY), null);
+
+	var bad = new Buffer(8);
+	bad.fill(0);
+	bad[0] = 8;
+	bad[1] = insim.ISP_TINY;
+
+	r.client.receive(Buffer.concat([ bad, tiny(5) ]));
+
+	assert.deepEqual(r.got, [ 'TINY 5' ]);
+	assert.deepEqual(r.errors, [ 'EPACKETSIZE' ]);
+});
+
+common.test('a packet id we don\'t know is emitted as unknown, and doesn\'t resync', function()
+{
+	var r = client();
+
+	r.client.receive(Buffer.concat([ new Buffer([ 8, 200, 1, 2, 3, 4, 5, 6 ]), tiny(6) ]));
+
+	assert.deepEqual(r.unknown, [ '08c8010203040506' ]);
+	assert.deepEqual(r.got, [ 'TINY 6' ]);
+	assert.deepEqual(r.errors, []);
+	assert.equal(r.client.resyncs, 0);
+});
+
+common.test('the connection is dropped once maxresyncs is exceeded', function()
+{
+	var r = client({ 'maxresyncs': 2 });
+	var garbage = new Buffer([ 0xff, 0xff, 0xff, 0xff ]);
+
+	r.client.receive(garbage);
+	r.client.receive(garbage);
+	assert.ok(!r.dropped);
+
+	r.client.receive(Buffer.concat([ garbage, tiny(7) ]));
+
+	assert.ok(r.dropped);
+	assert.deepEqual(r.errors, [ 'EFRAMESIZE', 'EFRAMESIZE', 'EFRAMESIZE' ]);
+	assert.deepEqual(r.got, []);
+	assert.equal(r.client.buffer.length, 0);
+});
+
+common.test('a maxresyncs of 0 drops the connection on the first error', function()
+{
+	var r = client({ 'maxresyncs': 0 });
+
+	r.client.receive(Buffer.concat([ new Buffer([ 0, 0, 0, 0 ]), tiny(8) ]));
+
+	assert.ok(r.dropped);
+	assert.deepEqual(r.got, []);
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Runs every test file in this directory, each in a process of its own, and
+ * exits with 1 if any of them failed.
+ *
+ * Usage -
+ *  node test/run.js
+ *  node test/run.js codec commands
+ */
+
+/**
+ * Module dependencies
+ */
+var fs = require('fs'),
+	path = require('path'),
+	child_process = require('child_process');
+
+var only = process.argv.slice(2);
+
+var files = fs.readdirSync(__dirname).filter(function(f)
+{
+	if ((path.extname(f) != '.js') || (f == 'run.js') || (f == 'common.js'))
+		return false;
+
+	return (only.length == 0) || (only.indexOf(path.basename(f, '.js')) >= 0);
+}).sort();
+
+var failed = [];
+
+for (var i = 0; i < files.length; i++)
+{
+	var r = child_process.spawnSync(process.execPath, [ path.join(__dirname, files[i]) ], { 'stdio': 'inherit' });
+
+	if (r.status !== 0)
+		failed.push(files[i]);
+}
+
+if (failed.length > 0)
+{
+	console.log('\nFailed - ' + failed.join(', '));
+	process.exit(1);
+}
+
+console.log('\nAll ' + files.length + ' test files passed');
@@ -0,0 +1,135 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	schema = require('../lib/schema');
+
+var Item = function()
+{
+	this.id = 0;
+	this.value = 0;
+}
+
+Item.prototype._SCHEMA = schema.create('Item', [
+	{ 'name': 'id', 'type': 'byte' },
+	{ 'name': 'sp', 'type': 'byte', 'reserved': true },
+	{ 'name': 'value', 'type': 'short' }
+]);
+
+var packet = schema.create('Packet', [
+	{ 'name': 'size', 'type': 'byte' },
+	{ 'name': 'num', 'type': 'byte' },
+	{ 'name': 'speed', 'type': 'float' },
+	{ 'name': 'name', 'type': 'string', 'length': 8, 'encoding': 'raw' },
+	{ 'name': 'items', 'type': 'struct', 'struct': Item, 'count': 'num', 'max': 4 },
+	{ 'name': 'text', 'type': 'string', 'length': 16, 'variable': true, 'optional': true }
+], { 'align': 4 });
+
+common.test('every type packs little endian, in order', function()
+{
+	var buf = schema.create('Types', [
+		{ 'name': 'b', 'type': 'byte' },
+		{ 'name': 'c', 'type': 'char' },
+		{ 'name': 'w', 'type': 'word' },
+		{ 'name': 's', 'type': 'short' },
+		{ 'name': 'u', 'type': 'unsigned' },
+		{ 'name': 'i', 'type': 'int' },
+		{ 'name': 'f', 'type': 'float' }
+	]).pack({ 'b': 0xfe, 'c': -2, 'w': 0x1234, 's': -2, 'u': 0x12345678, 'i': -2, 'f': 1.5 });
+
+	assert.equal(buf.toString('hex'), 'fe' + 'fe' + '3412' + 'feff' + '78563412' + 'feffffff' + '0000c03f');
+});
+
+common.test('counts are filled in, and variable strings take only what they need', function()
+{
+	var values = { 'speed': 2.5, 'name': 'abc', 'items': [ { 'id': 1, 'value': -1 }, { 'id': 2, 'value': 300 } ], 'text': 'hello' };
+	var buf = packet.pack(values);
+
+	// 2 + 4 + 8 + 2 * 4 + 8 (hello, null, padded to 4)
+	assert.equal(buf.length, 32);
+	assert.equal(values.num, 2);
+	assert.equal(packet.sizeOf(values), 32);
+
+	var out = packet.unpack(buf);
+
+	assert.equal(out.num, 2);
+	assert.equal(out.speed, 2.5);
+	assert.equal(out.name, 'abc');
+	assert.ok(out.items[0] instanceof Item);
+	assert.deepEqual(out.items.map(function(i) { return [ i.id, i.value ]; }), [ [ 1, -1 ], [ 2, 300 ] ]);
+	assert.equal(out.text, 'hello');
+});
+
+common.test('packed sizes are rounded up to the alignment', function()
+{
+	// 14 bytes, then the string and its null in a multiple of 4
+	assert.equal(packet.pack({}).length, 20);
+	assert.equal(packet.pack({ 'text': 'abc' }).length, 20);
+	assert.equal(packet.pack({ 'text': 'abcd' }).length, 24);
+});
+
+common.test('sizeRange covers variable counts, strings and optional fields', function()
+{
+	// the smallest is what's received, so isn't aligned
+	assert.deepEqual(packet.sizeRange(), { 'min': 14, 'max': 48 });
+});
+
+common.test('optional fields may be missing from the end', function()
+{
+	var s = schema.create('Optional', [ { 'name': 'a', 'type': 'word' }, { 'name': 'b', 'type': 'word', 'optional': true } ]);
+
+	assert.deepEqual(s.unpack(Buffer.from([ 1, 0 ])), { 'a': 1 });
+	assert.equal(packet.unpack(packet.pack({}).slice(0, 14)).text, '');
+
+	assert.throws(function()
+	{
+		packet.unpack(packet.pack({}).slice(0, 10));
+	}, /Packet\.name: buffer too short, 10 bytes/);
+});
+
+common.test('more elements than max are left out', function()
+{
+	var items = [];
+	for (var i = 0; i < 6; i++)
+		items.push({ 'id': i, 'value': i });
+
+	var values = { 'items': items };
+	var out = packet.unpack(packet.pack(values));
+
+	assert.equal(values.num, 4);
+	assert.equal(out.items.length, 4);
+});
+
+common.test('values out of range are clamped, not wrapped', function()
+{
+	var s = schema.create('Clamp', [ { 'name': 'b', 'type': 'byte' }, { 'name': 'c', 'type': 'char' }, { 'name': 'w', 'type': 'word' } ]);
+	var out = s.unpack(s.pack({ 'b': 300, 'c': -300, 'w': 'nonsense' }));
+
+	assert.deepEqual(out, { 'b': 255, 'c': -128, 'w': 0 });
+});
+
+common.test('validate reports what\'s wrong, and where', function()
+{
+	assert.deepEqual(packet.validate({ 'size': 0, 'speed': 1, 'name': 'abc', 'items': [] }), []);
+
+	assert.deepEqual(packet.validate({
+		'size': 1.5,
+		'speed': 'fast',
+		'name': 'much too long',
+		'items': [ { 'id': 256, 'value': 0 }, null ]
+	}), [
+		'Packet.size: expected an integer, got 1.5',
+		'Packet.speed: expected a number, got \'fast\'',
+		'Packet.name: string of 13 bytes exceeds the maximum of 8',
+		'Packet.items[0] Item.id: 256 is out of range for byte (0 to 255)',
+		'Packet.items[1]: expected an object'
+	]);
+});
+
+common.test('bad field descriptors are refused', function()
+{
+	assert.throws(function() { schema.create('X', [ { 'name': 'a', 'type': 'long' } ]); }, /X\.a: unknown type 'long'/);
+	assert.throws(function() { schema.create('X', [ { 'name': 's', 'type': 'string' } ]); }, /strings must have a length/);
+	assert.throws(function() { schema.create('X', [ { 'name': 'a', 'type': 'byte', 'count': 'n' } ]); }, /variable counts must have a max/);
+	assert.throws(function() { schema.create('X', [ { 'name': 'a', 'type': 'struct', 'struct': function() {} } ]); }, /structs must have a constructor/);
+});
@@ -0,0 +1,175 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	sendqueue = require('../lib/sendqueue');
+
+/**
+ * Returns a queue whose writes are kept in sent. The writer reports the
+ * stream as full whenever full is set.
+ *
+ * @api private
+ * @param {Object} [options]
+ * @return {Object}
+ */
+var create = function(options)
+{
+	var q = sendqueue.create(options, function(pkt)
+	{
+		q.sent.push(pkt);
+		return !q.full;
+	});
+
+	q.sent = [];
+	q.full = false;
+
+	return q;
+}
+
+common.test('nothing is sent until resumed, except immediate packets', function()
+{
+	var q = create();
+
+	q.push('a');
+	q.push('isi', { 'immediate': true });
+
+	assert.deepEqual(q.sent, [ 'isi' ]);
+
+	q.resume();
+
+	assert.deepEqual(q.sent, [ 'isi', 'a' ]);
+	q.pause();
+});
+
+common.test('higher priorities go first, in the order they were queued', function()
+{
+	var q = create();
+
+	q.push('low', { 'priority': sendqueue.PRIORITY_LOW });
+	q.push('normal 1');
+	q.push('high', { 'priority': sendqueue.PRIORITY_HIGH });
+	q.push('normal 2');
+	q.resume();
+
+	assert.deepEqual(q.sent, [ 'high', 'normal 1', 'normal 2', 'low' ]);
+	q.pause();
+});
+
+common.test('a merged packet replaces the queued one, keeping its place', function()
+{
+	var q = create();
+
+	q.push('btn 1', { 'merge': 'btn' });
+	q.push('msg');
+	q.push('btn 2', { 'merge': 'btn' });
+
+	assert.equal(q.length, 2);
+	assert.equal(q.metrics().merged, 1);
+
+	q.resume();
+
+	assert.deepEqual(q.sent, [ 'btn 2', 'msg' ]);
+	q.pause();
+});
+
+common.test('stale packets are dropped, not sent', function()
+{
+	var q = create();
+
+	q.push('stale', { 'ttl': 1 });
+	q.push('fresh', { 'ttl': 60000 });
+
+	return new Promise(function(resolve)
+	{
+		setTimeout(resolve, 20);
+	}).then(function()
+	{
+		q.resume();
+
+		assert.deepEqual(q.sent, [ 'fresh' ]);
+		assert.equal(q.metrics().expired, 1);
+		q.pause();
+	});
+});
+
+common.test('when full, the oldest lower priority packet makes room', function()
+{
+	var q = create({ 'maxlength': 2 });
+	var overflows = [];
+
+	q.on('overflow', function(pkt)
+	{
+		overflows.push(pkt);
+	});
+
+	q.push('low', { 'priority': sendqueue.PRIORITY_LOW });
+	q.push('normal 1');
+
+	assert.ok(q.push('normal 2'));
+	assert.ok(!q.push('normal 3'));
+
+	assert.deepEqual(overflows, [ 'low', 'normal 3' ]);
+	assert.equal(q.metrics().dropped, 2);
+
+	q.resume();
+
+	assert.deepEqual(q.sent, [ 'normal 1', 'normal 2' ]);
+	q.pause();
+});
+
+common.test('a full stream holds everything but high priority until unblocked', function()
+{
+	var q = create();
+
+	q.resume();
+	q.full = true;
+
+	q.push('a');
+	q.push('b');
+	q.push('keepalive', { 'priority': sendqueue.PRIORITY_HIGH });
+
+	assert.deepEqual(q.sent, [ 'a', 'keepalive' ]);
+	assert.ok(q.blocked);
+
+	q.full = false;
+	q.unblock();
+
+	assert.deepEqual(q.sent, [ 'a', 'keepalive', 'b' ]);
+	assert.ok(!q.blocked);
+	q.pause();
+});
+
+common.test('once the burst is used up, one packet goes every interval', function()
+{
+	var q = create({ 'burst': 2, 'interval': 30 });
+
+	for (var i = 0; i < 4; i++)
+		q.push(i);
+
+	q.resume();
+
+	assert.deepEqual(q.sent, [ 0, 1 ]);
+
+	return new Promise(function(resolve)
+	{
+		q.on('empty', resolve);
+	}).then(function()
+	{
+		assert.deepEqual(q.sent, [ 0, 1, 2, 3 ]);
+		q.pause();
+	});
+});
+
+common.test('clear drops everything queued, and pauses', function()
+{
+	var q = create();
+
+	q.push('a');
+	q.push('b');
+	q.clear();
+	q.resume();
+
+	assert.deepEqual(q.sent, []);
+	assert.equal(q.metrics().dropped, 2);
+	q.pause();
+});
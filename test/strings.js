@@ -0,0 +1,126 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	strings = require('../lib/strings');
+
+common.test('"/restart" in an IS_MST packs byte for byte', function()
+{
+	var p = new insim.IS_MST;
+	p.msg = '/restart';
+
+	var buf = p.pack();
+
+	assert.equal(buf.length, 68);
+	assert.equal(buf.toString('binary', 4, 12), '/restart');
+	assert.equal(buf[12], 0);
+});
+
+common.test('a command\'s leading / goes out as it is, and the rest is escaped', function()
+{
+	var p = new insim.IS_MST;
+	p.msg = '/kick a|b';
+
+	assert.equal(p.pack().toString('binary', 4, 14), '/kick a^vb');
+	assert.equal(strings.fromUTF8('/kick a|b', true), '/kick a^vb');
+});
+
+common.test('special characters in text are escaped', function()
+{
+	assert.equal(strings.fromUTF8('/kick a|b*c?d:e"f<g>h#i\\j^'), '^skick a^vb^ac^qd^ce^tf^lg^rh^hi^dj^^');
+
+	// IS_MSX never runs commands
+	var p = new insim.IS_MSX;
+	p.msg = '/restart';
+
+	assert.equal(p.pack().toString('binary', 4, 13), '^srestart');
+});
+
+common.test('colour codes, codepage switches and ^^ are passed through, any other ^ is escaped', function()
+{
+	assert.equal(strings.fromUTF8('^1red ^7white'), '^1red ^7white');
+	assert.equal(strings.fromUTF8('^Cx'), '^Cx');
+	assert.equal(strings.fromUTF8('2^x ^v'), '2^^x ^^v');
+	assert.equal(strings.fromUTF8('^^1'), '^^1');
+});
+
+common.test('text comes back the same through toUTF8', function()
+{
+	[ '^^1', '^^^1', '^^^', 'a^vb', 'x|y/z\\', '^1red', '5 ^ 2', 'up^' ].forEach(function(text)
+	{
+		assert.equal(strings.toUTF8(strings.fromUTF8(text)), text);
+	});
+});
+
+common.test('text from LFS goes back the same through fromUTF8', function()
+{
+	[ '^^1', '^^^1', '^^^^', '^^^v', 'a^vb^^c', '^7^sjoin' ].forEach(function(text)
+	{
+		assert.equal(strings.fromUTF8(strings.toUTF8(text)), text);
+	});
+
+	// and an escaped ^ isn't then taken for a colour
+	assert.deepEqual(strings.parseColours(strings.toUTF8('^^1')), [ { 'text': '^1', 'code': 9, 'colour': 'original' } ]);
+});
+
+common.test('non-ascii text switches codepage and comes back the same', function()
+{
+	var text = 'Größe Ελληνικά Кирилица';
+	var lfs = strings.fromUTF8(text);
+
+	assert.ok(/\^[EGC]/.test(lfs));
+	assert.equal(strings.toUTF8(lfs), text);
+});
+
+common.test('IS_MSX round trips non-ascii text', function()
+{
+	var p = new insim.IS_MSX;
+	p.msg = 'Hello Łódź';
+
+	var q = new insim.IS_MSX;
+	q.unpack(p.pack());
+
+	assert.equal(q.msg, 'Hello Łódź');
+});
+
+common.test('escapes LFS sends are decoded', function()
+{
+	assert.equal(strings.toUTF8('^sa^vb^dc^^'), '/a|b\\c^');
+});
+
+common.test('colours are split into spans, joining neighbours of the same colour', function()
+{
+	assert.deepEqual(strings.parseColours('plain ^1red^1 still ^8^7white^9'), [
+		{ 'text': 'plain ', 'code': 9, 'colour': 'original' },
+		{ 'text': 'red still ', 'code': 1, 'colour': 'red' },
+		{ 'text': 'white', 'code': 7, 'colour': 'white' }
+	]);
+
+	// straight from the wire, with a codepage switch and an escape
+	assert.deepEqual(strings.parseColours('^3a^vb ^E\xdf'), [ { 'text': 'a|b ß', 'code': 3, 'colour': 'yellow' } ]);
+});
+
+common.test('toHTML puts each colour in a span, and escapes the text', function()
+{
+	assert.equal(strings.toHTML('^1<b>&^7"it\'s"'),
+		'<span class="col1">&lt;b&gt;&amp;</span><span class="col7">&quot;it&#39;s&quot;</span>');
+	assert.equal(strings.toHTML('hi', { 'prefix': 'c' }), '<span class="c9">hi</span>');
+	assert.equal(strings.toHTML(''), '');
+});
+
+common.test('toANSI colours the text, and resets it at the end', function()
+{
+	assert.equal(strings.toANSI('^1red ^6blue'), '\u001b[31mred \u001b[96mblue\u001b[39m');
+	assert.equal(strings.toANSI('^1'), '');
+});
+
+common.test('fromMarkup takes colour names or codes, and escapes ^', function()
+{
+	assert.equal(strings.fromMarkup('{red}Hello {WHITE}world{9}'), '^1Hello ^7world^9');
+	assert.equal(strings.fromMarkup('{{red} {nope} 2^3'), '{red} {nope} 2^^3');
+
+	// the escaped ^ goes out as it is, and isn't then taken for a colour
+	assert.equal(strings.fromUTF8(strings.fromMarkup('{lightblue}2^3')), '^62^^3');
+	assert.deepEqual(strings.parseColours(strings.fromMarkup('{lightblue}2^3')), [ { 'text': '2^3', 'code': 6, 'colour': 'lightblue' } ]);
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	insim = require('../lib/insim'),
+	outgauge = require('../lib/outgauge');
+
+var client = function()
+{
+	return new insim.client({ 'id': 'udp' }, common.logger());
+}
+
+common.test('OutGauge over the InSim UDP socket is unpacked and emitted', function()
+{
+	var c = client();
+	var got = null;
+
+	var p = new outgauge.OG_PACK;
+	p.rpm = 4000;
+
+	c.on('OG_PACK', function(pkt)
+	{
+		got = pkt;
+	});
+
+	c.receiveUdp(p.pack(), { 'address': '127.0.0.1', 'port': 30000 });
+
+	assert.ok(got);
+	assert.equal(Math.round(got.rpm), 4000);
+});
+
+common.test('a listener that throws does not escape receiveUdp', function()
+{
+	var c = client();
+	var calls = 0;
+
+	c.on('OG_PACK', function()
+	{
+		calls++;
+		throw new Error('plugin bug');
+	});
+
+	c.receiveUdp((new outgauge.OG_PACK).pack(), { 'address': '127.0.0.1', 'port': 30000 });
+
+	assert.equal(calls, 1);
+});
+
+common.test('an IS_MCI datagram whose listener throws does not escape receiveUdp', function()
+{
+	var c = client();
+	var calls = 0;
+
+	c.on('IS_MCI', function()
+	{
+		calls++;
+		throw new Error('plugin bug');
+	});
+
+	var p = new insim.IS_MCI;
+	c.receiveUdp(p.pack(), { 'address': '127.0.0.1', 'port': 29999 });
+
+	assert.equal(calls, 1);
+});
+
+common.test('datagrams of unknown sizes are ignored', function()
+{
+	var c = client();
+	var emitted = false;
+
+	c.on('OG_PACK', function() { emitted = true; });
+	c.on('OS_PACK', function() { emitted = true; });
+
+	c.receiveUdp(new Buffer([ 1, 2, 3 ]), { 'address': '127.0.0.1', 'port': 1 });
+	c.receiveUdp(new Buffer(50), { 'address': '127.0.0.1', 'port': 1 });
+
+	assert.equal(emitted, false);
+});
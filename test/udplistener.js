@@ -0,0 +1,222 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	dgram = require('dgram'),
+	outgauge = require('../lib/outgauge'),
+	outsim = require('../lib/outsim'),
+	udplistener = require('../lib/udplistener');
+
+/**
+ * Resolves with a UDP socket bound to a random loopback port.
+ *
+ * @api private
+ * @return {Object} Promise
+ */
+var socket = function()
+{
+	return new Promise(function(resolve)
+	{
+		var s = dgram.createSocket('udp4');
+
+		s.bind(0, '127.0.0.1', function()
+		{
+			resolve(s);
+		});
+	});
+}
+
+/**
+ * Returns a packed OG_PACK, its rpm telling it apart from the others.
+ *
+ * @api private
+ * @param {Number} rpm
+ * @param {Number} [id] OutGauge ID, left off if not given
+ * @return {Buffer}
+ */
+var gauge = function(rpm, id)
+{
+	var p = new outgauge.OG_PACK;
+	p.rpm = rpm;
+
+	var data = new Buffer(p.pack());
+
+	return (id == undefined) ? data.slice(0, 92) : Buffer.concat([ data.slice(0, 92), int(id) ]);
+}
+
+/**
+ * Returns a packed OS_PACK with an OutSim ID.
+ *
+ * @api private
+ * @param {Number} id
+ * @return {Buffer}
+ */
+var sim = function(id)
+{
+	var data = new Buffer((new outsim.OS_PACK).pack());
+
+	return Buffer.concat([ data.slice(0, 64), int(id) ]);
+}
+
+/**
+ * Returns a little endian int.
+ *
+ * @api private
+ * @param {Number} n
+ * @return {Buffer}
+ */
+var int = function(n)
+{
+	var b = new Buffer(4);
+	b.writeInt32LE(n, 0);
+
+	return b;
+}
+
+/**
+ * Returns a client on a port, and what it's been sent - the rpm of each
+ * OG_PACK, or 'sim' for each OS_PACK.
+ *
+ * @api private
+ * @param {Object} protocol outgauge or outsim
+ * @param {Object} options
+ * @return {Object}
+ */
+var client = function(protocol, options)
+{
+	var c = new protocol.client(options, common.logger());
+
+	c.got = [];
+
+	c.on('OG_PACK', function(pkt)
+	{
+		c.got.push(Math.round(pkt.rpm));
+	});
+
+	c.on('OS_PACK', function(pkt)
+	{
+		c.got.push('sim');
+	});
+
+	return c;
+}
+
+common.test('a datagram is only for clients whose sourceid and sourceaddress match', function()
+{
+	assert.ok(udplistener.matches({}, 3, { 'address': '10.0.0.1', 'port': 1 }));
+	assert.ok(udplistener.matches({ 'sourceid': '3' }, 3));
+	assert.ok(!udplistener.matches({ 'sourceid': 0 }, 3));
+	assert.ok(udplistener.matches({ 'sourceaddress': '10.0.0.1' }, 0, { 'address': '10.0.0.1', 'port': 1 }));
+	assert.ok(!udplistener.matches({ 'sourceaddress': '10.0.0.1:2' }, 0, { 'address': '10.0.0.1', 'port': 1 }));
+	assert.ok(!udplistener.matches({ 'sourceaddress': '10.0.0.2' }, 0, { 'address': '10.0.0.1', 'port': 1 }));
+
+	// without a remote address, as when played back, it isn't checked
+	assert.ok(udplistener.matches({ 'sourceaddress': '10.0.0.2' }, 0));
+});
+
+common.test('clients sharing a port each get the datagrams from their own source', function()
+{
+	var a = null;
+	var b = null;
+	var clients = null;
+
+	return Promise.all([ socket(), socket(), socket() ]).then(function(sockets)
+	{
+		// a port that's free, for the clients to share
+		var port = sockets[0].address().port;
+		sockets[0].close();
+
+		a = sockets[1];
+		b = sockets[2];
+
+		clients = {
+			'one': client(outgauge, { 'id': 'one', 'port': port, 'sourceid': 1 }),
+			'two': client(outgauge, { 'id': 'two', 'port': port, 'sourceid': 2 }),
+			'any': client(outgauge, { 'id': 'any', 'port': port }),
+			'none': client(outgauge, { 'id': 'none', 'port': port, 'sourceid': 0 }),
+			'fromb': client(outgauge, { 'id': 'fromb', 'port': port, 'sourceaddress': '127.0.0.1:' + b.address().port }),
+			'sim': client(outsim, { 'id': 'sim', 'port': port, 'sourceid': 1 })
+		};
+
+		var connecting = [];
+		for (var i in clients)
+			connecting.push(clients[i].connect());
+
+		return Promise.all(connecting).then(function()
+		{
+			return port;
+		});
+	}).then(function(port)
+	{
+		var listener = clients.one.listener;
+
+		for (var i in clients)
+			assert.strictEqual(clients[i].listener, listener);
+
+		var unclaimed = [];
+		listener.on('unclaimed', function(data)
+		{
+			unclaimed.push(data.length);
+		});
+
+		return new Promise(function(resolve)
+		{
+			// the listener's own handler is first, so has dispatched each
+			// datagram by the time this sees it
+			var received = 0;
+			listener.stream.on('message', function()
+			{
+				if (++received == 6)
+					resolve();
+			});
+
+			a.send(gauge(1001, 1), port, '127.0.0.1');
+			a.send(gauge(1002, 2), port, '127.0.0.1');
+			a.send(gauge(1000), port, '127.0.0.1');
+			a.send(sim(1), port, '127.0.0.1');
+			a.send(new Buffer(10), port, '127.0.0.1');
+			b.send(gauge(2002, 2), port, '127.0.0.1');
+		}).then(function()
+		{
+			var got = {};
+			for (var i in clients)
+				got[i] = clients[i].got.sort();
+
+			assert.deepEqual(got, {
+				'one': [ 1001 ],
+				'two': [ 1002, 2002 ],
+				'any': [ 1000, 1001, 1002, 2002 ],
+				'none': [ 1000 ],
+				'fromb': [ 2002 ],
+				'sim': [ 'sim' ]
+			});
+			assert.deepEqual(unclaimed, [ 10 ]);
+		});
+	}).then(function()
+	{
+		var listener = clients.one.listener;
+		var names = Object.keys(clients);
+
+		// the socket stays open until the last client is done with it
+		return names.slice(1).reduce(function(p, name)
+		{
+			return p.then(function()
+			{
+				return clients[name].disconnect();
+			});
+		}, Promise.resolve()).then(function()
+		{
+			assert.deepEqual(listener.clients, [ clients.one ]);
+			assert.ok(listener.stream.address().port > 0);
+
+			return clients.one.disconnect();
+		}).then(function()
+		{
+			assert.deepEqual(listener.clients, []);
+			assert.throws(function() { listener.stream.address(); });
+
+			a.close();
+			b.close();
+		});
+	});
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	units = require('../lib/units'),
+	vector = require('../lib/vector'),
+	insim = require('../lib/insim'),
+	outgauge = require('../lib/outgauge'),
+	outsim = require('../lib/outsim');
+
+/**
+ * Asserts that two numbers are the same, give or take rounding.
+ *
+ * @api private
+ * @param {Number} actual
+ * @param {Number} expected
+ */
+var close = function(actual, expected)
+{
+	assert.ok(Math.abs(actual - expected) < 1e-6, actual + ' is not ' + expected);
+}
+
+common.test('values convert between units of the same quantity', function()
+{
+	close(units.convert(100, 'kmh', 'mps'), 100 / 3.6);
+	close(units.convert(1, 'mi', 'm'), 1609.344);
+	close(units.convert(10, 'ft', 'm'), 3.048);
+	close(units.convert(180, 'deg', 'rad'), Math.PI);
+	close(units.convert(1, 'g', 'mps2'), 9.80665);
+	close(units.convert(1, 'bar', 'kpa'), 100);
+	close(units.convert(2, 'bar', 'psi'), 29.007547546);
+	assert.equal(units.convert(42, 'mph', 'mph'), 42);
+});
+
+common.test('InSim\'s own units', function()
+{
+	close(units.convert(65536, 'lfsdist', 'm'), 1);
+	close(units.convert(32768, 'lfsspeed', 'mps'), 100);
+	close(units.convert(16384, 'lfsangle', 'deg'), 90);
+	close(units.convert(16384, 'lfsangvel', 'degs'), 360);
+});
+
+common.test('unknown units, or units of different quantities, don\'t convert', function()
+{
+	assert.throws(function() { units.convert(1, 'furlong', 'm'); }, /Unknown unit - furlong/);
+	assert.throws(function() { units.convert(1, 'm', 'kmh'); }, /Cannot convert m to kmh/);
+});
+
+common.test('vectors convert component by component', function()
+{
+	var v = units.convertVector(vector.create(65536, -131072, 32768), 'lfsdist', 'm');
+
+	assert.ok(v instanceof vector.Vector);
+	assert.deepEqual(v.toArray(), [ 1, -2, 0.5 ]);
+});
+
+common.test('the preferred units come from the OutGauge flags', function()
+{
+	assert.equal(units.speedUnit(outgauge.OG_KM), 'kmh');
+	assert.equal(units.speedUnit(0), 'mph');
+	assert.equal(units.pressureUnit(outgauge.OG_BAR | outgauge.OG_KM), 'bar');
+	assert.equal(units.pressureUnit(outgauge.OG_KM), 'psi');
+});
+
+common.test('formatting adds the label', function()
+{
+	assert.equal(units.format(100, 'kmh', 'kmh'), '100 km/h');
+	assert.equal(units.format(Math.PI / 2, 'rad', 'deg'), '90°');
+	assert.equal(units.format(1, 'g', 'mps2', 2), '9.81 m/s²');
+	assert.equal(units.formatSpeed(10, outgauge.OG_KM), '36 km/h');
+	assert.equal(units.formatSpeed(10, 0, 1), '22.4 mph');
+	assert.equal(units.formatPressure(1, outgauge.OG_BAR), '1.0 bar');
+	assert.equal(units.formatPressure(1, 0), '14.5 psi');
+});
+
+common.test('MCI, OutGauge and OutSim packets convert their own values', function()
+{
+	var c = new insim.IS_COMPCAR;
+	c.x = 65536 * 10;
+	c.y = -65536 * 5;
+	c.z = 65536 / 2;
+	c.speed = 32768 / 4;
+	c.heading = 32768;
+	c.angvel = -8192;
+
+	assert.deepEqual(c.getPos().toArray(), [ 10, -5, 0.5 ]);
+	close(c.getSpeed(), 25);
+	close(c.getSpeed('kmh'), 90);
+	close(c.getHeading(), 180);
+	close(c.getAngVel(), -180);
+
+	var g = new outgauge.OG_PACK;
+	g.flags = outgauge.OG_KM | outgauge.OG_BAR;
+	g.speed = 25;
+	g.turbo = 1.5;
+
+	close(g.getSpeed(), 90);
+	close(g.getSpeed('mps'), 25);
+	close(g.getTurbo('kpa'), 150);
+	assert.equal(g.formatSpeed(), '90 km/h');
+	assert.equal(g.formatTurbo(), '1.5 bar');
+
+	var s = new outsim.OS_PACK;
+	s.velx = 3;
+	s.vely = 4;
+	s.accelx = 9.80665;
+
+	close(s.getSpeed(), 5);
+	close(s.getSpeed('kmh'), 18);
+	close(s.getGForce().x, 1);
+	assert.deepEqual(s.getVel().toArray(), [ 3, 4, 0 ]);
+});
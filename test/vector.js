@@ -0,0 +1,54 @@
+"use strict";
+
+var common = require('./common'),
+	assert = common.assert,
+	vector = require('../lib/vector');
+
+common.test('arithmetic returns new vectors, leaving the originals alone', function()
+{
+	var a = vector.create(1, 2, 3);
+	var b = vector.create(4, 5, 6);
+
+	assert.deepEqual(a.add(b).toArray(), [ 5, 7, 9 ]);
+	assert.deepEqual(b.sub(a).toArray(), [ 3, 3, 3 ]);
+	assert.deepEqual(a.scale(2).toArray(), [ 2, 4, 6 ]);
+	assert.deepEqual(a.toArray(), [ 1, 2, 3 ]);
+
+	var c = a.clone();
+	assert.ok(c instanceof vector.Vector);
+	assert.notStrictEqual(c, a);
+	assert.deepEqual(c.toArray(), a.toArray());
+});
+
+common.test('dot and cross products', function()
+{
+	var x = vector.create(1, 0, 0);
+	var y = vector.create(0, 1, 0);
+
+	assert.equal(vector.create(1, 2, 3).dot(vector.create(4, 5, 6)), 32);
+	assert.equal(x.dot(y), 0);
+	assert.deepEqual(x.cross(y).toArray(), [ 0, 0, 1 ]);
+	assert.deepEqual(y.cross(x).toArray(), [ 0, 0, -1 ]);
+});
+
+common.test('lengths and distances', function()
+{
+	var v = vector.create(3, 4, 12);
+
+	assert.equal(v.length(), 13);
+	assert.equal(v.length2d(), 5);
+	assert.equal(vector.create(1, 1, 1).distance(vector.create(4, 5, 1)), 5);
+
+	var n = vector.create(0, 3, 4).normalise();
+	assert.ok(Math.abs(n.length() - 1) < 1e-9);
+	assert.ok(Math.abs(n.y - 0.6) < 1e-9);
+	assert.ok(Math.abs(n.z - 0.8) < 1e-9);
+	assert.deepEqual(vector.create().normalise().toArray(), [ 0, 0, 0 ]);
+});
+
+common.test('vectors come from arrays, or prefixed properties', function()
+{
+	assert.deepEqual(vector.from([ 1, 2, 3 ]).toArray(), [ 1, 2, 3 ]);
+	assert.deepEqual(vector.from({ 'x': 1, 'y': 2, 'z': 3 }).toArray(), [ 1, 2, 3 ]);
+	assert.deepEqual(vector.from({ 'velx': 4, 'vely': 5 }, 'vel').toArray(), [ 4, 5, 0 ]);
+});